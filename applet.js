@@ -15,10 +15,12 @@ const Applet = imports.ui.applet;
 const Lang = imports.lang;
 const Mainloop = imports.mainloop;
 const GLib = imports.gi.GLib;
+const Gio = imports.gi.Gio;
+const ByteArray = imports.byteArray;
 const St = imports.gi.St;
 const Settings = imports.ui.settings;
 const PopupMenu = imports.ui.popupMenu;
-const Util = imports.misc.util;
+const Main = imports.ui.main;
 
 // Debug mode - set to true for verbose logging
 const DEBUG_MODE = false;
@@ -27,909 +29,7717 @@ const DEBUG_MODE = false;
 const REFRESH_INTERVAL_DEFAULT = 2; // seconds
 const REFRESH_INTERVALS = [1, 2, 5, 10]; // Available refresh intervals in seconds
 
+// Data source backends ("auto" picks the first available in BACKEND_DETECT_ORDER)
+const BACKEND_AUTO = 'auto';
+const BACKEND_NVIDIA = 'nvidia';
+const BACKEND_AMD = 'amd';
+const BACKEND_INTEL = 'intel';
+const BACKEND_DETECT_ORDER = [BACKEND_NVIDIA, BACKEND_AMD, BACKEND_INTEL];
+const BACKEND_NVIDIA_PROCFS = 'nvidia-procfs'; // Fallback for BACKEND_NVIDIA, never selected directly
+
+// PCI vendor IDs as reported by /sys/class/drm/card*/device/vendor
+const PCI_VENDOR_AMD = '0x1002';
+const PCI_VENDOR_INTEL = '0x8086';
+
+// Collector modes
+const COLLECTOR_MODE_POLL = 'poll';     // Spawn nvidia-smi on every refresh tick
+const COLLECTOR_MODE_STREAM = 'stream'; // Keep one nvidia-smi process open and read its output
+const STREAM_RESTART_DELAY_MIN = 1;     // seconds - first restart delay after the stream dies
+const STREAM_RESTART_DELAY_MAX = 60;    // seconds - restart delay cap (doubles on each failure)
+
+// Stuck-process protection
+const COMMAND_TIMEOUT_DEFAULT = 5;  // seconds - nvidia-smi and intel_gpu_top calls still running after this are killed
+const GPU_TOP_MAX_FAILURES = 3;     // consecutive intel_gpu_top failures before it is no longer run
+const STALE_THRESHOLD_DEFAULT = 10; // seconds - panel shows the stale indicator when the last sample is older (0 = off)
+
+// Why a backend call failed (backend.lastFailure.type)
+const FAILURE_NOT_FOUND = 'not-found'; // Tool or GPU missing
+const FAILURE_DRIVER = 'driver';       // Command failed, exited with an error or hung
+const FAILURE_PARSE = 'parse';         // Output not understood
+
+// Collector health: healthy (backend delivers), degraded (backend failing, last or fallback
+// data shown), offline (no data; the backend is retried with exponential backoff)
+const HEALTH_HEALTHY = 'healthy';
+const HEALTH_DEGRADED = 'degraded';
+const HEALTH_OFFLINE = 'offline';
+const HEALTH_OFFLINE_AFTER = 3;   // consecutive failures before going offline
+const HEALTH_RETRY_MAX = 300;     // seconds - backoff cap between retries while failing
+
+// Tooltip diagnosis per failure type
+const FAILURE_DESCRIPTIONS = {
+    [FAILURE_NOT_FOUND]: { title: 'Not found', hint: 'Check that the GPU driver and its tools (e.g. nvidia-smi) are installed and in the PATH' },
+    [FAILURE_DRIVER]:    { title: 'Driver error', hint: 'Check that the driver is loaded and matches its tools (a driver update may need a reboot)' },
+    [FAILURE_PARSE]:     { title: 'Unexpected output', hint: 'The driver tools printed output NV-Stats does not understand; please report it with your driver version' }
+};
+
+// nvidia-smi dmon columns (header names) mapped to stats keys
+// Requested with "-s pucmt": power/temp, utilization, clocks, memory, PCIe throughput
+const DMON_COLUMNS = {
+    'gpu': 'index',
+    'sm': 'gpu',
+    'mem': 'mem',
+    'gtemp': 'temp',
+    'mtemp': 'memTemp',
+    'pwr': 'power',
+    'enc': 'enc',
+    'dec': 'dec',
+    'pclk': 'smClock',
+    'mclk': 'memClock',
+    'fb': 'vramUsed',
+    'rxpci': 'pcieRx',
+    'txpci': 'pcieTx'
+};
+
+// nvidia-smi --query-gpu fields mapped to stats keys
+const GPU_QUERY_FIELDS = {
+    'index': 'index',
+    'utilization.gpu': 'gpu',
+    'utilization.memory': 'mem',
+    'temperature.gpu': 'temp',
+    'fan.speed': 'fan',
+    'power.draw': 'power',
+    'power.limit': 'powerLimit',
+    'memory.used': 'vramUsed',
+    'memory.total': 'vramTotal',
+    'clocks.sm': 'smClock',
+    'clocks.mem': 'memClock',
+    'pstate': 'pstate',
+    'clocks_throttle_reasons.active': 'throttle'
+};
+
+// Fields requested by the persistent query loop, in output column order
+// (encoder/decoder and PCIe throughput are only available from dmon in poll mode)
+const STREAM_QUERY_FIELDS = Object.keys(GPU_QUERY_FIELDS);
+
+// Fields dmon does not report, queried alongside it in poll mode
+const DEVICE_QUERY_FIELDS = ['index', 'fan.speed', 'power.limit', 'memory.total', 'pstate', 'clocks_throttle_reasons.active'];
+
+/**
+ * Clock throttle reasons
+ * Bits of the clocks_throttle_reasons.active mask that mean the GPU is held back.
+ * Severity feeds the same color states as temperature ('warning' or 'critical');
+ * informational reasons (null) only show the indicator
+ */
+const THROTTLE_REASONS = [
+    { bit: 0x04, short: 'PWR',   description: 'Power cap',                 severity: 'warning' },
+    { bit: 0x08, short: 'HW',    description: 'Hardware slowdown',         severity: 'critical' },
+    { bit: 0x10, short: 'SYNC',  description: 'Sync boost',                severity: null },
+    { bit: 0x20, short: 'THERM', description: 'Software thermal slowdown', severity: 'warning' },
+    { bit: 0x40, short: 'HWT',   description: 'Hardware thermal slowdown', severity: 'critical' },
+    { bit: 0x80, short: 'BRAKE', description: 'Hardware power brake',      severity: 'critical' }
+];
+
+// Color states, in increasing severity
+const COLOR_STATES = ['normal', 'warning', 'critical'];
+
+// Color coding scope: the whole label by the color metric, or every value by its own rules
+const COLOR_SCOPE_LABEL = 'label';
+const COLOR_SCOPE_VALUE = 'value';
+
+// Color coding mode: discrete normal/warning/critical steps, or a gradient blended in RGB or HSL
+const COLOR_MODE_STEPS = 'steps';
+const COLOR_MODE_RGB = 'rgb';
+const COLOR_MODE_HSL = 'hsl';
+const COLOR_METRIC_DEFAULT = 'temp';
+
+// Invisible marks around a panel value with its own color (see markColor)
+const COLOR_MARK_START = '\u0001';
+const COLOR_MARK_TEXT = '\u0003';
+const COLOR_MARK_END = '\u0002';
+const COLOR_MARK_PATTERN = /\u0001[^\u0003]*\u0003|\u0002/g;
+
+// Stats keys every sample must provide
+const REQUIRED_STATS = ['index', 'gpu', 'mem', 'temp'];
+
+// nvidia-smi pmon column name -> process key ("fb" is the process VRAM in MB)
+// The command column is always last and may contain spaces
+const PMON_COLUMNS = {
+    gpu: 'gpu',
+    pid: 'pid',
+    type: 'type',
+    sm: 'sm',
+    mem: 'mem',
+    fb: 'vram',
+    command: 'name'
+};
+
+// Per-process VRAM of compute apps, merged into the pmon results by PID
+const COMPUTE_APPS_FIELDS = ['pid', 'used_memory'];
+
+// Process list sort orders
+const PROCESS_SORT_VRAM = 'vram';
+const PROCESS_SORT_SM = 'sm';
+const PROCESS_LIMIT_DEFAULT = 5;
+
+/**
+ * Display units
+ * Stats always hold Celsius and MiB; values are converted only for display and for
+ * comparing against thresholds, which are set in the chosen unit
+ */
+const TEMP_UNIT_CELSIUS = 'C';
+const TEMP_UNIT_FAHRENHEIT = 'F';
+const TEMP_UNIT_KELVIN = 'K';
+const TEMPERATURE_UNITS = {
+    C: { suffix: '°C', fromCelsius: celsius => celsius,                toCelsius: value => value,                scale: 1 },
+    F: { suffix: '°F', fromCelsius: celsius => celsius * 9 / 5 + 32,   toCelsius: value => (value - 32) * 5 / 9, scale: 9 / 5 },
+    K: { suffix: 'K',  fromCelsius: celsius => celsius + 273.15,       toCelsius: value => value - 273.15,       scale: 1 }
+};
+const MEMORY_UNIT_PERCENT = 'pct';  // VRAM used as % of total
+const MEMORY_UNIT_MIB = 'mib';
+const MEMORY_UNIT_GIB = 'gib';
+const UNITS_DEFAULT = { temperature: TEMP_UNIT_CELSIUS, memory: MEMORY_UNIT_MIB };
+
+/**
+ * Metric registry
+ * Every metric that can be shown in the panel: label per label style, unit,
+ * the widest expected value (used for fixed-width alignment), the tooltip description
+ * and the graph scale (graphMax): a fixed maximum, the stats key holding the maximum,
+ * 'auto' to scale to the largest value in the history, or null if the metric cannot be graphed
+ */
+const METRICS = {
+    gpu:      { full: 'GPU',  abbreviated: 'G',  compact: 'G',  unit: '%',    widest: 100,   description: 'GPU Utilization',     graphMax: 100 },
+    mem:      { full: 'MEM',  abbreviated: 'M',  compact: 'M',  unit: '%',    widest: 100,   description: 'Memory Usage',        graphMax: 100 },
+    temp:     { full: 'TEMP', abbreviated: 'T',  compact: 'T',  unit: '°C',   widest: 100,   description: 'Temperature',         graphMax: 100 },
+    fan:      { full: 'FAN',  abbreviated: 'F',  compact: 'F',  unit: '%',    widest: 100,   description: 'Fan Speed',           graphMax: 100 },
+    power:    { full: 'PWR',  abbreviated: 'P',  compact: 'P',  unit: 'W',    widest: 999,   description: 'Power Draw',          graphMax: 'powerLimit' },
+    vramUsed: { full: 'VRAM', abbreviated: 'V',  compact: 'V',  unit: 'M',    widest: 99999, description: 'VRAM Used',           graphMax: 'vramTotal' },
+    smClock:  { full: 'CLK',  abbreviated: 'C',  compact: 'C',  unit: 'MHz',  widest: 9999,  description: 'SM Clock',            graphMax: 'auto' },
+    memClock: { full: 'MCLK', abbreviated: 'MC', compact: 'MC', unit: 'MHz',  widest: 99999, description: 'Memory Clock',        graphMax: 'auto' },
+    enc:      { full: 'ENC',  abbreviated: 'E',  compact: 'E',  unit: '%',    widest: 100,   description: 'Encoder Utilization', graphMax: 100 },
+    dec:      { full: 'DEC',  abbreviated: 'D',  compact: 'D',  unit: '%',    widest: 100,   description: 'Decoder Utilization', graphMax: 100 },
+    pcieRx:   { full: 'RX',   abbreviated: 'RX', compact: 'RX', unit: 'MB/s', widest: 99999, description: 'PCIe RX',             graphMax: 'auto' },
+    pcieTx:   { full: 'TX',   abbreviated: 'TX', compact: 'TX', unit: 'MB/s', widest: 99999, description: 'PCIe TX',             graphMax: 'auto' },
+    pstate:   { full: 'PST',  abbreviated: 'PS', compact: 'PS', unit: '',     widest: 'P12', description: 'Performance State',   graphMax: null }
+};
+
+/**
+ * Symbolic icons of the icon label style, per metric
+ * Several theme names each: the first one the icon theme has is used
+ */
+const METRIC_ICONS = {
+    gpu:      ['cpu-symbolic', 'xsi-cpu-symbolic', 'applications-engineering-symbolic'],
+    mem:      ['memory-symbolic', 'xsi-memory-symbolic', 'media-flash-symbolic'],
+    temp:     ['temperature-symbolic', 'sensors-temperature-symbolic', 'xsi-temperature-symbolic', 'weather-clear-symbolic'],
+    fan:      ['fan-symbolic', 'sensors-fan-symbolic', 'xsi-fan-symbolic', 'weather-windy-symbolic'],
+    power:    ['thunderbolt-symbolic', 'power-profile-performance-symbolic', 'battery-full-charging-symbolic'],
+    vramUsed: ['memory-symbolic', 'xsi-memory-symbolic', 'drive-harddisk-solidstate-symbolic', 'media-flash-symbolic'],
+    smClock:  ['preferences-system-time-symbolic'],
+    memClock: ['preferences-system-time-symbolic'],
+    enc:      ['camera-video-symbolic', 'video-x-generic-symbolic'],
+    dec:      ['video-display-symbolic', 'video-x-generic-symbolic'],
+    pcieRx:   ['network-receive-symbolic', 'go-down-symbolic'],
+    pcieTx:   ['network-transmit-symbolic', 'go-up-symbolic'],
+    pstate:   ['power-profile-balanced-symbolic', 'preferences-system-symbolic']
+};
+const METRIC_ICON_FALLBACK = 'utilities-system-monitor-symbolic';
+
+// Metrics shown in the panel by default, in display order
+const DEFAULT_METRICS = ['gpu', 'mem', 'temp', 'fan'];
+
+// Panel graph modes
+const GRAPH_MODE_OFF = 'off';         // Text only
+const GRAPH_MODE_BESIDE = 'beside';   // Sparklines next to the text
+const GRAPH_MODE_REPLACE = 'replace'; // Sparklines instead of the text
+const GRAPH_STYLE_LINE = 'line';
+const GRAPH_STYLE_BAR = 'bar';
+const HISTORY_LENGTH_DEFAULT = 60;    // samples kept per metric for the panel graphs
+
+// Popup dashboard history chart windows (minutes) and the metrics drawn in each chart
+const DASHBOARD_WINDOWS = [1, 5, 15];
+const DASHBOARD_WINDOW_DEFAULT = 5;
+const DASHBOARD_CHART_METRICS = ['gpu', 'mem', 'temp', 'fan', 'power', 'vramUsed'];
+
+// Tooltip styles: a rich tooltip actor (details and a history chart per GPU) or the plain text tooltip
+const TOOLTIP_STYLE_RICH = 'rich';
+const TOOLTIP_STYLE_TEXT = 'text';
+const TOOLTIP_SHOW_DELAY = 300;   // ms hovering before the rich tooltip shows
+const TOOLTIP_CHART_MINUTES = 5;  // history window of the rich tooltip chart
+
+// Session statistics: metrics summarized in the tooltip, and the longest gap between two
+// samples counted towards time above threshold and energy (e.g. across a suspend)
+const SESSION_TOOLTIP_METRICS = ['gpu', 'temp', 'power', 'vramUsed'];
+const SESSION_MAX_GAP = 60; // seconds
+
+// Device identity query (fetched once; names may contain commas, so index comes first
+// and driver version and bus ID last)
+const DEVICE_INFO_FIELDS = ['index', 'name', 'driver_version', 'pci.bus_id'];
+
+// Label style that renders the user's custom template
+const LABEL_STYLE_CUSTOM = 'custom';
+
+// Label style that shows a symbolic icon instead of each metric's label (text renderings use abbreviated labels)
+const LABEL_STYLE_ICONS = 'icons';
+const CUSTOM_TEMPLATE_DEFAULT = '{gpu}% {temp}{temp_unit} {power:.0f}W {vram_used_gb:.1f}G';
+
+/**
+ * Variables available in custom templates
+ * value: extracts the value from a per-GPU stats object and the display units (null when unavailable)
+ * precision: decimals used when the template gives no precision (default: 0)
+ */
+const TEMPLATE_VARIABLES = {
+    index:         { value: stats => stats.index },
+    gpu:           { value: stats => stats.gpu },
+    mem:           { value: stats => stats.mem },
+    temp:          { value: (stats, units) => convertTemperature(stats.temp, units.temperature) },
+    mem_temp:      { value: (stats, units) => convertTemperature(stats.memTemp, units.temperature) },
+    temp_unit:     { value: (stats, units) => temperatureSuffix(units.temperature) },
+    fan:           { value: stats => stats.fan },
+    power:         { value: stats => stats.power },
+    power_limit:   { value: stats => stats.powerLimit },
+    vram_used:     { value: stats => stats.vramUsed },
+    vram_total:    { value: stats => stats.vramTotal },
+    vram_used_gb:  { value: stats => typeof stats.vramUsed === 'number' ? stats.vramUsed / 1024 : null, precision: 1 },
+    vram_total_gb: { value: stats => typeof stats.vramTotal === 'number' ? stats.vramTotal / 1024 : null, precision: 1 },
+    vram_pct:      { value: stats => (typeof stats.vramUsed === 'number' && stats.vramTotal) ? stats.vramUsed / stats.vramTotal * 100 : null },
+    sm_clock:      { value: stats => stats.smClock },
+    mem_clock:     { value: stats => stats.memClock },
+    enc:           { value: stats => stats.enc },
+    dec:           { value: stats => stats.dec },
+    pcie_rx:       { value: stats => stats.pcieRx },
+    pcie_tx:       { value: stats => stats.pcieTx },
+    pstate:        { value: stats => stats.pstate }
+};
+
+// Sample stats used to preview templates before any data has arrived
+const TEMPLATE_PREVIEW_STATS = {
+    index: 0, gpu: 42, mem: 35, temp: 55, memTemp: null, fan: 65, power: 117.4, powerLimit: 250,
+    vramUsed: 2847, vramTotal: 8192, smClock: 1755, memClock: 7000, enc: 0, dec: 0,
+    pcieRx: 120, pcieTx: 35, pstate: 'P2'
+};
+
 // Layout modes
 const LAYOUT_SINGLE_ROW = 'single-row';
-const LAYOUT_TWO_ROW = 'two-row';
+const LAYOUT_TWO_ROW = 'two-row'; // Multi-row grid (2x2 with the default metrics and row count)
+const GRID_ROWS_DEFAULT = 2;
+
+// Vertical panels: approximate monospace character width per point of font size (px),
+// and the smallest font the text is scaled down to so it fits the panel width
+const VERTICAL_CHAR_WIDTH = 0.8;
+const VERTICAL_MIN_FONT_SIZE = 6;
+
+// GPU selection modes (which GPUs are shown on multi-GPU systems)
+const GPU_SELECTION_ALL = 'all';
+const GPU_SELECTION_SINGLE = 'single';
+const GPU_SELECTION_AVERAGE = 'average';
+const GPU_SELECTION_MAX = 'max';
+const GPU_SELECTIONS = [GPU_SELECTION_ALL, GPU_SELECTION_SINGLE, GPU_SELECTION_AVERAGE, GPU_SELECTION_MAX];
+
+/**
+ * Alert metric registry
+ * Values an alert rule can watch: description, unit and how to read the value
+ * from a per-GPU stats object (null when unavailable). Flag metrics read 1 while
+ * the condition holds and 0 otherwise
+ */
+const ALERT_METRICS = {
+    temp:     { description: 'Temperature',         unit: '°C', value: stats => stats.temp, temperature: true },
+    memTemp:  { description: 'Memory temperature',  unit: '°C', value: stats => stats.memTemp, temperature: true },
+    gpu:      { description: 'GPU utilization',     unit: '%',  value: stats => stats.gpu },
+    mem:      { description: 'Memory usage',        unit: '%',  value: stats => stats.mem },
+    fan:      { description: 'Fan speed',           unit: '%',  value: stats => stats.fan },
+    power:    { description: 'Power draw',          unit: ' W', value: stats => stats.power },
+    powerPct: { description: 'Power draw (of cap)', unit: '%',  value: stats => percentOf(stats.power, stats.powerLimit) },
+    vramPct:  { description: 'VRAM used',           unit: '%',  value: stats => percentOf(stats.vramUsed, stats.vramTotal) },
+    throttle: { description: 'Clock throttling',    unit: '',   value: stats => throttleActive(stats.throttle), flag: true }
+};
+
+// Panel metric colored by a color rule, per rule metric (keys of ALERT_METRICS)
+const COLOR_RULE_TARGETS = {
+    temp: 'temp', memTemp: 'temp', gpu: 'gpu', mem: 'mem', fan: 'fan',
+    power: 'power', powerPct: 'power', vramPct: 'vramUsed'
+};
+
+// Sample recording: file formats, the per-GPU values written (in column order) and defaults
+const RECORD_FORMAT_CSV = 'csv';
+const RECORD_FORMAT_JSONL = 'jsonl';
+const RECORD_COLUMNS = [
+    'index', 'gpu', 'mem', 'temp', 'memTemp', 'fan', 'power', 'powerLimit', 'vramUsed', 'vramTotal',
+    'smClock', 'memClock', 'enc', 'dec', 'pcieRx', 'pcieTx', 'pstate', 'throttle'
+];
+const RECORD_FILE_PATTERN = /^nv-stats-\d{8}-\d{6}(-\d+)?\.(csv|jsonl)$/;
+const RECORD_MAX_SIZE_DEFAULT = 10;     // MB per file before rotating
+const RECORD_RETENTION_DEFAULT = 7;     // days recordings are kept (0 = forever)
+const RECORD_QUEUE_MAX = 64;            // samples waiting for a slow disk before new ones are dropped
+const RECORD_PRUNE_BATCH = 32;          // directory entries read at a time when deleting old recordings
+
+// Session D-Bus service (see StatsService); stats are in Celsius and MiB whatever the display units
+const DBUS_SERVICE_NAME = 'io.github.chesterbait88.NVStats';
+const DBUS_SERVICE_PATH = '/io/github/chesterbait88/NVStats';
+const DBUS_SERVICE_INTERFACE = '<node>' +
+    '<interface name="io.github.chesterbait88.NVStats">' +
+    '<method name="GetStats"><arg type="s" direction="out" name="stats"/></method>' +
+    '<method name="GetHistory">' +
+    '<arg type="i" direction="in" name="gpu"/>' +
+    '<arg type="s" direction="in" name="metric"/>' +
+    '<arg type="u" direction="in" name="seconds"/>' +
+    '<arg type="a(xd)" direction="out" name="samples"/>' +
+    '</method>' +
+    '<signal name="StatsChanged"><arg type="s" name="stats"/></signal>' +
+    '</interface>' +
+    '</node>';
+
+// OpenMetrics exporter (see MetricsExporter): one gauge family per stats key, in base units
+// (scale converts the collector's units); pstate "P2" is exported as 2, throttle as its bitmask
+const EXPORTER_PORT_DEFAULT = 9835;
+const EXPORTER_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const EXPORTER_IDLE_TIMEOUT = 5;        // seconds a connection may stay silent before it is closed
+const EXPORTER_MAX_HEADER_LINES = 100;  // request line and headers accepted per request
+const EXPORTER_MAX_HEADER_SIZE = 16384; // bytes of request line and headers accepted per request
+const EXPORTER_READ_SIZE = 4096;        // bytes read from a connection at a time
+const EXPORTER_METRICS = [
+    { key: 'gpu',        name: 'nvstats_gpu_utilization_ratio',        unit: 'ratio',            scale: 0.01,    help: 'GPU utilization' },
+    { key: 'mem',        name: 'nvstats_memory_utilization_ratio',     unit: 'ratio',            scale: 0.01,    help: 'Memory controller utilization' },
+    { key: 'temp',       name: 'nvstats_temperature_celsius',          unit: 'celsius',          scale: 1,       help: 'GPU temperature' },
+    { key: 'memTemp',    name: 'nvstats_memory_temperature_celsius',   unit: 'celsius',          scale: 1,       help: 'Memory temperature' },
+    { key: 'fan',        name: 'nvstats_fan_speed_ratio',              unit: 'ratio',            scale: 0.01,    help: 'Fan speed' },
+    { key: 'power',      name: 'nvstats_power_draw_watts',             unit: 'watts',            scale: 1,       help: 'Power draw' },
+    { key: 'powerLimit', name: 'nvstats_power_limit_watts',            unit: 'watts',            scale: 1,       help: 'Power limit' },
+    { key: 'vramUsed',   name: 'nvstats_vram_used_bytes',              unit: 'bytes',            scale: 1048576, help: 'VRAM used' },
+    { key: 'vramTotal',  name: 'nvstats_vram_total_bytes',             unit: 'bytes',            scale: 1048576, help: 'VRAM total' },
+    { key: 'smClock',    name: 'nvstats_sm_clock_hertz',               unit: 'hertz',            scale: 1e6,     help: 'SM clock' },
+    { key: 'memClock',   name: 'nvstats_memory_clock_hertz',           unit: 'hertz',            scale: 1e6,     help: 'Memory clock' },
+    { key: 'enc',        name: 'nvstats_encoder_utilization_ratio',    unit: 'ratio',            scale: 0.01,    help: 'Encoder utilization' },
+    { key: 'dec',        name: 'nvstats_decoder_utilization_ratio',    unit: 'ratio',            scale: 0.01,    help: 'Decoder utilization' },
+    { key: 'pcieRx',     name: 'nvstats_pcie_rx_bytes_per_second',     unit: 'bytes_per_second', scale: 1e6,     help: 'PCIe receive throughput' },
+    { key: 'pcieTx',     name: 'nvstats_pcie_tx_bytes_per_second',     unit: 'bytes_per_second', scale: 1e6,     help: 'PCIe transmit throughput' },
+    { key: 'pstate',     name: 'nvstats_performance_state',            unit: null,               scale: 1,       help: 'Performance state (0 = maximum performance)' },
+    { key: 'throttle',   name: 'nvstats_clocks_throttle_reasons',      unit: null,               scale: 1,       help: 'Active clock throttle reasons bitmask' }
+];
+
+// Alerting defaults
+const ALERT_CONSECUTIVE_DEFAULT = 3;  // samples above the threshold before alerting
+const ALERT_COOLDOWN_DEFAULT = 5;     // minutes between repeated notifications of one alert
+
+/**
+ * Convert a Celsius temperature to a display unit
+ *
+ * @param {number|null} celsius - Temperature in Celsius
+ * @param {string} unit - One of TEMP_UNIT_* (unknown units keep Celsius)
+ * @returns {number|null} Converted temperature, or null if unknown
+ */
+function convertTemperature(celsius, unit) {
+    if (typeof celsius !== 'number') {
+        return null;
+    }
+    return (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS[TEMP_UNIT_CELSIUS]).fromCelsius(celsius);
+}
+
+/**
+ * Get the suffix of a temperature unit
+ *
+ * @param {string} unit - One of TEMP_UNIT_*
+ * @returns {string} e.g. "°F"
+ */
+function temperatureSuffix(unit) {
+    return (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS[TEMP_UNIT_CELSIUS]).suffix;
+}
+
+/**
+ * Get an alert metric value in the display units
+ * Temperatures are converted so they compare against thresholds set in the chosen unit
+ *
+ * @param {string} metric - Key of ALERT_METRICS
+ * @param {Object} stats - Per-GPU stats
+ * @param {Object} units - Display units {temperature, memory}
+ * @returns {number|null} Value, or null if unavailable
+ */
+function alertMetricValue(metric, stats, units) {
+    const value = ALERT_METRICS[metric].value(stats);
+    return ALERT_METRICS[metric].temperature ? convertTemperature(value, units.temperature) : value;
+}
+
+/**
+ * Get the unit suffix of an alert metric in the display units
+ *
+ * @param {string} metric - Key of ALERT_METRICS
+ * @param {Object} units - Display units {temperature, memory}
+ * @returns {string} Unit suffix
+ */
+function alertMetricUnit(metric, units) {
+    return ALERT_METRICS[metric].temperature ? temperatureSuffix(units.temperature) : ALERT_METRICS[metric].unit;
+}
+
+/**
+ * Express a value as a percentage of a total
+ *
+ * @param {number|null} value - Value
+ * @param {number|null} total - Total (100%)
+ * @returns {number|null} Percentage, or null if either is unknown
+ */
+function percentOf(value, total) {
+    if (typeof value !== 'number' || typeof total !== 'number' || total <= 0) {
+        return null;
+    }
+    return value / total * 100;
+}
+
+/**
+ * Decode the active throttle reasons of a throttle mask
+ *
+ * @param {number|null} mask - clocks_throttle_reasons.active bitmask
+ * @returns {Array} Active entries of THROTTLE_REASONS (empty if none or unknown)
+ */
+function getThrottleReasons(mask) {
+    if (typeof mask !== 'number') {
+        return [];
+    }
+    return THROTTLE_REASONS.filter(reason => (mask & reason.bit) !== 0);
+}
+
+/**
+ * Tell whether any throttle reason is active, as an alert flag
+ *
+ * @param {number|null} mask - clocks_throttle_reasons.active bitmask
+ * @returns {number|null} 1 if a reason of THROTTLE_REASONS is active, 0 if none, null if unknown
+ */
+function throttleActive(mask) {
+    if (typeof mask !== 'number') {
+        return null;
+    }
+    return getThrottleReasons(mask).length > 0 ? 1 : 0;
+}
+
+/**
+ * Parse a CSS color string as produced by the settings color chooser
+ * Supports rgb(), rgba() and #rrggbb
+ *
+ * @param {string} color - Color string
+ * @returns {Array} [red, green, blue, alpha] in the 0-1 range (opaque white if unparseable)
+ */
+function parseColor(color) {
+    const text = (color || '').trim();
+
+    const rgbMatch = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (rgbMatch) {
+        return [parseFloat(rgbMatch[1]) / 255, parseFloat(rgbMatch[2]) / 255, parseFloat(rgbMatch[3]) / 255,
+                rgbMatch[4] !== undefined ? parseFloat(rgbMatch[4]) : 1];
+    }
+
+    const hexMatch = text.match(/^#([0-9a-fA-F]{2})([0-9a-fA-F]{2})([0-9a-fA-F]{2})$/);
+    if (hexMatch) {
+        return [parseInt(hexMatch[1], 16) / 255, parseInt(hexMatch[2], 16) / 255, parseInt(hexMatch[3], 16) / 255, 1];
+    }
+
+    return [1, 1, 1, 1];
+}
+
+/**
+ * Convert a CSS color string to #rrggbb (Pango markup has no rgba())
+ *
+ * @param {string} color - Color string
+ * @returns {string} Hex color
+ */
+function colorToHex(color) {
+    return '#' + parseColor(color).slice(0, 3).map(channel => {
+        return Math.round(Math.min(1, Math.max(0, channel)) * 255).toString(16).padStart(2, '0');
+    }).join('');
+}
+
+/**
+ * Convert RGB channels to HSL
+ *
+ * @param {Array} rgb - [red, green, blue] in the 0-1 range
+ * @returns {Array} [hue, saturation, lightness] in the 0-1 range
+ */
+function rgbToHsl(rgb) {
+    const [red, green, blue] = rgb;
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+
+    if (max === min) {
+        return [0, 0, lightness];
+    }
+
+    const delta = max - min;
+    const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    let hue;
+    if (max === red) {
+        hue = (green - blue) / delta + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        hue = (blue - red) / delta + 2;
+    } else {
+        hue = (red - green) / delta + 4;
+    }
+    return [hue / 6, saturation, lightness];
+}
+
+/**
+ * Convert HSL to RGB channels
+ *
+ * @param {Array} hsl - [hue, saturation, lightness] in the 0-1 range
+ * @returns {Array} [red, green, blue] in the 0-1 range
+ */
+function hslToRgb(hsl) {
+    const [hue, saturation, lightness] = hsl;
+    if (saturation === 0) {
+        return [lightness, lightness, lightness];
+    }
+
+    const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+    const p = 2 * lightness - q;
+    const channel = offset => {
+        const t = ((hue + offset) % 1 + 1) % 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [channel(1 / 3), channel(0), channel(-1 / 3)];
+}
+
+/**
+ * Blend two CSS colors
+ * HSL blending takes the shorter way around the hue circle, so green to red passes yellow
+ *
+ * @param {string} from - Color at fraction 0
+ * @param {string} to - Color at fraction 1
+ * @param {number} fraction - Position between the colors (clamped to 0-1)
+ * @param {string} space - COLOR_MODE_RGB or COLOR_MODE_HSL
+ * @returns {string} Color string (rgba format)
+ */
+function mixColors(from, to, fraction, space) {
+    const t = Math.min(1, Math.max(0, fraction));
+    const start = parseColor(from);
+    const end = parseColor(to);
+    let rgb;
+
+    if (space === COLOR_MODE_HSL) {
+        const a = rgbToHsl(start);
+        const b = rgbToHsl(end);
+        // A gray has no hue of its own: take the other color's
+        const hueA = a[1] === 0 ? b[0] : a[0];
+        const hueB = b[1] === 0 ? a[0] : b[0];
+        let hueDelta = hueB - hueA;
+        if (hueDelta > 0.5) {
+            hueDelta -= 1;
+        } else if (hueDelta < -0.5) {
+            hueDelta += 1;
+        }
+        rgb = hslToRgb([hueA + hueDelta * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t]);
+    } else {
+        rgb = [0, 1, 2].map(channel => start[channel] + (end[channel] - start[channel]) * t);
+    }
+
+    const alpha = start[3] + (end[3] - start[3]) * t;
+    return 'rgba(' + rgb.map(channel => Math.round(Math.min(1, Math.max(0, channel)) * 255)).join(', ') +
+           ', ' + alpha.toFixed(2) + ')';
+}
+
+/**
+ * Gradient color of a value between the warning and critical thresholds
+ * The normal color holds up to one threshold span below warning, then blends
+ * into the warning color at the warning threshold and the critical color at
+ * the critical threshold
+ *
+ * @param {number|null} value - Metric value (non-numbers get the normal color)
+ * @param {number} warning - Warning threshold
+ * @param {number} critical - Critical threshold
+ * @param {Array} colors - [normal, warning, critical] CSS colors
+ * @param {string} space - COLOR_MODE_RGB or COLOR_MODE_HSL
+ * @returns {string} Color string (rgba format)
+ */
+function gradientColor(value, warning, critical, colors, space) {
+    if (typeof value !== 'number') {
+        return colors[0];
+    }
+
+    const span = Math.max(critical - warning, 1);
+    if (value < warning) {
+        return mixColors(colors[0], colors[1], (value - (warning - span)) / span, space);
+    }
+    return mixColors(colors[1], colors[2], (value - warning) / span, space);
+}
+
+/**
+ * Wrap panel text in color marks
+ * The marks are ignored by visibleLength and become Pango spans in colorMarksToMarkup
+ *
+ * @param {string} text - Text to color
+ * @param {string} color - CSS color string
+ * @returns {string} Marked text
+ */
+function markColor(text, color) {
+    return COLOR_MARK_START + colorToHex(color) + COLOR_MARK_TEXT + text + COLOR_MARK_END;
+}
+
+/**
+ * Length of panel text without its color marks
+ *
+ * @param {string} text - Possibly marked text
+ * @returns {number} Number of visible characters
+ */
+function visibleLength(text) {
+    return text.replace(COLOR_MARK_PATTERN, '').length;
+}
+
+/**
+ * Pad panel text with spaces to a visible width (padEnd that ignores color marks)
+ *
+ * @param {string} text - Possibly marked text
+ * @param {number} width - Visible width
+ * @returns {string} Padded text
+ */
+function padVisible(text, width) {
+    return text + ' '.repeat(Math.max(0, width - visibleLength(text)));
+}
+
+/**
+ * Escape text for Pango markup
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+               .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Turn color-marked panel text into Pango markup
+ *
+ * @param {string} text - Possibly marked text
+ * @returns {string} Markup with one foreground span per marked value
+ */
+function colorMarksToMarkup(text) {
+    return text.split(/(\u0001[^\u0003]*\u0003|\u0002)/).map(part => {
+        if (part.startsWith(COLOR_MARK_START)) {
+            return '<span foreground="' + part.substring(1, part.length - 1) + '">';
+        }
+        return part === COLOR_MARK_END ? '</span>' : escapeMarkup(part);
+    }).join('');
+}
+
+/**
+ * Draw one history series with cairo
+ * The caller sets the source color; null values leave a gap in the line
+ *
+ * @param {Object} cr - Cairo context
+ * @param {Array} points - Array of {x, value} with x in the 0-1 range
+ * @param {number} width - Drawing width in px
+ * @param {number} height - Drawing height in px
+ * @param {number} max - Value drawn at the top edge
+ * @param {string} style - GRAPH_STYLE_LINE or GRAPH_STYLE_BAR
+ * @param {number} slots - Number of samples that fit across the width (sets the bar width)
+ */
+function drawSeries(cr, points, width, height, max, style, slots) {
+    const yFor = (value) => height - Math.min(1, Math.max(0, value / max)) * height;
+
+    if (style === GRAPH_STYLE_BAR) {
+        const barWidth = Math.max(1, width / Math.max(1, slots));
+        for (let point of points) {
+            if (point.value === null) {
+                continue;
+            }
+            const y = yFor(point.value);
+            cr.rectangle(Math.min(point.x * width, width - barWidth), y, barWidth, height - y);
+        }
+        cr.fill();
+        return;
+    }
+
+    let drawing = false;
+    for (let point of points) {
+        if (point.value === null) {
+            drawing = false;
+            continue;
+        }
+        if (drawing) {
+            cr.lineTo(point.x * width, yFor(point.value));
+        } else {
+            cr.moveTo(point.x * width, yFor(point.value));
+            drawing = true;
+        }
+    }
+    cr.setLineWidth(1);
+    cr.stroke();
+}
+
+/**
+ * Classify a spawn error: a missing binary, or anything else the driver/tool reported
+ *
+ * @param {string} program - Program that failed to start
+ * @param {Object} error - Spawn error
+ * @returns {Object} Failure {type: FAILURE_*, message}
+ */
+function spawnFailure(program, error) {
+    if (GLib.find_program_in_path(program) === null) {
+        return { type: FAILURE_NOT_FOUND, message: program + " not found in PATH" };
+    }
+    return { type: FAILURE_DRIVER, message: String(error) };
+}
+
+/**
+ * Run a short-lived command asynchronously
+ * The child is killed if it is still running after the timeout, so a hung driver
+ * cannot leave processes piling up. Never throws: a spawn or read failure, a
+ * non-zero exit status and the timeout all give a null stdout and a failure.
+ *
+ * @param {Array} argv - Command line
+ * @param {number} timeout - Seconds before the command is killed
+ * @param {Function} callback - Called once with (stdout, failure): the command's stdout
+ *                              and null, or null and a failure {type: FAILURE_*, message,
+ *                              started} (started is false if the command could not be run)
+ */
+function spawnCommand(argv, timeout, callback) {
+    let proc;
+    try {
+        proc = new Gio.Subprocess({
+            argv: argv,
+            flags: Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE
+        });
+        proc.init(null);
+    } catch (error) {
+        callback(null, Object.assign(spawnFailure(argv[0], error), { started: false }));
+        return;
+    }
+
+    let finished = false;
+    let timeoutId = null;
+    const finish = (stdout, failure) => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        if (timeoutId) {
+            Mainloop.source_remove(timeoutId);
+            timeoutId = null;
+        }
+        callback(stdout, failure);
+    };
+
+    timeoutId = Mainloop.timeout_add_seconds(timeout, () => {
+        timeoutId = null;
+        proc.force_exit();
+        finish(null, { type: FAILURE_DRIVER, message: argv[0] + " did not respond within " + timeout + "s", started: true });
+        return false;
+    });
+
+    proc.communicate_utf8_async(null, null, (source, result) => {
+        let stdout = null;
+        let stderr = null;
+        try {
+            [, stdout, stderr] = source.communicate_utf8_finish(result);
+        } catch (error) {
+            // The exit status is only known once communicate finished
+            finish(null, { type: FAILURE_DRIVER, message: "Failed to read " + argv[0] + " output: " + error, started: true });
+            return;
+        }
+
+        // nvidia-smi prints driver problems (e.g. "couldn't communicate with the NVIDIA driver") to stdout,
+        // intel_gpu_top (e.g. "Failed to initialize PMU! (Permission denied)") to stderr
+        if (!source.get_successful()) {
+            const message = (stdout || '').split('\n').concat((stderr || '').split('\n')).find(line => line.trim() !== '');
+            finish(null, { type: FAILURE_DRIVER, message: message ? message.trim() : argv[0] + " exited with status " + source.get_exit_status(),
+                           started: true });
+            return;
+        }
+        finish(stdout, null);
+    });
+}
+
+/**
+ * Backend interface
+ *
+ * Every data source implements:
+ *   id, name                 - BACKEND_* constant and display name
+ *   source                   - where the data comes from, shown in the tooltip
+ *   lastFailure              - {type: FAILURE_*, message} of the last failed getStats, or null
+ *   isAvailable()            - whether the backend's GPUs/tools are present
+ *   getCapabilities()        - {metrics: [keys it reports], stream, processes}
+ *   getStats(callback)       - array of per-GPU stats objects, or null on failure
+ *   getDeviceInfo(callback)  - {driver, cuda, gpus: {index: {index, name, busId}}}, or null
+ *   isStreaming()            - whether a persistent collector is running
+ * and, when the capabilities say so:
+ *   startStream(interval, callback) / stopStream()   (stream)
+ *   getProcesses(callback)                           (processes)
+ * Backends that spawn commands also implement setCommandTimeout(seconds).
+ *
+ * Metrics a backend cannot read are null in its stats objects.
+ */
+
+/**
+ * Create the data source backend
+ *
+ * @param {string} preference - BACKEND_AUTO or a BACKEND_* id
+ * @param {string} sysfsRoot - Optional sysfs mount point (default "/sys")
+ * @returns {Object} Backend instance
+ */
+function createBackend(preference, sysfsRoot) {
+    const factories = {};
+    factories[BACKEND_NVIDIA] = () => new NvidiaSMI();
+    factories[BACKEND_AMD] = () => new AmdBackend(sysfsRoot);
+    factories[BACKEND_INTEL] = () => new IntelBackend(sysfsRoot);
+
+    if (factories[preference]) {
+        return factories[preference]();
+    }
+
+    for (let id of BACKEND_DETECT_ORDER) {
+        const backend = factories[id]();
+        if (backend.isAvailable()) {
+            return backend;
+        }
+    }
+
+    // Nothing detected: keep NVIDIA so the usual "nvidia-smi failed" diagnosis is shown
+    return factories[BACKEND_NVIDIA]();
+}
+
+/**
+ * NVIDIA SMI interface class
+ * Handles command execution and data parsing
+ * NVIDIA backend (see "Backend interface")
+ */
+function NvidiaSMI() {
+    this._init();
+}
+
+NvidiaSMI.prototype = {
+    /**
+     * Initialize the NvidiaSMI interface
+     */
+    _init: function() {
+        this.id = BACKEND_NVIDIA;
+        this.name = 'NVIDIA';
+        this.source = 'nvidia-smi';
+        this.lastFailure = null;
+
+        // Persistent query loop state (collector stream mode)
+        this._streamProc = null;
+        this._streamInput = null;
+        this._streamCancellable = null;
+        this._streamCallback = null;
+        this._streamInterval = REFRESH_INTERVAL_DEFAULT;
+        this._streamBatch = [];
+        this._streamGpuCount = 0;
+        this._streamRestartId = null;
+        this._streamRestartDelay = STREAM_RESTART_DELAY_MIN;
+        this._streamWatchdogId = null;
+        this._streamLastOutput = 0;
+
+        // Seconds before a hung nvidia-smi call (or silent query loop) is killed
+        this._commandTimeout = COMMAND_TIMEOUT_DEFAULT;
+
+        this._log("NvidiaSMI interface initialized");
+    },
+
+    /**
+     * Check whether nvidia-smi is installed
+     * @returns {boolean} True if nvidia-smi is in the PATH
+     */
+    isAvailable: function() {
+        return GLib.find_program_in_path('nvidia-smi') !== null;
+    },
+
+    /**
+     * Get what this backend can report
+     * @returns {Object} {metrics, stream, processes}
+     */
+    getCapabilities: function() {
+        return { metrics: Object.keys(METRICS), stream: true, processes: true };
+    },
+
+    /**
+     * Set the per-command timeout
+     * @param {number} seconds - Seconds before a running nvidia-smi call is killed
+     */
+    setCommandTimeout: function(seconds) {
+        this._commandTimeout = Math.max(1, seconds || COMMAND_TIMEOUT_DEFAULT);
+    },
+
+    /**
+     * Get GPU statistics asynchronously
+     * @param {Function} callback - Called with (stats) where stats is an array of per-GPU
+     *                              stats objects (keys as in DMON_COLUMNS/GPU_QUERY_FIELDS) or null
+     */
+    getStats: function(callback) {
+        this.lastFailure = null;
+
+        // First get dmon data, then the fields dmon does not report
+        this._executeDmon((dmonData) => {
+            if (!dmonData) {
+                callback(null);
+                return;
+            }
+
+            this._executeDeviceQuery((deviceData) => {
+                for (let gpuStats of dmonData) {
+                    const extra = deviceData ? deviceData[gpuStats.index] : undefined;
+                    if (extra) {
+                        for (let key in extra) {
+                            if (gpuStats[key] === undefined || gpuStats[key] === null) {
+                                gpuStats[key] = extra[key];
+                            }
+                        }
+                    }
+
+                    // Fan speed query failed (or the GPU has no fan), but we have other data
+                    // Use 0 as fallback
+                    if (gpuStats.fan === undefined || gpuStats.fan === null) {
+                        gpuStats.fan = 0;
+                    }
+                }
+
+                this._log("Stats retrieved: " + JSON.stringify(dmonData));
+                this.lastFailure = null;
+                callback(dmonData);
+            });
+        });
+    },
+
+    /**
+     * Remember why the last call failed (see FAILURE_*)
+     * @param {string} type - FAILURE_* constant
+     * @param {string} message - Details for the tooltip
+     */
+    _setFailure: function(type, message) {
+        this.lastFailure = { type: type, message: message };
+    },
+
+    /**
+     * Classify a spawn error: a missing binary, or anything else the driver/tool reported
+     * @param {string} program - Program that failed to start
+     * @param {Object} error - Spawn error
+     */
+    _setSpawnFailure: function(program, error) {
+        const failure = spawnFailure(program, error);
+        this._setFailure(failure.type, failure.message);
+    },
+
+    /**
+     * Run a short-lived nvidia-smi command asynchronously (see spawnCommand)
+     * The child is killed if it is still running after the command timeout; the
+     * callback then gets null, as for any other failure, which is remembered.
+     *
+     * @param {Array} argv - Command line
+     * @param {Function} callback - Called once with the command's stdout, or null
+     */
+    _spawn: function(argv, callback) {
+        spawnCommand(argv, this._commandTimeout, (stdout, failure) => {
+            if (failure) {
+                this._logError(argv.join(' ') + " failed: " + failure.message);
+                this._setFailure(failure.type, failure.message);
+            }
+            callback(stdout);
+        });
+    },
+
+    /**
+     * Execute nvidia-smi dmon command asynchronously
+     * @param {Function} callback - Called with parsed data or null
+     */
+    _executeDmon: function(callback) {
+        this._spawn(['nvidia-smi', 'dmon', '-s', 'pucmt', '-c', '1'], (stdout) => {
+            if (!stdout) {
+                this._logError("nvidia-smi dmon command failed");
+                callback(null);
+                return;
+            }
+
+            const result = this._parseDmonOutput(stdout);
+            if (!result) {
+                this._setFailure(FAILURE_PARSE, "Unexpected nvidia-smi dmon output");
+            }
+            callback(result);
+        });
+    },
+
+    /**
+     * Query the per-GPU fields dmon does not report (fan, power cap, VRAM total, P-state)
+     * @param {Function} callback - Called with {index: stats} map or null
+     */
+    _executeDeviceQuery: function(callback) {
+        this._spawn(['nvidia-smi', '--query-gpu=' + DEVICE_QUERY_FIELDS.join(','), '--format=csv,noheader,nounits'], (stdout) => {
+            if (!stdout) {
+                this._logError("nvidia-smi device query failed");
+                callback(null);
+                return;
+            }
+
+            const result = this._parseQueryOutput(stdout, DEVICE_QUERY_FIELDS);
+            callback(result);
+        });
+    },
+
+    /**
+     * Get the processes using the GPUs asynchronously
+     * pmon reports every process with its SM utilization; the compute apps query
+     * fills in the VRAM usage on drivers whose pmon has no "fb" column
+     * @param {Function} callback - Called with an array of {gpu, pid, type, sm, mem, vram, name} or null
+     */
+    getProcesses: function(callback) {
+        this._spawn(['nvidia-smi', 'pmon', '-s', 'um', '-c', '1'], (stdout) => {
+            const processes = stdout ? this._parsePmonOutput(stdout) : null;
+            if (!processes) {
+                this._logError("nvidia-smi pmon command failed");
+                callback(null);
+                return;
+            }
+
+            this._spawn(['nvidia-smi', '--query-compute-apps=' + COMPUTE_APPS_FIELDS.join(','), '--format=csv,noheader,nounits'], (appsStdout) => {
+                const usage = appsStdout ? this._parseComputeApps(appsStdout) : {};
+                for (let process of processes) {
+                    if (process.vram === null && usage[process.pid] !== undefined) {
+                        process.vram = usage[process.pid];
+                    }
+                }
+
+                this._log("Processes retrieved: " + processes.length);
+                callback(processes);
+            });
+        });
+    },
+
+    /**
+     * Parse nvidia-smi pmon output
+     * Columns are mapped by header name (see PMON_COLUMNS); idle GPUs are
+     * reported with a "-" PID line, which is skipped
+     *
+     * @param {string} stdout - Command output
+     * @returns {Array|null} Array of {gpu, pid, type, sm, mem, vram, name}, or null if unparseable
+     */
+    _parsePmonOutput: function(stdout) {
+        if (!stdout || stdout.trim() === '') {
+            this._logError("Empty pmon output");
+            return null;
+        }
+
+        const allLines = stdout.split('\n');
+
+        const headerLine = allLines.find(line => line.startsWith('#'));
+        if (!headerLine) {
+            this._logError("No header line in pmon output");
+            return null;
+        }
+        const columns = headerLine.substring(1).trim().split(/\s+/);
+        if (columns.indexOf('pid') === -1) {
+            this._logError("No pid column in pmon output");
+            return null;
+        }
+
+        const processes = [];
+
+        for (let dataLine of allLines.filter(line => !line.startsWith('#') && line.trim() !== '')) {
+            const values = dataLine.trim().split(/\s+/);
+            if (values.length < columns.length) {
+                continue;
+            }
+
+            const process = {};
+            for (let column in PMON_COLUMNS) {
+                process[PMON_COLUMNS[column]] = null;
+            }
+
+            columns.forEach((column, position) => {
+                const key = PMON_COLUMNS[column];
+                if (key === undefined || values[position] === '-') {
+                    return;
+                }
+
+                if (key === 'name') {
+                    process.name = values.slice(position).join(' ');
+                } else if (key === 'type') {
+                    process.type = values[position];
+                } else {
+                    const value = parseInt(values[position]);
+                    process[key] = isNaN(value) ? null : value;
+                }
+            });
+
+            if (process.gpu === null || process.pid === null) {
+                continue;
+            }
+
+            processes.push(process);
+        }
+
+        return processes;
+    },
+
+    /**
+     * Parse --query-compute-apps output
+     * Expected format per line: "1234, 2048"
+     *
+     * @param {string} stdout - Command output
+     * @returns {Object} Map of PID to used VRAM in MiB
+     */
+    _parseComputeApps: function(stdout) {
+        const usage = {};
+
+        for (let line of stdout.split('\n')) {
+            const values = line.split(',').map(value => value.trim());
+            if (values.length < COMPUTE_APPS_FIELDS.length) {
+                continue;
+            }
+
+            const pid = parseInt(values[0]);
+            const used = parseInt(values[1]);
+            if (!isNaN(pid) && !isNaN(used)) {
+                usage[pid] = used;
+            }
+        }
+
+        return usage;
+    },
+
+    /**
+     * Get device identity (names, driver and CUDA version) asynchronously
+     * Identity does not change while the driver is loaded, so this is fetched once
+     * @param {Function} callback - Called with {driver, cuda, gpus: {index: {index, name, busId}}} or null
+     */
+    getDeviceInfo: function(callback) {
+        this._spawn(['nvidia-smi', '--query-gpu=' + DEVICE_INFO_FIELDS.join(','), '--format=csv,noheader'], (stdout) => {
+            const gpus = stdout ? this._parseDeviceInfo(stdout) : null;
+            if (!gpus) {
+                this._logError("nvidia-smi device info query failed");
+                callback(null);
+                return;
+            }
+
+            // The CUDA version is only printed in the nvidia-smi summary header
+            this._spawn(['nvidia-smi'], (summary) => {
+                const indexes = Object.keys(gpus);
+                const info = {
+                    driver: indexes.length > 0 ? gpus[indexes[0]].driver : null,
+                    cuda: summary ? this._parseCudaVersion(summary) : null,
+                    gpus: gpus
+                };
+                this._log("Device info retrieved: " + JSON.stringify(info));
+                callback(info);
+            });
+        });
+    },
+
+    /**
+     * Parse the device identity query output
+     * Expected format per line: "0, NVIDIA GeForce RTX 3080, 550.54.14, 00000000:01:00.0"
+     * @param {string} stdout - Command output
+     * @returns {Object|null} Map of GPU index to {index, name, driver, busId}, or null if nothing parsed
+     */
+    _parseDeviceInfo: function(stdout) {
+        const gpus = {};
+        let found = false;
+
+        for (let line of stdout.split('\n')) {
+            const values = line.split(',').map(value => value.trim());
+            if (values.length < DEVICE_INFO_FIELDS.length) {
+                continue;
+            }
+
+            const index = parseInt(values[0]);
+            if (isNaN(index) || !/^\d+$/.test(values[0])) {
+                continue;
+            }
+
+            gpus[index] = {
+                index: index,
+                name: values.slice(1, values.length - 2).join(', '),
+                driver: values[values.length - 2],
+                busId: values[values.length - 1]
+            };
+            found = true;
+        }
+
+        return found ? gpus : null;
+    },
+
+    /**
+     * Parse the CUDA version from the nvidia-smi summary header
+     * @param {string} stdout - Output of plain "nvidia-smi"
+     * @returns {string|null} CUDA version, e.g. "12.2", or null if not reported
+     */
+    _parseCudaVersion: function(stdout) {
+        const match = stdout.match(/CUDA Version:\s*([\d.]+)/);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Parse nvidia-smi dmon output
+     * Columns are mapped by their header name (see DMON_COLUMNS), so the parser
+     * copes with the column set changing between driver versions.
+     * Expected format (one data line per GPU):
+     * # gpu    pwr  gtemp  mtemp     sm    mem    enc    dec    jpg    ofa     fb   bar1   ccpm
+     * # Idx      W      C      C      %      %      %      %      %      %     MB     MB     MB
+     *     0    117     45      -     13      6      0      0      0      0   2847     39      0
+     *     1     98     41      -      7      3      0      0      0      0   1024     12      0
+     *
+     * @param {string} stdout - Command output
+     * @returns {Array|null} Array of per-GPU stats sorted by GPU index (unavailable
+     *                       columns are null), or null
+     */
+    _parseDmonOutput: function(stdout) {
+        if (!stdout || stdout.trim() === '') {
+            this._logError("Empty dmon output");
+            return null;
+        }
+
+        const allLines = stdout.split('\n');
+
+        // The first comment line holds the column names, the second one their units
+        const headerLine = allLines.find(line => line.startsWith('#'));
+        if (!headerLine) {
+            this._logError("No header line in dmon output");
+            return null;
+        }
+        const columns = headerLine.substring(1).trim().split(/\s+/);
+
+        // Filter out header lines (starting with #)
+        const lines = allLines.filter(line => !line.startsWith('#') && line.trim() !== '');
+
+        if (lines.length === 0) {
+            this._logError("No data lines in dmon output");
+            return null;
+        }
+
+        const gpus = [];
+
+        for (let dataLine of lines) {
+            // Split by whitespace and filter empty strings
+            const values = dataLine.trim().split(/\s+/).filter(v => v !== '');
+
+            if (values.length < columns.length) {
+                this._logError("Insufficient values in dmon output: " + dataLine);
+                return null;
+            }
+
+            const gpuStats = {};
+            for (let column in DMON_COLUMNS) {
+                gpuStats[DMON_COLUMNS[column]] = null;
+            }
+
+            columns.forEach((column, position) => {
+                const key = DMON_COLUMNS[column];
+                if (key === undefined) {
+                    return;
+                }
+                // Unsupported values are reported as "-"
+                const value = parseInt(values[position]);
+                gpuStats[key] = isNaN(value) ? null : value;
+            });
+
+            // Validate required values
+            if (REQUIRED_STATS.some(key => gpuStats[key] === null)) {
+                this._logError("Failed to parse numeric values from: " + dataLine);
+                return null;
+            }
+
+            gpus.push(gpuStats);
+        }
+
+        gpus.sort((a, b) => a.index - b.index);
+        return gpus;
+    },
+
+    /**
+     * Parse multi-line --query-gpu output
+     * Expected format: one CSV line per GPU in `fields` order, e.g. "0, 55, 250.00, 8192, P2"
+     *
+     * @param {string} stdout - Command output
+     * @param {Array} fields - Queried fields (keys of GPU_QUERY_FIELDS), must start with 'index'
+     * @returns {Object|null} Map of GPU index to stats, or null
+     */
+    _parseQueryOutput: function(stdout, fields) {
+        if (!stdout || stdout.trim() === '') {
+            this._logError("Empty query output");
+            return null;
+        }
+
+        const result = {};
+        const lines = stdout.split('\n').filter(line => line.trim() !== '');
+
+        for (let line of lines) {
+            const gpuStats = this._parseQueryLine(line, fields);
+            if (gpuStats) {
+                result[gpuStats.index] = gpuStats;
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Parse one line of --query-gpu output
+     * Expected format (`fields` order): "0, 13, 6, 45, 55, ..."
+     * Values reported as "[N/A]" (fanless GPUs, unsupported fields) become null
+     *
+     * @param {string} line - One CSV line
+     * @param {Array} fields - Queried fields (keys of GPU_QUERY_FIELDS)
+     * @returns {Object|null} Stats keyed as in GPU_QUERY_FIELDS, or null
+     */
+    _parseQueryLine: function(line, fields) {
+        const values = line.split(',').map(value => value.trim());
+
+        if (values.length < fields.length) {
+            this._logError("Insufficient values in query output: " + line);
+            return null;
+        }
+
+        const gpuStats = {};
+
+        fields.forEach((field, position) => {
+            const key = GPU_QUERY_FIELDS[field];
+            const value = values[position];
+
+            if (value === '' || value.indexOf('N/A') !== -1) {
+                gpuStats[key] = null;
+            } else if (field === 'pstate') {
+                gpuStats[key] = value;
+            } else if (field === 'clocks_throttle_reasons.active') {
+                // Hexadecimal bitmask, e.g. "0x0000000000000004"
+                const mask = parseInt(value, 16);
+                gpuStats[key] = isNaN(mask) ? null : mask;
+            } else if (field === 'fan.speed') {
+                gpuStats[key] = this._parseFanSpeed(value);
+            } else {
+                const number = parseFloat(value);
+                gpuStats[key] = isNaN(number) ? null : number;
+            }
+        });
+
+        // Required values are only checked when they were queried (undefined otherwise)
+        if (REQUIRED_STATS.some(key => gpuStats[key] === null)) {
+            this._logError("Failed to parse numeric values from: " + line);
+            return null;
+        }
+
+        return gpuStats;
+    },
+
+    /**
+     * Parse fan speed output
+     * Expected format: "55\n" or "55"
+     *
+     * @param {string} stdout - Command output
+     * @returns {number|null} Fan speed percentage or null
+     */
+    _parseFanSpeed: function(stdout) {
+        if (!stdout || stdout.trim() === '') {
+            this._logError("Empty fan speed output");
+            return null;
+        }
+
+        const trimmed = stdout.trim();
+        const match = trimmed.match(/(\d+)/);
+
+        if (!match) {
+            this._logError("No numeric value found in fan speed output: " + trimmed);
+            return null;
+        }
+
+        const fanSpeed = parseInt(match[1]);
+
+        if (isNaN(fanSpeed) || fanSpeed < 0 || fanSpeed > 100) {
+            this._logError("Invalid fan speed value: " + fanSpeed);
+            return null;
+        }
+
+        return fanSpeed;
+    },
+
+    /**
+     * Start the persistent query loop
+     * Keeps a single `nvidia-smi --query-gpu ... -lms` process running and feeds
+     * each complete sample (one line per GPU) to the callback, so there is no
+     * per-tick fork cost. The process is restarted with exponential backoff if it dies.
+     *
+     * @param {number} interval - Sampling interval in seconds
+     * @param {Function} callback - Called with (stats) for every sample, or null when the stream fails
+     */
+    startStream: function(interval, callback) {
+        this.stopStream();
+
+        this._streamInterval = interval;
+        this._streamCallback = callback;
+        this._streamRestartDelay = STREAM_RESTART_DELAY_MIN;
+        this._spawnStream();
+    },
+
+    /**
+     * Stop the persistent query loop and any pending restart
+     */
+    stopStream: function() {
+        this._streamCallback = null;
+
+        if (this._streamRestartId) {
+            Mainloop.source_remove(this._streamRestartId);
+            this._streamRestartId = null;
+        }
+
+        this._killStream();
+    },
+
+    /**
+     * Check whether the persistent query loop is active (running or waiting to restart)
+     * @returns {boolean} True if streaming
+     */
+    isStreaming: function() {
+        return this._streamCallback !== null;
+    },
+
+    /**
+     * Spawn the long-running nvidia-smi process and start reading its stdout
+     */
+    _spawnStream: function() {
+        const argv = ['nvidia-smi',
+                      '--query-gpu=' + STREAM_QUERY_FIELDS.join(','),
+                      '--format=csv,noheader,nounits',
+                      '-lms', String(this._streamInterval * 1000)];
+
+        this._streamBatch = [];
+        this._streamGpuCount = 0;
+        this._streamBadLine = null;
+
+        try {
+            this._streamProc = new Gio.Subprocess({
+                argv: argv,
+                flags: Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_SILENCE
+            });
+            this._streamProc.init(null);
+        } catch (error) {
+            this._logError("Failed to start nvidia-smi query loop: " + error);
+            this._setSpawnFailure(argv[0], error);
+            this._streamProc = null;
+            this._onStreamFailed();
+            return;
+        }
+
+        this._streamCancellable = new Gio.Cancellable();
+        this._streamInput = new Gio.DataInputStream({
+            base_stream: this._streamProc.get_stdout_pipe(),
+            close_base_stream: true
+        });
+
+        // Watch for the process exiting so it can be restarted
+        const proc = this._streamProc;
+        proc.wait_async(null, (source, result) => {
+            try {
+                source.wait_finish(result);
+            } catch (error) {
+                this._logError("nvidia-smi query loop wait failed: " + error);
+            }
+
+            // Ignore exits of processes we already replaced or stopped on purpose
+            if (proc !== this._streamProc) {
+                return;
+            }
+
+            this._logError("nvidia-smi query loop exited (status " + proc.get_exit_status() + ")");
+            this._setFailure(FAILURE_DRIVER, this._streamBadLine || "nvidia-smi query loop exited with status " + proc.get_exit_status());
+            this._killStream();
+            this._onStreamFailed();
+        });
+
+        // Restart the query loop if it stops producing output (hung driver)
+        const limit = this._streamInterval + this._commandTimeout;
+        this._streamLastOutput = Date.now();
+        this._streamWatchdogId = Mainloop.timeout_add_seconds(limit, () => {
+            if (Date.now() - this._streamLastOutput < limit * 1000) {
+                return true;
+            }
+
+            this._streamWatchdogId = null;
+            this._logError("nvidia-smi query loop gave no output for " + limit + "s, restarting it");
+            this._setFailure(FAILURE_DRIVER, "nvidia-smi did not respond within " + limit + "s");
+            this._killStream();
+            this._onStreamFailed();
+            return false;
+        });
+
+        this._log("Query loop started: " + argv.join(' '));
+        this._readStreamLine();
+    },
+
+    /**
+     * Read the next line from the query loop and hand it to the batch parser
+     */
+    _readStreamLine: function() {
+        const input = this._streamInput;
+        const cancellable = this._streamCancellable;
+
+        input.read_line_async(GLib.PRIORITY_DEFAULT, cancellable, (source, result) => {
+            let line;
+            try {
+                [line] = source.read_line_finish_utf8(result);
+            } catch (error) {
+                if (!cancellable.is_cancelled()) {
+                    this._logError("Failed to read nvidia-smi query loop output: " + error);
+                }
+                return;
+            }
+
+            // End of stream - the exit handler takes care of restarting
+            if (line === null || cancellable.is_cancelled()) {
+                return;
+            }
+
+            this._onStreamLine(line);
+            this._readStreamLine();
+        });
+    },
+
+    /**
+     * Collect query loop lines into per-sample batches
+     * nvidia-smi prints one line per GPU per interval. A batch is complete when
+     * a GPU index repeats, or as soon as it holds as many GPUs as the previous one.
+     *
+     * @param {string} line - One line of query loop output
+     */
+    _onStreamLine: function(line) {
+        this._streamLastOutput = Date.now();
+
+        if (line.trim() === '') {
+            return;
+        }
+
+        const gpuStats = this._parseQueryLine(line, STREAM_QUERY_FIELDS);
+        if (!gpuStats) {
+            // Kept as the diagnosis in case the loop dies (e.g. a driver error message)
+            this._streamBadLine = line.trim();
+            return;
+        }
+
+        // Fanless GPUs report [N/A] - use 0 as fallback like poll mode does
+        if (gpuStats.fan === null) {
+            gpuStats.fan = 0;
+        }
+
+        if (this._streamBatch.some(entry => entry.index === gpuStats.index)) {
+            this._flushStreamBatch();
+        }
+
+        this._streamBatch.push(gpuStats);
+
+        if (this._streamGpuCount > 0 && this._streamBatch.length >= this._streamGpuCount) {
+            this._flushStreamBatch();
+        }
+    },
+
+    /**
+     * Deliver the collected batch as one sample
+     */
+    _flushStreamBatch: function() {
+        const batch = this._streamBatch;
+        this._streamBatch = [];
+
+        if (batch.length === 0 || !this._streamCallback) {
+            return;
+        }
+
+        batch.sort((a, b) => a.index - b.index);
+        this._streamGpuCount = batch.length;
+
+        // A good sample resets the restart backoff
+        this._streamRestartDelay = STREAM_RESTART_DELAY_MIN;
+        this.lastFailure = null;
+
+        this._log("Stream sample: " + JSON.stringify(batch));
+        this._streamCallback(batch);
+    },
+
+    /**
+     * Report a dead query loop and schedule a restart with exponential backoff
+     */
+    _onStreamFailed: function() {
+        if (!this._streamCallback) {
+            return;
+        }
+
+        this._streamCallback(null);
+
+        const delay = this._streamRestartDelay;
+        this._streamRestartDelay = Math.min(delay * 2, STREAM_RESTART_DELAY_MAX);
+
+        this._log("Restarting query loop in " + delay + "s");
+        this._streamRestartId = Mainloop.timeout_add_seconds(delay, () => {
+            this._streamRestartId = null;
+            this._spawnStream();
+            return false;
+        });
+    },
+
+    /**
+     * Terminate the query loop process and stop reading from it
+     */
+    _killStream: function() {
+        const proc = this._streamProc;
+        this._streamProc = null;
+
+        if (this._streamWatchdogId) {
+            Mainloop.source_remove(this._streamWatchdogId);
+            this._streamWatchdogId = null;
+        }
+
+        if (this._streamCancellable) {
+            this._streamCancellable.cancel();
+            this._streamCancellable = null;
+        }
+        this._streamInput = null;
+
+        if (proc) {
+            try {
+                proc.force_exit();
+            } catch (error) {
+                this._logError("Failed to stop nvidia-smi query loop: " + error);
+            }
+        }
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [NvidiaSMI] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [NvidiaSMI] ERROR: " + message);
+    }
+};
+
+/**
+ * Sysfs Reader class
+ * Small synchronous file system helpers used by the sysfs backends;
+ * tests substitute an object with the same methods backed by a fake tree
+ */
+function SysfsReader() {
+    this._init();
+}
+
+SysfsReader.prototype = {
+    /**
+     * Initialize the SysfsReader
+     */
+    _init: function() {
+    },
+
+    /**
+     * Read a (small) file
+     * @param {string} path - File path
+     * @returns {string|null} Trimmed contents, or null if unreadable
+     */
+    readFile: function(path) {
+        try {
+            const [ok, contents] = GLib.file_get_contents(path);
+            return ok ? ByteArray.toString(contents).trim() : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * List a directory
+     * @param {string} path - Directory path
+     * @returns {Array} Entry names (empty if unreadable)
+     */
+    listDir: function(path) {
+        const names = [];
+        try {
+            const dir = GLib.Dir.open(path, 0);
+            let name;
+            while ((name = dir.read_name()) !== null) {
+                names.push(name);
+            }
+            dir.close();
+        } catch (error) {
+            // Missing directory: no entries
+        }
+        return names;
+    },
+
+    /**
+     * Read a symbolic link
+     * @param {string} path - Link path
+     * @returns {string|null} Link target, or null if not a link
+     */
+    readLink: function(path) {
+        try {
+            return GLib.file_read_link(path);
+        } catch (error) {
+            return null;
+        }
+    }
+};
+
+/**
+ * Find the DRM cards of one vendor
+ *
+ * @param {Object} reader - SysfsReader (or a fake with the same methods)
+ * @param {string} sysfsRoot - sysfs mount point
+ * @param {string} vendor - PCI vendor ID, e.g. PCI_VENDOR_AMD
+ * @returns {Array} Array of {card, path, device} sorted by card number
+ */
+function findDrmCards(reader, sysfsRoot, vendor) {
+    const drmPath = sysfsRoot + '/class/drm';
+
+    return reader.listDir(drmPath)
+        .filter(name => /^card\d+$/.test(name))
+        .map(name => ({ card: name, path: drmPath + '/' + name, device: drmPath + '/' + name + '/device' }))
+        .filter(card => (reader.readFile(card.device + '/vendor') || '').toLowerCase() === vendor)
+        .sort((a, b) => parseInt(a.card.substring(4)) - parseInt(b.card.substring(4)));
+}
+
+/**
+ * Read a number from a sysfs file
+ *
+ * @param {Object} reader - SysfsReader
+ * @param {string} path - File path
+ * @param {number} scale - Optional divisor (e.g. 1000 for millidegrees)
+ * @returns {number|null} Value, or null if missing or not a number
+ */
+function readSysfsNumber(reader, path, scale) {
+    const text = reader.readFile(path);
+    if (text === null || text === '') {
+        return null;
+    }
+    const value = parseFloat(text);
+    return isNaN(value) ? null : value / (scale || 1);
+}
+
+/**
+ * Get the hwmon directory of a device
+ *
+ * @param {Object} reader - SysfsReader
+ * @param {string} devicePath - PCI device directory
+ * @returns {string|null} hwmon directory, or null if the device has none
+ */
+function findHwmon(reader, devicePath) {
+    const names = reader.listDir(devicePath + '/hwmon').filter(name => /^hwmon\d+$/.test(name)).sort();
+    return names.length > 0 ? devicePath + '/hwmon/' + names[0] : null;
+}
+
+/**
+ * Read the hwmon temperature with a given label (e.g. "edge", "mem")
+ *
+ * @param {Object} reader - SysfsReader
+ * @param {string} hwmon - hwmon directory
+ * @param {string} label - Sensor label
+ * @returns {number|null} Temperature in °C, or null if there is no such sensor
+ */
+function readHwmonTemp(reader, hwmon, label) {
+    for (let name of reader.listDir(hwmon)) {
+        const match = name.match(/^temp(\d+)_label$/);
+        if (match && reader.readFile(hwmon + '/' + name) === label) {
+            return readSysfsNumber(reader, hwmon + '/temp' + match[1] + '_input', 1000);
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the PCI bus ID of a device from its sysfs link
+ *
+ * @param {Object} reader - SysfsReader
+ * @param {string} devicePath - PCI device directory (a symbolic link)
+ * @returns {string|null} Bus ID, e.g. "0000:03:00.0"
+ */
+function readBusId(reader, devicePath) {
+    const target = reader.readLink(devicePath);
+    return target ? target.split('/').pop() : null;
+}
+
+/**
+ * AMD GPU backend (see "Backend interface")
+ * Reads the amdgpu sysfs files: gpu_busy_percent, mem_busy_percent, VRAM info
+ * and the hwmon temperatures, fan, power and clocks
+ */
+function AmdBackend(sysfsRoot, reader) {
+    this._init(sysfsRoot, reader);
+}
+
+AmdBackend.prototype = {
+    /**
+     * Initialize the AmdBackend
+     * @param {string} sysfsRoot - Optional sysfs mount point (default "/sys")
+     * @param {Object} reader - Optional SysfsReader replacement (tests)
+     */
+    _init: function(sysfsRoot, reader) {
+        this.id = BACKEND_AMD;
+        this.name = 'AMD';
+        this.source = 'amdgpu sysfs';
+        this.lastFailure = null;
+        this.sysfsRoot = sysfsRoot || '/sys';
+        this.reader = reader || new SysfsReader();
+    },
+
+    /**
+     * Check whether an amdgpu card is present
+     * @returns {boolean} True if at least one AMD GPU reports its load
+     */
+    isAvailable: function() {
+        return this._findCards().length > 0;
+    },
+
+    /**
+     * Get what this backend can report
+     * @returns {Object} {metrics, stream, processes}
+     */
+    getCapabilities: function() {
+        return {
+            metrics: ['gpu', 'mem', 'temp', 'fan', 'power', 'vramUsed', 'smClock', 'memClock'],
+            stream: false,
+            processes: false
+        };
+    },
+
+    /**
+     * Get GPU statistics
+     * @param {Function} callback - Called with an array of per-GPU stats or null
+     */
+    getStats: function(callback) {
+        const cards = this._findCards();
+        if (cards.length === 0) {
+            this._logError("No AMD GPU found in " + this.sysfsRoot);
+            this.lastFailure = { type: FAILURE_NOT_FOUND, message: "No AMD GPU found in " + this.sysfsRoot };
+            callback(null);
+            return;
+        }
+
+        this.lastFailure = null;
+        callback(cards.map((card, index) => this._readCard(card, index)));
+    },
+
+    /**
+     * Get device identity
+     * @param {Function} callback - Called with {driver, cuda, gpus} or null
+     */
+    getDeviceInfo: function(callback) {
+        const cards = this._findCards();
+        if (cards.length === 0) {
+            callback(null);
+            return;
+        }
+
+        const gpus = {};
+        cards.forEach((card, index) => {
+            gpus[index] = {
+                index: index,
+                name: this.reader.readFile(card.device + '/product_name') ||
+                      "AMD GPU [" + (this.reader.readFile(card.device + '/device') || "?") + "]",
+                busId: readBusId(this.reader, card.device)
+            };
+        });
+
+        callback({
+            driver: this.reader.readFile(this.sysfsRoot + '/module/amdgpu/version') || 'amdgpu',
+            cuda: null,
+            gpus: gpus
+        });
+    },
+
+    /**
+     * Sysfs backends have no persistent collector
+     * @returns {boolean} Always false
+     */
+    isStreaming: function() {
+        return false;
+    },
+
+    /**
+     * Find the AMD cards that report their load
+     * @returns {Array} Array of {card, path, device}
+     */
+    _findCards: function() {
+        return findDrmCards(this.reader, this.sysfsRoot, PCI_VENDOR_AMD)
+            .filter(card => this.reader.readFile(card.device + '/gpu_busy_percent') !== null);
+    },
+
+    /**
+     * Read the stats of one card
+     * @param {Object} card - Card from _findCards
+     * @param {number} index - GPU index
+     * @returns {Object} Per-GPU stats (unavailable values are null)
+     */
+    _readCard: function(card, index) {
+        const reader = this.reader;
+        const device = card.device;
+        const hwmon = findHwmon(reader, device);
+        const fromHwmon = (name, scale) => (hwmon ? readSysfsNumber(reader, hwmon + '/' + name, scale) : null);
+
+        // Fan: PWM duty cycle (0-255), or RPM relative to the maximum
+        let fan = null;
+        const pwm = fromHwmon('pwm1');
+        if (pwm !== null) {
+            fan = Math.round(pwm / 255 * 100);
+        } else {
+            const rpm = fromHwmon('fan1_input');
+            const maxRpm = fromHwmon('fan1_max');
+            if (rpm !== null && maxRpm) {
+                fan = Math.round(rpm / maxRpm * 100);
+            }
+        }
+
+        // Power in microwatts; older kernels only have power1_average
+        let power = fromHwmon('power1_average', 1000000);
+        if (power === null) {
+            power = fromHwmon('power1_input', 1000000);
+        }
+
+        // Edge (board) temperature; fall back to the first sensor on kernels without labels
+        let temp = hwmon ? readHwmonTemp(reader, hwmon, 'edge') : null;
+        if (temp === null) {
+            temp = fromHwmon('temp1_input', 1000);
+        }
+        const memTemp = hwmon ? readHwmonTemp(reader, hwmon, 'mem') : null;
+        const vramUsed = readSysfsNumber(reader, device + '/mem_info_vram_used', 1024 * 1024);
+        const vramTotal = readSysfsNumber(reader, device + '/mem_info_vram_total', 1024 * 1024);
+        const smClock = fromHwmon('freq1_input', 1000000);
+        const memClock = fromHwmon('freq2_input', 1000000);
+
+        return {
+            index: index,
+            gpu: readSysfsNumber(reader, device + '/gpu_busy_percent'),
+            mem: readSysfsNumber(reader, device + '/mem_busy_percent'),
+            temp: temp !== null ? Math.round(temp) : null,
+            memTemp: memTemp !== null ? Math.round(memTemp) : null,
+            fan: fan,
+            power: power,
+            powerLimit: fromHwmon('power1_cap', 1000000),
+            vramUsed: vramUsed !== null ? Math.round(vramUsed) : null,
+            vramTotal: vramTotal !== null ? Math.round(vramTotal) : null,
+            smClock: smClock !== null ? Math.round(smClock) : null,
+            memClock: memClock !== null ? Math.round(memClock) : null,
+            enc: null,
+            dec: null,
+            pcieRx: null,
+            pcieTx: null,
+            pstate: null,
+            throttle: null
+        };
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [AmdBackend] ERROR: " + message);
+    }
+};
+
+/**
+ * Intel GPU backend (see "Backend interface")
+ * Reads clocks, temperatures and energy from the i915/xe sysfs files; utilization
+ * comes from intel_gpu_top JSON output when the tool is installed and permitted
+ */
+function IntelBackend(sysfsRoot, reader) {
+    this._init(sysfsRoot, reader);
+}
+
+IntelBackend.prototype = {
+    /**
+     * Initialize the IntelBackend
+     * @param {string} sysfsRoot - Optional sysfs mount point (default "/sys")
+     * @param {Object} reader - Optional SysfsReader replacement (tests)
+     */
+    _init: function(sysfsRoot, reader) {
+        this.id = BACKEND_INTEL;
+        this.name = 'Intel';
+        this.source = 'i915/xe sysfs';
+        this.lastFailure = null;
+        this.sysfsRoot = sysfsRoot || '/sys';
+        this.reader = reader || new SysfsReader();
+
+        // Last energy reading per card, to turn the energy counter into power
+        this._lastEnergy = {};
+
+        // intel_gpu_top needs perf permissions: it is no longer run once it cannot start, is
+        // refused permission, or failed GPU_TOP_MAX_FAILURES times in a row
+        this._gpuTopUsable = true;
+        this._gpuTopFailures = 0;
+
+        // Seconds before a hung intel_gpu_top call is killed
+        this._commandTimeout = COMMAND_TIMEOUT_DEFAULT;
+    },
+
+    /**
+     * Check whether an Intel card is present
+     * @returns {boolean} True if at least one Intel GPU exists
+     */
+    isAvailable: function() {
+        return findDrmCards(this.reader, this.sysfsRoot, PCI_VENDOR_INTEL).length > 0;
+    },
+
+    /**
+     * Get what this backend can report
+     * @returns {Object} {metrics, stream, processes}
+     */
+    getCapabilities: function() {
+        return { metrics: ['gpu', 'temp', 'power', 'smClock'], stream: false, processes: false };
+    },
+
+    /**
+     * Set the per-command timeout
+     * @param {number} seconds - Seconds before a running intel_gpu_top call is killed
+     */
+    setCommandTimeout: function(seconds) {
+        this._commandTimeout = Math.max(1, seconds || COMMAND_TIMEOUT_DEFAULT);
+    },
+
+    /**
+     * Get GPU statistics
+     * Sysfs values are read for every card; intel_gpu_top (first card only) adds utilization
+     * @param {Function} callback - Called with an array of per-GPU stats or null
+     */
+    getStats: function(callback) {
+        const cards = findDrmCards(this.reader, this.sysfsRoot, PCI_VENDOR_INTEL);
+        if (cards.length === 0) {
+            this._logError("No Intel GPU found in " + this.sysfsRoot);
+            this.lastFailure = { type: FAILURE_NOT_FOUND, message: "No Intel GPU found in " + this.sysfsRoot };
+            callback(null);
+            return;
+        }
+
+        this.lastFailure = null;
+
+        const now = Date.now();
+        const stats = cards.map((card, index) => this._readCard(card, index, now));
+
+        if (!this._gpuTopUsable || GLib.find_program_in_path('intel_gpu_top') === null) {
+            callback(stats);
+            return;
+        }
+
+        // A failing intel_gpu_top only costs the utilization: the sysfs values are still reported
+        spawnCommand(['intel_gpu_top', '-J', '-s', '500', '-n', '1'], this._commandTimeout, (stdout, failure) => {
+            const sample = stdout ? this._parseGpuTopJson(stdout) : null;
+            if (sample) {
+                this._gpuTopFailures = 0;
+                for (let key in sample) {
+                    if (sample[key] !== null) {
+                        stats[0][key] = sample[key];
+                    }
+                }
+            } else {
+                this._onGpuTopFailure(failure);
+            }
+            callback(stats);
+        });
+    },
+
+    /**
+     * Count an intel_gpu_top failure, giving up on it when it is final or keeps repeating
+     * @param {Object|null} failure - spawnCommand failure, or null if the output was not understood
+     */
+    _onGpuTopFailure: function(failure) {
+        const reason = failure ? failure.message : "output not understood";
+        const final = failure !== null && (!failure.started || /permission denied|not permitted|CAP_PERFMON/i.test(failure.message));
+
+        this._gpuTopFailures++;
+        if (final || this._gpuTopFailures >= GPU_TOP_MAX_FAILURES) {
+            this._logError("intel_gpu_top failed (" + reason + "), reading sysfs only from now on");
+            this._gpuTopUsable = false;
+        } else {
+            this._logError("intel_gpu_top failed (" + reason + "), failure " + this._gpuTopFailures + " of " +
+                           GPU_TOP_MAX_FAILURES);
+        }
+    },
+
+    /**
+     * Get device identity
+     * @param {Function} callback - Called with {driver, cuda, gpus} or null
+     */
+    getDeviceInfo: function(callback) {
+        const cards = findDrmCards(this.reader, this.sysfsRoot, PCI_VENDOR_INTEL);
+        if (cards.length === 0) {
+            callback(null);
+            return;
+        }
+
+        const gpus = {};
+        cards.forEach((card, index) => {
+            gpus[index] = {
+                index: index,
+                name: "Intel GPU [" + (this.reader.readFile(card.device + '/device') || "?") + "]",
+                busId: readBusId(this.reader, card.device)
+            };
+        });
+
+        const driver = this.reader.readLink(cards[0].device + '/driver');
+        callback({ driver: driver ? driver.split('/').pop() : null, cuda: null, gpus: gpus });
+    },
+
+    /**
+     * Sysfs backends have no persistent collector
+     * @returns {boolean} Always false
+     */
+    isStreaming: function() {
+        return false;
+    },
+
+    /**
+     * Read the sysfs stats of one card
+     * @param {Object} card - Card from findDrmCards
+     * @param {number} index - GPU index
+     * @param {number} now - Sample time (ms since epoch)
+     * @returns {Object} Per-GPU stats (unavailable values are null)
+     */
+    _readCard: function(card, index, now) {
+        const reader = this.reader;
+        const hwmon = findHwmon(reader, card.device);
+        const fromHwmon = (name, scale) => (hwmon ? readSysfsNumber(reader, hwmon + '/' + name, scale) : null);
+
+        // Actual GPU clock: i915 card attribute, or the xe per-GT frequency
+        let smClock = readSysfsNumber(reader, card.path + '/gt_act_freq_mhz');
+        if (smClock === null) {
+            smClock = readSysfsNumber(reader, card.device + '/tile0/gt0/freq0/act_freq');
+        }
+
+        // Discrete GPUs expose an energy counter (microjoules); power is its rate of change
+        let power = null;
+        const energy = fromHwmon('energy1_input');
+        if (energy !== null) {
+            const last = this._lastEnergy[card.card];
+            if (last && now > last.time && energy >= last.energy) {
+                power = (energy - last.energy) / 1000 / (now - last.time);
+            }
+            this._lastEnergy[card.card] = { energy: energy, time: now };
+        }
+
+        let temp = fromHwmon('temp1_input', 1000);
+        if (temp === null && hwmon) {
+            temp = readHwmonTemp(reader, hwmon, 'pkg');
+        }
+
+        return {
+            index: index,
+            gpu: null,
+            mem: null,
+            temp: temp !== null ? Math.round(temp) : null,
+            memTemp: null,
+            fan: null,
+            power: power,
+            powerLimit: fromHwmon('power1_max', 1000000),
+            vramUsed: null,
+            vramTotal: null,
+            smClock: smClock !== null ? Math.round(smClock) : null,
+            memClock: null,
+            enc: null,
+            dec: null,
+            pcieRx: null,
+            pcieTx: null,
+            pstate: null,
+            throttle: null
+        };
+    },
+
+    /**
+     * Parse intel_gpu_top JSON output
+     * Older versions print comma-separated objects without the enclosing array,
+     * so the brackets are optional; the last sample is used
+     *
+     * @param {string} stdout - Command output
+     * @returns {Object|null} {gpu, smClock, power} (null values when not reported), or null
+     */
+    _parseGpuTopJson: function(stdout) {
+        let text = stdout.trim().replace(/^\[/, '').replace(/\]$/, '').trim().replace(/,$/, '');
+        if (text === '') {
+            return null;
+        }
+
+        let samples;
+        try {
+            samples = JSON.parse('[' + text + ']');
+        } catch (error) {
+            this._logError("Failed to parse intel_gpu_top output: " + error);
+            return null;
+        }
+
+        const sample = samples[samples.length - 1];
+        if (!sample || !sample.engines) {
+            return null;
+        }
+
+        // Render/3D (and Compute on newer GPUs) is the closest match to GPU utilization
+        let busy = null;
+        for (let name in sample.engines) {
+            if (/^(Render\/3D|Compute)/.test(name) && typeof sample.engines[name].busy === 'number') {
+                busy = Math.max(busy === null ? 0 : busy, sample.engines[name].busy);
+            }
+        }
+
+        return {
+            gpu: busy !== null ? Math.round(busy) : null,
+            smClock: (sample.frequency && typeof sample.frequency.actual === 'number') ? Math.round(sample.frequency.actual) : null,
+            power: (sample.power && typeof sample.power.GPU === 'number') ? sample.power.GPU : null
+        };
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [IntelBackend] ERROR: " + message);
+    }
+};
+
+/**
+ * NVIDIA procfs fallback backend (see "Backend interface")
+ * Used while nvidia-smi is missing or failing: device identity comes from
+ * /proc/driver/nvidia and the temperature from the GPU's hwmon entries, if any
+ */
+function NvidiaProcfsBackend(sysfsRoot, reader, procRoot) {
+    this._init(sysfsRoot, reader, procRoot);
+}
+
+NvidiaProcfsBackend.prototype = {
+    /**
+     * Initialize the NvidiaProcfsBackend
+     * @param {string} sysfsRoot - Optional sysfs mount point (default "/sys")
+     * @param {Object} reader - Optional SysfsReader replacement (tests)
+     * @param {string} procRoot - Optional procfs mount point (default "/proc")
+     */
+    _init: function(sysfsRoot, reader, procRoot) {
+        this.id = BACKEND_NVIDIA_PROCFS;
+        this.name = 'NVIDIA';
+        this.source = '/proc/driver/nvidia + hwmon';
+        this.lastFailure = null;
+        this.sysfsRoot = sysfsRoot || '/sys';
+        this.procRoot = procRoot || '/proc';
+        this.reader = reader || new SysfsReader();
+    },
+
+    /**
+     * Check whether the NVIDIA kernel module lists any GPU
+     * @returns {boolean} True if /proc/driver/nvidia/gpus has entries
+     */
+    isAvailable: function() {
+        return this._findGpus().length > 0;
+    },
+
+    /**
+     * Get what this backend can report
+     * @returns {Object} {metrics, stream, processes}
+     */
+    getCapabilities: function() {
+        return { metrics: ['temp'], stream: false, processes: false };
+    },
+
+    /**
+     * Get GPU statistics (temperature only; null when the GPU has no hwmon sensor)
+     * @param {Function} callback - Called with an array of per-GPU stats or null
+     */
+    getStats: function(callback) {
+        const gpus = this._findGpus();
+        if (gpus.length === 0) {
+            this._logError("No GPU listed in " + this.procRoot + "/driver/nvidia/gpus");
+            this.lastFailure = { type: FAILURE_NOT_FOUND, message: "NVIDIA kernel module not loaded" };
+            callback(null);
+            return;
+        }
+
+        this.lastFailure = null;
+
+        callback(gpus.map((busId, index) => {
+            const hwmon = findHwmon(this.reader, this.sysfsRoot + '/bus/pci/devices/' + busId);
+            const temp = hwmon ? readSysfsNumber(this.reader, hwmon + '/temp1_input', 1000) : null;
+
+            return {
+                index: index,
+                gpu: null,
+                mem: null,
+                temp: temp !== null ? Math.round(temp) : null,
+                memTemp: null,
+                fan: null,
+                power: null,
+                powerLimit: null,
+                vramUsed: null,
+                vramTotal: null,
+                smClock: null,
+                memClock: null,
+                enc: null,
+                dec: null,
+                pcieRx: null,
+                pcieTx: null,
+                pstate: null,
+                throttle: null
+            };
+        }));
+    },
+
+    /**
+     * Get device identity from the kernel module
+     * @param {Function} callback - Called with {driver, cuda, gpus} or null
+     */
+    getDeviceInfo: function(callback) {
+        const gpus = this._findGpus();
+        if (gpus.length === 0) {
+            callback(null);
+            return;
+        }
+
+        const info = { driver: this._parseDriverVersion(this.reader.readFile(this.procRoot + '/driver/nvidia/version')), cuda: null, gpus: {} };
+        gpus.forEach((busId, index) => {
+            const fields = this._parseInformation(this.reader.readFile(this.procRoot + '/driver/nvidia/gpus/' + busId + '/information'));
+            info.gpus[index] = { index: index, name: fields['Model'] || null, busId: fields['Bus Location'] || busId };
+        });
+
+        callback(info);
+    },
+
+    /**
+     * Sysfs backends have no persistent collector
+     * @returns {boolean} Always false
+     */
+    isStreaming: function() {
+        return false;
+    },
+
+    /**
+     * List the GPUs known to the kernel module
+     * Sorted by bus ID, which matches nvidia-smi's default (PCI bus) enumeration
+     * @returns {Array} PCI bus IDs, e.g. ["0000:01:00.0"]
+     */
+    _findGpus: function() {
+        return this.reader.listDir(this.procRoot + '/driver/nvidia/gpus').sort();
+    },
+
+    /**
+     * Parse a /proc/driver/nvidia/gpus/<bus>/information file
+     *
+     * Expected format: one "Key: value" pair per line, e.g.
+     *   Model:           NVIDIA GeForce RTX 3080
+     *   Bus Location:    0000:01:00.0
+     *
+     * @param {string|null} text - File contents
+     * @returns {Object} Values keyed by field name
+     */
+    _parseInformation: function(text) {
+        const fields = {};
+        for (let line of (text || '').split('\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                fields[line.substring(0, colon).trim()] = line.substring(colon + 1).trim();
+            }
+        }
+        return fields;
+    },
+
+    /**
+     * Parse the driver version from /proc/driver/nvidia/version
+     *
+     * Expected format: "NVRM version: NVIDIA UNIX x86_64 Kernel Module  550.54.14  Thu Feb 22 ..."
+     *
+     * @param {string|null} text - File contents
+     * @returns {string|null} Driver version, or null
+     */
+    _parseDriverVersion: function(text) {
+        const match = (text || '').match(/Kernel Module\s+(?:for \S+\s+)?(\d+(?:\.\d+)+)/);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [NvidiaProcfsBackend] ERROR: " + message);
+    }
+};
+
+/**
+ * Template Formatter class
+ * Compiles and renders custom label templates such as
+ * "{gpu}% {temp}{temp_unit} {power:.0f}W {vram_used_gb:.1f}G"
+ *
+ * Placeholders are {variable} or {variable:spec}, where spec follows a subset of
+ * Python's format spec: [align][0][width][.precision][type]
+ *   align: < (left), > (right), ^ (center); 0: zero padding; type: d or f
+ * Each line of the template is one row; {{ and }} produce literal braces.
+ */
+function TemplateFormatter() {
+    this._init();
+}
+
+TemplateFormatter.prototype = {
+    /**
+     * Initialize the TemplateFormatter
+     */
+    _init: function() {
+        this.template = "";
+        this.rows = [];
+        this.error = null;
+        this.units = UNITS_DEFAULT;
+    },
+
+    /**
+     * Set the display units used by the temperature variables
+     * @param {Object} units - Display units {temperature, memory}
+     */
+    setUnits: function(units) {
+        this.units = units;
+    },
+
+    /**
+     * Compile a template
+     * @param {string} template - Template text, one row per line
+     * @returns {string|null} Error message, or null if the template is valid
+     */
+    setTemplate: function(template) {
+        this.template = template || "";
+        this.rows = [];
+        this.error = null;
+
+        try {
+            const lines = this.template.split('\n').filter(line => line.trim() !== '');
+            if (lines.length === 0) {
+                throw new Error("Template is empty");
+            }
+            this.rows = lines.map(line => this._compileLine(line));
+        } catch (error) {
+            this.rows = [];
+            this.error = error.message;
+            this._logError("Invalid template: " + this.error);
+        }
+
+        return this.error;
+    },
+
+    /**
+     * Check whether a valid template is loaded
+     * @returns {boolean} True if the template compiled
+     */
+    isValid: function() {
+        return this.rows.length > 0;
+    },
+
+    /**
+     * Render the template for one GPU
+     * @param {Object} stats - Per-GPU stats object
+     * @returns {Array} One string per template row
+     */
+    render: function(stats) {
+        return this.rows.map(tokens => {
+            return tokens.map(token => {
+                if (typeof token === 'string') {
+                    return token;
+                }
+                return this._formatToken(token, TEMPLATE_VARIABLES[token.name].value(stats, this.units));
+            }).join('');
+        });
+    },
+
+    /**
+     * Split one template line into literal strings and placeholder tokens
+     * @param {string} line - Template line
+     * @returns {Array} Tokens (strings and {name, align, zero, width, precision})
+     */
+    _compileLine: function(line) {
+        const tokens = [];
+        let literal = "";
+        let position = 0;
+
+        while (position < line.length) {
+            const char = line[position];
+
+            if (char === '{' && line[position + 1] === '{') {
+                literal += '{';
+                position += 2;
+            } else if (char === '}' && line[position + 1] === '}') {
+                literal += '}';
+                position += 2;
+            } else if (char === '{') {
+                const end = line.indexOf('}', position);
+                if (end === -1) {
+                    throw new Error("Unclosed '{' at position " + (position + 1));
+                }
+                if (literal !== "") {
+                    tokens.push(literal);
+                    literal = "";
+                }
+                tokens.push(this._compilePlaceholder(line.substring(position + 1, end)));
+                position = end + 1;
+            } else if (char === '}') {
+                throw new Error("Unmatched '}' at position " + (position + 1));
+            } else {
+                literal += char;
+                position++;
+            }
+        }
+
+        if (literal !== "") {
+            tokens.push(literal);
+        }
+        return tokens;
+    },
+
+    /**
+     * Parse the inside of a placeholder, e.g. "power:>5.1f"
+     * @param {string} placeholder - Placeholder text without braces
+     * @returns {Object} {name, align, zero, width, precision}
+     */
+    _compilePlaceholder: function(placeholder) {
+        const colon = placeholder.indexOf(':');
+        const name = (colon === -1 ? placeholder : placeholder.substring(0, colon)).trim();
+        const spec = colon === -1 ? "" : placeholder.substring(colon + 1);
+
+        if (!TEMPLATE_VARIABLES[name]) {
+            throw new Error("Unknown variable '{" + name + "}'");
+        }
+
+        const match = spec.match(/^([<>^])?(0)?(\d+)?(?:\.(\d+))?([df])?$/);
+        if (!match) {
+            throw new Error("Invalid format '" + spec + "' for '{" + name + "}'");
+        }
+
+        let precision = match[4] !== undefined ? parseInt(match[4]) : null;
+        if (match[5] === 'd') {
+            precision = 0;
+        }
+
+        return {
+            name: name,
+            align: match[1] || null,
+            zero: match[2] === '0',
+            width: match[3] !== undefined ? parseInt(match[3]) : 0,
+            precision: precision
+        };
+    },
+
+    /**
+     * Format one value according to its placeholder
+     * Unavailable values render as "--"; numbers align right and text left by default
+     * @param {Object} token - Compiled placeholder
+     * @param {number|string|null} value - Value to format
+     * @returns {string} Formatted value
+     */
+    _formatToken: function(token, value) {
+        const isNumber = typeof value === 'number';
+        let text;
+
+        if (value === null || value === undefined) {
+            text = "--";
+        } else if (isNumber) {
+            const precision = token.precision !== null ? token.precision : (TEMPLATE_VARIABLES[token.name].precision || 0);
+            text = value.toFixed(precision);
+        } else {
+            text = String(value);
+        }
+
+        if (text.length >= token.width) {
+            return text;
+        }
+
+        const align = token.align || (isNumber ? '>' : '<');
+        const padding = token.width - text.length;
+
+        if (token.zero && isNumber && align === '>') {
+            return text.startsWith('-') ? '-' + text.substring(1).padStart(token.width - 1, '0') : text.padStart(token.width, '0');
+        }
+        if (align === '^') {
+            const left = Math.floor(padding / 2);
+            return " ".repeat(left) + text + " ".repeat(padding - left);
+        }
+        return align === '<' ? text.padEnd(token.width, ' ') : text.padStart(token.width, ' ');
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [TemplateFormatter] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [TemplateFormatter] ERROR: " + message);
+    }
+};
+
+/**
+ * Layout Manager class
+ * Handles formatting GPU stats for different layout modes
+ */
+function LayoutManager() {
+    this._init();
+}
+
+LayoutManager.prototype = {
+    /**
+     * Initialize the LayoutManager
+     */
+    _init: function() {
+        this.currentLayout = LAYOUT_SINGLE_ROW;
+        this.vertical = false;
+        this.gpuSelection = GPU_SELECTION_ALL;
+        this.gpuIndex = 0;
+        this.metrics = DEFAULT_METRICS.slice();
+        this.gridRows = GRID_ROWS_DEFAULT;
+        this.templateFormatter = new TemplateFormatter();
+        this.units = UNITS_DEFAULT;
+
+        // Optional function(key, stats) returning the color of a value, or null
+        this.valueColorizer = null;
+
+        this._log("LayoutManager initialized with layout: " + this.currentLayout);
+    },
+
+    /**
+     * Set the current layout mode
+     * @param {string} layout - Layout mode (LAYOUT_SINGLE_ROW or LAYOUT_TWO_ROW)
+     */
+    setLayout: function(layout) {
+        if (layout !== LAYOUT_SINGLE_ROW && layout !== LAYOUT_TWO_ROW) {
+            this._logError("Invalid layout mode: " + layout);
+            return;
+        }
+        this.currentLayout = layout;
+        this._log("Layout changed to: " + layout);
+    },
+
+    /**
+     * Get the current layout mode
+     * @returns {string} Current layout mode
+     */
+    getLayout: function() {
+        return this.currentLayout;
+    },
+
+    /**
+     * Switch between horizontal and vertical panel formatting
+     * On vertical panels the metrics are stacked regardless of the layout mode
+     * @param {boolean} vertical - True for left/right panels
+     */
+    setVertical: function(vertical) {
+        this.vertical = vertical;
+        this._log("Vertical formatting " + (vertical ? "enabled" : "disabled"));
+    },
+
+    /**
+     * Set which GPU(s) are shown on multi-GPU systems
+     * @param {string} selection - One of GPU_SELECTIONS
+     * @param {number} index - GPU index used when selection is GPU_SELECTION_SINGLE
+     */
+    setGpuSelection: function(selection, index) {
+        if (GPU_SELECTIONS.indexOf(selection) === -1) {
+            this._logError("Invalid GPU selection: " + selection);
+            return;
+        }
+        this.gpuSelection = selection;
+        this.gpuIndex = index || 0;
+        this._log("GPU selection changed to: " + selection + " (index " + this.gpuIndex + ")");
+    },
+
+    /**
+     * Set the number of rows used by the grid layout
+     * @param {number} rows - Row count (at least 1)
+     */
+    setGridRows: function(rows) {
+        this.gridRows = Math.max(1, parseInt(rows) || GRID_ROWS_DEFAULT);
+        this._log("Grid rows changed to: " + this.gridRows);
+    },
+
+    /**
+     * Get the number of panel rows the current layout produces
+     * The grid never has more rows than there are metrics
+     * @returns {number} Row count
+     */
+    getRowCount: function() {
+        if (this.currentLayout !== LAYOUT_TWO_ROW) {
+            return 1;
+        }
+        return Math.min(this.gridRows, this.metrics.length);
+    },
+
+    /**
+     * Set the template used by the custom label style
+     * @param {string} template - Template text, one row per line
+     * @returns {string|null} Error message, or null if the template is valid
+     */
+    setTemplate: function(template) {
+        return this.templateFormatter.setTemplate(template);
+    },
+
+    /**
+     * Resolve the label style actually used for rendering
+     * The custom style falls back to "full" while the template is invalid; the icon
+     * style is drawn by the applet, so text renderings of it use abbreviated labels
+     * @param {string} labelStyle - Requested label style
+     * @returns {string} Label style to render with
+     */
+    _resolveStyle: function(labelStyle) {
+        const style = labelStyle || "full";
+        if (style === LABEL_STYLE_CUSTOM && !this.templateFormatter.isValid()) {
+            return "full";
+        }
+        if (style === LABEL_STYLE_ICONS) {
+            return "abbreviated";
+        }
+        return style;
+    },
+
+    /**
+     * Set which metrics are shown, in display order
+     * @param {Array} metrics - Metric keys (keys of METRICS)
+     */
+    setMetrics: function(metrics) {
+        const valid = (metrics || []).filter(key => {
+            if (!METRICS[key]) {
+                this._logError("Unknown metric: " + key);
+                return false;
+            }
+            return true;
+        });
+
+        this.metrics = valid.length > 0 ? valid : DEFAULT_METRICS.slice();
+        this._log("Metrics changed to: " + this.metrics.join(', '));
+    },
+
+    /**
+     * Set the display units of temperatures and VRAM
+     * @param {Object} units - Display units {temperature, memory}
+     */
+    setUnits: function(units) {
+        this.units = units;
+        this.templateFormatter.setUnits(units);
+        this._log("Units changed to: " + units.temperature + ", " + units.memory);
+    },
+
+    /**
+     * Set the function that picks a color for individual values
+     * @param {Function|null} colorizer - function(key, stats) returning a CSS color or null
+     */
+    setValueColorizer: function(colorizer) {
+        this.valueColorizer = colorizer;
+    },
+
+    /**
+     * Format a single metric value with its unit
+     * Values the colorizer picks a color for are wrapped in color marks (see markColor)
+     * @param {string} key - Metric key (key of METRICS)
+     * @param {number|string|null} value - Metric value, null when unavailable
+     * @param {string} labelStyle - Label style ("compact" drops the unit)
+     * @param {Object} stats - Optional per-GPU stats the value belongs to (enables coloring)
+     * @returns {string} Formatted value, "--" when unavailable
+     */
+    formatValue: function(key, value, labelStyle, stats) {
+        if (value === null || value === undefined) {
+            return "--";
+        }
+
+        const formatted = this.formatUnits(key, value, labelStyle, stats);
+
+        const color = (stats && this.valueColorizer) ? this.valueColorizer(key, stats) : null;
+        return color ? markColor(formatted, color) : formatted;
+    },
+
+    /**
+     * Format a single metric value in the display units, without coloring
+     * Temperatures are converted to the temperature unit; VRAM is shown in MiB,
+     * GiB or as a percentage of the total (which needs the stats)
+     * @param {string} key - Metric key (key of METRICS)
+     * @param {number|string|null} value - Metric value, null when unavailable
+     * @param {string} labelStyle - Label style ("compact" drops the unit)
+     * @param {Object} stats - Optional per-GPU stats the value belongs to
+     * @returns {string} Formatted value, "--" when unavailable
+     */
+    formatUnits: function(key, value, labelStyle, stats) {
+        let unit = METRICS[key].unit;
+        let decimals = 0;
+
+        if (key === 'temp') {
+            value = convertTemperature(value, this.units.temperature);
+            unit = temperatureSuffix(this.units.temperature);
+        } else if (key === 'vramUsed' && this.units.memory === MEMORY_UNIT_PERCENT) {
+            value = percentOf(value, stats ? stats.vramTotal : null);
+            unit = '%';
+        } else if (key === 'vramUsed' && this.units.memory === MEMORY_UNIT_GIB && typeof value === 'number') {
+            value = value / 1024;
+            unit = 'G';
+            decimals = 1;
+        }
+
+        if (value === null || value === undefined) {
+            return "--";
+        }
+
+        const text = (typeof value !== 'number') ? String(value) : (decimals > 0 ? value.toFixed(decimals) : String(Math.round(value)));
+        return labelStyle === "compact" ? text : text + unit;
+    },
+
+    /**
+     * Build a stats object holding the widest expected value of every metric
+     * Used to compute fixed column widths
+     * @returns {Object} Stats keyed by metric
+     */
+    _widestStats: function() {
+        const stats = {};
+        for (let key in METRICS) {
+            stats[key] = METRICS[key].widest;
+        }
+        // Not panel metrics, but used by custom templates
+        stats.index = 99;
+        stats.memTemp = METRICS.temp.widest;
+        stats.powerLimit = METRICS.power.widest;
+        stats.vramTotal = METRICS.vramUsed.widest;
+        return stats;
+    },
+
+    /**
+     * Pick the GPU entries to render according to the current GPU selection
+     * Entries are only labelled when more than one GPU is present, so
+     * single-GPU systems render exactly as before
+     *
+     * @param {Array} gpuStats - Array of per-GPU stats {index, gpu, mem, temp, fan}
+     * @returns {Array} Array of {label: string|null, stats: Object}
+     */
+    selectGpus: function(gpuStats) {
+        if (!gpuStats || gpuStats.length === 0) {
+            return [];
+        }
+
+        const multiGpu = gpuStats.length > 1;
+
+        if (this.gpuSelection === GPU_SELECTION_AVERAGE) {
+            return [{
+                label: multiGpu ? "AVG" : null,
+                stats: this._aggregate(gpuStats, values => Math.round(values.reduce((a, b) => a + b, 0) / values.length))
+            }];
+        }
+
+        if (this.gpuSelection === GPU_SELECTION_MAX) {
+            return [{
+                label: multiGpu ? "MAX" : null,
+                stats: this._aggregate(gpuStats, values => Math.max.apply(null, values))
+            }];
+        }
+
+        if (this.gpuSelection === GPU_SELECTION_SINGLE) {
+            let selected = gpuStats.find(entry => entry.index === this.gpuIndex);
+            if (!selected) {
+                // Selected GPU disappeared (or index out of range) - fall back to the first one
+                this._log("GPU " + this.gpuIndex + " not found, falling back to GPU " + gpuStats[0].index);
+                selected = gpuStats[0];
+            }
+            return [{ label: multiGpu ? String(selected.index) : null, stats: selected }];
+        }
+
+        return gpuStats.map(entry => ({ label: multiGpu ? String(entry.index) : null, stats: entry }));
+    },
+
+    /**
+     * Combine per-GPU stats into one aggregate entry
+     * Only numeric values are aggregated; unavailable values are skipped
+     * @param {Array} gpuStats - Array of per-GPU stats
+     * @param {Function} reducer - Called with an array of values, returns the aggregate value
+     * @returns {Object} Aggregated stats (non-numeric or unavailable values are null)
+     */
+    _aggregate: function(gpuStats, reducer) {
+        const result = {};
+        for (let key in gpuStats[0]) {
+            if (key === 'index') {
+                continue;
+            }
+            const values = gpuStats.map(entry => entry[key]).filter(value => typeof value === 'number');
+            if (key === 'throttle') {
+                // Throttled if any GPU is: combine the reason masks
+                result[key] = values.length > 0 ? values.reduce((a, b) => a | b, 0) : null;
+                continue;
+            }
+            result[key] = values.length > 0 ? reducer(values) : null;
+        }
+        return result;
+    },
+
+    /**
+     * Format stats for single-row display
+     * @param {Object} stats - Per-GPU stats object
+     * @param {number} itemSpacing - Number of spaces around the divider (default: 1)
+     * @param {string} labelStyle - Label style: "full", "abbreviated", or "compact" (default: "full")
+     * @returns {string} Formatted string
+     */
+    formatSingleRow: function(stats, itemSpacing, labelStyle) {
+        const spacing = itemSpacing !== undefined ? itemSpacing : 1;
+        const style = this._resolveStyle(labelStyle);
+        const spacer = " ".repeat(spacing);
+
+        // Custom: every template row, joined like regular items
+        if (style === LABEL_STYLE_CUSTOM) {
+            return this.templateFormatter.render(stats).join(spacer + "|" + spacer);
+        }
+
+        // Full: GPU: 42% | MEM: 35% | TEMP: 55°C | FAN: 65%
+        // Abbreviated: G: 42% | M: 35% | T: 55°C | F: 65%
+        // Ultra compact: G:42|M:35|T:55|F:65 (no spaces in divider for compact)
+        const divider = style === "compact" ? "|" : spacer + "|" + spacer;
+        const separator = style === "compact" ? ":" : ": ";
+
+        return this.metrics.map(key => {
+            return METRICS[key][style] + separator + this.formatValue(key, stats[key], style, stats);
+        }).join(divider);
+    },
+
+    /**
+     * Format stats for the grid display with fixed-width alignment
+     * Metrics fill the rows left to right (N rows x M columns, M = ceil(metrics / N)),
+     * so the default metrics and two rows give the 2x2 grid:
+     *   Full:        GPU : 42%   MEM: 35%
+     *                TEMP: 55°C  FAN: 65%
+     *   Abbreviated: G: 42%   M: 35%
+     *                T: 55°C  F: 65%
+     *   Compact:     G:42  M:35
+     *                T:55  F:65
+     * Labels are padded within each column so the colons line up, and every column
+     * except the last is padded to its widest possible value so nothing jitters.
+     *
+     * @param {Object} stats - Per-GPU stats object
+     * @param {number} itemSpacing - Number of spaces between columns (default: 1)
+     * @param {string} labelStyle - Label style: "full", "abbreviated", or "compact" (default: "full")
+     * @returns {Array} One string per row
+     */
+    formatGrid: function(stats, itemSpacing, labelStyle) {
+        // Custom: one grid row per template line, aligned by the template's own widths
+        if (this._resolveStyle(labelStyle) === LABEL_STYLE_CUSTOM) {
+            return this.templateFormatter.render(stats);
+        }
+        return this._formatGrid(stats, this.getRowCount(), itemSpacing, labelStyle);
+    },
+
+    /**
+     * Lay the metrics out in a fixed-width grid, filling rows left to right
+     * @param {Object} stats - Per-GPU stats object
+     * @param {number} rowCount - Number of rows
+     * @param {number} itemSpacing - Number of spaces between columns (default: 1)
+     * @param {string} labelStyle - Label style: "full", "abbreviated", or "compact" (default: "full")
+     * @returns {Array} One string per row
+     */
+    _formatGrid: function(stats, rowCount, itemSpacing, labelStyle) {
+        const spacing = itemSpacing !== undefined ? itemSpacing : 1;
+        const style = this._resolveStyle(labelStyle);
+        const columnGap = " ".repeat(spacing);
+        const separator = style === "compact" ? ":" : ": ";
+        const columnCount = Math.max(1, Math.ceil(this.metrics.length / rowCount));
+        const widest = this._widestStats();
+
+        const rows = [];
+        for (let row = 0; row < rowCount; row++) {
+            rows.push("");
+        }
+
+        for (let column = 0; column < columnCount; column++) {
+            const keys = [];
+            for (let row = 0; row < rowCount; row++) {
+                keys.push(this.metrics[row * columnCount + column]);
+            }
+            const present = keys.filter(key => key !== undefined);
+
+            // Pad labels within the column so the colons line up (not in compact style)
+            const labelWidth = style === "compact" ? 0 : Math.max.apply(null, present.map(key => METRICS[key][style].length));
+            const columnWidth = Math.max.apply(null, present.map(key => {
+                return Math.max(labelWidth, METRICS[key][style].length) + separator.length +
+                       this.formatUnits(key, widest[key], style, widest).length;
+            }));
+            const lastColumn = column === columnCount - 1;
+
+            keys.forEach((key, row) => {
+                let cell = "";
+                if (key !== undefined) {
+                    cell = METRICS[key][style].padEnd(labelWidth, ' ') + separator + this.formatValue(key, stats[key], style, stats);
+                }
+                if (!lastColumn) {
+                    cell = padVisible(cell, columnWidth) + columnGap;
+                }
+                rows[row] += cell;
+            });
+        }
+
+        return rows.map(row => row.trimEnd());
+    },
+
+    /**
+     * Format stats according to current layout and GPU selection
+     * @param {Array} gpuStats - Array of per-GPU statistics
+     * @param {number} itemSpacing - Number of spaces for item spacing
+     * @param {string} labelStyle - Label style: "full", "abbreviated", or "compact"
+     * @returns {Array|string} Formatted output (string for single-row, array of rows for the grid)
+     */
+    format: function(gpuStats, itemSpacing, labelStyle) {
+        if (this.vertical) {
+            return this.formatVertical(gpuStats, labelStyle);
+        }
+
+        const entries = this.selectGpus(gpuStats);
+        const spacing = itemSpacing !== undefined ? itemSpacing : 1;
+        const style = this._resolveStyle(labelStyle);
+        const spacer = " ".repeat(spacing);
+
+        if (this.currentLayout === LAYOUT_TWO_ROW) {
+            if (entries.length === 1 && entries[0].label === null) {
+                return this.formatGrid(entries[0].stats, itemSpacing, labelStyle);
+            }
+
+            // One grid block per GPU, blocks side by side: [0] GPU : 42%  MEM: 35% | [1] GPU : 7% ...
+            // Blocks are padded to their widest possible values so the dividers never shift
+            const widest = this.formatGrid(this._widestStats(), itemSpacing, labelStyle);
+            const blockWidth = Math.max.apply(null, widest.map(row => row.length));
+
+            const blocks = entries.map(entry => {
+                const rows = this.formatGrid(entry.stats, itemSpacing, labelStyle);
+                const prefix = entry.label !== null ? "[" + entry.label + "] " : "";
+                const width = prefix.length + blockWidth;
+                return rows.map((row, position) => {
+                    const rowPrefix = position === 0 ? prefix : " ".repeat(prefix.length);
+                    return padVisible(rowPrefix + row, width);
+                });
+            });
+
+            const blockDivider = spacer + "|" + spacer;
+            return blocks[0].map((row, position) => {
+                return blocks.map(block => block[position]).join(blockDivider).trimEnd();
+            });
+        }
+
+        // Single row: one segment per GPU, e.g. [0] GPU: 42% | ... || [1] GPU: 7% | ...
+        const segments = entries.map(entry => {
+            let prefix = "";
+            if (entry.label !== null) {
+                prefix = "[" + entry.label + "]" + (style === "compact" ? "" : " ");
+            }
+            return prefix + this.formatSingleRow(entry.stats, itemSpacing, labelStyle);
+        });
+
+        const gpuDivider = style === "compact" ? "||" : spacer + "||" + spacer;
+        return segments.join(gpuDivider);
+    },
+
+    /**
+     * Format stats for a vertical panel: every metric stacked top to bottom
+     *   Full:        TEMP      Abbreviated: T       Compact: T:55
+     *                55°C                   55°C
+     * Multi-GPU panels put an "[index]" line above each GPU and a blank line between GPUs.
+     *
+     * @param {Array} gpuStats - Array of per-GPU statistics
+     * @param {string} labelStyle - Label style: "full", "abbreviated", "compact" or "custom"
+     * @returns {string} Lines separated by newlines (one centered label)
+     */
+    formatVertical: function(gpuStats, labelStyle) {
+        const style = this._resolveStyle(labelStyle);
+
+        return this.selectGpus(gpuStats).map(entry => {
+            const header = entry.label !== null ? ["[" + entry.label + "]"] : [];
+            return header.concat(this._formatVerticalCells(entry.stats, style)).join("\n");
+        }).join("\n\n");
+    },
+
+    /**
+     * Format the stacked cells of one GPU for a vertical panel
+     * @param {Object} stats - Per-GPU stats object
+     * @param {string} style - Resolved label style
+     * @returns {Array} One string per cell (a cell may span two lines)
+     */
+    _formatVerticalCells: function(stats, style) {
+        // Custom: every template line is a cell
+        if (style === LABEL_STYLE_CUSTOM) {
+            return this.templateFormatter.render(stats);
+        }
+
+        return this.metrics.map(key => {
+            const value = this.formatValue(key, stats[key], style, stats);
+            return style === "compact" ? METRICS[key].compact + ":" + value : METRICS[key][style] + "\n" + value;
+        });
+    },
+
+    /**
+     * Get the widest line the vertical layout can produce, in characters
+     * Used to scale the font to the panel width
+     * @param {string} labelStyle - Label style
+     * @returns {number} Character count
+     */
+    getVerticalWidth: function(labelStyle) {
+        const style = this._resolveStyle(labelStyle);
+        const lines = this._formatVerticalCells(this._widestStats(), style).join("\n").split("\n");
+        return Math.max.apply(null, lines.map(line => visibleLength(line)).concat(["[MAX]".length]));
+    },
+
+    /**
+     * Format the "no data" placeholder for the current layout (every value shown as "--")
+     * @param {number} itemSpacing - Number of spaces for item spacing
+     * @param {string} labelStyle - Label style: "full", "abbreviated", or "compact"
+     * @returns {Array|string} Formatted output (string for single-row, array of rows for the grid)
+     */
+    formatPlaceholder: function(itemSpacing, labelStyle) {
+        if (this.vertical) {
+            return this._formatVerticalCells({}, this._resolveStyle(labelStyle)).join("\n");
+        }
+        if (this.currentLayout === LAYOUT_TWO_ROW) {
+            return this.formatGrid({}, itemSpacing, labelStyle);
+        }
+        return this.formatSingleRow({}, itemSpacing, labelStyle);
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [LayoutManager] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [LayoutManager] ERROR: " + message);
+    }
+};
+
+/**
+ * History Buffer class
+ * Fixed-capacity ring buffer of timestamped values; the oldest sample is dropped when full
+ */
+function HistoryBuffer(capacity) {
+    this._init(capacity);
+}
+
+HistoryBuffer.prototype = {
+    /**
+     * Initialize the HistoryBuffer
+     * @param {number} capacity - Maximum number of samples kept
+     */
+    _init: function(capacity) {
+        this.capacity = Math.max(1, capacity);
+        this._times = new Array(this.capacity);
+        this._values = new Array(this.capacity);
+        this._start = 0;
+        this.length = 0;
+    },
+
+    /**
+     * Append a sample
+     * @param {number} time - Sample time (ms since epoch)
+     * @param {number|null} value - Sample value, null when unavailable
+     */
+    push: function(time, value) {
+        const position = (this._start + this.length) % this.capacity;
+        this._times[position] = time;
+        this._values[position] = value;
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this._start = (this._start + 1) % this.capacity;
+        }
+    },
+
+    /**
+     * Get the samples in chronological order
+     * @param {number} since - Optional time (ms since epoch); older samples are skipped
+     * @returns {Array} Array of {time, value}
+     */
+    samples: function(since) {
+        const result = [];
+        for (let i = 0; i < this.length; i++) {
+            const position = (this._start + i) % this.capacity;
+            if (since === undefined || this._times[position] >= since) {
+                result.push({ time: this._times[position], value: this._values[position] });
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Get the values in chronological order
+     * @param {number} count - Optional number of most recent values to return
+     * @returns {Array} Values (null for unavailable samples)
+     */
+    values: function(count) {
+        const values = this.samples().map(sample => sample.value);
+        return (count !== undefined && count < values.length) ? values.slice(values.length - count) : values;
+    },
+
+    /**
+     * Drop every sample
+     */
+    clear: function() {
+        this._start = 0;
+        this.length = 0;
+    }
+};
+
+/**
+ * Metric History class
+ * Keeps a HistoryBuffer per source (a GPU or an aggregate) and per metric
+ */
+function MetricHistory(capacity) {
+    this._init(capacity);
+}
+
+MetricHistory.prototype = {
+    /**
+     * Initialize the MetricHistory
+     * @param {number} capacity - Samples kept per metric
+     */
+    _init: function(capacity) {
+        this.capacity = capacity;
+        this._buffers = {};
+        this._log("MetricHistory initialized with capacity: " + capacity);
+    },
+
+    /**
+     * Change the number of samples kept, preserving the most recent ones
+     * @param {number} capacity - Samples kept per metric
+     */
+    setCapacity: function(capacity) {
+        if (capacity === this.capacity) {
+            return;
+        }
+
+        this.capacity = capacity;
+        for (let source in this._buffers) {
+            for (let key in this._buffers[source]) {
+                const old = this._buffers[source][key];
+                const buffer = new HistoryBuffer(capacity);
+                for (let sample of old.samples()) {
+                    buffer.push(sample.time, sample.value);
+                }
+                this._buffers[source][key] = buffer;
+            }
+        }
+        this._log("History capacity changed to: " + capacity);
+    },
+
+    /**
+     * Record every numeric metric of one stats object
+     * @param {string} source - Source key, e.g. "0" for GPU 0 or "average"
+     * @param {Object} stats - Per-GPU (or aggregate) stats object
+     * @param {number} time - Sample time (ms since epoch)
+     */
+    record: function(source, stats, time) {
+        if (!this._buffers[source]) {
+            this._buffers[source] = {};
+        }
+
+        for (let key in METRICS) {
+            if (METRICS[key].graphMax === null) {
+                continue;
+            }
+            if (!this._buffers[source][key]) {
+                this._buffers[source][key] = new HistoryBuffer(this.capacity);
+            }
+            const value = stats[key];
+            this._buffers[source][key].push(time, typeof value === 'number' ? value : null);
+        }
+    },
+
+    /**
+     * Get the history buffer of one metric
+     * @param {string} source - Source key
+     * @param {string} key - Metric key
+     * @returns {HistoryBuffer|null} Buffer, or null if nothing was recorded yet
+     */
+    get: function(source, key) {
+        if (!this._buffers[source] || !this._buffers[source][key]) {
+            return null;
+        }
+        return this._buffers[source][key];
+    },
+
+    /**
+     * Drop all recorded history
+     */
+    clear: function() {
+        this._buffers = {};
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [MetricHistory] " + message);
+        }
+    }
+};
+
+/**
+ * Compute a percentile from a value histogram (nearest-rank method)
+ *
+ * @param {Object} counts - Number of samples per value
+ * @param {number} total - Number of samples
+ * @param {number} percent - Percentile (0-100)
+ * @returns {number|null} Value at the percentile, or null without samples
+ */
+function percentileOfCounts(counts, total, percent) {
+    const values = Object.keys(counts).map(Number).sort((a, b) => a - b);
+    const rank = Math.max(1, Math.ceil(percent / 100 * total));
+
+    let seen = 0;
+    for (let value of values) {
+        seen += counts[value];
+        if (seen >= rank) {
+            return value;
+        }
+    }
+    return values.length > 0 ? values[values.length - 1] : null;
+}
+
+/**
+ * Session Stats class
+ * Running aggregates of every numeric metric per source since the applet started (or was reset):
+ * min/max/mean and percentiles (from a histogram of values rounded to integers, so memory
+ * stays bounded over long sessions), plus the time spent at or above the warning and critical
+ * temperatures and the energy drawn. Each sample's temperature and power hold until the next one.
+ */
+function SessionStats() {
+    this._init();
+}
+
+SessionStats.prototype = {
+    /**
+     * Initialize the SessionStats
+     */
+    _init: function() {
+        this._aggregates = {};
+        this._timelines = {};
+        this.warningTemp = null;
+        this.criticalTemp = null;
+        this.startTime = Date.now();
+    },
+
+    /**
+     * Set the temperatures that count as time above warning and critical
+     * @param {number} warning - Warning temperature (Celsius)
+     * @param {number} critical - Critical temperature (Celsius)
+     */
+    setTemperatureThresholds: function(warning, critical) {
+        this.warningTemp = warning;
+        this.criticalTemp = critical;
+    },
+
+    /**
+     * Add one stats object to the running aggregates
+     * @param {string} source - Source key, e.g. "0" for GPU 0
+     * @param {Object} stats - Per-GPU stats object
+     * @param {number} time - Sample time (ms since epoch, default now)
+     */
+    record: function(source, stats, time) {
+        if (!this._aggregates[source]) {
+            this._aggregates[source] = {};
+        }
+
+        for (let key in METRICS) {
+            const value = stats[key];
+            if (typeof value !== 'number') {
+                continue;
+            }
+
+            let aggregate = this._aggregates[source][key];
+            if (!aggregate) {
+                aggregate = this._aggregates[source][key] = { min: value, max: value, sum: 0, count: 0, counts: {} };
+            }
+            aggregate.min = Math.min(aggregate.min, value);
+            aggregate.max = Math.max(aggregate.max, value);
+            aggregate.sum += value;
+            aggregate.count++;
+
+            const bucket = Math.round(value);
+            aggregate.counts[bucket] = (aggregate.counts[bucket] || 0) + 1;
+        }
+
+        this._recordTimeline(source, stats, time !== undefined ? time : Date.now());
+    },
+
+    /**
+     * Add the time since the previous sample to the threshold times and the energy
+     * @param {string} source - Source key
+     * @param {Object} stats - Per-GPU stats object
+     * @param {number} time - Sample time (ms since epoch)
+     */
+    _recordTimeline: function(source, stats, time) {
+        let timeline = this._timelines[source];
+        if (!timeline) {
+            timeline = this._timelines[source] = { time: null, temp: null, power: null, warningSeconds: 0, criticalSeconds: 0, energyWh: 0 };
+        }
+
+        if (timeline.time !== null) {
+            const seconds = Math.min(Math.max(0, (time - timeline.time) / 1000), SESSION_MAX_GAP);
+            if (typeof timeline.temp === 'number') {
+                if (this.warningTemp !== null && timeline.temp >= this.warningTemp) {
+                    timeline.warningSeconds += seconds;
+                }
+                if (this.criticalTemp !== null && timeline.temp >= this.criticalTemp) {
+                    timeline.criticalSeconds += seconds;
+                }
+            }
+            if (typeof timeline.power === 'number') {
+                timeline.energyWh += timeline.power * seconds / 3600;
+            }
+        }
+
+        timeline.time = time;
+        timeline.temp = stats.temp;
+        timeline.power = stats.power;
+    },
+
+    /**
+     * Get the aggregates of one metric
+     * @param {string} source - Source key
+     * @param {string} key - Metric key
+     * @returns {Object|null} {min, max, mean, p50, p95, p99, count}, or null if no sample was recorded
+     */
+    get: function(source, key) {
+        const aggregate = this._aggregates[source] ? this._aggregates[source][key] : null;
+        if (!aggregate) {
+            return null;
+        }
+
+        return {
+            min: aggregate.min,
+            max: aggregate.max,
+            mean: aggregate.sum / aggregate.count,
+            p50: percentileOfCounts(aggregate.counts, aggregate.count, 50),
+            p95: percentileOfCounts(aggregate.counts, aggregate.count, 95),
+            p99: percentileOfCounts(aggregate.counts, aggregate.count, 99),
+            count: aggregate.count
+        };
+    },
+
+    /**
+     * Get the time above the temperature thresholds and the energy of one source
+     * @param {string} source - Source key
+     * @returns {Object|null} {warningSeconds, criticalSeconds, energyWh}, or null if no sample was recorded
+     */
+    getTimeline: function(source) {
+        const timeline = this._timelines[source];
+        if (!timeline) {
+            return null;
+        }
+
+        return {
+            warningSeconds: timeline.warningSeconds,
+            criticalSeconds: timeline.criticalSeconds,
+            energyWh: timeline.energyWh
+        };
+    },
+
+    /**
+     * Drop all aggregates and restart the session
+     */
+    reset: function() {
+        this._aggregates = {};
+        this._timelines = {};
+        this.startTime = Date.now();
+    }
+};
+
+/**
+ * Alert Manager class
+ * Watches per-GPU metrics against threshold rules and reports when an alert
+ * starts or recovers. An alert starts after the value stays at or above the
+ * threshold for N consecutive samples and recovers after it stays below
+ * (threshold - hysteresis) for N consecutive samples. Repeated notifications
+ * of the same alert are rate limited; notifying is left to the caller.
+ */
+function AlertManager() {
+    this._init();
+}
+
+AlertManager.prototype = {
+    /**
+     * Initialize the AlertManager
+     */
+    _init: function() {
+        this.rules = [];
+        this.consecutive = ALERT_CONSECUTIVE_DEFAULT;
+        this.cooldown = ALERT_COOLDOWN_DEFAULT * 60 * 1000;
+        this.notifyRecovery = true;
+        this.units = UNITS_DEFAULT;
+        this._states = {};
+    },
+
+    /**
+     * Set the display units; temperature thresholds are in the temperature unit
+     * @param {Object} units - Display units {temperature, memory}
+     */
+    setUnits: function(units) {
+        this.units = units;
+    },
+
+    /**
+     * Set the alert rules; alert state is reset
+     * @param {Array} rules - Array of {metric, threshold, hysteresis} (metric is a key of ALERT_METRICS)
+     */
+    setRules: function(rules) {
+        this.rules = (rules || []).filter(rule => {
+            if (!ALERT_METRICS[rule.metric] || typeof rule.threshold !== 'number') {
+                this._logError("Invalid alert rule: " + JSON.stringify(rule));
+                return false;
+            }
+            return true;
+        }).map(rule => ({
+            metric: rule.metric,
+            threshold: rule.threshold,
+            // A flag has nothing between set and clear, so it recovers as soon as it clears
+            hysteresis: ALERT_METRICS[rule.metric].flag ? 0 : Math.max(0, rule.hysteresis || 0)
+        }));
+
+        this._states = {};
+        this._log("Alert rules changed: " + JSON.stringify(this.rules));
+    },
+
+    /**
+     * Set the alerting options
+     * @param {number} consecutive - Samples needed to start or recover an alert
+     * @param {number} cooldownMinutes - Minimum minutes between notifications of one alert
+     * @param {boolean} notifyRecovery - Whether recoveries are reported
+     */
+    setOptions: function(consecutive, cooldownMinutes, notifyRecovery) {
+        this.consecutive = Math.max(1, consecutive || ALERT_CONSECUTIVE_DEFAULT);
+        this.cooldown = Math.max(0, cooldownMinutes !== undefined ? cooldownMinutes : ALERT_COOLDOWN_DEFAULT) * 60 * 1000;
+        this.notifyRecovery = notifyRecovery !== false;
+    },
+
+    /**
+     * Check a sample against every rule
+     * @param {Array} gpuStats - Array of per-GPU stats
+     * @param {number} now - Sample time (ms since epoch)
+     * @returns {Array} Events to notify: {type: 'alert'|'recovery', gpu, rule, value} (value in the display units)
+     */
+    check: function(gpuStats, now) {
+        const events = [];
+
+        for (let stats of gpuStats) {
+            this.rules.forEach((rule, position) => {
+                const value = alertMetricValue(rule.metric, stats, this.units);
+                if (value === null || value === undefined) {
+                    return;
+                }
+
+                const key = stats.index + '/' + position;
+                if (!this._states[key]) {
+                    this._states[key] = { active: false, count: 0, notified: false, lastNotified: null };
+                }
+                const state = this._states[key];
+
+                if (!state.active) {
+                    state.count = (value >= rule.threshold) ? state.count + 1 : 0;
+                    if (state.count < this.consecutive) {
+                        return;
+                    }
+
+                    state.active = true;
+                    state.count = 0;
+                    state.notified = state.lastNotified === null || now - state.lastNotified >= this.cooldown;
+                    if (state.notified) {
+                        state.lastNotified = now;
+                        events.push({ type: 'alert', gpu: stats.index, rule: rule, value: value });
+                    }
+                } else {
+                    state.count = (value < rule.threshold - rule.hysteresis) ? state.count + 1 : 0;
+                    if (state.count < this.consecutive) {
+                        return;
+                    }
+
+                    state.active = false;
+                    state.count = 0;
+                    // Only report recoveries of alerts the user was told about
+                    if (state.notified && this.notifyRecovery) {
+                        events.push({ type: 'recovery', gpu: stats.index, rule: rule, value: value });
+                    }
+                }
+            });
+        }
+
+        return events;
+    },
+
+    /**
+     * Get the rules currently in alert for one GPU
+     * @param {number} gpuIndex - GPU index
+     * @returns {Array} Rules in alert
+     */
+    getActive: function(gpuIndex) {
+        return this.rules.filter((rule, position) => {
+            const state = this._states[gpuIndex + '/' + position];
+            return state !== undefined && state.active;
+        });
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [AlertManager] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [AlertManager] ERROR: " + message);
+    }
+};
+
+/**
+ * Stats Recorder class
+ * Appends every Nth sample (one line per GPU) to a CSV or JSON-lines file,
+ * rotating to a new file once the size limit is reached and deleting
+ * recordings older than the retention period. Writes and deletions are
+ * asynchronous, so a slow disk never blocks the refresh.
+ *
+ * @param {string} directory - Directory the recordings are written to
+ * @param {function} onFailed - Called when the recording stopped because writing failed
+ */
+function StatsRecorder(directory, onFailed) {
+    this._init(directory, onFailed);
+}
+
+StatsRecorder.prototype = {
+    /**
+     * Initialize the StatsRecorder
+     * @param {string} directory - Directory the recordings are written to
+     * @param {function} onFailed - Called when the recording stopped because writing failed
+     */
+    _init: function(directory, onFailed) {
+        this.directory = directory;
+        this._onFailed = onFailed;
+        this.format = RECORD_FORMAT_CSV;
+        this.every = 1;
+        this.maxBytes = RECORD_MAX_SIZE_DEFAULT * 1024 * 1024;
+        this.retentionDays = RECORD_RETENTION_DEFAULT;
+
+        // Current file: {file, stream, queue (encoded text waiting), writing, closing}
+        this._output = null;
+        this._bytes = 0;
+        this._pruning = false;
+        this._counter = 0;
+        this.samples = 0;
+    },
+
+    /**
+     * Set the recording options
+     * A format change while recording continues in a new file
+     * @param {string} format - RECORD_FORMAT_CSV or RECORD_FORMAT_JSONL
+     * @param {number} every - Record every Nth sample
+     * @param {number} maxSizeMb - File size (MB) after which a new file is started
+     * @param {number} retentionDays - Days recordings are kept (0 = forever)
+     */
+    setOptions: function(format, every, maxSizeMb, retentionDays) {
+        const newFormat = (format === RECORD_FORMAT_JSONL) ? RECORD_FORMAT_JSONL : RECORD_FORMAT_CSV;
+        const formatChanged = newFormat !== this.format;
+
+        this.format = newFormat;
+        this.every = Math.max(1, every || 1);
+        this.maxBytes = Math.max(1, maxSizeMb || RECORD_MAX_SIZE_DEFAULT) * 1024 * 1024;
+        this.retentionDays = Math.max(0, retentionDays !== undefined ? retentionDays : RECORD_RETENTION_DEFAULT);
+
+        if (formatChanged && this.isRecording() && !this._rotate(Date.now())) {
+            this._onFailed();
+        }
+    },
+
+    /**
+     * Start recording into a new file
+     * @returns {string|null} Path of the recording, or null if it could not be created
+     */
+    start: function() {
+        if (this.isRecording()) {
+            return this.getPath();
+        }
+
+        this._counter = 0;
+        this.samples = 0;
+        const now = Date.now();
+        this._pruneOldFiles(now);
+        return this._openFile(now) ? this.getPath() : null;
+    },
+
+    /**
+     * Stop recording and close the file
+     */
+    stop: function() {
+        this._closeFile();
+    },
+
+    /**
+     * Check whether a recording is in progress
+     * @returns {boolean} True while recording
+     */
+    isRecording: function() {
+        return this._output !== null;
+    },
+
+    /**
+     * Get the path of the current recording
+     * @returns {string|null} File path, or null when not recording
+     */
+    getPath: function() {
+        return this._output ? this._output.file.get_path() : null;
+    },
+
+    /**
+     * Record a sample (skipped unless it is the Nth since the last recorded one)
+     * Failures stop the recording and are reported through onFailed
+     * @param {Array} gpuStats - Array of per-GPU stats
+     * @param {number} time - Sample time (ms since epoch)
+     */
+    record: function(gpuStats, time) {
+        if (!this.isRecording()) {
+            return;
+        }
+
+        this._counter++;
+        if (this._counter < this.every) {
+            return;
+        }
+        this._counter = 0;
+
+        if (this._bytes >= this.maxBytes && !this._rotate(time)) {
+            this._onFailed();
+            return;
+        }
+
+        const text = gpuStats.map(stats => this._formatRecord(stats, time) + "\n").join("");
+        if (this._write(text)) {
+            this.samples++;
+        }
+    },
+
+    /**
+     * Close the current file and continue in a new one
+     * @param {number} time - Current time (ms since epoch)
+     * @returns {boolean} True if the new file was created
+     */
+    _rotate: function(time) {
+        this._log("Rotating recording " + this.getPath());
+        this._closeFile();
+        this._pruneOldFiles(time);
+        return this._openFile(time);
+    },
+
+    /**
+     * Create a new recording file named after the time, e.g. nv-stats-20250101-120000.csv
+     * @param {number} time - Current time (ms since epoch)
+     * @returns {boolean} True on success
+     */
+    _openFile: function(time) {
+        try {
+            GLib.mkdir_with_parents(this.directory, 0o755);
+
+            const date = new Date(time);
+            const pad = (value) => String(value).padStart(2, '0');
+            const stamp = date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) + "-" +
+                          pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds());
+
+            // Rotating twice within a second must not reuse a file
+            let file = Gio.File.new_for_path(this.directory + "/nv-stats-" + stamp + "." + this.format);
+            for (let suffix = 1; file.query_exists(null); suffix++) {
+                file = Gio.File.new_for_path(this.directory + "/nv-stats-" + stamp + "-" + suffix + "." + this.format);
+            }
+
+            const stream = file.create(Gio.FileCreateFlags.NONE, null);
+            this._output = { file: file, stream: stream, queue: [], writing: false, closing: false };
+            this._bytes = 0;
+
+            if (this.format === RECORD_FORMAT_CSV) {
+                this._write(["timestamp"].concat(RECORD_COLUMNS).join(",") + "\n");
+            }
+
+            this._log("Recording to " + file.get_path());
+            return true;
+        } catch (error) {
+            this._logError("Failed to create recording file: " + error);
+            this._output = null;
+            return false;
+        }
+    },
+
+    /**
+     * Close the current recording file once the text queued for it is written
+     */
+    _closeFile: function() {
+        const output = this._output;
+        if (!output) {
+            return;
+        }
+
+        this._log("Recording stopped: " + output.file.get_path() + " (" + this.samples + " samples)");
+        this._output = null;
+        output.closing = true;
+        this._flush(output);
+    },
+
+    /**
+     * Queue text for the current file
+     * While the disk is slow text accumulates; past RECORD_QUEUE_MAX samples new ones are dropped
+     * @param {string} text - Text to write
+     * @returns {boolean} True if queued, false if dropped
+     */
+    _write: function(text) {
+        const output = this._output;
+        if (output.queue.length >= RECORD_QUEUE_MAX) {
+            this._logError("Recording disk too slow, dropping a sample");
+            return false;
+        }
+
+        const bytes = ByteArray.fromString(text);
+        output.queue.push(bytes);
+        this._bytes += bytes.length;
+        this._flush(output);
+        return true;
+    },
+
+    /**
+     * Write everything queued for a file in one asynchronous write, unless a write is
+     * already running (it flushes again when done); closes the file once it is drained
+     * @param {Object} output - File state (see _output)
+     */
+    _flush: function(output) {
+        if (output.writing) {
+            return;
+        }
+        if (output.queue.length === 0) {
+            if (output.closing) {
+                this._closeStream(output);
+            }
+            return;
+        }
+
+        const data = new Uint8Array(output.queue.reduce((size, chunk) => size + chunk.length, 0));
+        let offset = 0;
+        for (let chunk of output.queue) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+        output.queue = [];
+        output.writing = true;
+        this._writeBytes(output, new GLib.Bytes(data));
+    },
+
+    /**
+     * Write bytes to a file asynchronously, then flush what was queued meanwhile
+     * A failed write stops the recording (onFailed is told unless it was already stopped)
+     * @param {Object} output - File state (see _output)
+     * @param {GLib.Bytes} bytes - Bytes to write
+     */
+    _writeBytes: function(output, bytes) {
+        output.stream.write_bytes_async(bytes, GLib.PRIORITY_DEFAULT, null, (stream, result) => {
+            let written;
+            try {
+                written = stream.write_bytes_finish(result);
+            } catch (error) {
+                this._logError("Failed to write recording: " + error);
+                output.writing = false;
+                output.queue = [];
+                this._closeStream(output);
+                if (this._output === output) {
+                    this._output = null;
+                    this._onFailed();
+                }
+                return;
+            }
+
+            // Short write: write the rest
+            if (written < bytes.get_size()) {
+                this._writeBytes(output, GLib.Bytes.new_from_bytes(bytes, written, bytes.get_size() - written));
+                return;
+            }
+            output.writing = false;
+            this._flush(output);
+        });
+    },
+
+    /**
+     * Close the stream of a file asynchronously
+     * @param {Object} output - File state (see _output)
+     */
+    _closeStream: function(output) {
+        output.stream.close_async(GLib.PRIORITY_DEFAULT, null, (stream, result) => {
+            try {
+                stream.close_finish(result);
+            } catch (error) {
+                this._logError("Failed to close recording file: " + error);
+            }
+        });
+    },
+
+    /**
+     * Format one GPU of a sample as a CSV row or a JSON line
+     * @param {Object} stats - Per-GPU stats
+     * @param {number} time - Sample time (ms since epoch)
+     * @returns {string} Record without the line break
+     */
+    _formatRecord: function(stats, time) {
+        const timestamp = new Date(time).toISOString();
+        const value = (key) => (stats[key] === undefined ? null : stats[key]);
+
+        if (this.format === RECORD_FORMAT_JSONL) {
+            const record = { timestamp: timestamp };
+            for (let key of RECORD_COLUMNS) {
+                record[key] = value(key);
+            }
+            return JSON.stringify(record);
+        }
+
+        // CSV: unavailable values are left empty; no value contains a comma
+        return [timestamp].concat(RECORD_COLUMNS.map(key => value(key) === null ? "" : String(value(key)))).join(",");
+    },
+
+    /**
+     * Delete recordings older than the retention period, asynchronously
+     * Only files named like recordings are touched; runs when a file is started
+     * @param {number} time - Current time (ms since epoch)
+     */
+    _pruneOldFiles: function(time) {
+        if (this.retentionDays <= 0 || this._pruning) {
+            return;
+        }
+
+        const cutoff = time / 1000 - this.retentionDays * 24 * 3600;
+        const directory = Gio.File.new_for_path(this.directory);
+        this._pruning = true;
+
+        directory.enumerate_children_async('standard::name,time::modified', Gio.FileQueryInfoFlags.NONE,
+                                           GLib.PRIORITY_LOW, null, (source, result) => {
+            let enumerator;
+            try {
+                enumerator = source.enumerate_children_finish(result);
+            } catch (error) {
+                // No directory yet: nothing to clean up
+                if (!error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    this._logError("Failed to clean up old recordings: " + error);
+                }
+                this._pruning = false;
+                return;
+            }
+
+            const next = () => {
+                enumerator.next_files_async(RECORD_PRUNE_BATCH, GLib.PRIORITY_LOW, null, (source, result) => {
+                    let infos;
+                    try {
+                        infos = source.next_files_finish(result);
+                    } catch (error) {
+                        this._logError("Failed to clean up old recordings: " + error);
+                        infos = [];
+                    }
+
+                    if (infos.length === 0) {
+                        enumerator.close_async(GLib.PRIORITY_LOW, null, (source, result) => {
+                            try {
+                                source.close_finish(result);
+                            } catch (error) {
+                                this._log("Failed to close directory listing: " + error);
+                            }
+                        });
+                        this._pruning = false;
+                        return;
+                    }
+
+                    for (let info of infos) {
+                        const name = info.get_name();
+                        if (RECORD_FILE_PATTERN.test(name) && info.get_attribute_uint64('time::modified') < cutoff) {
+                            this._deleteFile(directory.get_child(name));
+                        }
+                    }
+                    next();
+                });
+            };
+            next();
+        });
+    },
+
+    /**
+     * Delete an old recording asynchronously
+     * @param {Gio.File} file - Recording to delete
+     */
+    _deleteFile: function(file) {
+        file.delete_async(GLib.PRIORITY_LOW, null, (source, result) => {
+            try {
+                source.delete_finish(result);
+                this._log("Deleted old recording " + file.get_basename());
+            } catch (error) {
+                this._logError("Failed to delete old recording " + file.get_basename() + ": " + error);
+            }
+        });
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [StatsRecorder] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [StatsRecorder] ERROR: " + message);
+    }
+};
+
+/**
+ * Serialize a sample for the D-Bus service
+ * Every GPU carries the recording columns (null when unavailable)
+ *
+ * @param {Array} stats - Array of per-GPU statistics (empty if there is no sample)
+ * @param {number|null} time - Sample time (ms since epoch), null if there is no sample
+ * @param {string|null} source - Data source of the sample (e.g. "nvidia-smi")
+ * @returns {string} JSON object {timestamp, source, gpus}
+ */
+function statsToJson(stats, time, source) {
+    const gpus = stats.map((gpuStats) => {
+        const record = {};
+        for (let key of RECORD_COLUMNS) {
+            record[key] = gpuStats[key] === undefined ? null : gpuStats[key];
+        }
+        return record;
+    });
+
+    return JSON.stringify({
+        timestamp: time === null ? null : new Date(time).toISOString(),
+        source: source,
+        gpus: gpus
+    });
+}
+
+/**
+ * Convert a history buffer to D-Bus history samples
+ * Unavailable values are skipped (a double cannot be null)
+ *
+ * @param {HistoryBuffer|null} buffer - History of one metric
+ * @param {number} since - Optional time (ms since epoch); older samples are skipped
+ * @returns {Array} Array of [time (ms since epoch), value]
+ */
+function historyToSamples(buffer, since) {
+    if (!buffer) {
+        return [];
+    }
+
+    return buffer.samples(since)
+        .filter(sample => sample.value !== null)
+        .map(sample => [sample.time, sample.value]);
+}
+
+/**
+ * Stats Service class
+ * Publishes the latest sample and the history on the session bus, so other tools
+ * need not run nvidia-smi themselves:
+ *   GetStats() -> s                     latest sample as JSON (see statsToJson)
+ *   GetHistory(i gpu, s metric, u seconds) -> a(xd)   [time ms, value] of the last seconds (0 = all)
+ *   StatsChanged(s)                      emitted with every new sample
+ * Instances that enable the service share it; the first one provides the data
+ */
+function StatsService() {
+    this._init();
+}
+
+StatsService.prototype = {
+    /**
+     * Initialize the StatsService (the bus name is owned once a provider is added)
+     */
+    _init: function() {
+        this.providers = [];
+        this._dbus = null;
+        this._ownerId = 0;
+        this._json = statsToJson([], null, null);
+        this._history = null;
+    },
+
+    /**
+     * Add an applet instance that provides data, starting the service for the first one
+     * @param {Object} provider - Applet instance
+     */
+    addProvider: function(provider) {
+        if (this.providers.indexOf(provider) !== -1) {
+            return;
+        }
+
+        this.providers.push(provider);
+        if (this.providers.length === 1) {
+            this._start();
+        }
+    },
+
+    /**
+     * Remove an applet instance, stopping the service after the last one
+     * The next provider's data is served from its next sample on
+     * @param {Object} provider - Applet instance
+     */
+    removeProvider: function(provider) {
+        const index = this.providers.indexOf(provider);
+        if (index === -1) {
+            return;
+        }
+
+        this.providers.splice(index, 1);
+        if (index === 0) {
+            this._json = statsToJson([], null, null);
+            this._history = null;
+        }
+        if (this.providers.length === 0) {
+            this._stop();
+        }
+    },
+
+    /**
+     * Publish a new sample (ignored unless it comes from the first provider)
+     *
+     * @param {Object} provider - Applet instance
+     * @param {Array} stats - Array of per-GPU statistics
+     * @param {number} time - Sample time (ms since epoch)
+     * @param {string} source - Data source of the sample
+     * @param {MetricHistory} history - Provider's history (served by GetHistory)
+     */
+    publish: function(provider, stats, time, source, history) {
+        if (this.providers[0] !== provider || !this._dbus) {
+            return;
+        }
+
+        this._json = statsToJson(stats, time, source);
+        this._history = history;
+        try {
+            this._dbus.emit_signal('StatsChanged', new GLib.Variant('(s)', [this._json]));
+        } catch (error) {
+            this._logError("Failed to emit StatsChanged: " + error);
+        }
+    },
+
+    /**
+     * D-Bus method: latest sample
+     * @returns {string} JSON (see statsToJson)
+     */
+    GetStats: function() {
+        return this._json;
+    },
+
+    /**
+     * D-Bus method: history of one metric of one GPU
+     *
+     * @param {number} gpu - GPU index
+     * @param {string} metric - Metric key (e.g. "temp", "gpu", "power")
+     * @param {number} seconds - Only samples of the last seconds (0 = all)
+     * @returns {Array} Array of [time (ms since epoch), value]
+     */
+    GetHistory: function(gpu, metric, seconds) {
+        if (!METRICS[metric] || METRICS[metric].graphMax === null) {
+            throw new Error("Unknown metric: " + metric);
+        }
+        if (!this._history) {
+            return [];
+        }
+
+        const since = seconds > 0 ? Date.now() - seconds * 1000 : undefined;
+        return historyToSamples(this._history.get(String(gpu), metric), since);
+    },
+
+    /**
+     * Export the object and own the bus name
+     */
+    _start: function() {
+        try {
+            this._dbus = Gio.DBusExportedObject.wrapJSObject(DBUS_SERVICE_INTERFACE, this);
+            this._dbus.export(Gio.DBus.session, DBUS_SERVICE_PATH);
+            const onNameLost = () => {
+                this._logError("Could not own " + DBUS_SERVICE_NAME + " (already running elsewhere?)");
+            };
+            this._ownerId = Gio.bus_own_name(Gio.BusType.SESSION, DBUS_SERVICE_NAME, Gio.BusNameOwnerFlags.NONE,
+                                             null, null, onNameLost);
+            this._log("Exported " + DBUS_SERVICE_PATH + " as " + DBUS_SERVICE_NAME);
+        } catch (error) {
+            this._logError("Failed to start the D-Bus service: " + error);
+            this._dbus = null;
+        }
+    },
+
+    /**
+     * Release the bus name and unexport the object
+     */
+    _stop: function() {
+        if (this._ownerId) {
+            Gio.bus_unown_name(this._ownerId);
+            this._ownerId = 0;
+        }
+
+        if (this._dbus) {
+            this._dbus.unexport();
+            this._dbus = null;
+        }
+        this._log("D-Bus service stopped");
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [StatsService] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [StatsService] ERROR: " + message);
+    }
+};
+
+// D-Bus service shared by the applet instances
+const STATS_SERVICE = new StatsService();
+
+/**
+ * Escape an OpenMetrics label value
+ * @param {string} value - Label value
+ * @returns {string} Value with backslashes, quotes and line breaks escaped
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample in the OpenMetrics text format
+ * Every GPU is a labelled gauge in each family; families without values are left out
+ *
+ * @param {Array} stats - Array of per-GPU statistics (empty if there is no sample)
+ * @param {Object|null} deviceInfo - {driver, cuda, gpus} for the name labels, if known
+ * @returns {string} Exposition ending with "# EOF"
+ */
+function formatOpenMetrics(stats, deviceInfo) {
+    const lines = [];
+
+    for (let metric of EXPORTER_METRICS) {
+        const samples = [];
+        for (let gpuStats of stats) {
+            let value = gpuStats[metric.key];
+            if (metric.key === 'pstate' && typeof value === 'string') {
+                const match = value.match(/^P(\d+)$/);
+                value = match ? parseInt(match[1]) : null;
+            }
+            if (typeof value !== 'number' || isNaN(value)) {
+                continue;
+            }
+
+            const device = (deviceInfo && deviceInfo.gpus[gpuStats.index]) ? deviceInfo.gpus[gpuStats.index] : null;
+            let labels = 'gpu="' + gpuStats.index + '"';
+            if (device && device.name) {
+                labels += ',name="' + escapeLabelValue(device.name) + '"';
+            }
+            // Rounded to 12 significant digits so scaling adds no float noise (0.57, not 0.5700000000000001)
+            samples.push(metric.name + '{' + labels + '} ' + Number((value * metric.scale).toPrecision(12)));
+        }
+
+        if (samples.length === 0) {
+            continue;
+        }
+
+        lines.push('# TYPE ' + metric.name + ' gauge');
+        if (metric.unit) {
+            lines.push('# UNIT ' + metric.name + ' ' + metric.unit);
+        }
+        lines.push('# HELP ' + metric.name + ' ' + metric.help);
+        lines.push.apply(lines, samples);
+    }
+
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Find the head (request line and headers) of an HTTP request in the data received so far
+ * A head over EXPORTER_MAX_HEADER_LINES lines or EXPORTER_MAX_HEADER_SIZE bytes is too large
+ *
+ * @param {string} received - Request data received so far
+ * @returns {Object} {complete, tooLarge, requestLine}: complete once the blank line ending
+ *                   the headers arrived; requestLine is null until the first line is complete
+ */
+function parseRequestHead(received) {
+    // Every line but the last one is complete
+    const lines = received.split('\n');
+    const end = lines.slice(0, -1).findIndex(line => line.replace(/\r$/, '') === '');
+    const head = (end === -1) ? lines : lines.slice(0, end);
+
+    return {
+        complete: end !== -1,
+        tooLarge: head.join('\n').length > EXPORTER_MAX_HEADER_SIZE || head.length > EXPORTER_MAX_HEADER_LINES,
+        requestLine: (lines.length > 1 && end !== 0) ? lines[0].replace(/\r$/, '') : null
+    };
+}
+
+/**
+ * Build the HTTP response of the metrics exporter
+ * Only GET (and HEAD) of /metrics is served
+ *
+ * @param {string} requestLine - HTTP request line, e.g. "GET /metrics HTTP/1.1"
+ * @param {function} getMetrics - Returns the OpenMetrics exposition (only called for /metrics)
+ * @returns {string} Complete HTTP/1.1 response
+ */
+function exporterResponse(requestLine, getMetrics) {
+    const parts = (requestLine || '').split(' ');
+    const method = parts[0];
+    const path = (parts[1] || '').split('?')[0];
+
+    let status = '200 OK';
+    let type = EXPORTER_CONTENT_TYPE;
+    let body;
+    if (method !== 'GET' && method !== 'HEAD') {
+        status = '405 Method Not Allowed';
+        type = 'text/plain; charset=utf-8';
+        body = 'Method not allowed\n';
+    } else if (path !== '/metrics') {
+        status = '404 Not Found';
+        type = 'text/plain; charset=utf-8';
+        body = 'Metrics are served at /metrics\n';
+    } else {
+        body = getMetrics();
+    }
+
+    // Content-Length counts UTF-8 bytes (GPU names may not be ASCII)
+    const length = encodeURIComponent(body).replace(/%[0-9A-F]{2}/g, '_').length;
+    return 'HTTP/1.1 ' + status + '\r\n' +
+        'Content-Type: ' + type + '\r\n' +
+        'Content-Length: ' + length + '\r\n' +
+        'Connection: close\r\n' +
+        '\r\n' +
+        (method === 'HEAD' ? '' : body);
+}
+
+/**
+ * Metrics Exporter class
+ * Minimal HTTP listener on 127.0.0.1 serving /metrics in the OpenMetrics text format
+ * for a local Prometheus; the exposition is built on every scrape.
+ * Instances that enable the exporter share it; the first one provides the data and the port
+ */
+function MetricsExporter() {
+    this._init();
+}
+
+MetricsExporter.prototype = {
+    /**
+     * Initialize the MetricsExporter (not listening until a provider is added)
+     */
+    _init: function() {
+        this.providers = [];
+        this._service = null;
+        this.port = null;
+    },
+
+    /**
+     * Add an applet instance that provides data, or update its port and data source
+     * Listens on the first provider's port
+     *
+     * @param {Object} provider - Applet instance
+     * @param {number} port - TCP port the provider asks for
+     * @param {function} getMetrics - Returns the provider's current OpenMetrics exposition
+     * @returns {boolean} True if listening (false if the port is taken)
+     */
+    addProvider: function(provider, port, getMetrics) {
+        const entry = this.providers.find(candidate => candidate.provider === provider);
+        if (entry) {
+            entry.port = port;
+            entry.getMetrics = getMetrics;
+        } else {
+            this.providers.push({ provider: provider, port: port, getMetrics: getMetrics });
+        }
+        return this._listen();
+    },
+
+    /**
+     * Remove an applet instance; the next provider takes over, and the listener
+     * is closed after the last one
+     * @param {Object} provider - Applet instance
+     */
+    removeProvider: function(provider) {
+        const index = this.providers.findIndex(candidate => candidate.provider === provider);
+        if (index === -1) {
+            return;
+        }
+
+        this.providers.splice(index, 1);
+        if (this.providers.length === 0) {
+            this.stop();
+        } else if (index === 0) {
+            this._listen();
+        }
+    },
+
+    /**
+     * Listen on the first provider's port unless already doing so
+     * @returns {boolean} True if listening
+     */
+    _listen: function() {
+        const port = this.providers[0].port;
+        if (this.isListening() && this.port === port) {
+            return true;
+        }
+        return this.start(port);
+    },
+
+    /**
+     * Build the exposition served to a scrape, from the first provider
+     * @returns {string} OpenMetrics exposition
+     */
+    _getMetrics: function() {
+        return this.providers.length > 0 ? this.providers[0].getMetrics() : formatOpenMetrics([], null);
+    },
+
+    /**
+     * Listen on a localhost port, replacing any previous listener
+     * @param {number} port - TCP port
+     * @returns {boolean} True if listening (false if the port is taken)
+     */
+    start: function(port) {
+        this.stop();
+
+        try {
+            const service = new Gio.SocketService();
+            service.add_address(Gio.InetSocketAddress.new_from_string('127.0.0.1', port),
+                                Gio.SocketType.STREAM, Gio.SocketProtocol.TCP, null);
+            service.connect('incoming', (source, connection) => {
+                this._onIncoming(connection);
+                return true;
+            });
+            service.start();
+            this._service = service;
+            this.port = port;
+            this._log("Serving http://127.0.0.1:" + port + "/metrics");
+            return true;
+        } catch (error) {
+            this._logError("Failed to listen on port " + port + ": " + error);
+            return false;
+        }
+    },
+
+    /**
+     * Stop listening
+     */
+    stop: function() {
+        if (!this._service) {
+            return;
+        }
+
+        this._service.stop();
+        this._service.close();
+        this._service = null;
+        this._log("Stopped listening on port " + this.port);
+        this.port = null;
+    },
+
+    /**
+     * Check whether the exporter is listening
+     * @returns {boolean} True if listening
+     */
+    isListening: function() {
+        return this._service !== null;
+    },
+
+    /**
+     * Read a request (its headers too, so closing does not reset the connection) and answer it
+     * Connections that stay silent for EXPORTER_IDLE_TIMEOUT seconds, or whose headers exceed
+     * the limits, are closed, so a misbehaving client cannot hold sockets or memory
+     * @param {Gio.SocketConnection} connection - Accepted connection
+     */
+    _onIncoming: function(connection) {
+        const input = connection.get_input_stream();
+        const cancellable = new Gio.Cancellable();
+        let received = '';
+        let timeoutId = null;
+        let closed = false;
+
+        const close = () => {
+            if (closed) {
+                return;
+            }
+            closed = true;
+            if (timeoutId) {
+                Mainloop.source_remove(timeoutId);
+                timeoutId = null;
+            }
+            cancellable.cancel();
+            this._close(connection);
+        };
+
+        // Restarted whenever the client makes progress
+        const armTimeout = () => {
+            if (timeoutId) {
+                Mainloop.source_remove(timeoutId);
+            }
+            timeoutId = Mainloop.timeout_add_seconds(EXPORTER_IDLE_TIMEOUT, () => {
+                timeoutId = null;
+                this._log("Closing connection idle for " + EXPORTER_IDLE_TIMEOUT + "s");
+                close();
+                return false;
+            });
+        };
+
+        const read = () => {
+            input.read_bytes_async(EXPORTER_READ_SIZE, GLib.PRIORITY_DEFAULT, cancellable, (stream, result) => {
+                let bytes;
+                try {
+                    bytes = stream.read_bytes_finish(result);
+                } catch (error) {
+                    if (!closed) {
+                        this._logError("Failed to read request: " + error);
+                        close();
+                    }
+                    return;
+                }
+
+                const atEnd = bytes.get_size() === 0;
+                if (!atEnd) {
+                    received += ByteArray.toString(ByteArray.fromGBytes(bytes));
+                }
+
+                const head = parseRequestHead(received);
+                if (head.tooLarge) {
+                    this._logError("Request headers too large, closing the connection");
+                    close();
+                    return;
+                }
+
+                // End of headers (or of the stream): answer
+                armTimeout();
+                if (head.complete || atEnd) {
+                    this._respond(connection, head.requestLine, cancellable, close);
+                    return;
+                }
+                read();
+            });
+        };
+
+        armTimeout();
+        read();
+    },
+
+    /**
+     * Write the response, then close the connection
+     * @param {Gio.SocketConnection} connection - Connection to answer
+     * @param {string|null} requestLine - HTTP request line
+     * @param {Gio.Cancellable} cancellable - Cancelled when the connection times out
+     * @param {function} close - Closes the connection
+     */
+    _respond: function(connection, requestLine, cancellable, close) {
+        let bytes;
+        try {
+            bytes = new GLib.Bytes(ByteArray.fromString(exporterResponse(requestLine, () => this._getMetrics())));
+        } catch (error) {
+            this._logError("Failed to answer request: " + error);
+            close();
+            return;
+        }
+
+        const output = connection.get_output_stream();
+        const write = () => {
+            output.write_bytes_async(bytes, GLib.PRIORITY_DEFAULT, cancellable, (stream, result) => {
+                let written;
+                try {
+                    written = stream.write_bytes_finish(result);
+                } catch (error) {
+                    if (!cancellable.is_cancelled()) {
+                        this._logError("Failed to answer request: " + error);
+                    }
+                    close();
+                    return;
+                }
+
+                // Short write: send the rest
+                if (written < bytes.get_size()) {
+                    bytes = GLib.Bytes.new_from_bytes(bytes, written, bytes.get_size() - written);
+                    write();
+                    return;
+                }
+                close();
+            });
+        };
+        write();
+    },
+
+    /**
+     * Close a connection, ignoring errors (the client may be gone)
+     * @param {Gio.SocketConnection} connection - Connection
+     */
+    _close: function(connection) {
+        try {
+            connection.close(null);
+        } catch (error) {
+            this._log("Failed to close connection: " + error);
+        }
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [MetricsExporter] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [MetricsExporter] ERROR: " + message);
+    }
+};
+
+// Metrics exporter shared by the applet instances
+const METRICS_EXPORTER = new MetricsExporter();
+
+/**
+ * Collector groups of the running applet instances, by collector key (see collectorKey)
+ */
+const COLLECTOR_GROUPS = {};
+
+/**
+ * Build the key of the collector an applet instance needs
+ * Instances share a collector only when all of these settings match
+ *
+ * @param {string} backendPreference - BACKEND_AUTO or a BACKEND_* id
+ * @param {string} collectorMode - COLLECTOR_MODE_* value
+ * @param {number} refreshInterval - Refresh interval in seconds
+ * @param {number} commandTimeout - Command timeout in seconds
+ * @returns {string} Collector key
+ */
+function collectorKey(backendPreference, collectorMode, refreshInterval, commandTimeout) {
+    return [backendPreference, collectorMode, refreshInterval, commandTimeout].join('|');
+}
+
+/**
+ * Collector Group class
+ * Shares one backend (and its fallback) between the applet instances with the same
+ * collector key. Only the leader, the longest-running member, collects: it runs the
+ * timer or query loop and the process and device queries, and publishes every result
+ * to all members, so N instances never spawn N times the nvidia-smi processes.
+ * When the leader leaves, the next member takes over.
+ *
+ * @param {string} key - Collector key (see collectorKey)
+ * @param {string} backendPreference - BACKEND_AUTO or a BACKEND_* id
+ */
+function CollectorGroup(key, backendPreference) {
+    this._init(key, backendPreference);
+}
+
+CollectorGroup.prototype = {
+    /**
+     * Initialize the group with its shared backend and no members
+     */
+    _init: function(key, backendPreference) {
+        this.key = key;
+        this.backend = createBackend(backendPreference);
+        this.fallbackBackend = this.backend.id === BACKEND_NVIDIA ? new NvidiaProcfsBackend() : null;
+        this.members = [];
+
+        // Notifications shown for the sample being published (see notify)
+        this._notified = [];
+        this._log("Using " + this.backend.name + " backend for " + key);
+    },
+
+    /**
+     * Get the member that collects for the group
+     * @returns {Object|null} Leading applet instance, or null if the group is empty
+     */
+    getLeader: function() {
+        return this.members.length > 0 ? this.members[0] : null;
+    },
+
+    /**
+     * Add an applet instance (it leads if the group was empty)
+     * @param {Object} member - Applet instance
+     */
+    join: function(member) {
+        if (this.members.indexOf(member) === -1) {
+            this.members.push(member);
+        }
+    },
+
+    /**
+     * Remove an applet instance
+     * @param {Object} member - Applet instance
+     * @returns {Object|null} The new leader if the leader left, otherwise null
+     */
+    leave: function(member) {
+        const index = this.members.indexOf(member);
+        if (index === -1) {
+            return null;
+        }
+
+        this.members.splice(index, 1);
+        return index === 0 ? this.getLeader() : null;
+    },
+
+    /**
+     * Call a method on every member with the same arguments
+     * Members may leave while handling it, so a copy of the list is walked
+     *
+     * @param {string} method - Member method name (e.g. "_onStats")
+     * @param {Array} args - Arguments
+     */
+    publish: function(method, args) {
+        this._notified = [];
+        for (let member of this.members.slice()) {
+            try {
+                member[method].apply(member, args);
+            } catch (error) {
+                this._logError("Member failed to handle " + method + ": " + error);
+            }
+        }
+    },
+
+    /**
+     * Show a desktop notification once per published result,
+     * however many members raise the same one (e.g. identical alert rules)
+     *
+     * @param {string} title - Notification title
+     * @param {string} body - Notification body
+     */
+    notify: function(title, body) {
+        const id = title + "\n" + body;
+        if (this._notified.indexOf(id) !== -1) {
+            return;
+        }
+
+        this._notified.push(id);
+        Main.notify(title, body);
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [CollectorGroup] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [CollectorGroup] ERROR: " + message);
+    }
+};
+
+/**
+ * Add an applet instance to the collector group of a key, creating the group if needed
+ *
+ * @param {Object} member - Applet instance
+ * @param {string} key - Collector key (see collectorKey)
+ * @param {string} backendPreference - BACKEND_AUTO or a BACKEND_* id
+ * @returns {CollectorGroup} The group joined
+ */
+function joinCollectorGroup(member, key, backendPreference) {
+    if (!COLLECTOR_GROUPS[key]) {
+        COLLECTOR_GROUPS[key] = new CollectorGroup(key, backendPreference);
+    }
+
+    COLLECTOR_GROUPS[key].join(member);
+    return COLLECTOR_GROUPS[key];
+}
+
+/**
+ * Remove an applet instance from its collector group, dropping the group once empty
+ *
+ * @param {Object} member - Applet instance
+ * @param {CollectorGroup} group - Group to leave
+ * @returns {Object|null} The new leader if the leader left, otherwise null
+ */
+function leaveCollectorGroup(member, group) {
+    const leader = group.leave(member);
+    if (group.members.length === 0 && COLLECTOR_GROUPS[group.key] === group) {
+        delete COLLECTOR_GROUPS[group.key];
+    }
+    return leader;
+}
+
+/**
+ * Rich Tooltip class
+ * Tooltip actor shown while hovering the applet; unlike the plain text tooltip it can hold
+ * any actors (the applet fills it) and is refreshed while open
+ *
+ * @param {Clutter.Actor} anchor - Applet actor the tooltip belongs to
+ * @param {number} orientation - Panel edge (St.Side)
+ * @param {function} fill - Fills the actor; returns false when there is nothing to show
+ */
+function RichTooltip(anchor, orientation, fill) {
+    this._init(anchor, orientation, fill);
+}
+
+RichTooltip.prototype = {
+    /**
+     * Initialize the RichTooltip (hidden, added to the UI group)
+     */
+    _init: function(anchor, orientation, fill) {
+        this.anchor = anchor;
+        this.orientation = orientation;
+        this._fill = fill;
+        this.enabled = true;
+        this.visible = false;
+        this._showTimerId = null;
+
+        // Named like the theme's tooltips so it takes their background and border
+        this.actor = new St.BoxLayout({ name: 'Tooltip', vertical: true, style_class: 'gpu-rich-tooltip', reactive: false });
+        this.actor.hide();
+        Main.uiGroup.add_actor(this.actor);
+
+        this._signals = [
+            anchor.connect('enter-event', () => this._onEnter()),
+            anchor.connect('leave-event', () => this.hide()),
+            anchor.connect('button-press-event', () => this.hide())
+        ];
+    },
+
+    /**
+     * Enable or disable showing on hover
+     * @param {boolean} enabled - True to show on hover
+     */
+    setEnabled: function(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.hide();
+        }
+    },
+
+    /**
+     * Change the panel edge the tooltip is placed against
+     * @param {number} orientation - Panel edge (St.Side)
+     */
+    setOrientation: function(orientation) {
+        this.orientation = orientation;
+        this._reposition();
+    },
+
+    /**
+     * Show the tooltip after the hover delay
+     */
+    _onEnter: function() {
+        if (!this.enabled || this._showTimerId) {
+            return;
+        }
+
+        this._showTimerId = Mainloop.timeout_add(TOOLTIP_SHOW_DELAY, () => {
+            this._showTimerId = null;
+            this.show();
+            return false;
+        });
+    },
+
+    /**
+     * Fill and show the tooltip (nothing happens if there is nothing to show)
+     */
+    show: function() {
+        if (!this.enabled || !this._fill()) {
+            return;
+        }
+
+        this.actor.show();
+        this.visible = true;
+        this._reposition();
+    },
+
+    /**
+     * Refill the tooltip while it is shown (its size may change)
+     */
+    refresh: function() {
+        if (!this.visible) {
+            return;
+        }
+
+        if (!this._fill()) {
+            this.hide();
+            return;
+        }
+        this._reposition();
+    },
+
+    /**
+     * Hide the tooltip and cancel a pending show
+     */
+    hide: function() {
+        if (this._showTimerId) {
+            Mainloop.source_remove(this._showTimerId);
+            this._showTimerId = null;
+        }
+
+        this.actor.hide();
+        this.visible = false;
+    },
+
+    /**
+     * Place the tooltip next to the applet, away from the panel edge, within the monitor
+     */
+    _reposition: function() {
+        if (!this.visible) {
+            return;
+        }
+
+        const [anchorX, anchorY] = this.anchor.get_transformed_position();
+        const [anchorWidth, anchorHeight] = this.anchor.get_transformed_size();
+        const [, , width, height] = this.actor.get_preferred_size();
+        const monitor = Main.layoutManager.findMonitorForActor(this.anchor) || Main.layoutManager.primaryMonitor;
+        const gap = 4;
+
+        let x = anchorX + (anchorWidth - width) / 2;
+        let y = anchorY + anchorHeight + gap;
+        if (this.orientation === St.Side.BOTTOM) {
+            y = anchorY - height - gap;
+        } else if (this.orientation === St.Side.LEFT) {
+            x = anchorX + anchorWidth + gap;
+            y = anchorY;
+        } else if (this.orientation === St.Side.RIGHT) {
+            x = anchorX - width - gap;
+            y = anchorY;
+        }
+
+        x = Math.max(monitor.x, Math.min(x, monitor.x + monitor.width - width));
+        y = Math.max(monitor.y, Math.min(y, monitor.y + monitor.height - height));
+        this.actor.set_position(Math.round(x), Math.round(y));
+    },
+
+    /**
+     * Disconnect from the applet and destroy the actor
+     */
+    destroy: function() {
+        this.hide();
+        for (let id of this._signals) {
+            this.anchor.disconnect(id);
+        }
+        this._signals = [];
+        this.actor.destroy();
+    }
+};
+
+/**
+ * Main applet class
+ * Now extends base Applet (not TextApplet) to support custom widgets
+ */
+function MyApplet(metadata, orientation, panel_height, instance_id) {
+    this._init(metadata, orientation, panel_height, instance_id);
+}
+
+MyApplet.prototype = {
+    __proto__: Applet.Applet.prototype,
+
+    /**
+     * Initialize the applet
+     *
+     * @param {Object} metadata - Applet metadata from metadata.json
+     * @param {Number} orientation - Panel orientation
+     * @param {Number} panel_height - Height of the panel
+     * @param {Number} instance_id - Unique instance identifier
+     */
+    _init: function(metadata, orientation, panel_height, instance_id) {
+        Applet.Applet.prototype._init.call(this, orientation, panel_height, instance_id);
+
+        // Metrics are stacked on left/right panels
+        this.setAllowedLayout(Applet.AllowedLayout.BOTH);
+
+        // Store metadata and instance info
+        this.metadata = metadata;
+        this.instance_id = instance_id;
+        this.orientation = orientation;
+        this.panelHeight = panel_height;
+
+        // Initialize settings
+        try {
+            this.settings = new Settings.AppletSettings(this, metadata.uuid, instance_id);
+            this.settings.bind("layout", "layoutMode", this._onLayoutChanged.bind(this));
+            this.settings.bind("refreshInterval", "refreshInterval", this._onRefreshIntervalChanged.bind(this));
+            this.settings.bind("collectorMode", "collectorMode", this._onCollectorModeChanged.bind(this));
+            this.settings.bind("backend", "backendPreference", this._onBackendChanged.bind(this));
+            this.settings.bind("commandTimeout", "commandTimeout", this._onTimeoutSettingsChanged.bind(this));
+            this.settings.bind("staleThreshold", "staleThreshold", this._onTimeoutSettingsChanged.bind(this));
+            this.settings.bind("gpuSelection", "gpuSelection", this._onGpuSelectionChanged.bind(this));
+            this.settings.bind("gpuIndex", "gpuIndex", this._onGpuSelectionChanged.bind(this));
+
+            // Panel metrics
+            this.settings.bind("panelMetrics", "panelMetrics", this._onMetricsChanged.bind(this));
+            this.settings.bind("gridRows", "gridRows", this._onMetricsChanged.bind(this));
+
+            // Alerts
+            this.settings.bind("alertsEnabled", "alertsEnabled", this._onAlertSettingsChanged.bind(this));
+            this.settings.bind("alertRules", "alertRules", this._onAlertSettingsChanged.bind(this));
+            this.settings.bind("alertConsecutive", "alertConsecutive", this._onAlertSettingsChanged.bind(this));
+            this.settings.bind("alertCooldown", "alertCooldown", this._onAlertSettingsChanged.bind(this));
+            this.settings.bind("alertNotifyRecovery", "alertNotifyRecovery", this._onAlertSettingsChanged.bind(this));
+
+            // Recording
+            this.settings.bind("recordFormat", "recordFormat", this._onRecordSettingsChanged.bind(this));
+            this.settings.bind("recordEvery", "recordEvery", this._onRecordSettingsChanged.bind(this));
+            this.settings.bind("recordMaxSize", "recordMaxSize", this._onRecordSettingsChanged.bind(this));
+            this.settings.bind("recordRetention", "recordRetention", this._onRecordSettingsChanged.bind(this));
+
+            // Integration
+            this.settings.bind("dbusService", "dbusService", this._onDbusServiceChanged.bind(this));
+            this.settings.bind("metricsExporter", "metricsExporter", this._onExporterSettingsChanged.bind(this));
+            this.settings.bind("metricsPort", "metricsPort", this._onExporterSettingsChanged.bind(this));
+
+            // Process list
+            this.settings.bind("showProcesses", "showProcesses", this._onProcessSettingsChanged.bind(this));
+            this.settings.bind("processLimit", "processLimit", this._onProcessSettingsChanged.bind(this));
+            this.settings.bind("processSort", "processSort", this._onProcessSettingsChanged.bind(this));
+
+            // History graphs
+            this.settings.bind("graphMode", "graphMode", this._onStyleChanged.bind(this));
+            this.settings.bind("graphStyle", "graphStyle", this._onGraphAppearanceChanged.bind(this));
+            this.settings.bind("graphWidth", "graphWidth", this._onStyleChanged.bind(this));
+            this.settings.bind("historyLength", "historyLength", this._onHistoryLengthChanged.bind(this));
+            this.settings.bind("graphColorGpu", "graphColorGpu", this._onGraphAppearanceChanged.bind(this));
+            this.settings.bind("graphColorMem", "graphColorMem", this._onGraphAppearanceChanged.bind(this));
+            this.settings.bind("graphColorTemp", "graphColorTemp", this._onGraphAppearanceChanged.bind(this));
+            this.settings.bind("graphColorFan", "graphColorFan", this._onGraphAppearanceChanged.bind(this));
+            this.settings.bind("graphColorPower", "graphColorPower", this._onGraphAppearanceChanged.bind(this));
+            this.settings.bind("graphColorVram", "graphColorVram", this._onGraphAppearanceChanged.bind(this));
+            this.settings.bind("graphColorOther", "graphColorOther", this._onGraphAppearanceChanged.bind(this));
+
+            // Styling settings
+            this.settings.bind("enableColorCoding", "enableColorCoding", this._onStyleChanged.bind(this));
+            this.settings.bind("showThrottleIndicator", "showThrottleIndicator", this._onStyleChanged.bind(this));
+            this.settings.bind("colorScope", "colorScope", this._onStyleChanged.bind(this));
+            this.settings.bind("colorMode", "colorMode", this._onStyleChanged.bind(this));
+            this.settings.bind("colorMetric", "colorMetric", this._onStyleChanged.bind(this));
+            this.settings.bind("colorRules", "colorRules", this._onColorRulesChanged.bind(this));
+            this.settings.bind("fontSize", "fontSize", this._onStyleChanged.bind(this));
+            this.settings.bind("fontFamily", "fontFamily", this._onStyleChanged.bind(this));
+            this.settings.bind("verticalPadding", "verticalPadding", this._onStyleChanged.bind(this));
+            this.settings.bind("horizontalPadding", "horizontalPadding", this._onStyleChanged.bind(this));
+            this.settings.bind("lineSpacing", "lineSpacing", this._onStyleChanged.bind(this));
+            this.settings.bind("itemSpacing", "itemSpacing", this._onStyleChanged.bind(this));
+            this.settings.bind("boldText", "boldText", this._onStyleChanged.bind(this));
+            this.settings.bind("textShadow", "textShadow", this._onStyleChanged.bind(this));
+            this.settings.bind("labelStyle", "labelStyle", this._onStyleChanged.bind(this));
+            this.settings.bind("temperatureUnit", "temperatureUnit", this._onUnitsChanged.bind(this));
+            this.settings.bind("memoryUnit", "memoryUnit", this._onUnitsChanged.bind(this));
+            this.settings.bind("tooltipStyle", "tooltipStyle", this._onTooltipStyleChanged.bind(this));
+            this.settings.bind("customTemplate", "customTemplate", this._onTemplateChanged.bind(this));
+            this.settings.bind("enableBackground", "enableBackground", this._onStyleChanged.bind(this));
+            this.settings.bind("backgroundColor", "backgroundColor", this._onStyleChanged.bind(this));
+            this.settings.bind("enableBorder", "enableBorder", this._onStyleChanged.bind(this));
+            this.settings.bind("borderColor", "borderColor", this._onStyleChanged.bind(this));
+            this.settings.bind("borderWidth", "borderWidth", this._onStyleChanged.bind(this));
+            this.settings.bind("tempWarningThreshold", "tempWarningThreshold", this._onStyleChanged.bind(this));
+            this.settings.bind("tempCriticalThreshold", "tempCriticalThreshold", this._onStyleChanged.bind(this));
+            this.settings.bind("metricWarningThreshold", "metricWarningThreshold", this._onStyleChanged.bind(this));
+            this.settings.bind("metricCriticalThreshold", "metricCriticalThreshold", this._onStyleChanged.bind(this));
+            this.settings.bind("colorNormal", "colorNormal", this._onStyleChanged.bind(this));
+            this.settings.bind("colorWarning", "colorWarning", this._onStyleChanged.bind(this));
+            this.settings.bind("colorCritical", "colorCritical", this._onStyleChanged.bind(this));
+
+            this._log("Settings initialized successfully");
+        } catch (error) {
+            // If settings fail, use defaults
+            this.layoutMode = LAYOUT_SINGLE_ROW;
+            this.refreshInterval = REFRESH_INTERVAL_DEFAULT;
+            this.collectorMode = COLLECTOR_MODE_STREAM;
+            this.backendPreference = BACKEND_AUTO;
+            this.commandTimeout = COMMAND_TIMEOUT_DEFAULT;
+            this.staleThreshold = STALE_THRESHOLD_DEFAULT;
+            this.gpuSelection = GPU_SELECTION_ALL;
+            this.gpuIndex = 0;
+            this.panelMetrics = DEFAULT_METRICS.map(metric => ({ metric: metric, enabled: true }));
+            this.gridRows = GRID_ROWS_DEFAULT;
+            this.graphMode = GRAPH_MODE_OFF;
+            this.graphStyle = GRAPH_STYLE_LINE;
+            this.graphWidth = 40;
+            this.historyLength = HISTORY_LENGTH_DEFAULT;
+            this.graphColorGpu = "rgba(96, 165, 250, 1.0)";
+            this.graphColorMem = "rgba(167, 139, 250, 1.0)";
+            this.graphColorTemp = "rgba(251, 146, 60, 1.0)";
+            this.graphColorFan = "rgba(45, 212, 191, 1.0)";
+            this.graphColorPower = "rgba(250, 204, 21, 1.0)";
+            this.graphColorVram = "rgba(244, 114, 182, 1.0)";
+            this.graphColorOther = "rgba(229, 231, 235, 1.0)";
+            this.alertsEnabled = true;
+            this.alertRules = [
+                { enabled: true, metric: "temp", threshold: 85, hysteresis: 5 },
+                { enabled: true, metric: "vramPct", threshold: 95, hysteresis: 5 }
+            ];
+            this.alertConsecutive = ALERT_CONSECUTIVE_DEFAULT;
+            this.alertCooldown = ALERT_COOLDOWN_DEFAULT;
+            this.alertNotifyRecovery = true;
+            this.recordFormat = RECORD_FORMAT_CSV;
+            this.recordEvery = 1;
+            this.recordMaxSize = RECORD_MAX_SIZE_DEFAULT;
+            this.recordRetention = RECORD_RETENTION_DEFAULT;
+            this.dbusService = false;
+            this.metricsExporter = false;
+            this.metricsPort = EXPORTER_PORT_DEFAULT;
+            this.showProcesses = true;
+            this.processLimit = PROCESS_LIMIT_DEFAULT;
+            this.processSort = PROCESS_SORT_VRAM;
+            this.enableColorCoding = true;
+            this.colorScope = COLOR_SCOPE_LABEL;
+            this.colorMode = COLOR_MODE_STEPS;
+            this.colorMetric = COLOR_METRIC_DEFAULT;
+            this.colorRules = [];
+            this.showThrottleIndicator = true;
+            this.fontSize = 9;
+            this.fontFamily = "monospace";
+            this.verticalPadding = 2;
+            this.horizontalPadding = 8;
+            this.lineSpacing = 4;
+            this.itemSpacing = 1;
+            this.boldText = false;
+            this.textShadow = false;
+            this.labelStyle = "full";
+            this.temperatureUnit = TEMP_UNIT_CELSIUS;
+            this.memoryUnit = MEMORY_UNIT_MIB;
+            this.tooltipStyle = TOOLTIP_STYLE_RICH;
+            this.customTemplate = CUSTOM_TEMPLATE_DEFAULT;
+            this.enableBackground = false;
+            this.backgroundColor = "rgba(0, 0, 0, 0.5)";
+            this.enableBorder = false;
+            this.borderColor = "rgba(255, 255, 255, 0.3)";
+            this.borderWidth = 1;
+            this.tempWarningThreshold = 70;
+            this.tempCriticalThreshold = 85;
+            this.metricWarningThreshold = 70;
+            this.metricCriticalThreshold = 90;
+            this.colorNormal = "rgba(74, 222, 128, 1.0)";
+            this.colorWarning = "rgba(251, 191, 36, 1.0)";
+            this.colorCritical = "rgba(239, 68, 68, 1.0)";
+            this._logError("Settings initialization failed, using defaults: " + error);
+        }
+
+        // Initialize components (the backend is shared with instances of the same collector settings)
+        this._onPanel = false;
+        this._joinCollector();
+        this.layoutManager = new LayoutManager();
+        this.layoutManager.setLayout(this.layoutMode || LAYOUT_SINGLE_ROW);
+        this.layoutManager.setVertical(this._isVertical());
+        this.layoutManager.setGpuSelection(this.gpuSelection || GPU_SELECTION_ALL, this.gpuIndex);
+        this.layoutManager.setMetrics(this._getPanelMetrics());
+        this.layoutManager.setGridRows(this.gridRows);
+        this._templateError = this.layoutManager.setTemplate(this.customTemplate || CUSTOM_TEMPLATE_DEFAULT);
+        this.layoutManager.setValueColorizer((key, stats) => this._getValueColor(key, stats));
+        this._applyColorRules();
+        this.alertManager = new AlertManager();
+        this._applyAlertSettings();
+        this._applyUnits();
+        this.recorder = new StatsRecorder(GLib.get_user_data_dir() + "/nv-stats", () => this._onRecordingFailed());
+        this._applyRecordSettings();
+
+        // Number of GPUs seen in the last sample (drives the GPU menu items)
+        this._gpuCount = 0;
+
+        // Timer state (the fallback timer polls the fallback backend while the query loop is down)
+        this._timerId = null;
+        this._fallbackTimerId = null;
+        this._staleTimerId = null;
+
+        // A poll is in flight until its callback fires; ticks are skipped meanwhile
+        this._pollPending = false;
+
+        // Time of the last good sample and whether the panel shows it as stale
+        this._lastSampleTime = 0;
+        this._stale = false;
+        if (!this.refreshInterval) {
+            this.refreshInterval = REFRESH_INTERVAL_DEFAULT;
+        }
+
+        // Last successful sample (re-rendered on settings changes in stream mode)
+        this._lastStats = null;
+
+        // Per-GPU metric history (panel graphs and dashboard charts) and session aggregates
+        this.history = new MetricHistory(this._getHistoryCapacity());
+        this.sessionStats = new SessionStats();
+        this._applySessionThresholds();
+
+        // Processes using the GPUs (refreshed with every new sample)
+        this._processes = null;
+        this._processesPending = false;
+
+        // Device identity (names, driver/CUDA version), fetched once
+        this.deviceInfo = null;
+        this._deviceInfoPending = false;
+
+        // Error tracking and collector health (see HEALTH_*)
+        this._errorCount = 0;
+        this._consecutiveErrors = 0;
+        this._health = HEALTH_HEALTHY;
+        this._diagnosis = null;
+        this._nextRetryTime = 0;
+
+        // Create UI
+        this._createUI();
+
+        // Set tooltip (the rich tooltip takes over once there is data, see _updateTooltip)
+        this.set_applet_tooltip("NV-Stats\nInitializing...");
+        this._richTooltip = new RichTooltip(this.actor, orientation, () => this._fillRichTooltip());
+        this._richTooltip.setEnabled(this.tooltipStyle !== TOOLTIP_STYLE_TEXT);
+        this._buildRichTooltip();
+
+        // Ensure actor responds to events properly
+        this.actor.set_reactive(true);
+
+        // Left-click popup dashboard
+        this._setupDashboard(orientation);
+
+        // Create context menu items (will be called after parent is fully initialized)
+        // Delay slightly to ensure context menu is ready
+        Mainloop.idle_add(() => {
+            this._setupContextMenu();
+            return false;
+        });
+
+        // Log initialization
+        this._log("Applet initialized with layout: " + this.layoutMode);
+    },
+
+    /**
+     * Set up the right-click context menu items
+     */
+    _setupContextMenu: function() {
+        // Add separator before our custom items
+        this._applet_context_menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+        // Layout section header
+        let layoutHeader = new PopupMenu.PopupMenuItem("Display Layout", { reactive: false });
+        this._applet_context_menu.addMenuItem(layoutHeader);
+
+        // Single-row layout option
+        this._singleRowItem = new PopupMenu.PopupMenuItem("  Single Row");
+        this._singleRowItem.connect('activate', () => {
+            this._onMenuLayoutChanged(LAYOUT_SINGLE_ROW);
+        });
+        this._applet_context_menu.addMenuItem(this._singleRowItem);
+
+        // Two-row layout option
+        this._twoRowItem = new PopupMenu.PopupMenuItem("  Multi-Row Grid (2x2)");
+        this._twoRowItem.connect('activate', () => {
+            this._onMenuLayoutChanged(LAYOUT_TWO_ROW);
+        });
+        this._applet_context_menu.addMenuItem(this._twoRowItem);
+
+        // Refresh interval section
+        this._applet_context_menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        let refreshHeader = new PopupMenu.PopupMenuItem("Refresh Interval", { reactive: false });
+        this._applet_context_menu.addMenuItem(refreshHeader);
+
+        // Create refresh interval menu items
+        this._refreshItems = {};
+        for (let interval of REFRESH_INTERVALS) {
+            let item = new PopupMenu.PopupMenuItem("  " + interval + " second" + (interval > 1 ? "s" : ""));
+            item.connect('activate', () => {
+                this._onMenuRefreshChanged(interval);
+            });
+            this._applet_context_menu.addMenuItem(item);
+            this._refreshItems[interval] = item;
+        }
+
+        // GPU selection section
+        this._applet_context_menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        let gpuHeader = new PopupMenu.PopupMenuItem("GPU Selection", { reactive: false });
+        this._applet_context_menu.addMenuItem(gpuHeader);
+
+        this._gpuSelectionItems = {};
+        const selectionLabels = [
+            [GPU_SELECTION_ALL, "  All GPUs"],
+            [GPU_SELECTION_AVERAGE, "  Average of All GPUs"],
+            [GPU_SELECTION_MAX, "  Maximum of All GPUs"]
+        ];
+        for (let [selection, label] of selectionLabels) {
+            let item = new PopupMenu.PopupMenuItem(label);
+            item.connect('activate', () => {
+                this._onMenuGpuSelectionChanged(selection, this.gpuIndex);
+            });
+            this._applet_context_menu.addMenuItem(item);
+            this._gpuSelectionItems[selection] = item;
+        }
+
+        // Per-GPU items are rebuilt whenever the number of detected GPUs changes
+        this._gpuItemsSection = new PopupMenu.PopupMenuSection();
+        this._applet_context_menu.addMenuItem(this._gpuItemsSection);
+        this._gpuIndexItems = {};
+        this._rebuildGpuMenuItems();
+
+        // Recording toggle
+        this._applet_context_menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._recordItem = new PopupMenu.PopupMenuItem("Start recording");
+        this._recordItem.connect('activate', () => {
+            this._onToggleRecording();
+        });
+        this._applet_context_menu.addMenuItem(this._recordItem);
+
+        // Session statistics (tooltip and dashboard)
+        let resetItem = new PopupMenu.PopupMenuItem("Reset statistics");
+        resetItem.connect('activate', () => {
+            this._onResetStatistics();
+        });
+        this._applet_context_menu.addMenuItem(resetItem);
+
+        // Update menu to show current selections
+        this._updateMenuStates();
+
+        this._log("Context menu items added");
+    },
+
+    /**
+     * Rebuild the "GPU N" context menu items from the last known GPU count
+     */
+    _rebuildGpuMenuItems: function() {
+        if (!this._gpuItemsSection) {
+            return;
+        }
+
+        this._gpuItemsSection.removeAll();
+        this._gpuIndexItems = {};
+
+        for (let index = 0; index < this._gpuCount; index++) {
+            let item = new PopupMenu.PopupMenuItem("  GPU " + index);
+            item.connect('activate', () => {
+                this._onMenuGpuSelectionChanged(GPU_SELECTION_SINGLE, index);
+            });
+            this._gpuItemsSection.addMenuItem(item);
+            this._gpuIndexItems[index] = item;
+        }
+
+        this._log("GPU menu items rebuilt for " + this._gpuCount + " GPU(s)");
+    },
+
+    /**
+     * Left-click toggles the popup dashboard
+     */
+    on_applet_clicked: function(event) {
+        this.menu.toggle();
+        return true;
+    },
+
+    /**
+     * Create the left-click popup dashboard
+     * GPU sections are created once GPUs are known (see _updateDashboard)
+     *
+     * @param {Number} orientation - Panel orientation
+     */
+    _setupDashboard: function(orientation) {
+        this.menuManager = new PopupMenu.PopupMenuManager(this);
+        this.menu = new Applet.AppletPopupMenu(this, orientation);
+        this.menuManager.addMenu(this.menu);
+
+        this._dashboardWindow = DASHBOARD_WINDOW_DEFAULT;
+        this._dashboardGpus = [];
+
+        // Header: session info and chart window selector
+        let headerItem = new PopupMenu.PopupBaseMenuItem({ reactive: false });
+        let headerBox = new St.BoxLayout({ vertical: false, style_class: 'gpu-dashboard-header' });
+
+        this._dashboardStatus = new St.Label({
+            text: "Waiting for data...",
+            style_class: 'gpu-dashboard-subtitle'
+        });
+        headerBox.add(this._dashboardStatus, { expand: true });
+
+        this._dashboardWindowButtons = {};
+        for (let minutes of DASHBOARD_WINDOWS) {
+            let button = new St.Button({
+                label: minutes + " min",
+                style_class: 'gpu-dashboard-window-button',
+                toggle_mode: true
+            });
+            button.connect('clicked', () => {
+                this._onDashboardWindowChanged(minutes);
+            });
+            headerBox.add(button);
+            this._dashboardWindowButtons[minutes] = button;
+        }
+
+        headerItem.addActor(headerBox, { expand: true });
+        this.menu.addMenuItem(headerItem);
+
+        this._dashboardSection = new PopupMenu.PopupMenuSection();
+        this.menu.addMenuItem(this._dashboardSection);
+
+        this._updateDashboardWindowButtons();
+
+        // Refresh as soon as it opens; while open, every new sample updates it
+        this.menu.connect('open-state-changed', (menu, open) => {
+            if (open) {
+                if (!this.deviceInfo) {
+                    this._fetchDeviceInfo();
+                }
+                this._updateDashboard();
+            }
+        });
+    },
+
+    /**
+     * Fetch device identity once (retried when the dashboard opens if it failed)
+     */
+    _fetchDeviceInfo: function() {
+        // The collector group leader queries once for all members
+        const leader = this._collector.getLeader();
+        if (leader !== this) {
+            if (leader.deviceInfo) {
+                this._onDeviceInfo(leader.deviceInfo);
+            } else {
+                leader._fetchDeviceInfo();
+            }
+            return;
+        }
+
+        if (this._deviceInfoPending) {
+            return;
+        }
+
+        this._deviceInfoPending = true;
+        const collector = this._collector;
+        this.backend.getDeviceInfo((info) => {
+            if (!info && this.fallbackBackend) {
+                this.fallbackBackend.getDeviceInfo((fallbackInfo) => {
+                    collector.publish('_onDeviceInfo', [fallbackInfo]);
+                });
+                return;
+            }
+            collector.publish('_onDeviceInfo', [info]);
+        });
+    },
+
+    /**
+     * Store fetched device identity
+     * @param {Object|null} info - {driver, cuda, gpus}, or null if the query failed
+     */
+    _onDeviceInfo: function(info) {
+        this._deviceInfoPending = false;
+        if (!info) {
+            return;
+        }
+
+        this.deviceInfo = info;
+        if (this.menu.isOpen) {
+            this._updateDashboard();
+        }
+        this._richTooltip.refresh();
+    },
+
+    /**
+     * Called when a chart window button is clicked
+     *
+     * @param {number} minutes - Chart window in minutes
+     */
+    _onDashboardWindowChanged: function(minutes) {
+        this._dashboardWindow = minutes;
+        this._updateDashboardWindowButtons();
+
+        for (let section of this._dashboardGpus) {
+            section.chart.queue_repaint();
+        }
+    },
+
+    /**
+     * Check the button of the selected chart window
+     */
+    _updateDashboardWindowButtons: function() {
+        for (let minutes in this._dashboardWindowButtons) {
+            this._dashboardWindowButtons[minutes].set_checked(parseInt(minutes) === this._dashboardWindow);
+        }
+    },
+
+    /**
+     * Create one dashboard section per GPU
+     *
+     * @param {number} count - Number of GPUs
+     */
+    _rebuildDashboardGpus: function(count) {
+        this._dashboardSection.removeAll();
+        this._dashboardGpus = [];
+
+        for (let position = 0; position < count; position++) {
+            let item = new PopupMenu.PopupBaseMenuItem({ reactive: false });
+            let box = new St.BoxLayout({ vertical: true, style_class: 'gpu-dashboard-gpu' });
+
+            let title = new St.Label({ style_class: 'gpu-dashboard-title' });
+            let subtitle = new St.Label({ style_class: 'gpu-dashboard-subtitle' });
+            let table = new St.Label({ style_class: 'gpu-dashboard-table' });
+            let processes = new St.Label({ style_class: 'gpu-dashboard-table' });
+            let chart = new St.DrawingArea({ style_class: 'gpu-dashboard-chart' });
+
+            let legend = this._createChartLegend();
+
+            box.add(title);
+            box.add(subtitle);
+            box.add(table);
+            box.add(processes);
+            box.add(chart);
+            box.add(legend);
+            item.addActor(box, { expand: true });
+
+            if (position > 0) {
+                this._dashboardSection.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            }
+            this._dashboardSection.addMenuItem(item);
+
+            const section = { title: title, subtitle: subtitle, table: table, processes: processes, chart: chart, legend: legend, stats: null };
+            chart.connect('repaint', () => this._drawHistoryChart(chart, section.stats, this._dashboardWindow));
+            this._dashboardGpus.push(section);
+        }
+
+        this._log("Dashboard rebuilt for " + count + " GPU(s)");
+    },
+
+    /**
+     * Refresh the dashboard from the last sample, the session aggregates and the history
+     */
+    _updateDashboard: function() {
+        const stats = this._lastStats;
+        if (!stats) {
+            this._dashboardStatus.set_text(this._diagnosis ? "No data: " + this._formatDiagnosis() : "Waiting for data...");
+            return;
+        }
+
+        if (stats.length !== this._dashboardGpus.length) {
+            this._rebuildDashboardGpus(stats.length);
+        }
+
+        const info = this.deviceInfo;
+        let status = "Session " + this._formatDuration(Date.now() - this.sessionStats.startTime);
+        if (info) {
+            status = "Driver " + (info.driver || "--") + (info.cuda ? "  CUDA " + info.cuda : "") + "  |  " + status;
+        }
+        this._dashboardStatus.set_text(status);
+
+        stats.forEach((gpuStats, position) => {
+            const section = this._dashboardGpus[position];
+            const device = (info && info.gpus[gpuStats.index]) ? info.gpus[gpuStats.index] : null;
+
+            section.stats = gpuStats;
+            section.title.set_text("GPU " + gpuStats.index + (device ? ": " + device.name : ""));
+            const reasons = getThrottleReasons(gpuStats.throttle);
+            section.subtitle.set_text((device ? "Bus " + device.busId : "") +
+                                      (reasons.length > 0 ? (device ? "  |  " : "") + "Throttling: " +
+                                       reasons.map(reason => reason.description).join(", ") : ""));
+            section.table.set_text(this._formatDashboardTable(gpuStats));
+            section.processes.visible = this.showProcesses;
+            section.processes.set_text(this._formatDashboardProcesses(gpuStats.index));
+            section.chart.queue_repaint();
+        });
+    },
+
+    /**
+     * Build the metric table of one GPU: current value and session min/avg/max
+     *
+     * @param {Object} gpuStats - Per-GPU statistics
+     * @returns {string} Monospace table text
+     */
+    _formatDashboardTable: function(gpuStats) {
+        const source = String(gpuStats.index);
+        const format = (key, value) => this.layoutManager.formatUnits(key, value, "full", gpuStats);
+        const columns = (cells) => cells[0].padEnd(22) + cells.slice(1).map(cell => cell.padStart(9)).join("");
+
+        const lines = [columns(["Metric", "Now", "Min", "Avg", "Max"])];
+        for (let key in METRICS) {
+            if (gpuStats[key] === undefined || gpuStats[key] === null) {
+                continue;
+            }
+
+            const aggregate = this.sessionStats.get(source, key);
+            lines.push(columns([
+                METRICS[key].description,
+                format(key, gpuStats[key]),
+                aggregate ? format(key, aggregate.min) : "--",
+                aggregate ? format(key, aggregate.mean) : "--",
+                aggregate ? format(key, aggregate.max) : "--"
+            ]));
+        }
+
+        return lines.join("\n");
+    },
+
+    /**
+     * Build the process table of one GPU
+     *
+     * @param {number} gpuIndex - GPU index
+     * @returns {string} Monospace table text
+     */
+    _formatDashboardProcesses: function(gpuIndex) {
+        if (!this._processes) {
+            return "Processes: --";
+        }
+
+        const processes = this._getTopProcesses(gpuIndex);
+        if (processes.length === 0) {
+            return "Processes: none";
+        }
+
+        const lines = ["    PID  " + "Process".padEnd(20) + "VRAM".padStart(10) + "    SM"];
+        for (let process of processes) {
+            lines.push(this._formatProcessLine(process));
+        }
+        return lines.join("\n");
+    },
+
+    /**
+     * Create the color legend of the history charts
+     * @returns {St.BoxLayout} Legend
+     */
+    _createChartLegend: function() {
+        let legend = new St.BoxLayout({ vertical: false, style_class: 'gpu-dashboard-legend' });
+        for (let key of DASHBOARD_CHART_METRICS) {
+            legend.add(new St.Label({
+                text: "■ " + METRICS[key].full,
+                style: 'color: ' + this._getGraphColor(key) + ';'
+            }));
+        }
+        return legend;
+    },
+
+    /**
+     * Paint the history chart of one GPU (dashboard and rich tooltip)
+     * Every series is scaled to its own maximum (utilization and temperature to 100,
+     * power to the cap, VRAM to the total) so they share one 0-100% axis
+     *
+     * @param {St.DrawingArea} area - Chart drawing area
+     * @param {Object|null} gpuStats - Per-GPU statistics of the GPU (nothing is drawn if null)
+     * @param {number} minutes - Chart window in minutes
+     */
+    _drawHistoryChart: function(area, gpuStats, minutes) {
+        const cr = area.get_context();
+        const [width, height] = area.get_surface_size();
+
+        // Background and 25% grid lines
+        cr.setSourceRGBA(1, 1, 1, 0.05);
+        cr.rectangle(0, 0, width, height);
+        cr.fill();
+        cr.setSourceRGBA(1, 1, 1, 0.15);
+        for (let quarter = 1; quarter < 4; quarter++) {
+            cr.moveTo(0, Math.round(height * quarter / 4) + 0.5);
+            cr.lineTo(width, Math.round(height * quarter / 4) + 0.5);
+        }
+        cr.setLineWidth(1);
+        cr.stroke();
+
+        if (gpuStats) {
+            const windowMs = minutes * 60 * 1000;
+            const start = Date.now() - windowMs;
+            const source = String(gpuStats.index);
+
+            for (let key of DASHBOARD_CHART_METRICS) {
+                const buffer = this.history.get(source, key);
+                if (!buffer) {
+                    continue;
+                }
+
+                const samples = buffer.samples(start);
+                const max = this._getGraphMax(key, gpuStats, samples.map(sample => sample.value));
+                if (samples.length === 0 || max <= 0) {
+                    continue;
+                }
+
+                const [red, green, blue, alpha] = parseColor(this._getGraphColor(key));
+                cr.setSourceRGBA(red, green, blue, alpha);
+                drawSeries(cr, samples.map(sample => ({ x: (sample.time - start) / windowMs, value: sample.value })),
+                           width, height, max, GRAPH_STYLE_LINE, samples.length);
+            }
+        }
+
+        cr.$dispose();
+    },
+
+    /**
+     * Format a duration for display
+     *
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Duration, e.g. "1h 05m" or "12m 30s"
+     */
+    _formatDuration: function(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const pad = (value) => String(value).padStart(2, '0');
+
+        if (hours > 0) {
+            return hours + "h " + pad(minutes) + "m";
+        }
+        return minutes + "m " + pad(seconds % 60) + "s";
+    },
+
+    /**
+     * Update menu items to show current selections
+     */
+    _updateMenuStates: function() {
+        // Update layout indicators
+        const currentLayout = this.layoutManager.getLayout();
+        if (this._singleRowItem && this._twoRowItem) {
+            this._singleRowItem.setShowDot(currentLayout === LAYOUT_SINGLE_ROW);
+            this._twoRowItem.setShowDot(currentLayout === LAYOUT_TWO_ROW);
+        }
+
+        // Update refresh interval indicators
+        for (let interval in this._refreshItems) {
+            let item = this._refreshItems[interval];
+            item.setShowDot(parseInt(interval) === this.refreshInterval);
+        }
+
+        // Update GPU selection indicators
+        const gpuSelection = this.layoutManager.gpuSelection;
+        for (let selection in this._gpuSelectionItems) {
+            this._gpuSelectionItems[selection].setShowDot(selection === gpuSelection);
+        }
+        for (let index in this._gpuIndexItems) {
+            this._gpuIndexItems[index].setShowDot(gpuSelection === GPU_SELECTION_SINGLE &&
+                                                  parseInt(index) === this.layoutManager.gpuIndex);
+        }
+
+        this._log("Menu states updated - Layout: " + currentLayout + ", Interval: " + this.refreshInterval);
+    },
+
+    /**
+     * Handle layout change from context menu
+     */
+    _onMenuLayoutChanged: function(newLayout) {
+        this._log("Menu: Layout changed to " + newLayout);
+
+        // Update layout mode
+        this.layoutMode = newLayout;
+
+        // Update layout manager
+        this.layoutManager.setLayout(newLayout);
+
+        // Recreate UI with new layout
+        this._createUI();
+
+        // Force immediate update
+        this._update();
+
+        // Save to settings
+        if (this.settings) {
+            try {
+                this.settings.setValue("layout", newLayout);
+            } catch (e) {
+                this._logError("Failed to save layout setting: " + e);
+            }
+        }
+
+        // Update menu dots
+        this._updateMenuStates();
+    },
+
+    /**
+     * Handle refresh interval change from context menu
+     */
+    _onMenuRefreshChanged: function(newInterval) {
+        this._log("Menu: Refresh interval changed to " + newInterval + "s");
+
+        this.refreshInterval = newInterval;
+
+        // Save to settings if available
+        if (this.settings) {
+            this.settings.setValue("refreshInterval", newInterval);
+        }
+
+        // Same path as the settings binding: history capacity, collector group, menu
+        this._onRefreshIntervalChanged();
+    },
+
+    /**
+     * Handle GPU selection change from context menu
+     */
+    _onMenuGpuSelectionChanged: function(selection, index) {
+        this._log("Menu: GPU selection changed to " + selection + " (index " + index + ")");
+
+        this.gpuSelection = selection;
+        this.gpuIndex = index;
+        this.layoutManager.setGpuSelection(selection, index);
+
+        // Force immediate update
+        this._update();
+
+        // Save to settings
+        if (this.settings) {
+            try {
+                this.settings.setValue("gpuSelection", selection);
+                this.settings.setValue("gpuIndex", index);
+            } catch (e) {
+                this._logError("Failed to save GPU selection setting: " + e);
+            }
+        }
+
+        this._updateMenuStates();
+    },
+
+
+    /**
+     * Create the applet UI based on current layout
+     */
+    _createUI: function() {
+        // Remove old widgets if they exist
+        if (this._mainBox) {
+            this._mainBox.destroy();
+            this._mainBox = null;
+        }
+        this._labels = [];
+
+        const layout = this.layoutManager.getLayout();
+        const vertical = this._isVertical();
+
+        // Get padding values
+        const vPad = (this.verticalPadding !== undefined) ? this.verticalPadding : 2;
+        const hPad = (this.horizontalPadding !== undefined) ? this.horizontalPadding : 8;
+        const lineSpace = (this.lineSpacing !== undefined) ? this.lineSpacing : 4;
+
+        // Build box style with optional background and border
+        // (on vertical panels the horizontal padding runs along the panel, so the two swap)
+        let boxStyle = 'padding: ' + (vertical ? hPad + 'px ' + vPad : vPad + 'px ' + hPad) + 'px;';
+        if (this.enableBackground) {
+            boxStyle += ' background-color: ' + (this.backgroundColor || 'rgba(0, 0, 0, 0.5)') + ';';
+        }
+        if (this.enableBorder) {
+            const borderWidth = this.borderWidth || 1;
+            const borderColor = this.borderColor || 'rgba(255, 255, 255, 0.3)';
+            boxStyle += ' border: ' + borderWidth + 'px solid ' + borderColor + '; border-radius: 3px;';
+        }
+
+        // Build text style with optional bold and shadow (the size is kept for restyling)
+        const fontSize = this._getFontSize();
+        this._panelFontSize = fontSize;
+        const fontFamily = this.fontFamily || 'monospace';
+        let textStyle = 'font-size: ' + fontSize + 'pt; font-family: ' + fontFamily + ';';
+        if (this.boldText) {
+            textStyle += ' font-weight: bold;';
+        }
+        if (this.textShadow) {
+            textStyle += ' text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.8);';
+        }
+
+        const itemSpacing = (this.itemSpacing !== undefined) ? this.itemSpacing : 1;
+        const placeholder = this.layoutManager.formatPlaceholder(itemSpacing, this.labelStyle || "full");
+        const graphMode = this.graphMode || GRAPH_MODE_OFF;
+
+        // Outer box carries padding, background and border; text and graphs sit side by side
+        // (stacked on vertical panels)
+        this._mainBox = new St.BoxLayout({
+            vertical: vertical,
+            style_class: 'gpu-monitor-box',
+            style: boxStyle
+        });
+
+        // Icon cells are created once the displayed GPUs are known (see _updateIconCells)
+        this._iconCells = null;
+        this._iconSignature = null;
+
+        if (graphMode !== GRAPH_MODE_REPLACE) {
+            if (this.labelStyle === LABEL_STYLE_ICONS) {
+                // One icon and value per metric, in a row (stacked on vertical panels)
+                this._textBox = new St.BoxLayout({
+                    vertical: vertical,
+                    style: 'spacing: ' + (2 + 4 * itemSpacing) + 'px;'
+                });
+                this._iconCells = [];
+                this._updateIconCells([{ label: null, stats: {} }], null, null);
+
+                this._log("Created icon UI with font size: " + fontSize + "pt");
+            } else if (vertical) {
+                // One centered label holding every stacked metric
+                this._textBox = new St.BoxLayout({ vertical: true });
+
+                let label = new St.Label({
+                    text: placeholder,
+                    style_class: 'gpu-monitor-label gpu-monitor-label-vertical',
+                    style: textStyle
+                });
+
+                this._textBox.add(label, { x_fill: false, x_align: St.Align.MIDDLE });
+                this._labels.push(label);
+
+                this._log("Created vertical UI with font size: " + fontSize + "pt for a " + this.panelHeight + "px wide panel");
+            } else if (layout === LAYOUT_TWO_ROW) {
+                // Create vertical box for the grid layout
+                this._textBox = new St.BoxLayout({
+                    vertical: true,
+                    style: 'spacing: ' + lineSpace + 'px;'
+                });
+
+                // Create one label per grid row with dynamic styling
+                for (let row of placeholder) {
+                    let label = new St.Label({
+                        text: row,
+                        style_class: 'gpu-monitor-label',
+                        style: textStyle + ' padding: 1px 0px;'
+                    });
+                    this._textBox.add(label);
+                    this._labels.push(label);
+                }
+
+                this._log("Created " + this._labels.length + "-row grid UI with font size: " + fontSize + "pt, padding: " + vPad + "px " + hPad + "px, spacing: " + lineSpace + "px");
+            } else {
+                // Create single label for single-row layout
+                this._textBox = new St.BoxLayout({ vertical: false });
+
+                let label = new St.Label({
+                    text: placeholder,
+                    style_class: 'gpu-monitor-label',
+                    style: textStyle
+                });
+
+                this._textBox.add(label);
+                this._labels.push(label);
+
+                this._log("Created single-row UI with font size: " + fontSize + "pt, padding: " + vPad + "px " + hPad + "px");
+            }
+
+            this._mainBox.add(this._textBox);
+        }
+
+        // Throttle indicator, only visible while the GPU is throttling
+        this._throttleLabel = new St.Label({
+            text: "",
+            style_class: 'gpu-monitor-label gpu-throttle-indicator',
+            style: textStyle,
+            visible: false
+        });
+        this._mainBox.add(this._throttleLabel);
+
+        // Stale data indicator, only visible when the last sample is too old
+        this._staleLabel = new St.Label({
+            text: "",
+            style_class: 'gpu-monitor-label gpu-stale-indicator',
+            style: textStyle,
+            visible: false
+        });
+        this._mainBox.add(this._staleLabel);
+        this._stale = false; // Re-applied to the new widgets by the next _checkStale
+
+        // Graphs are created once the displayed GPUs are known (see _updateGraphs)
+        this._graphBox = null;
+        this._graphAreas = [];
+        this._graphSources = null;
+        if (graphMode !== GRAPH_MODE_OFF) {
+            this._graphBox = new St.BoxLayout({
+                vertical: vertical,
+                style_class: 'gpu-monitor-graph-box',
+                style: 'spacing: 3px;'
+            });
+            this._mainBox.add(this._graphBox);
+        }
+
+        this.actor.add_actor(this._mainBox);
+    },
+
+    /**
+     * Check whether the applet sits on a vertical (left or right) panel
+     * @returns {boolean} True on vertical panels
+     */
+    _isVertical: function() {
+        return this.orientation === St.Side.LEFT || this.orientation === St.Side.RIGHT;
+    },
+
+    /**
+     * Get the panel font size
+     * On vertical panels the configured size is scaled down until the widest
+     * stacked line fits the panel width
+     *
+     * @returns {number} Font size in points
+     */
+    _getFontSize: function() {
+        const fontSize = this.fontSize || 9;
+        if (!this._isVertical()) {
+            return fontSize;
+        }
+
+        const vPad = (this.verticalPadding !== undefined) ? this.verticalPadding : 2;
+        const available = (this.panelHeight || 40) - 2 * vPad - 4;
+        const characters = this.layoutManager.getVerticalWidth(this.labelStyle || "full");
+        const fitting = Math.floor(available / (characters * VERTICAL_CHAR_WIDTH));
+        return Math.max(VERTICAL_MIN_FONT_SIZE, Math.min(fontSize, fitting));
+    },
+
+    /**
+     * Called by Cinnamon when the applet moves to a panel with another orientation
+     * @param {Number} orientation - New panel orientation (St.Side)
+     */
+    on_orientation_changed: function(orientation) {
+        this.orientation = orientation;
+        this._log("Orientation changed to: " + orientation);
+        this._richTooltip.setOrientation(orientation);
+        this.layoutManager.setVertical(this._isVertical());
+        this._createUI();
+        this._update();
+    },
+
+    /**
+     * Called by Cinnamon when the panel height (the width of vertical panels) changes
+     */
+    on_panel_height_changed: function() {
+        this.panelHeight = this._panelHeight;
+        this._log("Panel height changed to: " + this.panelHeight + "px");
+        this._createUI();
+        this._update();
+    },
+
+    /**
+     * Called when layout setting changes
+     */
+    _onLayoutChanged: function() {
+        this._log("Layout changed to: " + this.layoutMode);
+        this.layoutManager.setLayout(this.layoutMode);
+        this._createUI();
+        // Force immediate update with current layout
+        this._update();
+        // Update menu if it exists
+        if (this._applet_context_menu) {
+            this._updateMenuStates();
+        }
+    },
+
+    /**
+     * Called when refresh interval setting changes
+     */
+    _onRefreshIntervalChanged: function() {
+        this._log("Refresh interval changed to: " + this.refreshInterval + "s");
+        this.history.setCapacity(this._getHistoryCapacity());
+        // Restart collection with the new interval
+        this._onCollectorSettingsChanged();
+        // Update menu if it exists
+        if (this._applet_context_menu) {
+            this._updateMenuStates();
+        }
+    },
+
+    /**
+     * Called when the collector mode setting changes
+     */
+    _onCollectorModeChanged: function() {
+        this._log("Collector mode changed to: " + this.collectorMode);
+        this._onCollectorSettingsChanged();
+    },
+
+    /**
+     * Get the collector key of this instance's collector settings
+     * @returns {string} Collector key (see collectorKey)
+     */
+    _getCollectorKey: function() {
+        return collectorKey(this.backendPreference || BACKEND_AUTO, this.collectorMode,
+                            this.refreshInterval || REFRESH_INTERVAL_DEFAULT, this.commandTimeout);
+    },
+
+    /**
+     * Join the collector group of the current collector settings
+     * and use its backends (the active source is the backend until it fails)
+     */
+    _joinCollector: function() {
+        this._collector = joinCollectorGroup(this, this._getCollectorKey(), this.backendPreference || BACKEND_AUTO);
+        this.backend = this._collector.backend;
+        this.fallbackBackend = this._collector.fallbackBackend;
+        this._activeSource = this.backend;
+        this._applyCommandTimeout();
+        this._log("Using " + this.backend.name + " backend" + (this._isLeader() ? "" : " (shared)"));
+    },
+
+    /**
+     * Leave the collector group; the next member takes over collecting if this one led
+     * Collection must already be stopped (see _stopTimer). Queries still running answer
+     * the group left and are ignored, so their in-flight flags are cleared here
+     */
+    _leaveCollector: function() {
+        this._pollPending = false;
+        this._deviceInfoPending = false;
+        const leader = leaveCollectorGroup(this, this._collector);
+        if (leader) {
+            leader._onCollectorLeadership();
+        }
+    },
+
+    /**
+     * Check whether this instance collects for its collector group
+     * @returns {boolean} True for the group leader
+     */
+    _isLeader: function() {
+        return this._collector.getLeader() === this;
+    },
+
+    /**
+     * Called when this instance becomes the leader of its collector group
+     */
+    _onCollectorLeadership: function() {
+        this._log("Taking over collection for " + this._collector.key);
+        this._pollPending = false;
+        if (this._onPanel) {
+            this._startTimer();
+        }
+    },
+
+    /**
+     * Move to the collector group of the current collector settings
+     * (refresh interval, collector mode, command timeout) and restart collection
+     */
+    _onCollectorSettingsChanged: function() {
+        if (this._collector.key === this._getCollectorKey()) {
+            return;
+        }
+
+        this._stopTimer();
+        this._leaveCollector();
+        this._joinCollector();
+        if (this._onPanel) {
+            this._startTimer();
+        }
+    },
+
+    /**
+     * Pass the command timeout setting to the backends that spawn commands
+     */
+    _applyCommandTimeout: function() {
+        if (this.backend.setCommandTimeout) {
+            this.backend.setCommandTimeout(this.commandTimeout);
+        }
+    },
+
+    /**
+     * Called when the command timeout or stale threshold setting changes
+     */
+    _onTimeoutSettingsChanged: function() {
+        this._log("Command timeout: " + this.commandTimeout + "s, stale threshold: " + this.staleThreshold + "s");
+        this._onCollectorSettingsChanged();
+        this._checkStale();
+    },
+
+    /**
+     * Called when the data source setting changes
+     * Moves to a collector group with the new backend and forgets everything read from the previous one
+     */
+    _onBackendChanged: function() {
+        this._stopTimer();
+        this._leaveCollector();
+        this._joinCollector();
+        this._log("Backend changed to: " + this.backend.name);
+        this._pollPending = false;
+        this._consecutiveErrors = 0;
+        this._nextRetryTime = 0;
+        this._diagnosis = null;
+        this._health = HEALTH_HEALTHY;
+
+        this.deviceInfo = null;
+        this._processes = null;
+        this._lastStats = null;
+        this.history.clear();
+        this.sessionStats.reset();
+        this._fetchDeviceInfo();
+
+        this._update();
+        if (this._onPanel) {
+            this._startTimer();
+        }
+    },
+
+    /**
+     * Called when the GPU selection settings change
+     */
+    _onGpuSelectionChanged: function() {
+        this._log("GPU selection changed to: " + this.gpuSelection + " (index " + this.gpuIndex + ")");
+        this.layoutManager.setGpuSelection(this.gpuSelection, this.gpuIndex);
+        this._update();
+        if (this._applet_context_menu) {
+            this._updateMenuStates();
+        }
+    },
+
+    /**
+     * Build the list of panel metrics from the panel metrics setting
+     * @returns {Array} Enabled metric keys in display order
+     */
+    _getPanelMetrics: function() {
+        return (this.panelMetrics || [])
+            .filter(entry => entry && entry.enabled)
+            .map(entry => entry.metric);
+    },
+
+    /**
+     * Called when the panel metric list or grid size changes
+     */
+    _onMetricsChanged: function() {
+        this.layoutManager.setMetrics(this._getPanelMetrics());
+        this.layoutManager.setGridRows(this.gridRows);
+        this._log("Panel metrics changed to: " + this.layoutManager.metrics.join(', '));
+        // Row count may have changed
+        this._createUI();
+        this._update();
+    },
+
+    /**
+     * Called when the custom template setting changes
+     */
+    _onTemplateChanged: function() {
+        this._templateError = this.layoutManager.setTemplate(this.customTemplate);
+        // Row count follows the number of template lines
+        this._onStyleChanged();
+    },
+
+    /**
+     * Preview the custom template (settings button callback)
+     * Renders the template against the latest sample, or sample data before the first one
+     */
+    _onPreviewTemplate: function() {
+        if (this._templateError) {
+            Main.notify("NV-Stats: invalid template", this._templateError);
+            return;
+        }
+
+        const stats = this._lastStats && this._lastStats.length > 0 ? this._lastStats[0] : TEMPLATE_PREVIEW_STATS;
+        const preview = this.layoutManager.templateFormatter.render(stats).join("\n");
+        Main.notify("NV-Stats: template preview", preview);
+    },
+
+    /**
+     * Called when the history length setting changes
+     */
+    _onHistoryLengthChanged: function() {
+        this.history.setCapacity(this._getHistoryCapacity());
+        this._onGraphAppearanceChanged();
+    },
+
+    /**
+     * Number of samples the history keeps: the panel graph length, or enough
+     * to fill the longest dashboard chart window at the current refresh interval
+     *
+     * @returns {number} History capacity in samples
+     */
+    _getHistoryCapacity: function() {
+        const interval = this.refreshInterval || REFRESH_INTERVAL_DEFAULT;
+        const dashboardSamples = Math.ceil(Math.max.apply(null, DASHBOARD_WINDOWS) * 60 / interval) + 1;
+        return Math.max(this.historyLength || HISTORY_LENGTH_DEFAULT, dashboardSamples);
+    },
+
+    /**
+     * Called when graph colors or style change - repaint without rebuilding the UI
+     */
+    _onGraphAppearanceChanged: function() {
+        for (let graph of (this._graphAreas || [])) {
+            graph.area.queue_repaint();
+        }
+
+        // Legend colors are set when the dashboard sections are created
+        if (this._dashboardGpus && this._dashboardGpus.length > 0) {
+            this._rebuildDashboardGpus(this._dashboardGpus.length);
+            this._updateDashboard();
+        }
+    },
+
+    /**
+     * Called when any styling setting changes
+     */
+    _onStyleChanged: function() {
+        this._log("Styling settings changed - updating display");
+        this._applySessionThresholds();
+        // Recreate UI to apply font size changes
+        this._createUI();
+        // Force immediate update to apply new colors/thresholds
+        this._update();
+    },
+
+    /**
+     * Pass the temperature thresholds (stored in the temperature unit) to the session statistics
+     */
+    _applySessionThresholds: function() {
+        const unit = TEMPERATURE_UNITS[this.units.temperature];
+        this.sessionStats.setTemperatureThresholds(unit.toCelsius(this.tempWarningThreshold || 70),
+                                                   unit.toCelsius(this.tempCriticalThreshold || 85));
+    },
+
+    /**
+     * Reset the session statistics (context menu)
+     */
+    _onResetStatistics: function() {
+        this.sessionStats.reset();
+        this._log("Session statistics reset");
+
+        if (this._lastStats) {
+            this._updateTooltip(this._lastStats);
+            if (this.menu.isOpen) {
+                this._updateDashboard();
+            }
+        }
+    },
+
+    /**
+     * Keep the enabled color rules whose metric is known
+     */
+    _applyColorRules: function() {
+        this._colorRules = (this.colorRules || []).filter(rule => rule && rule.enabled && COLOR_RULE_TARGETS[rule.metric]);
+    },
+
+    /**
+     * Called when the color rules change
+     */
+    _onColorRulesChanged: function() {
+        this._log("Color rules changed");
+        this._applyColorRules();
+        this._update();
+    },
+
+    /**
+     * Get the display units from the settings
+     *
+     * @returns {Object} Display units {temperature, memory}
+     */
+    _getUnits: function() {
+        return {
+            temperature: TEMPERATURE_UNITS[this.temperatureUnit] ? this.temperatureUnit : TEMP_UNIT_CELSIUS,
+            memory: [MEMORY_UNIT_PERCENT, MEMORY_UNIT_MIB, MEMORY_UNIT_GIB].indexOf(this.memoryUnit) !== -1 ? this.memoryUnit : MEMORY_UNIT_MIB
+        };
+    },
+
+    /**
+     * Push the display units into the formatters and the alert manager
+     */
+    _applyUnits: function() {
+        this.units = this._getUnits();
+        this.layoutManager.setUnits(this.units);
+        this.alertManager.setUnits(this.units);
+    },
+
+    /**
+     * Called when a unit setting changes
+     * Temperature thresholds are stored in the chosen unit, so they are converted
+     * along with it and keep their meaning
+     */
+    _onUnitsChanged: function() {
+        const previous = this.units.temperature;
+        this._applyUnits();
+        this._log("Units changed to " + this.units.temperature + ", " + this.units.memory);
+
+        if (this.units.temperature !== previous) {
+            this._convertTemperatureThresholds(previous, this.units.temperature);
+        }
+        this._onStyleChanged();
+    },
+
+    /**
+     * Convert every temperature threshold setting between temperature units
+     *
+     * @param {string} from - Previous TEMP_UNIT_*
+     * @param {string} to - New TEMP_UNIT_*
+     */
+    _convertTemperatureThresholds: function(from, to) {
+        const convert = value => Math.round(TEMPERATURE_UNITS[to].fromCelsius(TEMPERATURE_UNITS[from].toCelsius(value)));
+        const scale = value => Math.round(value * TEMPERATURE_UNITS[to].scale / TEMPERATURE_UNITS[from].scale);
+        const convertRules = rules => (rules || []).map(rule => {
+            if (!rule || !ALERT_METRICS[rule.metric] || !ALERT_METRICS[rule.metric].temperature) {
+                return rule;
+            }
+            const converted = Object.assign({}, rule, { threshold: convert(rule.threshold) });
+            if (typeof rule.hysteresis === 'number') {
+                converted.hysteresis = scale(rule.hysteresis);
+            }
+            return converted;
+        });
+
+        this._log("Converting temperature thresholds from " + from + " to " + to);
+        this.tempWarningThreshold = convert(this.tempWarningThreshold || 70);
+        this.tempCriticalThreshold = convert(this.tempCriticalThreshold || 85);
+        this.alertRules = convertRules(this.alertRules);
+        this.colorRules = convertRules(this.colorRules);
+        this._applyAlertSettings();
+        this._applyColorRules();
+
+        // Save to settings
+        try {
+            for (let key of ["tempWarningThreshold", "tempCriticalThreshold", "alertRules", "colorRules"]) {
+                this.settings.setValue(key, this[key]);
+            }
+        } catch (e) {
+            this._logError("Failed to save converted thresholds: " + e);
+        }
+    },
+
+    /**
+     * Called when applet is added to the panel
+     * Start GPU monitoring timer
+     */
+    on_applet_added_to_panel: function() {
+        this._log("Applet added to panel");
+        this._onPanel = true;
 
-/**
- * NVIDIA SMI interface class
- * Handles command execution and data parsing
- */
-function NvidiaSMI() {
-    this._init();
-}
+        // Do initial update immediately
+        this._update();
+
+        // Device identity for the dashboard
+        this._fetchDeviceInfo();
+
+        // Integration endpoints
+        this._applyDbusService();
+        this._applyExporterSettings();
+
+        // Start periodic timer
+        this._startTimer();
+    },
 
-NvidiaSMI.prototype = {
     /**
-     * Initialize the NvidiaSMI interface
+     * Called when applet is removed from panel
+     * Cleanup any timers or resources here
      */
-    _init: function() {
-        this._log("NvidiaSMI interface initialized");
+    on_applet_removed_from_panel: function() {
+        this._log("Applet removed from panel");
+
+        // Stop and cleanup timer
+        this._onPanel = false;
+        this._stopTimer();
+
+        // Hand collecting over to the next instance sharing the collector
+        this._leaveCollector();
+        this._applyDbusService();
+        this._applyExporterSettings();
+
+        // Close the recording, if any
+        this.recorder.stop();
+
+        this._richTooltip.destroy();
     },
 
     /**
-     * Get GPU statistics asynchronously
-     * @param {Function} callback - Called with (stats) where stats is {gpu, mem, temp, fan} or null
+     * Start collecting GPU statistics
+     * In stream mode a persistent nvidia-smi query loop delivers samples;
+     * in poll mode (and for backends without streaming) a periodic timer queries on every tick.
+     * Only the collector group leader collects; the other members receive its samples
      */
-    getStats: function(callback) {
-        // First get dmon data, then fan speed
-        this._executeDmon((dmonData) => {
-            if (!dmonData) {
-                callback(null);
-                return;
-            }
+    _startTimer: function() {
+        // Cancel existing timer if any
+        if (this._timerId) {
+            Mainloop.source_remove(this._timerId);
+            this._timerId = null;
+        }
 
-            // Now get fan speed
-            this._executeFanQuery((fanSpeed) => {
-                if (fanSpeed === null) {
-                    // Fan speed query failed, but we have other data
-                    // Use 0 as fallback
-                    dmonData.fan = 0;
-                } else {
-                    dmonData.fan = fanSpeed;
-                }
+        this._startStaleTimer();
 
-                this._log("Stats retrieved: " + JSON.stringify(dmonData));
-                callback(dmonData);
+        if (!this._isLeader()) {
+            return;
+        }
+
+        if (this.collectorMode === COLLECTOR_MODE_STREAM && this.backend.getCapabilities().stream) {
+            const collector = this._collector;
+            this.backend.startStream(this.refreshInterval, (stats) => {
+                collector.publish('_onStats', [stats]);
             });
+            this._log("Query loop started with interval: " + this.refreshInterval + "s");
+            return;
+        }
+
+        // Start new timer
+        this._timerId = Mainloop.timeout_add_seconds(this.refreshInterval, () => {
+            this._update();
+            return true; // Continue timer
         });
+
+        this._log("Timer started with interval: " + this.refreshInterval + "s");
     },
 
     /**
-     * Execute nvidia-smi dmon command asynchronously
-     * @param {Function} callback - Called with parsed data or null
+     * Start the timer that checks the age of the last sample
+     * Runs in both collector modes, since a hung query loop delivers nothing at all
      */
-    _executeDmon: function(callback) {
-        try {
-            Util.spawn_async(['nvidia-smi', 'dmon', '-s', 'pum', '-c', '1'], (stdout) => {
-                if (!stdout) {
-                    this._logError("nvidia-smi dmon command failed");
-                    callback(null);
-                    return;
-                }
+    _startStaleTimer: function() {
+        if (this._staleTimerId) {
+            Mainloop.source_remove(this._staleTimerId);
+        }
 
-                const result = this._parseDmonOutput(stdout);
-                callback(result);
-            });
-        } catch (error) {
-            this._logError("Failed to execute nvidia-smi dmon: " + error);
-            callback(null);
+        this._staleTimerId = Mainloop.timeout_add_seconds(this.refreshInterval, () => {
+            this._checkStale();
+            return true;
+        });
+    },
+
+    /**
+     * Stop collecting GPU statistics (timer and query loop)
+     */
+    _stopTimer: function() {
+        if (this._timerId) {
+            Mainloop.source_remove(this._timerId);
+            this._timerId = null;
+            this._log("Timer stopped");
+        }
+
+        // The query loop is shared: only the leader (who started it) stops it
+        if (this._isLeader() && this.backend.isStreaming()) {
+            this.backend.stopStream();
+            this._log("Query loop stopped");
+        }
+
+        if (this._fallbackTimerId) {
+            Mainloop.source_remove(this._fallbackTimerId);
+            this._fallbackTimerId = null;
+        }
+
+        if (this._staleTimerId) {
+            Mainloop.source_remove(this._staleTimerId);
+            this._staleTimerId = null;
         }
     },
 
     /**
-     * Execute nvidia-smi fan speed query asynchronously
-     * @param {Function} callback - Called with fan speed or null
+     * Update GPU statistics and display
+     * While the query loop is running the last sample is simply re-rendered,
+     * so settings changes never spawn an extra nvidia-smi process; members other
+     * than the collector group leader never query and re-render the leader's last sample
      */
-    _executeFanQuery: function(callback) {
+    _update: function() {
+        const leader = this._collector.getLeader();
+        if (leader !== this || (this.backend.isStreaming() && this._lastStats)) {
+            if (leader._lastStats) {
+                this._onStats(leader._lastStats, leader._activeSource);
+            }
+            return;
+        }
+
+        // Backing off after repeated failures: keep any fallback data fresh, retry later
+        if (Date.now() < this._nextRetryTime) {
+            if (this._activeSource === this.fallbackBackend) {
+                this._readFallback();
+            }
+            return;
+        }
+
+        // Never stack polls: a slow (or hung) query finishes or times out first
+        if (this._pollPending) {
+            this._log("Previous query still running, skipping this update");
+            return;
+        }
+
         try {
-            Util.spawn_async(['nvidia-smi', '--query-gpu=fan.speed', '--format=csv,noheader,nounits'], (stdout) => {
-                if (!stdout) {
-                    this._logError("nvidia-smi fan query failed");
-                    callback(null);
+            // Get stats from nvidia-smi asynchronously
+            const collector = this._collector;
+            this._pollPending = true;
+            this.backend.getStats((stats) => {
+                // Ignore answers for a collector group this instance left meanwhile
+                if (collector !== this._collector || !this._isLeader()) {
                     return;
                 }
-
-                const result = this._parseFanSpeed(stdout);
-                callback(result);
+                this._pollPending = false;
+                collector.publish('_onStats', [stats]);
             });
+
         } catch (error) {
-            this._logError("Failed to execute nvidia-smi fan query: " + error);
-            callback(null);
+            this._pollPending = false;
+            this._logError("Update error: " + error);
+            this._collector.publish('_handleError', ["Update exception: " + error]);
         }
     },
 
     /**
-     * Parse nvidia-smi dmon output
-     * Expected format:
-     * # gpu    pwr  gtemp  mtemp     sm    mem    enc    dec    jpg    ofa     fb   bar1   ccpm
-     * # Idx      W      C      C      %      %      %      %      %      %     MB     MB     MB
-     *     0    117     45      -     13      6      0      0      0      0   2847     39      0
-     *
-     * @param {string} stdout - Command output
-     * @returns {Object|null} {gpu: number, mem: number, temp: number} or null
+     * Show or clear the stale data state
+     * The panel keeps the last values but dims them and shows their age
      */
-    _parseDmonOutput: function(stdout) {
-        if (!stdout || stdout.trim() === '') {
-            this._logError("Empty dmon output");
-            return null;
+    _checkStale: function() {
+        const threshold = this.staleThreshold !== undefined ? this.staleThreshold : STALE_THRESHOLD_DEFAULT;
+        const age = this._lastSampleTime ? (Date.now() - this._lastSampleTime) / 1000 : 0;
+        const stale = threshold > 0 && age > threshold;
+
+        if (stale) {
+            this._staleLabel.set_text("⏱" + (this.labelStyle === "compact" ? "" : " " + Math.round(age) + "s"));
         }
 
-        // Split into lines and filter out header lines (starting with #)
-        const lines = stdout.split('\n').filter(line => !line.startsWith('#') && line.trim() !== '');
+        if (stale === this._stale) {
+            return;
+        }
 
-        if (lines.length === 0) {
-            this._logError("No data lines in dmon output");
-            return null;
+        this._stale = stale;
+        this._staleLabel.visible = stale;
+        this._mainBox.opacity = stale ? 160 : 255;
+        if (stale) {
+            this._logError("No new GPU stats for " + Math.round(age) + "s, showing stale data");
         }
+        if (this._lastStats) {
+            this._updateTooltip(this._lastStats);
+        }
+    },
+
+    /**
+     * Read the fallback backend while the backend is failing
+     * Without a (working) fallback there is no data (see _onNoData)
+     */
+    _readFallback: function() {
+        const collector = this._collector;
+        if (!this.fallbackBackend) {
+            collector.publish('_onNoData', []);
+            return;
+        }
+
+        this.fallbackBackend.getStats((stats) => {
+            if (collector !== this._collector || !this._isLeader()) {
+                return;
+            }
 
-        // Parse the first data line
-        const dataLine = lines[0];
+            if (stats === null) {
+                collector.publish('_onNoData', []);
+                return;
+            }
 
-        // Split by whitespace and filter empty strings
-        const values = dataLine.trim().split(/\s+/).filter(v => v !== '');
+            if (this._activeSource !== this.fallbackBackend) {
+                this._logError(this._formatDiagnosis() + ", reading " + this.fallbackBackend.source + " instead");
+            }
+            collector.publish('_onStats', [stats, this.fallbackBackend]);
+            this._startFallbackTimer();
+        });
+    },
 
-        // Expected format (0-indexed):
-        // 0: gpu idx, 1: power, 2: gtemp, 3: mtemp, 4: sm, 5: mem, ...
-        if (values.length < 6) {
-            this._logError("Insufficient values in dmon output: " + dataLine);
-            return null;
+    /**
+     * Keep the fallback updating while the query loop is down
+     * (in poll mode the regular timer already retries the backend on every tick)
+     * The timer ends itself once the backend delivers again
+     */
+    _startFallbackTimer: function() {
+        if (this._fallbackTimerId || !this.backend.isStreaming()) {
+            return;
         }
 
-        try {
-            const gpu = parseInt(values[4]);   // sm (GPU utilization %)
-            const mem = parseInt(values[5]);   // mem (Memory utilization %)
-            const temp = parseInt(values[2]);  // gtemp (GPU temperature °C)
+        this._fallbackTimerId = Mainloop.timeout_add_seconds(this.refreshInterval, () => {
+            if (this._activeSource !== this.fallbackBackend || !this.backend.isStreaming()) {
+                this._fallbackTimerId = null;
+                return false;
+            }
+            this._readFallback();
+            return true;
+        });
+    },
 
-            // Validate parsed values
-            if (isNaN(gpu) || isNaN(mem) || isNaN(temp)) {
-                this._logError("Failed to parse numeric values from: " + dataLine);
-                return null;
+    /**
+     * Handle a new sample from either collector mode
+     *
+     * @param {Array|null} stats - Array of per-GPU statistics, or null on failure
+     * @param {Object} source - Backend that produced the sample (default: the backend)
+     */
+    _onStats: function(stats, source) {
+        if (stats === null) {
+            this._handleError("Failed to get GPU stats");
+            return;
+        }
+
+        // Reset error counter and backoff when the backend itself delivers
+        const active = source || this.backend;
+        if (active === this.backend) {
+            this._consecutiveErrors = 0;
+            this._nextRetryTime = 0;
+            this._diagnosis = null;
+        }
+        if (active !== this._activeSource) {
+            this._log("Reading " + active.source);
+        }
+        this._activeSource = active;
+        this._setHealth(active === this.backend ? HEALTH_HEALTHY : HEALTH_DEGRADED);
+
+        // Record history and refresh processes for fresh samples only (re-renders pass the same array again)
+        if (stats !== this._lastStats) {
+            this._lastSampleTime = Date.now();
+            this._recordHistory(stats);
+            this._checkAlerts(stats);
+            this.recorder.record(stats, Date.now());
+            STATS_SERVICE.publish(this, stats, this._lastSampleTime, active.source, this.history);
+            if (this._isLeader() && this._activeSource.getCapabilities().processes &&
+                this._collector.members.some((member) => member.showProcesses)) {
+                this._refreshProcesses();
             }
+        }
+        this._lastStats = stats;
 
-            return {
-                gpu: gpu,
-                mem: mem,
-                temp: temp
-            };
+        // Keep the per-GPU menu items in sync with the detected GPUs
+        if (stats.length !== this._gpuCount) {
+            this._gpuCount = stats.length;
+            this._rebuildGpuMenuItems();
+            this._updateMenuStates();
+        }
 
-        } catch (error) {
-            this._logError("Parse error: " + error);
-            return null;
+        // Update display
+        this._updateDisplay(stats);
+        this._checkStale();
+
+        // Update tooltip
+        this._updateTooltip(stats);
+
+        // Keep the dashboard live while it is open
+        if (this.menu.isOpen) {
+            this._updateDashboard();
         }
     },
 
     /**
-     * Parse fan speed output
-     * Expected format: "55\n" or "55"
+     * Update the applet display with GPU stats
      *
-     * @param {string} stdout - Command output
-     * @returns {number|null} Fan speed percentage or null
+     * @param {Array} stats - Array of per-GPU {index, gpu, mem, temp, fan}
      */
-    _parseFanSpeed: function(stdout) {
-        if (!stdout || stdout.trim() === '') {
-            this._logError("Empty fan speed output");
-            return null;
+    _updateDisplay: function(stats) {
+        const layout = this.layoutManager.getLayout();
+        const itemSpacing = (this.itemSpacing !== undefined) ? this.itemSpacing : 1;
+        const labelStyle = this.labelStyle || "full";
+        const formatted = this.layoutManager.format(stats, itemSpacing, labelStyle);
+
+        // Color by the highest color metric value of the GPUs currently shown
+        const entries = this.layoutManager.selectGpus(stats);
+        const colorValue = this._getColorMetricValue(entries);
+
+        // Throttle reasons of every GPU shown
+        const reasons = getThrottleReasons(entries.reduce((mask, entry) => mask | (entry.stats.throttle || 0), 0));
+        const throttleSeverity = this._getThrottleSeverity(reasons);
+
+        const rows = (typeof formatted === 'string') ? [formatted] : formatted;
+
+        // In value scope the label keeps the normal color and only colored values stand out
+        const wholeLabel = this.colorScope !== COLOR_SCOPE_VALUE;
+
+        // Labels are rebuilt whenever the row count changes, so they always match
+        this._labels.forEach((label, position) => {
+            this._setLabelText(label, rows[position] || "");
+            // Apply temperature (and throttle) styling to every row
+            this._applyTemperatureStyle(label, wholeLabel ? colorValue : null, wholeLabel ? throttleSeverity : null);
+        });
+
+        if (this._iconCells !== null) {
+            this._updateIconCells(entries, wholeLabel ? colorValue : null, wholeLabel ? throttleSeverity : null);
         }
 
-        const trimmed = stdout.trim();
-        const match = trimmed.match(/(\d+)/);
+        const showThrottle = this.showThrottleIndicator !== false && reasons.length > 0;
+        this._throttleLabel.visible = showThrottle;
+        if (showThrottle) {
+            const compact = this.labelStyle === "compact" || this._isVertical();
+            this._throttleLabel.set_text("⚠" + (compact ? "" : " " + reasons.map(reason => reason.short).join("+")));
+            this._applyTemperatureStyle(this._throttleLabel, colorValue, throttleSeverity || 'warning');
+        }
 
-        if (!match) {
-            this._logError("No numeric value found in fan speed output: " + trimmed);
-            return null;
+        this._log("Display updated (" + layout + "): " + rows.join(" / ").replace(COLOR_MARK_PATTERN, ''));
+
+        this._updateGraphs(stats);
+    },
+
+    /**
+     * Fill the icon label style cells: a symbolic icon and the value of every metric
+     * The cells are rebuilt when the displayed GPUs or metrics change. Icons take the
+     * value's color rule color, or else the label color
+     *
+     * @param {Array} entries - Displayed GPUs ({label, stats} from LayoutManager.selectGpus)
+     * @param {number|null} colorValue - Color metric value of the label color (null: normal color)
+     * @param {string|null} throttleSeverity - Optional 'warning' or 'critical' while throttling
+     */
+    _updateIconCells: function(entries, colorValue, throttleSeverity) {
+        const metrics = this.layoutManager.metrics;
+        const signature = entries.map(entry => entry.label).join(',') + '/' + metrics.join(',');
+        const iconSize = Math.round(this._panelFontSize * 4 / 3);
+
+        if (signature !== this._iconSignature) {
+            this._textBox.destroy_all_children();
+            this._iconCells = [];
+
+            entries.forEach((entry, position) => {
+                if (entry.label !== null) {
+                    let gpuLabel = new St.Label({ text: "[" + entry.label + "]", style_class: 'gpu-monitor-label' });
+                    this._textBox.add(gpuLabel, { y_fill: false, y_align: St.Align.MIDDLE });
+                    this._applyTemperatureStyle(gpuLabel, null, null);
+                }
+
+                for (let key of metrics) {
+                    let cell = new St.BoxLayout({ vertical: this._isVertical(), style_class: 'gpu-icon-cell' });
+                    let icon = new St.Icon({
+                        gicon: Gio.ThemedIcon.new_from_names((METRIC_ICONS[key] || []).concat([METRIC_ICON_FALLBACK])),
+                        icon_type: St.IconType.SYMBOLIC,
+                        icon_size: iconSize,
+                        style_class: 'gpu-metric-icon'
+                    });
+                    let value = new St.Label({ style_class: 'gpu-monitor-label' });
+
+                    cell.add(icon, { x_fill: false, y_fill: false, x_align: St.Align.MIDDLE, y_align: St.Align.MIDDLE });
+                    cell.add(value, { x_fill: false, y_fill: false, x_align: St.Align.MIDDLE, y_align: St.Align.MIDDLE });
+                    this._textBox.add(cell);
+                    this._iconCells.push({ position: position, key: key, icon: icon, value: value });
+                }
+            });
+
+            this._iconSignature = signature;
         }
 
-        const fanSpeed = parseInt(match[1]);
+        for (let cell of this._iconCells) {
+            const stats = entries[cell.position].stats;
+            this._setLabelText(cell.value, this.layoutManager.formatValue(cell.key, stats[cell.key], LABEL_STYLE_ICONS, stats));
+            this._applyTemperatureStyle(cell.value, colorValue, throttleSeverity);
 
-        if (isNaN(fanSpeed) || fanSpeed < 0 || fanSpeed > 100) {
-            this._logError("Invalid fan speed value: " + fanSpeed);
-            return null;
+            const ruleColor = (stats[cell.key] !== undefined && stats[cell.key] !== null) ? this._getValueColor(cell.key, stats) : null;
+            cell.icon.set_style('color: ' + (ruleColor || this._getLabelColor(colorValue, throttleSeverity)) + ';');
         }
+    },
 
-        return fanSpeed;
+    /**
+     * Set the text of a panel label, turning color marks into Pango spans
+     * @param {St.Label} label - Panel label
+     * @param {string} text - Possibly color-marked text
+     */
+    _setLabelText: function(label, text) {
+        label.clutter_text.set_markup(colorMarksToMarkup(text));
     },
 
     /**
-     * Logging helper
-     * @param {string} message - Message to log
+     * Pick the color of one panel value (LayoutManager value colorizer)
+     * The matching rule with the highest threshold wins; in value scope the
+     * color metric's value also gets its color
+     *
+     * @param {string} key - Panel metric key
+     * @param {Object} stats - Per-GPU stats the value belongs to
+     * @returns {string|null} CSS color, or null to keep the label color
      */
-    _log: function(message) {
-        if (DEBUG_MODE) {
-            global.log("[NV-Stats] [NvidiaSMI] " + message);
+    _getValueColor: function(key, stats) {
+        if (this.enableColorCoding === false) {
+            return null;
+        }
+
+        let color = null;
+        let matched = -Infinity;
+        for (let rule of this._colorRules) {
+            if (COLOR_RULE_TARGETS[rule.metric] !== key) {
+                continue;
+            }
+            const value = alertMetricValue(rule.metric, stats, this.units);
+            if (typeof value === 'number' && value >= rule.threshold && rule.threshold > matched) {
+                matched = rule.threshold;
+                color = rule.color;
+            }
+        }
+
+        if (color === null && this.colorScope === COLOR_SCOPE_VALUE && key === COLOR_RULE_TARGETS[this._getColorMetric()]) {
+            const value = alertMetricValue(this._getColorMetric(), stats, this.units);
+            if (typeof value === 'number') {
+                color = this.getMetricColor(value);
+            }
         }
+        return color;
     },
 
     /**
-     * Error logging helper
-     * @param {string} message - Error message
+     * Get the metric that drives color coding (a key of ALERT_METRICS)
+     *
+     * @returns {string} Metric key
      */
-    _logError: function(message) {
-        global.logError("[NV-Stats] [NvidiaSMI] ERROR: " + message);
-    }
-};
-
-/**
- * Layout Manager class
- * Handles formatting GPU stats for different layout modes
- */
-function LayoutManager() {
-    this._init();
-}
+    _getColorMetric: function() {
+        return ALERT_METRICS[this.colorMetric] ? this.colorMetric : COLOR_METRIC_DEFAULT;
+    },
 
-LayoutManager.prototype = {
     /**
-     * Initialize the LayoutManager
+     * Get the highest color metric value of the GPUs shown
+     *
+     * @param {Array} entries - Displayed GPUs ({label, stats} from LayoutManager.selectGpus)
+     * @returns {number|null} Value, or null if no GPU reports it
      */
-    _init: function() {
-        this.currentLayout = LAYOUT_SINGLE_ROW;
-        this._log("LayoutManager initialized with layout: " + this.currentLayout);
+    _getColorMetricValue: function(entries) {
+        const metric = this._getColorMetric();
+        const values = entries.map(entry => alertMetricValue(metric, entry.stats, this.units)).filter(value => typeof value === 'number');
+        return values.length > 0 ? Math.max.apply(null, values) : null;
     },
 
     /**
-     * Set the current layout mode
-     * @param {string} layout - Layout mode (LAYOUT_SINGLE_ROW or LAYOUT_TWO_ROW)
+     * Get the warning and critical thresholds of the color metric
+     * Temperatures use the temperature thresholds (in the temperature unit), other
+     * metrics the metric thresholds
+     *
+     * @returns {Object} {warning, critical}
      */
-    setLayout: function(layout) {
-        if (layout !== LAYOUT_SINGLE_ROW && layout !== LAYOUT_TWO_ROW) {
-            this._logError("Invalid layout mode: " + layout);
-            return;
+    _getColorThresholds: function() {
+        if (ALERT_METRICS[this._getColorMetric()].temperature) {
+            return { warning: this.tempWarningThreshold || 70, critical: this.tempCriticalThreshold || 85 };
         }
-        this.currentLayout = layout;
-        this._log("Layout changed to: " + layout);
+        return {
+            warning: (this.metricWarningThreshold !== undefined) ? this.metricWarningThreshold : 70,
+            critical: (this.metricCriticalThreshold !== undefined) ? this.metricCriticalThreshold : 90
+        };
     },
 
-    /**
-     * Get the current layout mode
-     * @returns {string} Current layout mode
+    /**
+     * Record a sample in the metric history
+     * Every GPU is recorded under its index; aggregate selections are recorded too
+     *
+     * @param {Array} stats - Array of per-GPU statistics
      */
-    getLayout: function() {
-        return this.currentLayout;
+    _recordHistory: function(stats) {
+        const now = Date.now();
+
+        for (let gpuStats of stats) {
+            this.history.record(String(gpuStats.index), gpuStats, now);
+            this.sessionStats.record(String(gpuStats.index), gpuStats, now);
+        }
+
+        const selection = this.layoutManager.gpuSelection;
+        if (selection === GPU_SELECTION_AVERAGE || selection === GPU_SELECTION_MAX) {
+            this.history.record(selection, this.layoutManager.selectGpus(stats)[0].stats, now);
+        }
     },
 
     /**
-     * Format stats for single-row display
-     * @param {Object} stats - {gpu: number, mem: number, temp: number, fan: number}
-     * @param {number} itemSpacing - Number of spaces around the divider (default: 1)
-     * @param {string} labelStyle - Label style: "full", "abbreviated", or "compact" (default: "full")
-     * @returns {string} Formatted string
+     * Get the history source key of a displayed GPU entry
+     *
+     * @param {Object} entry - Entry from LayoutManager.selectGpus
+     * @returns {string} History source key
      */
-    formatSingleRow: function(stats, itemSpacing, labelStyle) {
-        const spacing = itemSpacing !== undefined ? itemSpacing : 1;
-        const style = labelStyle || "full";
-        const spacer = " ".repeat(spacing);
-        const divider = spacer + "|" + spacer;
-
-        if (style === "compact") {
-            // Ultra compact: G:42|M:35|T:55|F:65 (no spaces in divider for compact)
-            const compactDivider = "|";
-            return "G:" + stats.gpu + compactDivider +
-                   "M:" + stats.mem + compactDivider +
-                   "T:" + stats.temp + compactDivider +
-                   "F:" + stats.fan;
-        } else if (style === "abbreviated") {
-            // Abbreviated: G: 42% | M: 35% | T: 55°C | F: 65%
-            return "G: " + stats.gpu + "%" + divider +
-                   "M: " + stats.mem + "%" + divider +
-                   "T: " + stats.temp + "°C" + divider +
-                   "F: " + stats.fan + "%";
-        } else {
-            // Full: GPU: 42% | MEM: 35% | TEMP: 55°C | FAN: 65%
-            return "GPU: " + stats.gpu + "%" + divider +
-                   "MEM: " + stats.mem + "%" + divider +
-                   "TEMP: " + stats.temp + "°C" + divider +
-                   "FAN: " + stats.fan + "%";
+    _historySourceFor: function(entry) {
+        const selection = this.layoutManager.gpuSelection;
+        if (selection === GPU_SELECTION_AVERAGE || selection === GPU_SELECTION_MAX) {
+            return selection;
         }
+        return String(entry.stats.index);
     },
 
     /**
-     * Format stats for two-row (2x2) display with fixed-width alignment
-     * @param {Object} stats - {gpu: number, mem: number, temp: number, fan: number}
-     * @param {number} itemSpacing - Number of spaces between columns (default: 1)
-     * @param {string} labelStyle - Label style: "full", "abbreviated", or "compact" (default: "full")
-     * @returns {Object} {row1: string, row2: string}
+     * Create (when the displayed GPUs change) and repaint the panel sparklines
+     * One graph per displayed GPU and graphable panel metric
+     *
+     * @param {Array} stats - Array of per-GPU statistics
      */
-    formatTwoRow: function(stats, itemSpacing, labelStyle) {
-        const spacing = itemSpacing !== undefined ? itemSpacing : 1;
-        const style = labelStyle || "full";
-        const columnGap = " ".repeat(spacing);
+    _updateGraphs: function(stats) {
+        if (!this._graphBox) {
+            return;
+        }
 
-        if (style === "compact") {
-            // Ultra compact: G:42 M:35
-            //                T:55 F:65
-            const gpuStr = "G:" + stats.gpu;
-            const tempStr = "T:" + stats.temp;
-            const leftColWidth = 5; // "G:100" = 5 chars max
-            const gpuPadded = gpuStr.padEnd(leftColWidth, ' ');
-            const tempPadded = tempStr.padEnd(leftColWidth, ' ');
+        const entries = this.layoutManager.selectGpus(stats);
+        const sources = entries.map(entry => this._historySourceFor(entry));
+        const metrics = this.layoutManager.metrics.filter(key => METRICS[key].graphMax !== null);
+
+        if (this._graphSources === null || this._graphSources.join(',') !== sources.join(',')) {
+            this._graphBox.destroy_all_children();
+            this._graphAreas = [];
+
+            // Horizontal panels: fixed width, panel height; vertical panels: panel width, half as high
+            const vPad = (this.verticalPadding !== undefined) ? this.verticalPadding : 2;
+            const across = Math.max(8, (this.panelHeight || 24) - 2 * vPad - 4);
+            const width = this._isVertical() ? across : (this.graphWidth || 40);
+            const height = this._isVertical() ? Math.max(8, Math.round(across / 2)) : across;
+
+            entries.forEach((entry, position) => {
+                for (let key of metrics) {
+                    let area = new St.DrawingArea({
+                        style_class: 'gpu-monitor-graph',
+                        style: 'width: ' + width + 'px; height: ' + height + 'px;'
+                    });
+                    const graph = { area: area, source: sources[position], key: key, entry: entry };
+                    area.connect('repaint', () => this._drawGraph(graph));
+                    this._graphBox.add(area);
+                    this._graphAreas.push(graph);
+                }
+            });
 
-            return {
-                row1: gpuPadded + columnGap + "M:" + stats.mem,
-                row2: tempPadded + columnGap + "F:" + stats.fan
-            };
-        } else if (style === "abbreviated") {
-            // Abbreviated: G : 42% M: 35%
-            //              T: 55°C F: 65%
-            const gpuStr = "G : " + stats.gpu + "%";
-            const tempStr = "T: " + stats.temp + "°C";
-            const leftColWidth = 9; // "T: 100°C" = 9 chars max
-            const gpuPadded = gpuStr.padEnd(leftColWidth, ' ');
-            const tempPadded = tempStr.padEnd(leftColWidth, ' ');
+            this._graphSources = sources;
+        }
 
-            return {
-                row1: gpuPadded + columnGap + "M: " + stats.mem + "%",
-                row2: tempPadded + columnGap + "F: " + stats.fan + "%"
-            };
-        } else {
-            // Full: GPU : 42%  MEM: 35%
-            //       TEMP: 55°C FAN: 65%
-            const gpuStr = "GPU : " + stats.gpu + "%";
-            const tempStr = "TEMP: " + stats.temp + "°C";
-            const leftColWidth = 11; // "TEMP: 100°C" = 11 chars max
-            const gpuPadded = gpuStr.padEnd(leftColWidth, ' ');
-            const tempPadded = tempStr.padEnd(leftColWidth, ' ');
+        // Keep the latest stats for scale lookups (power cap, VRAM total)
+        entries.forEach((entry, position) => {
+            for (let graph of this._graphAreas) {
+                if (graph.source === sources[position]) {
+                    graph.entry = entry;
+                }
+            }
+        });
 
-            return {
-                row1: gpuPadded + columnGap + "MEM: " + stats.mem + "%",
-                row2: tempPadded + columnGap + "FAN: " + stats.fan + "%"
-            };
+        for (let graph of this._graphAreas) {
+            graph.area.queue_repaint();
         }
     },
 
     /**
-     * Format stats according to current layout
-     * @param {Object} stats - GPU statistics
-     * @param {number} itemSpacing - Number of spaces for item spacing
-     * @param {string} labelStyle - Label style: "full", "abbreviated", or "compact"
-     * @returns {Object|string} Formatted output (string for single-row, object for two-row)
+     * Get the configured graph color of a metric
+     *
+     * @param {string} key - Metric key
+     * @returns {string} Color string
      */
-    format: function(stats, itemSpacing, labelStyle) {
-        if (this.currentLayout === LAYOUT_TWO_ROW) {
-            return this.formatTwoRow(stats, itemSpacing, labelStyle);
-        } else {
-            return this.formatSingleRow(stats, itemSpacing, labelStyle);
-        }
+    _getGraphColor: function(key) {
+        const colors = {
+            gpu: this.graphColorGpu,
+            mem: this.graphColorMem,
+            temp: this.graphColorTemp,
+            fan: this.graphColorFan,
+            power: this.graphColorPower,
+            vramUsed: this.graphColorVram
+        };
+        return colors[key] || this.graphColorOther || "rgba(229, 231, 235, 1.0)";
     },
 
     /**
-     * Logging helper
-     * @param {string} message - Message to log
+     * Paint one sparkline from the metric history
+     *
+     * @param {Object} graph - {area, source, key, entry}
      */
-    _log: function(message) {
-        if (DEBUG_MODE) {
-            global.log("[NV-Stats] [LayoutManager] " + message);
+    _drawGraph: function(graph) {
+        const cr = graph.area.get_context();
+        const [width, height] = graph.area.get_surface_size();
+        const [red, green, blue, alpha] = parseColor(this._getGraphColor(graph.key));
+
+        // Faint background so empty graphs are still visible
+        cr.setSourceRGBA(red, green, blue, alpha * 0.15);
+        cr.rectangle(0, 0, width, height);
+        cr.fill();
+
+        const length = this.historyLength || HISTORY_LENGTH_DEFAULT;
+        const buffer = this.history.get(graph.source, graph.key);
+        const values = buffer ? buffer.values(length) : [];
+        const max = this._getGraphMax(graph.key, graph.entry.stats, values);
+
+        if (values.length > 0 && max > 0) {
+            // Newest sample at the right edge; a partly filled history starts mid-graph
+            const offset = length - values.length;
+            const points = values.map((value, i) => ({ x: (offset + i) / Math.max(1, length - 1), value: value }));
+
+            cr.setSourceRGBA(red, green, blue, alpha);
+            drawSeries(cr, points, width, height, max, this.graphStyle || GRAPH_STYLE_LINE, length);
         }
+
+        cr.$dispose();
     },
 
     /**
-     * Error logging helper
-     * @param {string} message - Error message
+     * Get the value a graph is scaled to
+     *
+     * @param {string} key - Metric key
+     * @param {Object} stats - Latest stats of the graphed GPU
+     * @param {Array} values - History values
+     * @returns {number} Graph maximum (0 if unknown)
      */
-    _logError: function(message) {
-        global.logError("[NV-Stats] [LayoutManager] ERROR: " + message);
-    }
-};
+    _getGraphMax: function(key, stats, values) {
+        const graphMax = METRICS[key].graphMax;
 
-/**
- * Main applet class
- * Now extends base Applet (not TextApplet) to support custom widgets
- */
-function MyApplet(metadata, orientation, panel_height, instance_id) {
-    this._init(metadata, orientation, panel_height, instance_id);
-}
+        if (typeof graphMax === 'number') {
+            return graphMax;
+        }
+        if (graphMax !== 'auto' && typeof stats[graphMax] === 'number' && stats[graphMax] > 0) {
+            return stats[graphMax];
+        }
 
-MyApplet.prototype = {
-    __proto__: Applet.Applet.prototype,
+        // Auto scale (or the limit is unknown): largest value seen in the history
+        return Math.max.apply(null, [0].concat(values.filter(value => value !== null)));
+    },
 
     /**
-     * Initialize the applet
+     * Update the tooltip with detailed information
+     * The rich tooltip replaces the text one (and is refreshed while open)
      *
-     * @param {Object} metadata - Applet metadata from metadata.json
-     * @param {Number} orientation - Panel orientation
-     * @param {Number} panel_height - Height of the panel
-     * @param {Number} instance_id - Unique instance identifier
+     * @param {Array} stats - Array of per-GPU statistics
      */
-    _init: function(metadata, orientation, panel_height, instance_id) {
-        Applet.Applet.prototype._init.call(this, orientation, panel_height, instance_id);
-
-        // Store metadata and instance info
-        this.metadata = metadata;
-        this.instance_id = instance_id;
-        this.orientation = orientation;
-
-        // Initialize settings
-        try {
-            this.settings = new Settings.AppletSettings(this, metadata.uuid, instance_id);
-            this.settings.bind("layout", "layoutMode", this._onLayoutChanged.bind(this));
-            this.settings.bind("refreshInterval", "refreshInterval", this._onRefreshIntervalChanged.bind(this));
-
-            // Styling settings
-            this.settings.bind("enableColorCoding", "enableColorCoding", this._onStyleChanged.bind(this));
-            this.settings.bind("fontSize", "fontSize", this._onStyleChanged.bind(this));
-            this.settings.bind("fontFamily", "fontFamily", this._onStyleChanged.bind(this));
-            this.settings.bind("verticalPadding", "verticalPadding", this._onStyleChanged.bind(this));
-            this.settings.bind("horizontalPadding", "horizontalPadding", this._onStyleChanged.bind(this));
-            this.settings.bind("lineSpacing", "lineSpacing", this._onStyleChanged.bind(this));
-            this.settings.bind("itemSpacing", "itemSpacing", this._onStyleChanged.bind(this));
-            this.settings.bind("boldText", "boldText", this._onStyleChanged.bind(this));
-            this.settings.bind("textShadow", "textShadow", this._onStyleChanged.bind(this));
-            this.settings.bind("labelStyle", "labelStyle", this._onStyleChanged.bind(this));
-            this.settings.bind("enableBackground", "enableBackground", this._onStyleChanged.bind(this));
-            this.settings.bind("backgroundColor", "backgroundColor", this._onStyleChanged.bind(this));
-            this.settings.bind("enableBorder", "enableBorder", this._onStyleChanged.bind(this));
-            this.settings.bind("borderColor", "borderColor", this._onStyleChanged.bind(this));
-            this.settings.bind("borderWidth", "borderWidth", this._onStyleChanged.bind(this));
-            this.settings.bind("tempWarningThreshold", "tempWarningThreshold", this._onStyleChanged.bind(this));
-            this.settings.bind("tempCriticalThreshold", "tempCriticalThreshold", this._onStyleChanged.bind(this));
-            this.settings.bind("colorNormal", "colorNormal", this._onStyleChanged.bind(this));
-            this.settings.bind("colorWarning", "colorWarning", this._onStyleChanged.bind(this));
-            this.settings.bind("colorCritical", "colorCritical", this._onStyleChanged.bind(this));
-
-            this._log("Settings initialized successfully");
-        } catch (error) {
-            // If settings fail, use defaults
-            this.layoutMode = LAYOUT_SINGLE_ROW;
-            this.refreshInterval = REFRESH_INTERVAL_DEFAULT;
-            this.enableColorCoding = true;
-            this.fontSize = 9;
-            this.fontFamily = "monospace";
-            this.verticalPadding = 2;
-            this.horizontalPadding = 8;
-            this.lineSpacing = 4;
-            this.itemSpacing = 1;
-            this.boldText = false;
-            this.textShadow = false;
-            this.labelStyle = "full";
-            this.enableBackground = false;
-            this.backgroundColor = "rgba(0, 0, 0, 0.5)";
-            this.enableBorder = false;
-            this.borderColor = "rgba(255, 255, 255, 0.3)";
-            this.borderWidth = 1;
-            this.tempWarningThreshold = 70;
-            this.tempCriticalThreshold = 85;
-            this.colorNormal = "rgba(74, 222, 128, 1.0)";
-            this.colorWarning = "rgba(251, 191, 36, 1.0)";
-            this.colorCritical = "rgba(239, 68, 68, 1.0)";
-            this._logError("Settings initialization failed, using defaults: " + error);
+    _updateTooltip: function(stats) {
+        if (this.tooltipStyle !== TOOLTIP_STYLE_TEXT) {
+            this.set_applet_tooltip("");
+            this._richTooltip.refresh();
+            return;
         }
 
-        // Initialize components
-        this.nvidiaSMI = new NvidiaSMI();
-        this.layoutManager = new LayoutManager();
-        this.layoutManager.setLayout(this.layoutMode || LAYOUT_SINGLE_ROW);
+        let tooltip = "NV-Stats - " + this.backend.name + " GPU Statistics\n";
 
-        // Timer state
-        this._timerId = null;
-        if (!this.refreshInterval) {
-            this.refreshInterval = REFRESH_INTERVAL_DEFAULT;
+        for (let gpuStats of stats) {
+            tooltip += "\n";
+            if (stats.length > 1) {
+                tooltip += "GPU " + gpuStats.index + ":\n";
+            }
+            tooltip += this._formatTooltipGpu(gpuStats).join("\n") + "\n";
         }
 
-        // Error tracking
-        this._errorCount = 0;
-        this._consecutiveErrors = 0;
-
-        // Create UI
-        this._createUI();
-
-        // Set tooltip
-        this.set_applet_tooltip("NV-Stats\nInitializing...");
-
-        // Ensure actor responds to events properly
-        this.actor.set_reactive(true);
-
-        // Create context menu items (will be called after parent is fully initialized)
-        // Delay slightly to ensure context menu is ready
-        Mainloop.idle_add(() => {
-            this._setupContextMenu();
-            return false;
-        });
-
-        // Log initialization
-        this._log("Applet initialized with layout: " + this.layoutMode);
+        tooltip += "\n" + this._formatTooltipFooter().join("\n");
+        this.set_applet_tooltip(tooltip);
     },
 
     /**
-     * Set up the right-click context menu items
+     * Build the tooltip lines for one GPU: current values, session statistics,
+     * active alerts and processes
+     *
+     * @param {Object} gpuStats - Per-GPU statistics
+     * @returns {Array} Tooltip lines
      */
-    _setupContextMenu: function() {
-        // Add separator before our custom items
-        this._applet_context_menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+    _formatTooltipGpu: function(gpuStats) {
+        const lines = this._formatTooltipStats(gpuStats).concat(this._formatTooltipSession(gpuStats));
 
-        // Layout section header
-        let layoutHeader = new PopupMenu.PopupMenuItem("Display Layout", { reactive: false });
-        this._applet_context_menu.addMenuItem(layoutHeader);
+        for (let rule of (this.alertsEnabled ? this.alertManager.getActive(gpuStats.index) : [])) {
+            lines.push("Alert: " + this._describeAlertRule(rule));
+        }
 
-        // Single-row layout option
-        this._singleRowItem = new PopupMenu.PopupMenuItem("  Single Row");
-        this._singleRowItem.connect('activate', () => {
-            this._onMenuLayoutChanged(LAYOUT_SINGLE_ROW);
-        });
-        this._applet_context_menu.addMenuItem(this._singleRowItem);
+        if (this.showProcesses && this._processes) {
+            const processes = this._getTopProcesses(gpuStats.index);
+            lines.push("Processes:" + (processes.length === 0 ? " none" : ""));
+            for (let process of processes) {
+                lines.push("  " + this._formatProcessLine(process));
+            }
+        }
 
-        // Two-row layout option
-        this._twoRowItem = new PopupMenu.PopupMenuItem("  Two Rows (2x2)");
-        this._twoRowItem.connect('activate', () => {
-            this._onMenuLayoutChanged(LAYOUT_TWO_ROW);
-        });
-        this._applet_context_menu.addMenuItem(this._twoRowItem);
+        return lines;
+    },
 
-        // Refresh interval section
-        this._applet_context_menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
-        let refreshHeader = new PopupMenu.PopupMenuItem("Refresh Interval", { reactive: false });
-        this._applet_context_menu.addMenuItem(refreshHeader);
+    /**
+     * Build the tooltip lines about the collector: refresh, staleness, health, source,
+     * recording and template errors
+     *
+     * @returns {Array} Tooltip lines
+     */
+    _formatTooltipFooter: function() {
+        const lines = ["Refresh: " + this.refreshInterval + "s"];
+        if (this._stale) {
+            lines.push("Stale: last sample " + Math.round((Date.now() - this._lastSampleTime) / 1000) + "s ago");
+        }
+        if (this._health !== HEALTH_HEALTHY && this._diagnosis) {
+            lines.push("Degraded: " + this._formatDiagnosis() + this._formatRetry());
+        }
+        lines.push("Source: " + this._activeSource.source +
+                   (this._activeSource !== this.backend ? " (" + this.backend.source + " unavailable)" : ""));
 
-        // Create refresh interval menu items
-        this._refreshItems = {};
-        for (let interval of REFRESH_INTERVALS) {
-            let item = new PopupMenu.PopupMenuItem("  " + interval + " second" + (interval > 1 ? "s" : ""));
-            item.connect('activate', () => {
-                this._onMenuRefreshChanged(interval);
-            });
-            this._applet_context_menu.addMenuItem(item);
-            this._refreshItems[interval] = item;
+        if (this.recorder.isRecording()) {
+            lines.push("Recording: " + this.recorder.getPath() + " (" + this.recorder.samples + " samples)");
         }
 
-        // Update menu to show current selections
-        this._updateMenuStates();
+        if (this.labelStyle === LABEL_STYLE_CUSTOM && this._templateError) {
+            lines.push("Template error: " + this._templateError + " (using full labels)");
+        }
 
-        this._log("Context menu items added");
+        return lines;
     },
 
     /**
-     * Override to prevent left-click from doing anything
+     * Create the fixed parts of the rich tooltip: the GPU sections box and the footer
      */
-    on_applet_clicked: function(event) {
-        // Do nothing on left-click
-        return false;
+    _buildRichTooltip: function() {
+        this._tooltipGpus = [];
+        this._tooltipTitle = new St.Label({ style_class: 'gpu-dashboard-title' });
+        this._tooltipGpuBox = new St.BoxLayout({ vertical: true, style_class: 'gpu-rich-tooltip-gpus' });
+        this._tooltipFooter = new St.Label({ style_class: 'gpu-dashboard-subtitle' });
+
+        this._richTooltip.actor.add(this._tooltipTitle);
+        this._richTooltip.actor.add(this._tooltipGpuBox);
+        this._richTooltip.actor.add(this._tooltipFooter);
     },
 
     /**
-     * Update menu items to show current selections
+     * Create one rich tooltip section per GPU
+     *
+     * @param {number} count - Number of GPUs
      */
-    _updateMenuStates: function() {
-        // Update layout indicators
-        const currentLayout = this.layoutManager.getLayout();
-        if (this._singleRowItem && this._twoRowItem) {
-            this._singleRowItem.setShowDot(currentLayout === LAYOUT_SINGLE_ROW);
-            this._twoRowItem.setShowDot(currentLayout === LAYOUT_TWO_ROW);
-        }
-
-        // Update refresh interval indicators
-        for (let interval in this._refreshItems) {
-            let item = this._refreshItems[interval];
-            item.setShowDot(parseInt(interval) === this.refreshInterval);
+    _rebuildTooltipGpus: function(count) {
+        this._tooltipGpuBox.destroy_all_children();
+        this._tooltipGpus = [];
+
+        for (let position = 0; position < count; position++) {
+            let box = new St.BoxLayout({ vertical: true, style_class: 'gpu-dashboard-gpu' });
+            let title = new St.Label({ style_class: 'gpu-dashboard-title' });
+            let subtitle = new St.Label({ style_class: 'gpu-dashboard-subtitle' });
+            let details = new St.Label({ style_class: 'gpu-rich-tooltip-details' });
+            let chart = new St.DrawingArea({ style_class: 'gpu-rich-tooltip-chart' });
+
+            box.add(title);
+            box.add(subtitle);
+            box.add(details);
+            box.add(chart);
+            box.add(this._createChartLegend());
+            this._tooltipGpuBox.add(box);
+
+            const section = { title: title, subtitle: subtitle, details: details, chart: chart, stats: null };
+            chart.connect('repaint', () => this._drawHistoryChart(chart, section.stats, TOOLTIP_CHART_MINUTES));
+            this._tooltipGpus.push(section);
         }
-
-        this._log("Menu states updated - Layout: " + currentLayout + ", Interval: " + this.refreshInterval);
     },
 
     /**
-     * Handle layout change from context menu
+     * Fill the rich tooltip from the last sample (see RichTooltip)
+     * @returns {boolean} False without data (the text tooltip shows the state then)
      */
-    _onMenuLayoutChanged: function(newLayout) {
-        this._log("Menu: Layout changed to " + newLayout);
+    _fillRichTooltip: function() {
+        const stats = this._lastStats;
+        if (!stats) {
+            return false;
+        }
 
-        // Update layout mode
-        this.layoutMode = newLayout;
+        if (stats.length !== this._tooltipGpus.length) {
+            this._rebuildTooltipGpus(stats.length);
+        }
 
-        // Update layout manager
-        this.layoutManager.setLayout(newLayout);
+        // Retry a failed device query when the tooltip opens (not on every refresh)
+        const info = this.deviceInfo;
+        if (!info && !this._richTooltip.visible) {
+            this._fetchDeviceInfo();
+        }
 
-        // Recreate UI with new layout
-        this._createUI();
+        this._tooltipTitle.set_text("NV-Stats - " + this.backend.name + " GPU Statistics");
+        stats.forEach((gpuStats, position) => {
+            const section = this._tooltipGpus[position];
+            const device = (info && info.gpus[gpuStats.index]) ? info.gpus[gpuStats.index] : null;
+
+            section.stats = gpuStats;
+            section.title.set_text("GPU " + gpuStats.index + (device ? ": " + device.name : ""));
+            section.subtitle.set_text(info ? "Driver " + (info.driver || "--") + (info.cuda ? "  CUDA " + info.cuda : "") +
+                                             (device ? "  |  Bus " + device.busId : "") : "");
+            section.details.set_text(this._formatTooltipGpu(gpuStats).join("\n"));
+            section.chart.queue_repaint();
+        });
 
-        // Force immediate update
-        this._update();
+        this._tooltipFooter.set_text(["Charts: last " + TOOLTIP_CHART_MINUTES + " minutes"].concat(this._formatTooltipFooter()).join("\n"));
+        return true;
+    },
 
-        // Save to settings
-        if (this.settings) {
-            try {
-                this.settings.setValue("layout", newLayout);
-            } catch (e) {
-                this._logError("Failed to save layout setting: " + e);
-            }
+    /**
+     * Called when the tooltip style setting changes
+     */
+    _onTooltipStyleChanged: function() {
+        this._log("Tooltip style changed to: " + this.tooltipStyle);
+        this._richTooltip.setEnabled(this.tooltipStyle !== TOOLTIP_STYLE_TEXT);
+        if (this._lastStats) {
+            this._updateTooltip(this._lastStats);
         }
-
-        // Update menu dots
-        this._updateMenuStates();
     },
 
     /**
-     * Handle refresh interval change from context menu
+     * Build the session statistics lines of one GPU for the tooltip
+     * min / avg / max and the 95th percentile per summarized metric, time at or above
+     * the temperature thresholds and the energy drawn
+     *
+     * @param {Object} gpuStats - Per-GPU statistics
+     * @returns {Array} Tooltip lines (empty until a sample was recorded)
      */
-    _onMenuRefreshChanged: function(newInterval) {
-        this._log("Menu: Refresh interval changed to " + newInterval + "s");
+    _formatTooltipSession: function(gpuStats) {
+        const source = String(gpuStats.index);
+        const timeline = this.sessionStats.getTimeline(source);
+        if (!timeline) {
+            return [];
+        }
 
-        this.refreshInterval = newInterval;
+        const format = (key, value) => this.layoutManager.formatUnits(key, value, "full", gpuStats);
+        const lines = ["Session (" + this._formatDuration(Date.now() - this.sessionStats.startTime) + ", min / avg / max):"];
 
-        // Restart timer with new interval
-        this._stopTimer();
-        this._startTimer();
+        for (let key of SESSION_TOOLTIP_METRICS) {
+            const aggregate = this.sessionStats.get(source, key);
+            if (aggregate) {
+                lines.push("  " + METRICS[key].description + ": " + format(key, aggregate.min) + " / " +
+                           format(key, aggregate.mean) + " / " + format(key, aggregate.max) +
+                           " (p95 " + format(key, aggregate.p95) + ")");
+            }
+        }
 
-        // Save to settings if available
-        if (this.settings) {
-            this.settings.setValue("refreshInterval", newInterval);
+        if (this.sessionStats.get(source, 'temp')) {
+            lines.push("  Above " + format('temp', this.sessionStats.warningTemp) + ": " +
+                       this._formatDuration(timeline.warningSeconds * 1000) + ", above " +
+                       format('temp', this.sessionStats.criticalTemp) + ": " +
+                       this._formatDuration(timeline.criticalSeconds * 1000));
+        }
+        if (this.sessionStats.get(source, 'power')) {
+            lines.push("  Energy: " + timeline.energyWh.toFixed(timeline.energyWh < 10 ? 2 : 1) + " Wh");
         }
 
-        this._updateMenuStates();
+        return lines;
     },
 
-
     /**
-     * Create the applet UI based on current layout
+     * Build the tooltip lines for one GPU
+     * Metrics the driver (or collector mode) does not report are left out
+     *
+     * @param {Object} gpuStats - Per-GPU statistics
+     * @returns {Array} Tooltip lines
      */
-    _createUI: function() {
-        // Remove old widgets if they exist
-        if (this._mainBox) {
-            this._mainBox.destroy();
-            this._mainBox = null;
-            this._label1 = null;
-            this._label2 = null;
+    _formatTooltipStats: function(gpuStats) {
+        const has = (key) => gpuStats[key] !== undefined && gpuStats[key] !== null;
+        const round = (value) => Math.round(value);
+
+        const value = (key) => (has(key) ? gpuStats[key] : "--");
+        const temperature = (key) => (has(key) ? round(convertTemperature(gpuStats[key], this.units.temperature)) : "--") +
+                                     temperatureSuffix(this.units.temperature);
+
+        const lines = [
+            "GPU Utilization: " + value('gpu') + "%",
+            "Memory Usage: " + value('mem') + "%",
+            "Temperature: " + temperature('temp') + (has('memTemp') ? " (memory " + temperature('memTemp') + ")" : ""),
+            "Fan Speed: " + value('fan') + "%"
+        ];
+
+        if (has('power')) {
+            lines.push("Power Draw: " + round(gpuStats.power) + " W" +
+                       (has('powerLimit') ? " / " + round(gpuStats.powerLimit) + " W" : ""));
         }
-
-        const layout = this.layoutManager.getLayout();
-
-        // Get padding values
-        const vPad = (this.verticalPadding !== undefined) ? this.verticalPadding : 2;
-        const hPad = (this.horizontalPadding !== undefined) ? this.horizontalPadding : 8;
-        const lineSpace = (this.lineSpacing !== undefined) ? this.lineSpacing : 4;
-
-        // Build box style with optional background and border
-        let boxStyle = 'padding: ' + vPad + 'px ' + hPad + 'px;';
-        if (this.enableBackground) {
-            boxStyle += ' background-color: ' + (this.backgroundColor || 'rgba(0, 0, 0, 0.5)') + ';';
+        if (has('vramUsed') && this.units.memory === MEMORY_UNIT_GIB) {
+            lines.push("VRAM: " + (gpuStats.vramUsed / 1024).toFixed(1) +
+                       (has('vramTotal') ? " / " + (gpuStats.vramTotal / 1024).toFixed(1) : "") + " GiB");
+        } else if (has('vramUsed')) {
+            const percent = (this.units.memory === MEMORY_UNIT_PERCENT) ? percentOf(gpuStats.vramUsed, gpuStats.vramTotal) : null;
+            lines.push("VRAM: " + (percent !== null ? round(percent) + "% (" : "") + round(gpuStats.vramUsed) +
+                       (has('vramTotal') ? " / " + round(gpuStats.vramTotal) : "") + " MiB" + (percent !== null ? ")" : ""));
         }
-        if (this.enableBorder) {
-            const borderWidth = this.borderWidth || 1;
-            const borderColor = this.borderColor || 'rgba(255, 255, 255, 0.3)';
-            boxStyle += ' border: ' + borderWidth + 'px solid ' + borderColor + '; border-radius: 3px;';
+        if (has('smClock') || has('memClock')) {
+            lines.push("Clocks: SM " + (has('smClock') ? round(gpuStats.smClock) : "--") + " MHz, Memory " +
+                       (has('memClock') ? round(gpuStats.memClock) : "--") + " MHz");
         }
-
-        // Build text style with optional bold and shadow
-        const fontSize = this.fontSize || 9;
-        const fontFamily = this.fontFamily || 'monospace';
-        let textStyle = 'font-size: ' + fontSize + 'pt; font-family: ' + fontFamily + ';';
-        if (this.boldText) {
-            textStyle += ' font-weight: bold;';
+        if (has('enc') || has('dec')) {
+            lines.push("Encoder/Decoder: " + (has('enc') ? gpuStats.enc : "--") + "% / " +
+                       (has('dec') ? gpuStats.dec : "--") + "%");
         }
-        if (this.textShadow) {
-            textStyle += ' text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.8);';
+        if (has('pcieRx') || has('pcieTx')) {
+            lines.push("PCIe RX/TX: " + (has('pcieRx') ? gpuStats.pcieRx : "--") + " / " +
+                       (has('pcieTx') ? gpuStats.pcieTx : "--") + " MB/s");
+        }
+        if (has('pstate')) {
+            lines.push("P-State: " + gpuStats.pstate);
+        }
+        if (has('throttle')) {
+            const reasons = getThrottleReasons(gpuStats.throttle);
+            lines.push("Throttling: " + (reasons.length > 0 ? reasons.map(reason => reason.description).join(", ") : "none"));
         }
 
-        if (layout === LAYOUT_TWO_ROW) {
-            // Create vertical box for two-row layout
-            this._mainBox = new St.BoxLayout({
-                vertical: true,
-                style_class: 'gpu-monitor-box',
-                style: boxStyle + ' spacing: ' + lineSpace + 'px;'
-            });
+        return lines;
+    },
 
-            // Create two labels with dynamic styling
-            this._label1 = new St.Label({
-                text: 'GPU : -- MEM: --',
-                style_class: 'gpu-monitor-label',
-                style: textStyle + ' padding: 1px 0px;'
-            });
-            this._label2 = new St.Label({
-                text: 'TEMP: -- FAN: --',
-                style_class: 'gpu-monitor-label',
-                style: textStyle + ' padding: 1px 0px;'
-            });
+    /**
+     * Push the alert settings into the alert manager
+     */
+    _applyAlertSettings: function() {
+        this.alertManager.setRules((this.alertRules || []).filter(rule => rule && rule.enabled));
+        this.alertManager.setOptions(this.alertConsecutive, this.alertCooldown, this.alertNotifyRecovery);
+    },
 
-            this._mainBox.add(this._label1);
-            this._mainBox.add(this._label2);
-            this.actor.add_actor(this._mainBox);
+    /**
+     * Called when an alert setting changes
+     */
+    _onAlertSettingsChanged: function() {
+        this._log("Alert settings changed");
+        this._applyAlertSettings();
+    },
 
-            this._log("Created two-row UI with font size: " + fontSize + "pt, padding: " + vPad + "px " + hPad + "px, spacing: " + lineSpace + "px");
-        } else {
-            // Create single label for single-row layout
-            this._mainBox = new St.BoxLayout({
-                vertical: false,
-                style_class: 'gpu-monitor-box',
-                style: boxStyle
-            });
+    /**
+     * Check a fresh sample against the alert rules and notify
+     *
+     * @param {Array} stats - Array of per-GPU statistics
+     */
+    _checkAlerts: function(stats) {
+        if (!this.alertsEnabled) {
+            return;
+        }
 
-            this._label1 = new St.Label({
-                text: 'GPU: --',
-                style_class: 'gpu-monitor-label',
-                style: textStyle
-            });
+        for (let event of this.alertManager.check(stats, Date.now())) {
+            const metric = ALERT_METRICS[event.rule.metric];
+            const unit = alertMetricUnit(event.rule.metric, this.units);
+            const gpu = (stats.length > 1) ? "GPU " + event.gpu + " " : "GPU ";
+            const current = metric.description + " is " + Math.round(event.value) + unit;
+
+            if (metric.flag) {
+                const gpuStats = stats.find(entry => entry.index === event.gpu);
+                const reasons = getThrottleReasons(gpuStats ? gpuStats.throttle : null).map(reason => reason.description);
+                this._collector.notify("NV-Stats: " + gpu + metric.description.toLowerCase() +
+                                       (event.type === 'alert' ? " active" : " cleared"),
+                                       reasons.length > 0 ? reasons.join(", ") : metric.description + " has stopped");
+            } else if (event.type === 'alert') {
+                this._collector.notify("NV-Stats: " + gpu + metric.description.toLowerCase() + " high",
+                                       current + " (threshold " + event.rule.threshold + unit + ")");
+            } else {
+                this._collector.notify("NV-Stats: " + gpu + metric.description.toLowerCase() + " back to normal", current);
+            }
+            this._log("Alert " + event.type + ": GPU " + event.gpu + " " + event.rule.metric + " = " + event.value);
+        }
+    },
 
-            this._mainBox.add(this._label1);
-            this.actor.add_actor(this._mainBox);
+    /**
+     * Describe an alert rule for the tooltip
+     *
+     * @param {Object} rule - Alert rule
+     * @returns {string} e.g. "Temperature ≥ 85°C", or "Clock throttling" for a flag
+     */
+    _describeAlertRule: function(rule) {
+        if (ALERT_METRICS[rule.metric].flag) {
+            return ALERT_METRICS[rule.metric].description;
+        }
+        return ALERT_METRICS[rule.metric].description + " ≥ " + rule.threshold + alertMetricUnit(rule.metric, this.units);
+    },
 
-            // Clear second label reference
-            this._label2 = null;
+    /**
+     * Push the recording settings into the recorder
+     */
+    _applyRecordSettings: function() {
+        this.recorder.setOptions(this.recordFormat, this.recordEvery, this.recordMaxSize, this.recordRetention);
+    },
 
-            this._log("Created single-row UI with font size: " + fontSize + "pt, padding: " + vPad + "px " + hPad + "px");
-        }
+    /**
+     * Called when a recording setting changes
+     */
+    _onRecordSettingsChanged: function() {
+        this._log("Recording settings changed");
+        this._applyRecordSettings();
     },
 
     /**
-     * Called when layout setting changes
+     * Provide data to the D-Bus service while enabled and on the panel
      */
-    _onLayoutChanged: function() {
-        this._log("Layout changed to: " + this.layoutMode);
-        this.layoutManager.setLayout(this.layoutMode);
-        this._createUI();
-        // Force immediate update with current layout
-        this._update();
-        // Update menu if it exists
-        if (this._applet_context_menu) {
-            this._updateMenuStates();
+    _applyDbusService: function() {
+        if (this.dbusService && this._onPanel) {
+            STATS_SERVICE.addProvider(this);
+            if (this._lastStats) {
+                STATS_SERVICE.publish(this, this._lastStats, this._lastSampleTime, this._activeSource.source, this.history);
+            }
+        } else {
+            STATS_SERVICE.removeProvider(this);
         }
     },
 
     /**
-     * Called when refresh interval setting changes
+     * Called when the D-Bus service setting changes
      */
-    _onRefreshIntervalChanged: function() {
-        this._log("Refresh interval changed to: " + this.refreshInterval + "s");
-        // Restart timer with new interval
-        if (this._timerId) {
-            this._stopTimer();
-            this._startTimer();
+    _onDbusServiceChanged: function() {
+        this._log("D-Bus service " + (this.dbusService ? "enabled" : "disabled"));
+        this._applyDbusService();
+    },
+
+    /**
+     * Provide data to the shared metrics exporter while enabled and on the panel
+     * (the first instance providing data also chooses the port)
+     */
+    _applyExporterSettings: function() {
+        const port = this.metricsPort || EXPORTER_PORT_DEFAULT;
+        if (!this.metricsExporter || !this._onPanel) {
+            METRICS_EXPORTER.removeProvider(this);
+            return;
         }
-        // Update menu if it exists
-        if (this._applet_context_menu) {
-            this._updateMenuStates();
+
+        const getMetrics = () => formatOpenMetrics(this._lastStats || [], this.deviceInfo);
+        if (!METRICS_EXPORTER.addProvider(this, port, getMetrics)) {
+            Main.notify("NV-Stats: metrics exporter failed",
+                        "Could not listen on 127.0.0.1:" + METRICS_EXPORTER.providers[0].port + " (port in use?)");
         }
     },
 
     /**
-     * Called when any styling setting changes
+     * Called when a metrics exporter setting changes
      */
-    _onStyleChanged: function() {
-        this._log("Styling settings changed - updating display");
-        // Recreate UI to apply font size changes
-        this._createUI();
-        // Force immediate update to apply new colors/thresholds
-        this._update();
+    _onExporterSettingsChanged: function() {
+        this._log("Metrics exporter " + (this.metricsExporter ? "enabled on port " + this.metricsPort : "disabled"));
+        this._applyExporterSettings();
     },
 
     /**
-     * Called when applet is added to the panel
-     * Start GPU monitoring timer
+     * Start or stop recording samples to disk (context menu)
      */
-    on_applet_added_to_panel: function() {
-        this._log("Applet added to panel");
-
-        // Do initial update immediately
-        this._update();
+    _onToggleRecording: function() {
+        if (this.recorder.isRecording()) {
+            const path = this.recorder.getPath();
+            const samples = this.recorder.samples;
+            this.recorder.stop();
+            Main.notify("NV-Stats: recording stopped", samples + " samples written to " + path);
+        } else {
+            const path = this.recorder.start();
+            if (path) {
+                Main.notify("NV-Stats: recording started", "Writing samples to " + path);
+            } else {
+                Main.notify("NV-Stats: recording failed", "Could not create a file in " + this.recorder.directory);
+            }
+        }
 
-        // Start periodic timer
-        this._startTimer();
+        this._updateRecordItem();
     },
 
     /**
-     * Called when applet is removed from panel
-     * Cleanup any timers or resources here
+     * Called when writing a sample failed (the recorder has stopped)
      */
-    on_applet_removed_from_panel: function() {
-        this._log("Applet removed from panel");
+    _onRecordingFailed: function() {
+        Main.notify("NV-Stats: recording stopped", "Writing to " + this.recorder.directory + " failed");
+        this._updateRecordItem();
+    },
 
-        // Stop and cleanup timer
-        this._stopTimer();
+    /**
+     * Show the recording state in the context menu
+     */
+    _updateRecordItem: function() {
+        if (this._recordItem) {
+            this._recordItem.label.set_text(this.recorder.isRecording() ? "Stop recording" : "Start recording");
+            this._recordItem.setShowDot(this.recorder.isRecording());
+        }
     },
 
     /**
-     * Start the periodic update timer
+     * Start a process list refresh unless one is still running
      */
-    _startTimer: function() {
-        // Cancel existing timer if any
-        if (this._timerId) {
-            Mainloop.source_remove(this._timerId);
-            this._timerId = null;
+    _refreshProcesses: function() {
+        if (this._processesPending) {
+            return;
         }
 
-        // Start new timer
-        this._timerId = Mainloop.timeout_add_seconds(this.refreshInterval, () => {
-            this._update();
-            return true; // Continue timer
+        this._processesPending = true;
+        const collector = this._collector;
+        this.backend.getProcesses((processes) => {
+            this._processesPending = false;
+            collector.publish('_onProcesses', [processes]);
         });
+    },
 
-        this._log("Timer started with interval: " + this.refreshInterval + "s");
+    /**
+     * Store a refreshed process list (published by the collector group leader)
+     * @param {Array|null} processes - Process entries, or null if the query failed
+     */
+    _onProcesses: function(processes) {
+        if (!this.showProcesses) {
+            return;
+        }
+
+        this._processes = processes;
+        if (this._lastStats) {
+            this._updateTooltip(this._lastStats);
+            if (this.menu.isOpen) {
+                this._updateDashboard();
+            }
+        }
     },
 
     /**
-     * Stop the periodic update timer
+     * Called when a process list setting changes
      */
-    _stopTimer: function() {
-        if (this._timerId) {
-            Mainloop.source_remove(this._timerId);
-            this._timerId = null;
-            this._log("Timer stopped");
+    _onProcessSettingsChanged: function() {
+        if (!this.showProcesses) {
+            this._processes = null;
+        }
+
+        if (this._lastStats) {
+            this._updateTooltip(this._lastStats);
+            if (this.menu.isOpen) {
+                this._updateDashboard();
+            }
         }
     },
 
     /**
-     * Update GPU statistics and display
+     * Get the processes of one GPU, sorted by the configured key and limited
+     * to the configured count
+     *
+     * @param {number} gpuIndex - GPU index
+     * @returns {Array} Process entries (empty if unknown)
      */
-    _update: function() {
-        try {
-            // Get stats from nvidia-smi asynchronously
-            this.nvidiaSMI.getStats((stats) => {
-                if (stats === null) {
-                    // Error getting stats
-                    this._handleError("Failed to get GPU stats");
-                    return;
-                }
+    _getTopProcesses: function(gpuIndex) {
+        if (!this._processes) {
+            return [];
+        }
 
-                // Reset error counter on success
-                this._consecutiveErrors = 0;
+        const primary = (this.processSort === PROCESS_SORT_SM) ? 'sm' : 'vram';
+        const secondary = (primary === 'sm') ? 'vram' : 'sm';
+        const value = (process, key) => (process[key] === null ? -1 : process[key]);
 
-                // Update display
-                this._updateDisplay(stats);
+        return this._processes
+            .filter(process => process.gpu === gpuIndex)
+            .sort((a, b) => (value(b, primary) - value(a, primary)) || (value(b, secondary) - value(a, secondary)))
+            .slice(0, this.processLimit || PROCESS_LIMIT_DEFAULT);
+    },
 
-                // Update tooltip
-                this._updateTooltip(stats);
-            });
+    /**
+     * Format one process entry: PID, name, VRAM and SM utilization
+     *
+     * @param {Object} process - Process entry
+     * @returns {string} Process line
+     */
+    _formatProcessLine: function(process) {
+        const name = (process.name || "?").length > 20 ? process.name.substring(0, 19) + "…" : (process.name || "?");
+        const vram = (process.vram !== null) ? process.vram + " MiB" : "--";
+        const sm = (process.sm !== null) ? process.sm + "%" : "--";
 
-        } catch (error) {
-            this._logError("Update error: " + error);
-            this._handleError("Update exception: " + error);
+        return String(process.pid).padStart(7) + "  " + name.padEnd(20) + vram.padStart(10) + " " + sm.padStart(5);
+    },
+
+    /**
+     * Get the color of a color metric value
+     * Steps mode snaps to the state color; gradient modes blend between them
+     *
+     * @param {number|null} value - Color metric value (e.g. temperature in Celsius)
+     * @returns {string} Color string (rgba format)
+     */
+    getMetricColor: function(value) {
+        if (this.colorMode !== COLOR_MODE_RGB && this.colorMode !== COLOR_MODE_HSL) {
+            return this.getStateColor(this.getMetricState(value));
         }
+
+        const thresholds = this._getColorThresholds();
+        return gradientColor(value, thresholds.warning, thresholds.critical,
+                             COLOR_STATES.map(state => this.getStateColor(state)), this.colorMode);
     },
 
     /**
-     * Update the applet display with GPU stats
+     * Get the color state of a color metric value
      *
-     * @param {Object} stats - {gpu: number, mem: number, temp: number, fan: number}
+     * @param {number|null} value - Color metric value (e.g. temperature in Celsius)
+     * @returns {string} 'normal', 'warning' or 'critical'
      */
-    _updateDisplay: function(stats) {
-        const layout = this.layoutManager.getLayout();
-        const itemSpacing = (this.itemSpacing !== undefined) ? this.itemSpacing : 1;
-        const labelStyle = this.labelStyle || "full";
-        const formatted = this.layoutManager.format(stats, itemSpacing, labelStyle);
+    getMetricState: function(value) {
+        if (typeof value !== 'number') {
+            return 'normal';
+        }
 
-        if (layout === LAYOUT_TWO_ROW) {
-            // Two-row layout
-            if (this._label1 && this._label2) {
-                this._label1.set_text(formatted.row1);
-                this._label2.set_text(formatted.row2);
-                // Apply temperature styling to both rows
-                this._applyTemperatureStyle(this._label1, stats.temp);
-                this._applyTemperatureStyle(this._label2, stats.temp);
-                this._log("Display updated (2-row): " + formatted.row1 + " / " + formatted.row2);
-            }
+        // Get thresholds from settings (with defaults)
+        const thresholds = this._getColorThresholds();
+
+        if (value < thresholds.warning) {
+            return 'normal';
+        } else if (value < thresholds.critical) {
+            return 'warning';
         } else {
-            // Single-row layout
-            if (this._label1) {
-                this._label1.set_text(formatted);
-                // Apply temperature styling to the label
-                this._applyTemperatureStyle(this._label1, stats.temp);
-                this._log("Display updated (1-row): " + formatted);
-            }
+            return 'critical';
         }
     },
 
     /**
-     * Update the tooltip with detailed information
+     * Get the configured color of a color state
      *
-     * @param {Object} stats - GPU statistics
+     * @param {string} state - 'normal', 'warning' or 'critical'
+     * @returns {string} Color string (rgba format)
      */
-    _updateTooltip: function(stats) {
-        const tooltip = "NV-Stats - NVIDIA GPU Statistics\n\n" +
-                       "GPU Utilization: " + stats.gpu + "%\n" +
-                       "Memory Usage: " + stats.mem + "%\n" +
-                       "Temperature: " + stats.temp + "°C\n" +
-                       "Fan Speed: " + stats.fan + "%\n\n" +
-                       "Refresh: " + this.refreshInterval + "s";
+    getStateColor: function(state) {
+        if (state === 'critical') {
+            return this.colorCritical || "rgba(239, 68, 68, 1.0)";
+        } else if (state === 'warning') {
+            return this.colorWarning || "rgba(251, 191, 36, 1.0)";
+        }
+        return this.colorNormal || "rgba(74, 222, 128, 1.0)";
+    },
 
-        this.set_applet_tooltip(tooltip);
+    /**
+     * Get the most severe color state of a set of throttle reasons
+     *
+     * @param {Array} reasons - Entries of THROTTLE_REASONS
+     * @returns {string|null} 'warning', 'critical' or null if none affects the color
+     */
+    _getThrottleSeverity: function(reasons) {
+        let severity = null;
+        for (let reason of reasons) {
+            if (reason.severity && (severity === null || COLOR_STATES.indexOf(reason.severity) > COLOR_STATES.indexOf(severity))) {
+                severity = reason.severity;
+            }
+        }
+        return severity;
     },
 
     /**
-     * Get temperature-based color for color coding
+     * Get the panel label color
+     * The color follows the color metric (temperature by default); throttling
+     * raises the color to at least the throttle severity
      *
-     * @param {number} temp - Temperature in Celsius
-     * @returns {string} Color string (rgba format) for temperature
+     * @param {number|null} value - Current color metric value (null: normal color)
+     * @param {string|null} throttleSeverity - Optional 'warning' or 'critical' while throttling
+     * @returns {string} Color string (white while color coding is disabled)
      */
-    getTemperatureColor: function(temp) {
-        // Get thresholds from settings (with defaults)
-        const warningThreshold = this.tempWarningThreshold || 70;
-        const criticalThreshold = this.tempCriticalThreshold || 85;
+    _getLabelColor: function(value, throttleSeverity) {
+        const colorCodingEnabled = (this.enableColorCoding !== undefined) ? this.enableColorCoding : true;
+        if (!colorCodingEnabled) {
+            return '#ffffff';
+        }
 
-        if (temp < warningThreshold) {
-            return this.colorNormal || "rgba(74, 222, 128, 1.0)";
-        } else if (temp >= warningThreshold && temp < criticalThreshold) {
-            return this.colorWarning || "rgba(251, 191, 36, 1.0)";
-        } else {
-            return this.colorCritical || "rgba(239, 68, 68, 1.0)";
+        const state = this.getMetricState(value);
+        if (throttleSeverity && COLOR_STATES.indexOf(throttleSeverity) > COLOR_STATES.indexOf(state)) {
+            return this.getStateColor(throttleSeverity);
         }
+        return this.getMetricColor(value);
     },
 
     /**
      * Apply temperature-based styling to label
+     * The color follows the color metric (temperature by default); throttling
+     * raises the color to at least the throttle severity
      *
      * @param {St.Label} label - Label to style
-     * @param {number} temp - Current temperature
+     * @param {number|null} value - Current color metric value (null: normal color)
+     * @param {string|null} throttleSeverity - Optional 'warning' or 'critical' while throttling
      */
-    _applyTemperatureStyle: function(label, temp) {
+    _applyTemperatureStyle: function(label, value, throttleSeverity) {
         if (!label) return;
 
         // Build base text style
-        const fontSize = this.fontSize || 9;
+        const fontSize = this._panelFontSize || this.fontSize || 9;
         const fontFamily = this.fontFamily || 'monospace';
         let textStyle = 'font-size: ' + fontSize + 'pt; font-family: ' + fontFamily + ';';
 
@@ -954,49 +7764,117 @@ MyApplet.prototype = {
             return;
         }
 
-        // Get temperature color from settings and apply
-        const tempColor = this.getTemperatureColor(temp);
-        textStyle += ' color: ' + tempColor + ';';
+        // Get the metric color from settings and apply
+        const color = this._getLabelColor(value, throttleSeverity);
+        textStyle += ' color: ' + color + ';';
         label.set_style(textStyle);
 
-        this._log("Applied temperature color: " + tempColor + " for " + temp + "°C");
+        this._log("Applied " + this._getColorMetric() + " color: " + color + " for " + value +
+                  (throttleSeverity ? " (throttling: " + throttleSeverity + ")" : ""));
     },
 
     /**
-     * Handle errors gracefully
+     * Handle a failed backend query
+     * Records the diagnosis, backs off polling after HEALTH_OFFLINE_AFTER consecutive
+     * failures (doubling up to HEALTH_RETRY_MAX) and falls back to other data if any
      *
-     * @param {string} reason - Error reason
+     * @param {string} reason - Error reason (used when the backend gives no diagnosis)
      */
     _handleError: function(reason) {
         this._consecutiveErrors++;
+        this._diagnosis = this.backend.lastFailure || { type: FAILURE_DRIVER, message: reason };
 
         // Only log first error and every 10th error to avoid spam
         if (this._consecutiveErrors === 1 || this._consecutiveErrors % 10 === 0) {
-            this._logError(reason + " (consecutive errors: " + this._consecutiveErrors + ")");
+            this._logError(this._formatDiagnosis() + " (consecutive errors: " + this._consecutiveErrors + ")");
         }
 
-        // Update display to show error state
-        if (this._consecutiveErrors === 1) {
-            const layout = this.layoutManager.getLayout();
+        // The query loop restarts with its own backoff; polling backs off here
+        if (this._consecutiveErrors >= HEALTH_OFFLINE_AFTER && !this.backend.isStreaming()) {
+            const delay = Math.min(this.refreshInterval * Math.pow(2, this._consecutiveErrors - HEALTH_OFFLINE_AFTER + 1), HEALTH_RETRY_MAX);
+            this._nextRetryTime = Date.now() + delay * 1000;
+        }
 
-            if (layout === LAYOUT_TWO_ROW) {
-                if (this._label1 && this._label2) {
-                    this._label1.set_text("GPU : -- MEM: --");
-                    this._label2.set_text("TEMP: -- FAN: --");
-                }
-            } else {
-                if (this._label1) {
-                    this._label1.set_text("GPU: --");
-                }
-            }
+        // Every member counts the failure; the leader reads the fallback for all
+        if (this._isLeader()) {
+            this._readFallback();
+        }
+    },
+
+    /**
+     * Called when neither the backend nor a fallback delivered data
+     * Degraded: the last values stay up (and turn stale) for a few failures;
+     * offline: the panel shows placeholders and the tooltip the diagnosis
+     */
+    _onNoData: function() {
+        this._activeSource = this.backend;
+
+        if (this._consecutiveErrors < HEALTH_OFFLINE_AFTER && this._lastStats) {
+            this._setHealth(HEALTH_DEGRADED);
+            this._updateTooltip(this._lastStats);
+            return;
+        }
+
+        this._setHealth(this._consecutiveErrors < HEALTH_OFFLINE_AFTER ? HEALTH_DEGRADED : HEALTH_OFFLINE);
+        this._lastStats = null;
+
+        const itemSpacing = (this.itemSpacing !== undefined) ? this.itemSpacing : 1;
+        const placeholder = this.layoutManager.formatPlaceholder(itemSpacing, this.labelStyle || "full");
+        const rows = (typeof placeholder === 'string') ? [placeholder] : placeholder;
+
+        this._labels.forEach((label, position) => {
+            this._setLabelText(label, rows[position] || "");
+        });
+        if (this._iconCells !== null) {
+            this._updateIconCells([{ label: null, stats: {} }], null, null);
+        }
+
+        const description = FAILURE_DESCRIPTIONS[this._diagnosis.type];
+        this.set_applet_tooltip("NV-Stats - " + this.backend.name + " GPU Statistics\n\n" +
+                                "Status: " + (this._health === HEALTH_OFFLINE ? "Offline" : "Degraded") + "\n" +
+                                this._formatDiagnosis() + "\n\n" +
+                                description.hint + "\n\n" +
+                                "Source: " + this.backend.source + this._formatRetry() + "\n" +
+                                "Check logs: ~/.xsession-errors");
+        // Without stats the rich tooltip has nothing to show: hide it so the diagnosis above is seen
+        this._richTooltip.refresh();
+    },
+
+    /**
+     * Switch the collector health state
+     * @param {string} health - HEALTH_* constant
+     */
+    _setHealth: function(health) {
+        if (health === this._health) {
+            return;
+        }
+
+        if (health === HEALTH_HEALTHY) {
+            this._log("Collector healthy again");
+        } else {
+            this._logError("Collector " + health + ": " + this._formatDiagnosis());
+        }
+        this._health = health;
+    },
 
-            this.set_applet_tooltip("NV-Stats\n\nError: " + reason + "\n\n" +
-                                   "Check that:\n" +
-                                   "- NVIDIA drivers are installed\n" +
-                                   "- nvidia-smi command is available\n" +
-                                   "- You have permission to access GPU\n\n" +
-                                   "Check logs: ~/.xsession-errors");
+    /**
+     * Describe the current diagnosis, e.g. "Driver error: nvidia-smi did not respond within 5s"
+     * @returns {string} Diagnosis text (empty when healthy)
+     */
+    _formatDiagnosis: function() {
+        if (!this._diagnosis) {
+            return "";
         }
+        return FAILURE_DESCRIPTIONS[this._diagnosis.type].title + ": " + this._diagnosis.message;
+    },
+
+    /**
+     * Describe when the backend is retried while backing off
+     * @returns {string} e.g. " (next retry in 40s)", or empty when not backing off
+     */
+    _formatRetry: function() {
+        const remaining = Math.ceil((this._nextRetryTime - Date.now()) / 1000);
+        return remaining > 0 ? " (next retry in " + remaining + "s)" : "";
     },
 
     /**
@@ -12,16 +12,44 @@
 
 # Detect command type and respond appropriately
 if [[ "$*" == *"dmon"* ]]; then
-    # Mock dmon output - normal load
+    # Mock dmon output (-s pucmt) - normal load
     cat <<'EOF'
-# gpu    pwr  gtemp  mtemp     sm    mem    enc    dec    jpg    ofa     fb   bar1   ccpm
-# Idx      W      C      C      %      %      %      %      %      %     MB     MB     MB
-    0     85     55      -     42     35      0      0      0      0   4096    128      0
+# gpu    pwr  gtemp  mtemp     sm    mem    enc    dec    jpg    ofa   mclk   pclk     fb   bar1   ccpm  rxpci  txpci
+# Idx      W      C      C      %      %      %      %      %      %    MHz    MHz     MB     MB     MB   MB/s   MB/s
+    0     85     55      -     42     35      0      0      0      0   7000   1755   4096    128      0    120     35
 EOF
 
+elif [[ "$*" == *"utilization.gpu"* ]]; then
+    # Mock persistent query loop (STREAM_QUERY_FIELDS order)
+    LINE="0, 42, 35, 55, 55, 85.20, 250.00, 4096, 8192, 1755, 7000, P2, 0x0000000000000000"
+    if [[ "$*" == *"-lms"* ]]; then
+        while true; do
+            echo "$LINE"
+            sleep 1
+        done
+    fi
+    echo "$LINE"
+
+elif [[ "$*" == *"pmon"* ]]; then
+    # Mock pmon output (-s um)
+    cat <<'EOF'
+# gpu         pid   type     sm    mem    enc    dec    jpg    ofa     fb   command
+# Idx           #    C/G      %      %      %      %      %      %     MB   name
+    0       1873     G      3      1      -      -      -      -    412   Xorg
+    0      24610     C     38     22      -      -      -      -   2048   python3
+EOF
+
+elif [[ "$*" == *"query-compute-apps"* ]]; then
+    # Mock compute apps query (pid, used_memory)
+    echo "24610, 2048"
+
+elif [[ "$*" == *"driver_version"* ]]; then
+    # Mock device identity query (index, name, driver_version, pci.bus_id)
+    echo "0, NVIDIA GeForce RTX 3070, 535.129.03, 00000000:01:00.0"
+
 elif [[ "$*" == *"fan.speed"* ]]; then
-    # Mock fan speed query
-    echo "55"
+    # Mock device query (index, fan.speed, power.limit, memory.total, pstate, throttle reasons)
+    echo "0, 55, 250.00, 8192, P2, 0x0000000000000000"
 
 else
     # Default mock output (standard nvidia-smi)
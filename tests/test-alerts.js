@@ -0,0 +1,361 @@
+#!/usr/bin/env gjs
+/**
+ * Unit tests for the alert manager
+ *
+ * Tests threshold crossing over consecutive samples, hysteresis, rate limiting, recovery and display units
+ * Run with: gjs tests/test-alerts.js
+ */
+
+// Alert metrics, display units and manager (copied from applet.js for testing)
+const TEMP_UNIT_CELSIUS = 'C';
+const TEMP_UNIT_FAHRENHEIT = 'F';
+const TEMP_UNIT_KELVIN = 'K';
+const TEMPERATURE_UNITS = {
+    C: { suffix: '°C', fromCelsius: celsius => celsius,                toCelsius: value => value,                scale: 1 },
+    F: { suffix: '°F', fromCelsius: celsius => celsius * 9 / 5 + 32,   toCelsius: value => (value - 32) * 5 / 9, scale: 9 / 5 },
+    K: { suffix: 'K',  fromCelsius: celsius => celsius + 273.15,       toCelsius: value => value - 273.15,       scale: 1 }
+};
+const MEMORY_UNIT_PERCENT = 'pct';  // VRAM used as % of total
+const MEMORY_UNIT_MIB = 'mib';
+const MEMORY_UNIT_GIB = 'gib';
+const UNITS_DEFAULT = { temperature: TEMP_UNIT_CELSIUS, memory: MEMORY_UNIT_MIB };
+
+/**
+ * Convert a Celsius temperature to a display unit
+ *
+ * @param {number|null} celsius - Temperature in Celsius
+ * @param {string} unit - One of TEMP_UNIT_* (unknown units keep Celsius)
+ * @returns {number|null} Converted temperature, or null if unknown
+ */
+function convertTemperature(celsius, unit) {
+    if (typeof celsius !== 'number') {
+        return null;
+    }
+    return (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS[TEMP_UNIT_CELSIUS]).fromCelsius(celsius);
+}
+
+/**
+ * Get the suffix of a temperature unit
+ *
+ * @param {string} unit - One of TEMP_UNIT_*
+ * @returns {string} e.g. "°F"
+ */
+function temperatureSuffix(unit) {
+    return (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS[TEMP_UNIT_CELSIUS]).suffix;
+}
+
+function percentOf(value, total) {
+    if (typeof value !== 'number' || typeof total !== 'number' || total <= 0) {
+        return null;
+    }
+    return value / total * 100;
+}
+
+const THROTTLE_REASONS = [
+    { bit: 0x04, short: 'PWR',   description: 'Power cap',                 severity: 'warning' },
+    { bit: 0x08, short: 'HW',    description: 'Hardware slowdown',         severity: 'critical' },
+    { bit: 0x10, short: 'SYNC',  description: 'Sync boost',                severity: null },
+    { bit: 0x20, short: 'THERM', description: 'Software thermal slowdown', severity: 'warning' },
+    { bit: 0x40, short: 'HWT',   description: 'Hardware thermal slowdown', severity: 'critical' },
+    { bit: 0x80, short: 'BRAKE', description: 'Hardware power brake',      severity: 'critical' }
+];
+
+function getThrottleReasons(mask) {
+    if (typeof mask !== 'number') {
+        return [];
+    }
+    return THROTTLE_REASONS.filter(reason => (mask & reason.bit) !== 0);
+}
+
+/**
+ * Tell whether any throttle reason is active, as an alert flag
+ *
+ * @param {number|null} mask - clocks_throttle_reasons.active bitmask
+ * @returns {number|null} 1 if a reason of THROTTLE_REASONS is active, 0 if none, null if unknown
+ */
+function throttleActive(mask) {
+    if (typeof mask !== 'number') {
+        return null;
+    }
+    return getThrottleReasons(mask).length > 0 ? 1 : 0;
+}
+
+const ALERT_METRICS = {
+    temp:     { description: 'Temperature',         unit: '°C', value: stats => stats.temp, temperature: true },
+    memTemp:  { description: 'Memory temperature',  unit: '°C', value: stats => stats.memTemp, temperature: true },
+    gpu:      { description: 'GPU utilization',     unit: '%',  value: stats => stats.gpu },
+    mem:      { description: 'Memory usage',        unit: '%',  value: stats => stats.mem },
+    fan:      { description: 'Fan speed',           unit: '%',  value: stats => stats.fan },
+    power:    { description: 'Power draw',          unit: ' W', value: stats => stats.power },
+    powerPct: { description: 'Power draw (of cap)', unit: '%',  value: stats => percentOf(stats.power, stats.powerLimit) },
+    vramPct:  { description: 'VRAM used',           unit: '%',  value: stats => percentOf(stats.vramUsed, stats.vramTotal) },
+    throttle: { description: 'Clock throttling',    unit: '',   value: stats => throttleActive(stats.throttle), flag: true }
+};
+
+/**
+ * Get an alert metric value in the display units
+ * Temperatures are converted so they compare against thresholds set in the chosen unit
+ *
+ * @param {string} metric - Key of ALERT_METRICS
+ * @param {Object} stats - Per-GPU stats
+ * @param {Object} units - Display units {temperature, memory}
+ * @returns {number|null} Value, or null if unavailable
+ */
+function alertMetricValue(metric, stats, units) {
+    const value = ALERT_METRICS[metric].value(stats);
+    return ALERT_METRICS[metric].temperature ? convertTemperature(value, units.temperature) : value;
+}
+
+/**
+ * Get the unit suffix of an alert metric in the display units
+ *
+ * @param {string} metric - Key of ALERT_METRICS
+ * @param {Object} units - Display units {temperature, memory}
+ * @returns {string} Unit suffix
+ */
+function alertMetricUnit(metric, units) {
+    return ALERT_METRICS[metric].temperature ? temperatureSuffix(units.temperature) : ALERT_METRICS[metric].unit;
+}
+
+const ALERT_CONSECUTIVE_DEFAULT = 3;
+const ALERT_COOLDOWN_DEFAULT = 5;
+
+function AlertManager() {
+    this._init();
+}
+
+AlertManager.prototype = {
+    /**
+     * Initialize the AlertManager
+     */
+    _init: function() {
+        this.rules = [];
+        this.consecutive = ALERT_CONSECUTIVE_DEFAULT;
+        this.cooldown = ALERT_COOLDOWN_DEFAULT * 60 * 1000;
+        this.notifyRecovery = true;
+        this.units = UNITS_DEFAULT;
+        this._states = {};
+    },
+
+    /**
+     * Set the display units; temperature thresholds are in the temperature unit
+     * @param {Object} units - Display units {temperature, memory}
+     */
+    setUnits: function(units) {
+        this.units = units;
+    },
+
+    /**
+     * Set the alert rules; alert state is reset
+     * @param {Array} rules - Array of {metric, threshold, hysteresis} (metric is a key of ALERT_METRICS)
+     */
+    setRules: function(rules) {
+        this.rules = (rules || []).filter(rule => {
+            if (!ALERT_METRICS[rule.metric] || typeof rule.threshold !== 'number') {
+                return false;
+            }
+            return true;
+        }).map(rule => ({
+            metric: rule.metric,
+            threshold: rule.threshold,
+            // A flag has nothing between set and clear, so it recovers as soon as it clears
+            hysteresis: ALERT_METRICS[rule.metric].flag ? 0 : Math.max(0, rule.hysteresis || 0)
+        }));
+
+        this._states = {};
+    },
+
+    /**
+     * Set the alerting options
+     * @param {number} consecutive - Samples needed to start or recover an alert
+     * @param {number} cooldownMinutes - Minimum minutes between notifications of one alert
+     * @param {boolean} notifyRecovery - Whether recoveries are reported
+     */
+    setOptions: function(consecutive, cooldownMinutes, notifyRecovery) {
+        this.consecutive = Math.max(1, consecutive || ALERT_CONSECUTIVE_DEFAULT);
+        this.cooldown = Math.max(0, cooldownMinutes !== undefined ? cooldownMinutes : ALERT_COOLDOWN_DEFAULT) * 60 * 1000;
+        this.notifyRecovery = notifyRecovery !== false;
+    },
+
+    /**
+     * Check a sample against every rule
+     * @param {Array} gpuStats - Array of per-GPU stats
+     * @param {number} now - Sample time (ms since epoch)
+     * @returns {Array} Events to notify: {type: 'alert'|'recovery', gpu, rule, value} (value in the display units)
+     */
+    check: function(gpuStats, now) {
+        const events = [];
+
+        for (let stats of gpuStats) {
+            this.rules.forEach((rule, position) => {
+                const value = alertMetricValue(rule.metric, stats, this.units);
+                if (value === null || value === undefined) {
+                    return;
+                }
+
+                const key = stats.index + '/' + position;
+                if (!this._states[key]) {
+                    this._states[key] = { active: false, count: 0, notified: false, lastNotified: null };
+                }
+                const state = this._states[key];
+
+                if (!state.active) {
+                    state.count = (value >= rule.threshold) ? state.count + 1 : 0;
+                    if (state.count < this.consecutive) {
+                        return;
+                    }
+
+                    state.active = true;
+                    state.count = 0;
+                    state.notified = state.lastNotified === null || now - state.lastNotified >= this.cooldown;
+                    if (state.notified) {
+                        state.lastNotified = now;
+                        events.push({ type: 'alert', gpu: stats.index, rule: rule, value: value });
+                    }
+                } else {
+                    state.count = (value < rule.threshold - rule.hysteresis) ? state.count + 1 : 0;
+                    if (state.count < this.consecutive) {
+                        return;
+                    }
+
+                    state.active = false;
+                    state.count = 0;
+                    // Only report recoveries of alerts the user was told about
+                    if (state.notified && this.notifyRecovery) {
+                        events.push({ type: 'recovery', gpu: stats.index, rule: rule, value: value });
+                    }
+                }
+            });
+        }
+
+        return events;
+    },
+
+    /**
+     * Get the rules currently in alert for one GPU
+     * @param {number} gpuIndex - GPU index
+     * @returns {Array} Rules in alert
+     */
+    getActive: function(gpuIndex) {
+        return this.rules.filter((rule, position) => {
+            const state = this._states[gpuIndex + '/' + position];
+            return state !== undefined && state.active;
+        });
+    }
+};
+
+// Test helper
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(message + '\n  Expected: ' + JSON.stringify(expected) + '\n  Got: ' + JSON.stringify(actual));
+    }
+}
+
+// Feed one temperature per sample (one sample per minute) and collect the event types
+function feed(manager, temps, start) {
+    const events = [];
+    temps.forEach((temp, i) => {
+        for (let event of manager.check([{index: 0, temp: temp}], (start || 0) + i * 60000)) {
+            events.push(event.type + '@' + i);
+        }
+    });
+    return events;
+}
+
+function tempManager(consecutive, cooldown, notifyRecovery) {
+    const manager = new AlertManager();
+    manager.setRules([{metric: 'temp', threshold: 85, hysteresis: 5}]);
+    manager.setOptions(consecutive, cooldown, notifyRecovery);
+    return manager;
+}
+
+// Test suite
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(testName, testFunc) {
+    try {
+        testFunc();
+        print('✓ PASS: ' + testName);
+        testsPassed++;
+    } catch (error) {
+        print('✗ FAIL: ' + testName);
+        print('  ' + error.message);
+        testsFailed++;
+    }
+}
+
+runTest('alert after consecutive samples', function() {
+    assertEqual(feed(tempManager(3, 0), [86, 90, 70, 86, 87, 88, 89]), ['alert@5'],
+                'Should alert only after 3 consecutive samples at or above the threshold');
+});
+
+runTest('recovery honours hysteresis', function() {
+    assertEqual(feed(tempManager(2, 0), [90, 90, 82, 82, 79, 79]), ['alert@1', 'recovery@5'],
+                'Should recover only below threshold minus hysteresis');
+});
+
+runTest('repeated alerts are rate limited', function() {
+    const manager = tempManager(1, 5);
+    assertEqual(feed(manager, [90, 70, 90, 70, 70, 70, 70, 90]), ['alert@0', 'recovery@1', 'alert@7'],
+                'Should not notify again within the cooldown, nor its recovery');
+});
+
+runTest('recovery notification can be disabled', function() {
+    assertEqual(feed(tempManager(1, 0, false), [90, 70]), ['alert@0'], 'Should not report recoveries');
+});
+
+runTest('unavailable values are ignored', function() {
+    const manager = new AlertManager();
+    manager.setRules([{metric: 'vramPct', threshold: 95, hysteresis: 5}]);
+    manager.setOptions(1, 0, true);
+    assertEqual(manager.check([{index: 0, vramUsed: 8000, vramTotal: null}], 0), [], 'Should skip unknown totals');
+    assertEqual(manager.check([{index: 0, vramUsed: 8000, vramTotal: 8192}], 1).map(event => event.type), ['alert'],
+                'Should alert on VRAM percentage');
+    assertEqual(manager.getActive(0).map(rule => rule.metric), ['vramPct'], 'Should report the active rule');
+});
+
+runTest('invalid rules are dropped', function() {
+    const manager = new AlertManager();
+    manager.setRules([{metric: 'nope', threshold: 1}, {metric: 'temp'}, {metric: 'fan', threshold: 100}]);
+    assertEqual(manager.rules, [{metric: 'fan', threshold: 100, hysteresis: 0}], 'Should keep only valid rules');
+});
+
+runTest('temperature thresholds use the display unit', function() {
+    const manager = new AlertManager();
+    manager.setRules([{metric: 'temp', threshold: 185, hysteresis: 9}]);
+    manager.setOptions(1, 0, true);
+    manager.setUnits({temperature: TEMP_UNIT_FAHRENHEIT, memory: MEMORY_UNIT_MIB});
+    assertEqual(feed(manager, [84, 85, 80, 79]), ['alert@1', 'recovery@3'], 'Should compare 185°F against 85°C');
+    assertEqual(alertMetricUnit('temp', manager.units) + alertMetricUnit('fan', manager.units), '°F%', 'Should name the display unit');
+});
+
+runTest('throttle alerts while any reason is active', function() {
+    const manager = new AlertManager();
+    manager.setRules([{metric: 'throttle', threshold: 1, hysteresis: 5}]);
+    manager.setOptions(2, 0, true);
+    const masks = [0x00, 0x20, 0x01, 0x04, 0x24, null, 0x00, 0x01, 0x00];
+    const events = [];
+    masks.forEach((mask, i) => {
+        for (let event of manager.check([{index: 0, throttle: mask}], i * 60000)) {
+            events.push(event.type + '@' + i);
+        }
+    });
+    assertEqual(manager.rules[0].hysteresis, 0, 'Flags should ignore the hysteresis');
+    assertEqual(events, ['alert@4', 'recovery@7'],
+                'Should alert after consecutive throttled samples, ignore idle and unknown masks, then recover');
+});
+
+// Summary
+print('');
+print('========================================');
+print('Test Results:');
+print('  Passed: ' + testsPassed);
+print('  Failed: ' + testsFailed);
+print('========================================');
+
+if (testsFailed === 0) {
+    print('✓ All tests passed!');
+} else {
+    print('✗ Some tests failed');
+}
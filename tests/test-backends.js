@@ -0,0 +1,920 @@
+#!/usr/bin/env gjs
+/**
+ * Unit tests for the AMD and Intel sysfs backends and the NVIDIA procfs fallback
+ *
+ * Tests card detection and stats reading against fake sysfs/procfs trees
+ * Run with: gjs tests/test-backends.js
+ */
+
+// Backend constants, sysfs helpers and backends (copied from applet.js for testing)
+const BACKEND_AUTO = 'auto';
+const BACKEND_NVIDIA = 'nvidia';
+const BACKEND_AMD = 'amd';
+const BACKEND_INTEL = 'intel';
+const BACKEND_NVIDIA_PROCFS = 'nvidia-procfs'; // Fallback for BACKEND_NVIDIA, never selected directly
+const PCI_VENDOR_AMD = '0x1002';
+const PCI_VENDOR_INTEL = '0x8086';
+const FAILURE_NOT_FOUND = 'not-found'; // Tool or GPU missing
+const FAILURE_DRIVER = 'driver';       // Command failed, exited with an error or hung
+const FAILURE_PARSE = 'parse';         // Output not understood
+const COMMAND_TIMEOUT_DEFAULT = 5;  // seconds - nvidia-smi and intel_gpu_top calls still running after this are killed
+const GPU_TOP_MAX_FAILURES = 3;     // consecutive intel_gpu_top failures before it is no longer run
+
+/**
+ * Find the DRM cards of one vendor
+ *
+ * @param {Object} reader - SysfsReader (or a fake with the same methods)
+ * @param {string} sysfsRoot - sysfs mount point
+ * @param {string} vendor - PCI vendor ID, e.g. PCI_VENDOR_AMD
+ * @returns {Array} Array of {card, path, device} sorted by card number
+ */
+function findDrmCards(reader, sysfsRoot, vendor) {
+    const drmPath = sysfsRoot + '/class/drm';
+
+    return reader.listDir(drmPath)
+        .filter(name => /^card\d+$/.test(name))
+        .map(name => ({ card: name, path: drmPath + '/' + name, device: drmPath + '/' + name + '/device' }))
+        .filter(card => (reader.readFile(card.device + '/vendor') || '').toLowerCase() === vendor)
+        .sort((a, b) => parseInt(a.card.substring(4)) - parseInt(b.card.substring(4)));
+}
+
+/**
+ * Read a number from a sysfs file
+ *
+ * @param {Object} reader - SysfsReader
+ * @param {string} path - File path
+ * @param {number} scale - Optional divisor (e.g. 1000 for millidegrees)
+ * @returns {number|null} Value, or null if missing or not a number
+ */
+function readSysfsNumber(reader, path, scale) {
+    const text = reader.readFile(path);
+    if (text === null || text === '') {
+        return null;
+    }
+    const value = parseFloat(text);
+    return isNaN(value) ? null : value / (scale || 1);
+}
+
+/**
+ * Get the hwmon directory of a device
+ *
+ * @param {Object} reader - SysfsReader
+ * @param {string} devicePath - PCI device directory
+ * @returns {string|null} hwmon directory, or null if the device has none
+ */
+function findHwmon(reader, devicePath) {
+    const names = reader.listDir(devicePath + '/hwmon').filter(name => /^hwmon\d+$/.test(name)).sort();
+    return names.length > 0 ? devicePath + '/hwmon/' + names[0] : null;
+}
+
+/**
+ * Read the hwmon temperature with a given label (e.g. "edge", "mem")
+ *
+ * @param {Object} reader - SysfsReader
+ * @param {string} hwmon - hwmon directory
+ * @param {string} label - Sensor label
+ * @returns {number|null} Temperature in °C, or null if there is no such sensor
+ */
+function readHwmonTemp(reader, hwmon, label) {
+    for (let name of reader.listDir(hwmon)) {
+        const match = name.match(/^temp(\d+)_label$/);
+        if (match && reader.readFile(hwmon + '/' + name) === label) {
+            return readSysfsNumber(reader, hwmon + '/temp' + match[1] + '_input', 1000);
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the PCI bus ID of a device from its sysfs link
+ *
+ * @param {Object} reader - SysfsReader
+ * @param {string} devicePath - PCI device directory (a symbolic link)
+ * @returns {string|null} Bus ID, e.g. "0000:03:00.0"
+ */
+function readBusId(reader, devicePath) {
+    const target = reader.readLink(devicePath);
+    return target ? target.split('/').pop() : null;
+}
+
+function AmdBackend(sysfsRoot, reader) {
+    this._init(sysfsRoot, reader);
+}
+
+AmdBackend.prototype = {
+    /**
+     * Initialize the AmdBackend
+     * @param {string} sysfsRoot - Optional sysfs mount point (default "/sys")
+     * @param {Object} reader - Optional SysfsReader replacement (tests)
+     */
+    _init: function(sysfsRoot, reader) {
+        this.id = BACKEND_AMD;
+        this.name = 'AMD';
+        this.source = 'amdgpu sysfs';
+        this.lastFailure = null;
+        this.sysfsRoot = sysfsRoot || '/sys';
+        this.reader = reader || new SysfsReader();
+    },
+
+    /**
+     * Check whether an amdgpu card is present
+     * @returns {boolean} True if at least one AMD GPU reports its load
+     */
+    isAvailable: function() {
+        return this._findCards().length > 0;
+    },
+
+    /**
+     * Get what this backend can report
+     * @returns {Object} {metrics, stream, processes}
+     */
+    getCapabilities: function() {
+        return {
+            metrics: ['gpu', 'mem', 'temp', 'fan', 'power', 'vramUsed', 'smClock', 'memClock'],
+            stream: false,
+            processes: false
+        };
+    },
+
+    /**
+     * Get GPU statistics
+     * @param {Function} callback - Called with an array of per-GPU stats or null
+     */
+    getStats: function(callback) {
+        const cards = this._findCards();
+        if (cards.length === 0) {
+            this.lastFailure = { type: FAILURE_NOT_FOUND, message: "No AMD GPU found in " + this.sysfsRoot };
+            callback(null);
+            return;
+        }
+
+        this.lastFailure = null;
+        callback(cards.map((card, index) => this._readCard(card, index)));
+    },
+
+    /**
+     * Get device identity
+     * @param {Function} callback - Called with {driver, cuda, gpus} or null
+     */
+    getDeviceInfo: function(callback) {
+        const cards = this._findCards();
+        if (cards.length === 0) {
+            callback(null);
+            return;
+        }
+
+        const gpus = {};
+        cards.forEach((card, index) => {
+            gpus[index] = {
+                index: index,
+                name: this.reader.readFile(card.device + '/product_name') ||
+                      "AMD GPU [" + (this.reader.readFile(card.device + '/device') || "?") + "]",
+                busId: readBusId(this.reader, card.device)
+            };
+        });
+
+        callback({
+            driver: this.reader.readFile(this.sysfsRoot + '/module/amdgpu/version') || 'amdgpu',
+            cuda: null,
+            gpus: gpus
+        });
+    },
+
+    /**
+     * Sysfs backends have no persistent collector
+     * @returns {boolean} Always false
+     */
+    isStreaming: function() {
+        return false;
+    },
+
+    /**
+     * Find the AMD cards that report their load
+     * @returns {Array} Array of {card, path, device}
+     */
+    _findCards: function() {
+        return findDrmCards(this.reader, this.sysfsRoot, PCI_VENDOR_AMD)
+            .filter(card => this.reader.readFile(card.device + '/gpu_busy_percent') !== null);
+    },
+
+    /**
+     * Read the stats of one card
+     * @param {Object} card - Card from _findCards
+     * @param {number} index - GPU index
+     * @returns {Object} Per-GPU stats (unavailable values are null)
+     */
+    _readCard: function(card, index) {
+        const reader = this.reader;
+        const device = card.device;
+        const hwmon = findHwmon(reader, device);
+        const fromHwmon = (name, scale) => (hwmon ? readSysfsNumber(reader, hwmon + '/' + name, scale) : null);
+
+        // Fan: PWM duty cycle (0-255), or RPM relative to the maximum
+        let fan = null;
+        const pwm = fromHwmon('pwm1');
+        if (pwm !== null) {
+            fan = Math.round(pwm / 255 * 100);
+        } else {
+            const rpm = fromHwmon('fan1_input');
+            const maxRpm = fromHwmon('fan1_max');
+            if (rpm !== null && maxRpm) {
+                fan = Math.round(rpm / maxRpm * 100);
+            }
+        }
+
+        // Power in microwatts; older kernels only have power1_average
+        let power = fromHwmon('power1_average', 1000000);
+        if (power === null) {
+            power = fromHwmon('power1_input', 1000000);
+        }
+
+        // Edge (board) temperature; fall back to the first sensor on kernels without labels
+        let temp = hwmon ? readHwmonTemp(reader, hwmon, 'edge') : null;
+        if (temp === null) {
+            temp = fromHwmon('temp1_input', 1000);
+        }
+        const memTemp = hwmon ? readHwmonTemp(reader, hwmon, 'mem') : null;
+        const vramUsed = readSysfsNumber(reader, device + '/mem_info_vram_used', 1024 * 1024);
+        const vramTotal = readSysfsNumber(reader, device + '/mem_info_vram_total', 1024 * 1024);
+        const smClock = fromHwmon('freq1_input', 1000000);
+        const memClock = fromHwmon('freq2_input', 1000000);
+
+        return {
+            index: index,
+            gpu: readSysfsNumber(reader, device + '/gpu_busy_percent'),
+            mem: readSysfsNumber(reader, device + '/mem_busy_percent'),
+            temp: temp !== null ? Math.round(temp) : null,
+            memTemp: memTemp !== null ? Math.round(memTemp) : null,
+            fan: fan,
+            power: power,
+            powerLimit: fromHwmon('power1_cap', 1000000),
+            vramUsed: vramUsed !== null ? Math.round(vramUsed) : null,
+            vramTotal: vramTotal !== null ? Math.round(vramTotal) : null,
+            smClock: smClock !== null ? Math.round(smClock) : null,
+            memClock: memClock !== null ? Math.round(memClock) : null,
+            enc: null,
+            dec: null,
+            pcieRx: null,
+            pcieTx: null,
+            pstate: null,
+            throttle: null
+        };
+    }
+};
+
+/**
+ * Intel GPU backend (see "Backend interface")
+ * Reads clocks, temperatures and energy from the i915/xe sysfs files; utilization
+ * comes from intel_gpu_top JSON output when the tool is installed and permitted
+ */
+function IntelBackend(sysfsRoot, reader) {
+    this._init(sysfsRoot, reader);
+}
+
+IntelBackend.prototype = {
+    /**
+     * Initialize the IntelBackend
+     * @param {string} sysfsRoot - Optional sysfs mount point (default "/sys")
+     * @param {Object} reader - Optional SysfsReader replacement (tests)
+     */
+    _init: function(sysfsRoot, reader) {
+        this.id = BACKEND_INTEL;
+        this.name = 'Intel';
+        this.source = 'i915/xe sysfs';
+        this.lastFailure = null;
+        this.sysfsRoot = sysfsRoot || '/sys';
+        this.reader = reader || new SysfsReader();
+
+        // Last energy reading per card, to turn the energy counter into power
+        this._lastEnergy = {};
+
+        // intel_gpu_top needs perf permissions: it is no longer run once it cannot start, is
+        // refused permission, or failed GPU_TOP_MAX_FAILURES times in a row
+        this._gpuTopUsable = true;
+        this._gpuTopFailures = 0;
+
+        // Seconds before a hung intel_gpu_top call is killed
+        this._commandTimeout = COMMAND_TIMEOUT_DEFAULT;
+    },
+
+    /**
+     * Check whether an Intel card is present
+     * @returns {boolean} True if at least one Intel GPU exists
+     */
+    isAvailable: function() {
+        return findDrmCards(this.reader, this.sysfsRoot, PCI_VENDOR_INTEL).length > 0;
+    },
+
+    /**
+     * Get what this backend can report
+     * @returns {Object} {metrics, stream, processes}
+     */
+    getCapabilities: function() {
+        return { metrics: ['gpu', 'temp', 'power', 'smClock'], stream: false, processes: false };
+    },
+
+    /**
+     * Set the per-command timeout
+     * @param {number} seconds - Seconds before a running intel_gpu_top call is killed
+     */
+    setCommandTimeout: function(seconds) {
+        this._commandTimeout = Math.max(1, seconds || COMMAND_TIMEOUT_DEFAULT);
+    },
+
+    /**
+     * Get GPU statistics
+     * Sysfs values are read for every card; intel_gpu_top (first card only) adds utilization
+     * @param {Function} callback - Called with an array of per-GPU stats or null
+     */
+    getStats: function(callback) {
+        const cards = findDrmCards(this.reader, this.sysfsRoot, PCI_VENDOR_INTEL);
+        if (cards.length === 0) {
+            this.lastFailure = { type: FAILURE_NOT_FOUND, message: "No Intel GPU found in " + this.sysfsRoot };
+            callback(null);
+            return;
+        }
+
+        this.lastFailure = null;
+
+        const now = Date.now();
+        const stats = cards.map((card, index) => this._readCard(card, index, now));
+
+        if (!this._gpuTopUsable || GLib.find_program_in_path('intel_gpu_top') === null) {
+            callback(stats);
+            return;
+        }
+
+        // A failing intel_gpu_top only costs the utilization: the sysfs values are still reported
+        spawnCommand(['intel_gpu_top', '-J', '-s', '500', '-n', '1'], this._commandTimeout, (stdout, failure) => {
+            const sample = stdout ? this._parseGpuTopJson(stdout) : null;
+            if (sample) {
+                this._gpuTopFailures = 0;
+                for (let key in sample) {
+                    if (sample[key] !== null) {
+                        stats[0][key] = sample[key];
+                    }
+                }
+            } else {
+                this._onGpuTopFailure(failure);
+            }
+            callback(stats);
+        });
+    },
+
+    /**
+     * Count an intel_gpu_top failure, giving up on it when it is final or keeps repeating
+     * @param {Object|null} failure - spawnCommand failure, or null if the output was not understood
+     */
+    _onGpuTopFailure: function(failure) {
+        const final = failure !== null && (!failure.started || /permission denied|not permitted|CAP_PERFMON/i.test(failure.message));
+
+        this._gpuTopFailures++;
+        if (final || this._gpuTopFailures >= GPU_TOP_MAX_FAILURES) {
+            this._gpuTopUsable = false;
+        }
+    },
+
+    /**
+     * Get device identity
+     * @param {Function} callback - Called with {driver, cuda, gpus} or null
+     */
+    getDeviceInfo: function(callback) {
+        const cards = findDrmCards(this.reader, this.sysfsRoot, PCI_VENDOR_INTEL);
+        if (cards.length === 0) {
+            callback(null);
+            return;
+        }
+
+        const gpus = {};
+        cards.forEach((card, index) => {
+            gpus[index] = {
+                index: index,
+                name: "Intel GPU [" + (this.reader.readFile(card.device + '/device') || "?") + "]",
+                busId: readBusId(this.reader, card.device)
+            };
+        });
+
+        const driver = this.reader.readLink(cards[0].device + '/driver');
+        callback({ driver: driver ? driver.split('/').pop() : null, cuda: null, gpus: gpus });
+    },
+
+    /**
+     * Sysfs backends have no persistent collector
+     * @returns {boolean} Always false
+     */
+    isStreaming: function() {
+        return false;
+    },
+
+    /**
+     * Read the sysfs stats of one card
+     * @param {Object} card - Card from findDrmCards
+     * @param {number} index - GPU index
+     * @param {number} now - Sample time (ms since epoch)
+     * @returns {Object} Per-GPU stats (unavailable values are null)
+     */
+    _readCard: function(card, index, now) {
+        const reader = this.reader;
+        const hwmon = findHwmon(reader, card.device);
+        const fromHwmon = (name, scale) => (hwmon ? readSysfsNumber(reader, hwmon + '/' + name, scale) : null);
+
+        // Actual GPU clock: i915 card attribute, or the xe per-GT frequency
+        let smClock = readSysfsNumber(reader, card.path + '/gt_act_freq_mhz');
+        if (smClock === null) {
+            smClock = readSysfsNumber(reader, card.device + '/tile0/gt0/freq0/act_freq');
+        }
+
+        // Discrete GPUs expose an energy counter (microjoules); power is its rate of change
+        let power = null;
+        const energy = fromHwmon('energy1_input');
+        if (energy !== null) {
+            const last = this._lastEnergy[card.card];
+            if (last && now > last.time && energy >= last.energy) {
+                power = (energy - last.energy) / 1000 / (now - last.time);
+            }
+            this._lastEnergy[card.card] = { energy: energy, time: now };
+        }
+
+        let temp = fromHwmon('temp1_input', 1000);
+        if (temp === null && hwmon) {
+            temp = readHwmonTemp(reader, hwmon, 'pkg');
+        }
+
+        return {
+            index: index,
+            gpu: null,
+            mem: null,
+            temp: temp !== null ? Math.round(temp) : null,
+            memTemp: null,
+            fan: null,
+            power: power,
+            powerLimit: fromHwmon('power1_max', 1000000),
+            vramUsed: null,
+            vramTotal: null,
+            smClock: smClock !== null ? Math.round(smClock) : null,
+            memClock: null,
+            enc: null,
+            dec: null,
+            pcieRx: null,
+            pcieTx: null,
+            pstate: null,
+            throttle: null
+        };
+    },
+
+    /**
+     * Parse intel_gpu_top JSON output
+     * Older versions print comma-separated objects without the enclosing array,
+     * so the brackets are optional; the last sample is used
+     *
+     * @param {string} stdout - Command output
+     * @returns {Object|null} {gpu, smClock, power} (null values when not reported), or null
+     */
+    _parseGpuTopJson: function(stdout) {
+        let text = stdout.trim().replace(/^\[/, '').replace(/\]$/, '').trim().replace(/,$/, '');
+        if (text === '') {
+            return null;
+        }
+
+        let samples;
+        try {
+            samples = JSON.parse('[' + text + ']');
+        } catch (error) {
+            return null;
+        }
+
+        const sample = samples[samples.length - 1];
+        if (!sample || !sample.engines) {
+            return null;
+        }
+
+        // Render/3D (and Compute on newer GPUs) is the closest match to GPU utilization
+        let busy = null;
+        for (let name in sample.engines) {
+            if (/^(Render\/3D|Compute)/.test(name) && typeof sample.engines[name].busy === 'number') {
+                busy = Math.max(busy === null ? 0 : busy, sample.engines[name].busy);
+            }
+        }
+
+        return {
+            gpu: busy !== null ? Math.round(busy) : null,
+            smClock: (sample.frequency && typeof sample.frequency.actual === 'number') ? Math.round(sample.frequency.actual) : null,
+            power: (sample.power && typeof sample.power.GPU === 'number') ? sample.power.GPU : null
+        };
+    }
+};
+
+/**
+ * NVIDIA procfs fallback backend (see "Backend interface")
+ * Used while nvidia-smi is missing or failing: device identity comes from
+ * /proc/driver/nvidia and the temperature from the GPU's hwmon entries, if any
+ */
+function NvidiaProcfsBackend(sysfsRoot, reader, procRoot) {
+    this._init(sysfsRoot, reader, procRoot);
+}
+
+NvidiaProcfsBackend.prototype = {
+    /**
+     * Initialize the NvidiaProcfsBackend
+     * @param {string} sysfsRoot - Optional sysfs mount point (default "/sys")
+     * @param {Object} reader - Optional SysfsReader replacement (tests)
+     * @param {string} procRoot - Optional procfs mount point (default "/proc")
+     */
+    _init: function(sysfsRoot, reader, procRoot) {
+        this.id = BACKEND_NVIDIA_PROCFS;
+        this.name = 'NVIDIA';
+        this.source = '/proc/driver/nvidia + hwmon';
+        this.lastFailure = null;
+        this.sysfsRoot = sysfsRoot || '/sys';
+        this.procRoot = procRoot || '/proc';
+        this.reader = reader || new SysfsReader();
+    },
+
+    /**
+     * Check whether the NVIDIA kernel module lists any GPU
+     * @returns {boolean} True if /proc/driver/nvidia/gpus has entries
+     */
+    isAvailable: function() {
+        return this._findGpus().length > 0;
+    },
+
+    /**
+     * Get what this backend can report
+     * @returns {Object} {metrics, stream, processes}
+     */
+    getCapabilities: function() {
+        return { metrics: ['temp'], stream: false, processes: false };
+    },
+
+    /**
+     * Get GPU statistics (temperature only; null when the GPU has no hwmon sensor)
+     * @param {Function} callback - Called with an array of per-GPU stats or null
+     */
+    getStats: function(callback) {
+        const gpus = this._findGpus();
+        if (gpus.length === 0) {
+            this.lastFailure = { type: FAILURE_NOT_FOUND, message: "NVIDIA kernel module not loaded" };
+            callback(null);
+            return;
+        }
+
+        this.lastFailure = null;
+
+        callback(gpus.map((busId, index) => {
+            const hwmon = findHwmon(this.reader, this.sysfsRoot + '/bus/pci/devices/' + busId);
+            const temp = hwmon ? readSysfsNumber(this.reader, hwmon + '/temp1_input', 1000) : null;
+
+            return {
+                index: index,
+                gpu: null,
+                mem: null,
+                temp: temp !== null ? Math.round(temp) : null,
+                memTemp: null,
+                fan: null,
+                power: null,
+                powerLimit: null,
+                vramUsed: null,
+                vramTotal: null,
+                smClock: null,
+                memClock: null,
+                enc: null,
+                dec: null,
+                pcieRx: null,
+                pcieTx: null,
+                pstate: null,
+                throttle: null
+            };
+        }));
+    },
+
+    /**
+     * Get device identity from the kernel module
+     * @param {Function} callback - Called with {driver, cuda, gpus} or null
+     */
+    getDeviceInfo: function(callback) {
+        const gpus = this._findGpus();
+        if (gpus.length === 0) {
+            callback(null);
+            return;
+        }
+
+        const info = { driver: this._parseDriverVersion(this.reader.readFile(this.procRoot + '/driver/nvidia/version')), cuda: null, gpus: {} };
+        gpus.forEach((busId, index) => {
+            const fields = this._parseInformation(this.reader.readFile(this.procRoot + '/driver/nvidia/gpus/' + busId + '/information'));
+            info.gpus[index] = { index: index, name: fields['Model'] || null, busId: fields['Bus Location'] || busId };
+        });
+
+        callback(info);
+    },
+
+    /**
+     * Sysfs backends have no persistent collector
+     * @returns {boolean} Always false
+     */
+    isStreaming: function() {
+        return false;
+    },
+
+    /**
+     * List the GPUs known to the kernel module
+     * Sorted by bus ID, which matches nvidia-smi's default (PCI bus) enumeration
+     * @returns {Array} PCI bus IDs, e.g. ["0000:01:00.0"]
+     */
+    _findGpus: function() {
+        return this.reader.listDir(this.procRoot + '/driver/nvidia/gpus').sort();
+    },
+
+    /**
+     * Parse a /proc/driver/nvidia/gpus/<bus>/information file
+     *
+     * Expected format: one "Key: value" pair per line, e.g.
+     *   Model:           NVIDIA GeForce RTX 3080
+     *   Bus Location:    0000:01:00.0
+     *
+     * @param {string|null} text - File contents
+     * @returns {Object} Values keyed by field name
+     */
+    _parseInformation: function(text) {
+        const fields = {};
+        for (let line of (text || '').split('\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                fields[line.substring(0, colon).trim()] = line.substring(colon + 1).trim();
+            }
+        }
+        return fields;
+    },
+
+    /**
+     * Parse the driver version from /proc/driver/nvidia/version
+     *
+     * Expected format: "NVRM version: NVIDIA UNIX x86_64 Kernel Module  550.54.14  Thu Feb 22 ..."
+     *
+     * @param {string|null} text - File contents
+     * @returns {string|null} Driver version, or null
+     */
+    _parseDriverVersion: function(text) {
+        const match = (text || '').match(/Kernel Module\s+(?:for \S+\s+)?(\d+(?:\.\d+)+)/);
+        return match ? match[1] : null;
+    }
+};
+
+// Fake GLib: every tool is installed
+const GLib = { find_program_in_path: program => '/usr/bin/' + program };
+
+// Fake spawnCommand: records each call and answers with the next queued (stdout, failure)
+const spawnCalls = [];
+const spawnAnswers = [];
+function spawnCommand(argv, timeout, callback) {
+    spawnCalls.push({ program: argv[0], timeout: timeout });
+    const answer = spawnAnswers.shift();
+    callback(answer.stdout, answer.failure);
+}
+
+// Fake sysfs: files and symbolic links keyed by absolute path
+function FakeSysfs(files, links) {
+    this.files = files;
+    this.links = links || {};
+}
+
+FakeSysfs.prototype = {
+    readFile: function(path) {
+        return this.files[path] !== undefined ? String(this.files[path]).trim() : null;
+    },
+
+    listDir: function(path) {
+        const names = {};
+        for (let file of Object.keys(this.files).concat(Object.keys(this.links))) {
+            if (file.startsWith(path + '/')) {
+                names[file.substring(path.length + 1).split('/')[0]] = true;
+            }
+        }
+        return Object.keys(names);
+    },
+
+    readLink: function(path) {
+        return this.links[path] || null;
+    }
+};
+
+// Intel card with intel_gpu_top installed (see the fake spawnCommand)
+function intelGpuTopBackend() {
+    return new IntelBackend('/sys', new FakeSysfs({
+        '/sys/class/drm/card0/device/vendor': '0x8086',
+        '/sys/class/drm/card0/gt_act_freq_mhz': '1300'
+    }));
+}
+
+const AMD_DEVICE = '/sys/class/drm/card1/device';
+const AMD_HWMON = AMD_DEVICE + '/hwmon/hwmon4';
+
+function amdTree() {
+    const files = {};
+    files['/sys/class/drm/card0/device/vendor'] = '0x8086\n';
+    files[AMD_DEVICE + '/vendor'] = '0x1002\n';
+    files[AMD_DEVICE + '/device'] = '0x73bf\n';
+    files[AMD_DEVICE + '/gpu_busy_percent'] = '37\n';
+    files[AMD_DEVICE + '/mem_busy_percent'] = '12\n';
+    files[AMD_DEVICE + '/mem_info_vram_used'] = '2147483648\n';
+    files[AMD_DEVICE + '/mem_info_vram_total'] = '17163091968\n';
+    files[AMD_HWMON + '/temp1_label'] = 'edge\n';
+    files[AMD_HWMON + '/temp1_input'] = '54000\n';
+    files[AMD_HWMON + '/temp3_label'] = 'mem\n';
+    files[AMD_HWMON + '/temp3_input'] = '62000\n';
+    files[AMD_HWMON + '/pwm1'] = '102\n';
+    files[AMD_HWMON + '/power1_average'] = '143000000\n';
+    files[AMD_HWMON + '/power1_cap'] = '255000000\n';
+    files[AMD_HWMON + '/freq1_input'] = '2254000000\n';
+    files[AMD_HWMON + '/freq2_input'] = '1000000000\n';
+    files['/sys/module/amdgpu/version'] = '6.2.4\n';
+
+    const links = {};
+    links[AMD_DEVICE] = '../../../0000:03:00.0';
+    return new FakeSysfs(files, links);
+}
+
+// Test helper
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(message + '\n  Expected: ' + JSON.stringify(expected) + '\n  Got: ' + JSON.stringify(actual));
+    }
+}
+
+// Test suite
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(testName, testFunc) {
+    try {
+        testFunc();
+        print('✓ PASS: ' + testName);
+        testsPassed++;
+    } catch (error) {
+        print('✗ FAIL: ' + testName);
+        print('  ' + error.message);
+        testsFailed++;
+    }
+}
+
+// Detection
+runTest('find cards by vendor', function() {
+    const reader = amdTree();
+    assertEqual(findDrmCards(reader, '/sys', PCI_VENDOR_AMD).map(card => card.card), ['card1'], 'Should find the AMD card only');
+    assertEqual(findDrmCards(reader, '/sys', PCI_VENDOR_INTEL).map(card => card.card), ['card0'], 'Should find the Intel card only');
+});
+
+runTest('amd backend availability', function() {
+    assertEqual(new AmdBackend('/sys', amdTree()).isAvailable(), true, 'Should detect the AMD card');
+    assertEqual(new AmdBackend('/sys', new FakeSysfs({})).isAvailable(), false, 'Should not detect anything in an empty tree');
+});
+
+// AMD
+runTest('amd stats from sysfs and hwmon', function() {
+    let result = null;
+    new AmdBackend('/sys', amdTree()).getStats(stats => { result = stats; });
+    const gpu = result[0];
+    assertEqual([gpu.index, gpu.gpu, gpu.mem, gpu.temp, gpu.memTemp, gpu.fan], [0, 37, 12, 54, 62, 40], 'Should read load, temperatures and fan');
+    assertEqual([gpu.power, gpu.powerLimit, gpu.vramUsed, gpu.vramTotal], [143, 255, 2048, 16368], 'Should convert power and VRAM units');
+    assertEqual([gpu.smClock, gpu.memClock, gpu.enc, gpu.pstate], [2254, 1000, null, null], 'Should read clocks and leave unsupported metrics null');
+});
+
+runTest('amd stats without hwmon', function() {
+    const reader = amdTree();
+    for (let path in reader.files) {
+        if (path.startsWith(AMD_HWMON)) {
+            delete reader.files[path];
+        }
+    }
+    let result = null;
+    new AmdBackend('/sys', reader).getStats(stats => { result = stats; });
+    assertEqual([result[0].gpu, result[0].temp, result[0].fan, result[0].power], [37, null, null, null], 'Should report what sysfs has');
+});
+
+runTest('amd stats with no card', function() {
+    let result;
+    const backend = new AmdBackend('/sys', new FakeSysfs({}));
+    backend.getStats(stats => { result = stats; });
+    assertEqual(result, null, 'Should report failure');
+    assertEqual(backend.lastFailure.type, FAILURE_NOT_FOUND, 'Should diagnose the missing GPU');
+});
+
+runTest('amd device info', function() {
+    let result = null;
+    new AmdBackend('/sys', amdTree()).getDeviceInfo(info => { result = info; });
+    assertEqual(result, {driver: '6.2.4', cuda: null, gpus: {0: {index: 0, name: 'AMD GPU [0x73bf]', busId: '0000:03:00.0'}}},
+                'Should identify the card');
+});
+
+// Intel
+runTest('intel stats from sysfs', function() {
+    const files = {
+        '/sys/class/drm/card0/device/vendor': '0x8086',
+        '/sys/class/drm/card0/gt_act_freq_mhz': '1300',
+        '/sys/class/drm/card0/device/hwmon/hwmon2/temp1_input': '48000',
+        '/sys/class/drm/card0/device/hwmon/hwmon2/energy1_input': '1000000'
+    };
+    const backend = new IntelBackend('/sys', new FakeSysfs(files));
+    backend._gpuTopUsable = false;
+
+    const first = backend._readCard(findDrmCards(backend.reader, '/sys', PCI_VENDOR_INTEL)[0], 0, 1000);
+    files['/sys/class/drm/card0/device/hwmon/hwmon2/energy1_input'] = '13000000';
+    const second = backend._readCard(findDrmCards(backend.reader, '/sys', PCI_VENDOR_INTEL)[0], 0, 3000);
+
+    assertEqual([first.smClock, first.temp, first.power], [1300, 48, null], 'Should need two energy readings for power');
+    assertEqual(second.power, 6, 'Should turn the energy delta into watts');
+});
+
+runTest('intel_gpu_top json parsing', function() {
+    const backend = new IntelBackend('/sys', new FakeSysfs({}));
+    const output = '[\n{"period": {"duration": 500.0}, "frequency": {"requested": 1100.0, "actual": 1050.4},\n' +
+                   ' "power": {"GPU": 3.2, "Package": 12.1},\n' +
+                   ' "engines": {"Render/3D/0": {"busy": 41.6}, "Video/0": {"busy": 80.0}, "Compute/0": {"busy": 12.0}}}\n]';
+    assertEqual(backend._parseGpuTopJson(output), {gpu: 42, smClock: 1050, power: 3.2}, 'Should read the render engine, clock and power');
+    assertEqual(backend._parseGpuTopJson('{"engines": {"Render/3D": {"busy": 5}}},'), {gpu: 5, smClock: null, power: null},
+                'Should accept output without the enclosing array');
+    assertEqual(backend._parseGpuTopJson('garbage'), null, 'Should reject invalid output');
+});
+
+runTest('intel_gpu_top runs with the command timeout', function() {
+    const backend = intelGpuTopBackend();
+    backend.setCommandTimeout(2);
+    spawnCalls.length = 0;
+    spawnAnswers.push({ stdout: '{"engines": {"Render/3D/0": {"busy": 30}}}', failure: null },
+                      { stdout: null, failure: { type: FAILURE_DRIVER, message: "intel_gpu_top did not respond within 2s", started: true } });
+
+    const results = [];
+    backend.getStats(stats => results.push(stats[0].gpu));
+    backend.getStats(stats => results.push(stats[0].gpu, stats[0].smClock));
+
+    assertEqual(spawnCalls, [{program: 'intel_gpu_top', timeout: 2}, {program: 'intel_gpu_top', timeout: 2}], 'Should pass the timeout');
+    assertEqual(results, [30, null, 1300], 'Should keep the sysfs values when intel_gpu_top fails');
+    assertEqual(backend.lastFailure, null, 'A failing intel_gpu_top should not fail the backend');
+});
+
+runTest('intel_gpu_top is retried until failures repeat', function() {
+    const backend = intelGpuTopBackend();
+    const timedOut = { stdout: null, failure: { type: FAILURE_DRIVER, message: "intel_gpu_top did not respond within 5s", started: true } };
+    const ok = { stdout: '{"engines": {"Render/3D/0": {"busy": 30}}}', failure: null };
+    spawnCalls.length = 0;
+    spawnAnswers.push(timedOut, { stdout: '[{"engines": ', failure: null }, ok, timedOut, timedOut, timedOut);
+
+    for (let i = 0; i < 8; i++) {
+        backend.getStats(() => {});
+    }
+    assertEqual(spawnCalls.length, 6, 'Should give up after ' + GPU_TOP_MAX_FAILURES + ' failures in a row only');
+});
+
+runTest('intel_gpu_top permission and spawn failures are final', function() {
+    for (let failure of [{ type: FAILURE_DRIVER, message: "Failed to initialize PMU! (Permission denied)", started: true },
+                         { type: FAILURE_DRIVER, message: "Failed to execute child process (Exec format error)", started: false }]) {
+        const backend = intelGpuTopBackend();
+        spawnCalls.length = 0;
+        spawnAnswers.push({ stdout: null, failure: failure });
+        backend.getStats(() => {});
+        backend.getStats(() => {});
+        assertEqual(spawnCalls.length, 1, 'Should stop at once after: ' + failure.message);
+    }
+});
+
+// NVIDIA procfs fallback
+runTest('nvidia procfs stats and device info', function() {
+    const files = {
+        '/proc/driver/nvidia/version': 'NVRM version: NVIDIA UNIX x86_64 Kernel Module  550.54.14  Thu Feb 22 01:44:30 UTC 2024\nGCC version:  gcc version 12.2.0',
+        '/proc/driver/nvidia/gpus/0000:01:00.0/information': 'Model: \t\t NVIDIA GeForce RTX 3080\nIRQ:   \t\t 145\nBus Location: \t 0000:01:00.0\nDevice Minor: \t 0',
+        '/proc/driver/nvidia/gpus/0000:02:00.0/information': 'Model: \t\t NVIDIA RTX A2000\nBus Location: \t 0000:02:00.0',
+        '/sys/bus/pci/devices/0000:02:00.0/hwmon/hwmon7/temp1_input': '61500'
+    };
+    const backend = new NvidiaProcfsBackend('/sys', new FakeSysfs(files), '/proc');
+
+    let stats = null;
+    backend.getStats(result => { stats = result; });
+    assertEqual(stats.map(gpu => [gpu.index, gpu.temp, gpu.gpu]), [[0, null, null], [1, 62, null]], 'Should read hwmon temperatures where present');
+
+    let info = null;
+    backend.getDeviceInfo(result => { info = result; });
+    assertEqual(info, {driver: '550.54.14', cuda: null, gpus: {
+        0: {index: 0, name: 'NVIDIA GeForce RTX 3080', busId: '0000:01:00.0'},
+        1: {index: 1, name: 'NVIDIA RTX A2000', busId: '0000:02:00.0'}
+    }}, 'Should identify the GPUs from /proc/driver/nvidia');
+});
+
+runTest('nvidia procfs open kernel module version', function() {
+    const backend = new NvidiaProcfsBackend('/sys', new FakeSysfs({}), '/proc');
+    assertEqual(backend._parseDriverVersion('NVRM version: NVIDIA UNIX Open Kernel Module for x86_64  560.35.03  Release Build'),
+                '560.35.03', 'Should parse the open kernel module banner');
+    assertEqual(backend.isAvailable(), false, 'Should not be available without the kernel module');
+});
+
+// Summary
+print('');
+print('========================================');
+print('Test Results:');
+print('  Passed: ' + testsPassed);
+print('  Failed: ' + testsFailed);
+print('========================================');
+
+if (testsFailed === 0) {
+    print('✓ All tests passed!');
+} else {
+    print('✗ Some tests failed');
+}
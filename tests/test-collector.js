@@ -0,0 +1,416 @@
+#!/usr/bin/env gjs
+/**
+ * Unit tests for the collector groups shared by applet instances
+ *
+ * Tests leadership hand-over and collector changes while a poll is in flight
+ * Run with: gjs tests/test-collector.js
+ */
+
+const DEBUG_MODE = false;
+const global = { log: print, logError: print };
+const Main = { notify: () => {} };
+const BACKEND_AUTO = 'auto';
+const BACKEND_NVIDIA = 'nvidia';
+const REFRESH_INTERVAL_DEFAULT = 2;
+
+// Fake backend: getStats keeps its callback until the test answers it
+function FakeBackend() {
+    this.id = BACKEND_NVIDIA;
+    this.name = 'Fake';
+    this.pending = [];
+}
+FakeBackend.prototype = {
+    getStats: function(callback) { this.pending.push(callback); },
+    isStreaming: function() { return false; }
+};
+function createBackend() {
+    return new FakeBackend();
+}
+function NvidiaProcfsBackend() {}
+
+// Collector groups (copied from applet.js for testing)
+/**
+ * Collector groups of the running applet instances, by collector key (see collectorKey)
+ */
+const COLLECTOR_GROUPS = {};
+
+/**
+ * Build the key of the collector an applet instance needs
+ * Instances share a collector only when all of these settings match
+ *
+ * @param {string} backendPreference - BACKEND_AUTO or a BACKEND_* id
+ * @param {string} collectorMode - COLLECTOR_MODE_* value
+ * @param {number} refreshInterval - Refresh interval in seconds
+ * @param {number} commandTimeout - Command timeout in seconds
+ * @returns {string} Collector key
+ */
+function collectorKey(backendPreference, collectorMode, refreshInterval, commandTimeout) {
+    return [backendPreference, collectorMode, refreshInterval, commandTimeout].join('|');
+}
+
+/**
+ * Collector Group class
+ * Shares one backend (and its fallback) between the applet instances with the same
+ * collector key. Only the leader, the longest-running member, collects: it runs the
+ * timer or query loop and the process and device queries, and publishes every result
+ * to all members, so N instances never spawn N times the nvidia-smi processes.
+ * When the leader leaves, the next member takes over.
+ *
+ * @param {string} key - Collector key (see collectorKey)
+ * @param {string} backendPreference - BACKEND_AUTO or a BACKEND_* id
+ */
+function CollectorGroup(key, backendPreference) {
+    this._init(key, backendPreference);
+}
+
+CollectorGroup.prototype = {
+    /**
+     * Initialize the group with its shared backend and no members
+     */
+    _init: function(key, backendPreference) {
+        this.key = key;
+        this.backend = createBackend(backendPreference);
+        this.fallbackBackend = this.backend.id === BACKEND_NVIDIA ? new NvidiaProcfsBackend() : null;
+        this.members = [];
+
+        // Notifications shown for the sample being published (see notify)
+        this._notified = [];
+        this._log("Using " + this.backend.name + " backend for " + key);
+    },
+
+    /**
+     * Get the member that collects for the group
+     * @returns {Object|null} Leading applet instance, or null if the group is empty
+     */
+    getLeader: function() {
+        return this.members.length > 0 ? this.members[0] : null;
+    },
+
+    /**
+     * Add an applet instance (it leads if the group was empty)
+     * @param {Object} member - Applet instance
+     */
+    join: function(member) {
+        if (this.members.indexOf(member) === -1) {
+            this.members.push(member);
+        }
+    },
+
+    /**
+     * Remove an applet instance
+     * @param {Object} member - Applet instance
+     * @returns {Object|null} The new leader if the leader left, otherwise null
+     */
+    leave: function(member) {
+        const index = this.members.indexOf(member);
+        if (index === -1) {
+            return null;
+        }
+
+        this.members.splice(index, 1);
+        return index === 0 ? this.getLeader() : null;
+    },
+
+    /**
+     * Call a method on every member with the same arguments
+     * Members may leave while handling it, so a copy of the list is walked
+     *
+     * @param {string} method - Member method name (e.g. "_onStats")
+     * @param {Array} args - Arguments
+     */
+    publish: function(method, args) {
+        this._notified = [];
+        for (let member of this.members.slice()) {
+            try {
+                member[method].apply(member, args);
+            } catch (error) {
+                this._logError("Member failed to handle " + method + ": " + error);
+            }
+        }
+    },
+
+    /**
+     * Show a desktop notification once per published result,
+     * however many members raise the same one (e.g. identical alert rules)
+     *
+     * @param {string} title - Notification title
+     * @param {string} body - Notification body
+     */
+    notify: function(title, body) {
+        const id = title + "\n" + body;
+        if (this._notified.indexOf(id) !== -1) {
+            return;
+        }
+
+        this._notified.push(id);
+        Main.notify(title, body);
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [CollectorGroup] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [CollectorGroup] ERROR: " + message);
+    }
+};
+
+/**
+ * Add an applet instance to the collector group of a key, creating the group if needed
+ *
+ * @param {Object} member - Applet instance
+ * @param {string} key - Collector key (see collectorKey)
+ * @param {string} backendPreference - BACKEND_AUTO or a BACKEND_* id
+ * @returns {CollectorGroup} The group joined
+ */
+function joinCollectorGroup(member, key, backendPreference) {
+    if (!COLLECTOR_GROUPS[key]) {
+        COLLECTOR_GROUPS[key] = new CollectorGroup(key, backendPreference);
+    }
+
+    COLLECTOR_GROUPS[key].join(member);
+    return COLLECTOR_GROUPS[key];
+}
+
+/**
+ * Remove an applet instance from its collector group, dropping the group once empty
+ *
+ * @param {Object} member - Applet instance
+ * @param {CollectorGroup} group - Group to leave
+ * @returns {Object|null} The new leader if the leader left, otherwise null
+ */
+function leaveCollectorGroup(member, group) {
+    const leader = group.leave(member);
+    if (group.members.length === 0 && COLLECTOR_GROUPS[group.key] === group) {
+        delete COLLECTOR_GROUPS[group.key];
+    }
+    return leader;
+}
+
+// Applet instance: collector methods copied from MyApplet in applet.js, the rest faked
+function FakeApplet(refreshInterval) {
+    this.refreshInterval = refreshInterval;
+    this.collectorMode = 'poll';
+    this.commandTimeout = 5;
+    this._onPanel = true;
+    this._pollPending = false;
+    this._nextRetryTime = 0;
+    this._lastStats = null;
+    this.received = [];
+    this._joinCollector();
+}
+
+FakeApplet.prototype = {
+    /**
+     * Get the collector key of this instance's collector settings
+     * @returns {string} Collector key (see collectorKey)
+     */
+    _getCollectorKey: function() {
+        return collectorKey(this.backendPreference || BACKEND_AUTO, this.collectorMode,
+                            this.refreshInterval || REFRESH_INTERVAL_DEFAULT, this.commandTimeout);
+    },
+
+    /**
+     * Join the collector group of the current collector settings
+     * and use its backends (the active source is the backend until it fails)
+     */
+    _joinCollector: function() {
+        this._collector = joinCollectorGroup(this, this._getCollectorKey(), this.backendPreference || BACKEND_AUTO);
+        this.backend = this._collector.backend;
+        this.fallbackBackend = this._collector.fallbackBackend;
+        this._activeSource = this.backend;
+        this._applyCommandTimeout();
+        this._log("Using " + this.backend.name + " backend" + (this._isLeader() ? "" : " (shared)"));
+    },
+
+    /**
+     * Leave the collector group; the next member takes over collecting if this one led
+     * Collection must already be stopped (see _stopTimer). Queries still running answer
+     * the group left and are ignored, so their in-flight flags are cleared here
+     */
+    _leaveCollector: function() {
+        this._pollPending = false;
+        this._deviceInfoPending = false;
+        const leader = leaveCollectorGroup(this, this._collector);
+        if (leader) {
+            leader._onCollectorLeadership();
+        }
+    },
+
+    /**
+     * Check whether this instance collects for its collector group
+     * @returns {boolean} True for the group leader
+     */
+    _isLeader: function() {
+        return this._collector.getLeader() === this;
+    },
+
+    /**
+     * Called when this instance becomes the leader of its collector group
+     */
+    _onCollectorLeadership: function() {
+        this._log("Taking over collection for " + this._collector.key);
+        this._pollPending = false;
+        if (this._onPanel) {
+            this._startTimer();
+        }
+    },
+
+    /**
+     * Move to the collector group of the current collector settings
+     * (refresh interval, collector mode, command timeout) and restart collection
+     */
+    _onCollectorSettingsChanged: function() {
+        if (this._collector.key === this._getCollectorKey()) {
+            return;
+        }
+
+        this._stopTimer();
+        this._leaveCollector();
+        this._joinCollector();
+        if (this._onPanel) {
+            this._startTimer();
+        }
+    },
+
+    /**
+     * Update GPU statistics and display
+     * While the query loop is running the last sample is simply re-rendered,
+     * so settings changes never spawn an extra nvidia-smi process; members other
+     * than the collector group leader never query and re-render the leader's last sample
+     */
+    _update: function() {
+        const leader = this._collector.getLeader();
+        if (leader !== this || (this.backend.isStreaming() && this._lastStats)) {
+            if (leader._lastStats) {
+                this._onStats(leader._lastStats, leader._activeSource);
+            }
+            return;
+        }
+
+        // Backing off after repeated failures: keep any fallback data fresh, retry later
+        if (Date.now() < this._nextRetryTime) {
+            if (this._activeSource === this.fallbackBackend) {
+                this._readFallback();
+            }
+            return;
+        }
+
+        // Never stack polls: a slow (or hung) query finishes or times out first
+        if (this._pollPending) {
+            this._log("Previous query still running, skipping this update");
+            return;
+        }
+
+        try {
+            // Get stats from nvidia-smi asynchronously
+            const collector = this._collector;
+            this._pollPending = true;
+            this.backend.getStats((stats) => {
+                // Ignore answers for a collector group this instance left meanwhile
+                if (collector !== this._collector || !this._isLeader()) {
+                    return;
+                }
+                this._pollPending = false;
+                collector.publish('_onStats', [stats]);
+            });
+
+        } catch (error) {
+            this._pollPending = false;
+            this._logError("Update error: " + error);
+            this._collector.publish('_handleError', ["Update exception: " + error]);
+        }
+    },
+
+    _startTimer: function() {},
+    _stopTimer: function() {},
+    _applyCommandTimeout: function() {},
+    _readFallback: function() {},
+    _onStats: function(stats) { this._lastStats = stats; this.received.push(stats); },
+    _handleError: function() {},
+    _log: function() {},
+    _logError: function(message) { print(message); }
+};
+
+// Test helper
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(message + '\n  Expected: ' + JSON.stringify(expected) + '\n  Got: ' + JSON.stringify(actual));
+    }
+}
+
+// Test suite
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(testName, testFunc) {
+    try {
+        testFunc();
+        print('✓ PASS: ' + testName);
+        testsPassed++;
+    } catch (error) {
+        print('✗ FAIL: ' + testName);
+        print('  ' + error.message);
+        testsFailed++;
+    }
+}
+
+runTest('instances with the same settings share one collector', function() {
+    const first = new FakeApplet(2);
+    const second = new FakeApplet(2);
+    assertEqual([first._collector === second._collector, first._isLeader(), second._isLeader()], [true, true, false],
+                'The first instance should lead the shared group');
+
+    second._update();
+    first._update();
+    assertEqual(first.backend.pending.length, 1, 'Only the leader should query');
+    first.backend.pending.shift()([{index: 0}]);
+    assertEqual([first.received.length, second.received.length], [1, 1], 'Every member should receive the sample');
+
+    first._leaveCollector();
+    assertEqual(second._isLeader(), true, 'The next member should take over');
+    second._leaveCollector();
+    assertEqual(Object.keys(COLLECTOR_GROUPS), [], 'Empty groups should be dropped');
+});
+
+runTest('collector change during a poll does not block later polls', function() {
+    const applet = new FakeApplet(2);
+    applet._update();
+    const oldBackend = applet.backend;
+    assertEqual(applet._pollPending, true, 'The poll should be in flight');
+
+    applet.refreshInterval = 5;
+    applet._onCollectorSettingsChanged();
+    oldBackend.pending.shift()([{index: 0, gpu: 1}]);
+    assertEqual(applet.received, [], 'The answer for the group left should be ignored');
+
+    applet._update();
+    assertEqual(applet.backend.pending.length, 1, 'The next tick should query the new collector');
+    applet.backend.pending.shift()([{index: 0, gpu: 2}]);
+    assertEqual(applet.received, [[{index: 0, gpu: 2}]], 'The new sample should be shown');
+    applet._leaveCollector();
+});
+
+// Summary
+print('');
+print('========================================');
+print('Test Results:');
+print('  Passed: ' + testsPassed);
+print('  Failed: ' + testsFailed);
+print('========================================');
+
+if (testsFailed === 0) {
+    print('✓ All tests passed!');
+} else {
+    print('✗ Some tests failed');
+}
@@ -0,0 +1,451 @@
+#!/usr/bin/env gjs
+/**
+ * Unit tests for the D-Bus stats service
+ *
+ * Tests sample and history serialization, and (under gjs with a session bus) GetStats,
+ * GetHistory and the StatsChanged signal against a throwaway bus
+ * Run with: dbus-run-session -- gjs tests/test-dbus.js
+ */
+
+// GJS bindings (absent outside gjs: the D-Bus round trip is skipped)
+const Gio = (typeof imports !== 'undefined') ? imports.gi.Gio : null;
+const GLib = (typeof imports !== 'undefined') ? imports.gi.GLib : null;
+const DEBUG_MODE = false;
+const global = { log: print, logError: print };
+
+// Metric graph scales used by GetHistory (subset of METRICS in applet.js)
+const METRICS = {
+    gpu:    { graphMax: 100 },
+    temp:   { graphMax: 100 },
+    pstate: { graphMax: null }
+};
+
+// Recording columns, D-Bus constants, history buffer and service (copied from applet.js for testing)
+const RECORD_COLUMNS = [
+    'index', 'gpu', 'mem', 'temp', 'memTemp', 'fan', 'power', 'powerLimit', 'vramUsed', 'vramTotal',
+    'smClock', 'memClock', 'enc', 'dec', 'pcieRx', 'pcieTx', 'pstate', 'throttle'
+];
+
+// Session D-Bus service (see StatsService); stats are in Celsius and MiB whatever the display units
+const DBUS_SERVICE_NAME = 'io.github.chesterbait88.NVStats';
+const DBUS_SERVICE_PATH = '/io/github/chesterbait88/NVStats';
+const DBUS_SERVICE_INTERFACE = '<node>' +
+    '<interface name="io.github.chesterbait88.NVStats">' +
+    '<method name="GetStats"><arg type="s" direction="out" name="stats"/></method>' +
+    '<method name="GetHistory">' +
+    '<arg type="i" direction="in" name="gpu"/>' +
+    '<arg type="s" direction="in" name="metric"/>' +
+    '<arg type="u" direction="in" name="seconds"/>' +
+    '<arg type="a(xd)" direction="out" name="samples"/>' +
+    '</method>' +
+    '<signal name="StatsChanged"><arg type="s" name="stats"/></signal>' +
+    '</interface>' +
+    '</node>';
+
+/**
+ * History Buffer class
+ * Fixed-capacity ring buffer of timestamped values; the oldest sample is dropped when full
+ */
+function HistoryBuffer(capacity) {
+    this._init(capacity);
+}
+
+HistoryBuffer.prototype = {
+    /**
+     * Initialize the HistoryBuffer
+     * @param {number} capacity - Maximum number of samples kept
+     */
+    _init: function(capacity) {
+        this.capacity = Math.max(1, capacity);
+        this._times = new Array(this.capacity);
+        this._values = new Array(this.capacity);
+        this._start = 0;
+        this.length = 0;
+    },
+
+    /**
+     * Append a sample
+     * @param {number} time - Sample time (ms since epoch)
+     * @param {number|null} value - Sample value, null when unavailable
+     */
+    push: function(time, value) {
+        const position = (this._start + this.length) % this.capacity;
+        this._times[position] = time;
+        this._values[position] = value;
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this._start = (this._start + 1) % this.capacity;
+        }
+    },
+
+    /**
+     * Get the samples in chronological order
+     * @param {number} since - Optional time (ms since epoch); older samples are skipped
+     * @returns {Array} Array of {time, value}
+     */
+    samples: function(since) {
+        const result = [];
+        for (let i = 0; i < this.length; i++) {
+            const position = (this._start + i) % this.capacity;
+            if (since === undefined || this._times[position] >= since) {
+                result.push({ time: this._times[position], value: this._values[position] });
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Get the values in chronological order
+     * @param {number} count - Optional number of most recent values to return
+     * @returns {Array} Values (null for unavailable samples)
+     */
+    values: function(count) {
+        const values = this.samples().map(sample => sample.value);
+        return (count !== undefined && count < values.length) ? values.slice(values.length - count) : values;
+    },
+
+    /**
+     * Drop every sample
+     */
+    clear: function() {
+        this._start = 0;
+        this.length = 0;
+    }
+};
+
+/**
+ * Serialize a sample for the D-Bus service
+ * Every GPU carries the recording columns (null when unavailable)
+ *
+ * @param {Array} stats - Array of per-GPU statistics (empty if there is no sample)
+ * @param {number|null} time - Sample time (ms since epoch), null if there is no sample
+ * @param {string|null} source - Data source of the sample (e.g. "nvidia-smi")
+ * @returns {string} JSON object {timestamp, source, gpus}
+ */
+function statsToJson(stats, time, source) {
+    const gpus = stats.map((gpuStats) => {
+        const record = {};
+        for (let key of RECORD_COLUMNS) {
+            record[key] = gpuStats[key] === undefined ? null : gpuStats[key];
+        }
+        return record;
+    });
+
+    return JSON.stringify({
+        timestamp: time === null ? null : new Date(time).toISOString(),
+        source: source,
+        gpus: gpus
+    });
+}
+
+/**
+ * Convert a history buffer to D-Bus history samples
+ * Unavailable values are skipped (a double cannot be null)
+ *
+ * @param {HistoryBuffer|null} buffer - History of one metric
+ * @param {number} since - Optional time (ms since epoch); older samples are skipped
+ * @returns {Array} Array of [time (ms since epoch), value]
+ */
+function historyToSamples(buffer, since) {
+    if (!buffer) {
+        return [];
+    }
+
+    return buffer.samples(since)
+        .filter(sample => sample.value !== null)
+        .map(sample => [sample.time, sample.value]);
+}
+
+/**
+ * Stats Service class
+ * Publishes the latest sample and the history on the session bus, so other tools
+ * need not run nvidia-smi themselves:
+ *   GetStats() -> s                     latest sample as JSON (see statsToJson)
+ *   GetHistory(i gpu, s metric, u seconds) -> a(xd)   [time ms, value] of the last seconds (0 = all)
+ *   StatsChanged(s)                      emitted with every new sample
+ * Instances that enable the service share it; the first one provides the data
+ */
+function StatsService() {
+    this._init();
+}
+
+StatsService.prototype = {
+    /**
+     * Initialize the StatsService (the bus name is owned once a provider is added)
+     */
+    _init: function() {
+        this.providers = [];
+        this._dbus = null;
+        this._ownerId = 0;
+        this._json = statsToJson([], null, null);
+        this._history = null;
+    },
+
+    /**
+     * Add an applet instance that provides data, starting the service for the first one
+     * @param {Object} provider - Applet instance
+     */
+    addProvider: function(provider) {
+        if (this.providers.indexOf(provider) !== -1) {
+            return;
+        }
+
+        this.providers.push(provider);
+        if (this.providers.length === 1) {
+            this._start();
+        }
+    },
+
+    /**
+     * Remove an applet instance, stopping the service after the last one
+     * The next provider's data is served from its next sample on
+     * @param {Object} provider - Applet instance
+     */
+    removeProvider: function(provider) {
+        const index = this.providers.indexOf(provider);
+        if (index === -1) {
+            return;
+        }
+
+        this.providers.splice(index, 1);
+        if (index === 0) {
+            this._json = statsToJson([], null, null);
+            this._history = null;
+        }
+        if (this.providers.length === 0) {
+            this._stop();
+        }
+    },
+
+    /**
+     * Publish a new sample (ignored unless it comes from the first provider)
+     *
+     * @param {Object} provider - Applet instance
+     * @param {Array} stats - Array of per-GPU statistics
+     * @param {number} time - Sample time (ms since epoch)
+     * @param {string} source - Data source of the sample
+     * @param {MetricHistory} history - Provider's history (served by GetHistory)
+     */
+    publish: function(provider, stats, time, source, history) {
+        if (this.providers[0] !== provider || !this._dbus) {
+            return;
+        }
+
+        this._json = statsToJson(stats, time, source);
+        this._history = history;
+        try {
+            this._dbus.emit_signal('StatsChanged', new GLib.Variant('(s)', [this._json]));
+        } catch (error) {
+            this._logError("Failed to emit StatsChanged: " + error);
+        }
+    },
+
+    /**
+     * D-Bus method: latest sample
+     * @returns {string} JSON (see statsToJson)
+     */
+    GetStats: function() {
+        return this._json;
+    },
+
+    /**
+     * D-Bus method: history of one metric of one GPU
+     *
+     * @param {number} gpu - GPU index
+     * @param {string} metric - Metric key (e.g. "temp", "gpu", "power")
+     * @param {number} seconds - Only samples of the last seconds (0 = all)
+     * @returns {Array} Array of [time (ms since epoch), value]
+     */
+    GetHistory: function(gpu, metric, seconds) {
+        if (!METRICS[metric] || METRICS[metric].graphMax === null) {
+            throw new Error("Unknown metric: " + metric);
+        }
+        if (!this._history) {
+            return [];
+        }
+
+        const since = seconds > 0 ? Date.now() - seconds * 1000 : undefined;
+        return historyToSamples(this._history.get(String(gpu), metric), since);
+    },
+
+    /**
+     * Export the object and own the bus name
+     */
+    _start: function() {
+        try {
+            this._dbus = Gio.DBusExportedObject.wrapJSObject(DBUS_SERVICE_INTERFACE, this);
+            this._dbus.export(Gio.DBus.session, DBUS_SERVICE_PATH);
+            const onNameLost = () => {
+                this._logError("Could not own " + DBUS_SERVICE_NAME + " (already running elsewhere?)");
+            };
+            this._ownerId = Gio.bus_own_name(Gio.BusType.SESSION, DBUS_SERVICE_NAME, Gio.BusNameOwnerFlags.NONE,
+                                             null, null, onNameLost);
+            this._log("Exported " + DBUS_SERVICE_PATH + " as " + DBUS_SERVICE_NAME);
+        } catch (error) {
+            this._logError("Failed to start the D-Bus service: " + error);
+            this._dbus = null;
+        }
+    },
+
+    /**
+     * Release the bus name and unexport the object
+     */
+    _stop: function() {
+        if (this._ownerId) {
+            Gio.bus_unown_name(this._ownerId);
+            this._ownerId = 0;
+        }
+
+        if (this._dbus) {
+            this._dbus.unexport();
+            this._dbus = null;
+        }
+        this._log("D-Bus service stopped");
+    },
+
+    /**
+     * Logging helper
+     * @param {string} message - Message to log
+     */
+    _log: function(message) {
+        if (DEBUG_MODE) {
+            global.log("[NV-Stats] [StatsService] " + message);
+        }
+    },
+
+    /**
+     * Error logging helper
+     * @param {string} message - Error message to log
+     */
+    _logError: function(message) {
+        global.logError("[NV-Stats] [StatsService] ERROR: " + message);
+    }
+};
+
+// Test helper
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(message + '\n  Expected: ' + JSON.stringify(expected) + '\n  Got: ' + JSON.stringify(actual));
+    }
+}
+
+// Test suite
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(testName, testFunc) {
+    try {
+        testFunc();
+        print('✓ PASS: ' + testName);
+        testsPassed++;
+    } catch (error) {
+        print('✗ FAIL: ' + testName);
+        print('  ' + error.message);
+        testsFailed++;
+    }
+}
+
+// Call a method of the service exported on this connection and return its unpacked reply
+function callService(method, parameters, replyType) {
+    const loop = new GLib.MainLoop(null, false);
+    let reply = null;
+    let failure = null;
+
+    Gio.DBus.session.call(Gio.DBus.session.get_unique_name(), DBUS_SERVICE_PATH, 'io.github.chesterbait88.NVStats',
+                          method, parameters, new GLib.VariantType(replyType), Gio.DBusCallFlags.NONE, 2000, null,
+                          (connection, result) => {
+        try {
+            reply = connection.call_finish(result).deepUnpack();
+        } catch (error) {
+            failure = error;
+        }
+        loop.quit();
+    });
+    loop.run();
+
+    if (failure) {
+        throw failure;
+    }
+    return reply;
+}
+
+const SAMPLE = [{index: 0, gpu: 42, mem: 10, temp: 55, fan: 30, power: 120.5, vramUsed: 2048, vramTotal: 8192, pstate: 'P2'}];
+
+runTest('sample serialization', function() {
+    const json = JSON.parse(statsToJson(SAMPLE, Date.UTC(2025, 0, 2, 3, 4, 5), 'nvidia-smi'));
+    assertEqual([json.timestamp, json.source], ['2025-01-02T03:04:05.000Z', 'nvidia-smi'], 'Should carry time and source');
+    assertEqual(Object.keys(json.gpus[0]), RECORD_COLUMNS, 'Should carry every recording column');
+    assertEqual([json.gpus[0].temp, json.gpus[0].pstate, json.gpus[0].memTemp], [55, 'P2', null], 'Should keep values and null missing ones');
+    assertEqual(JSON.parse(statsToJson([], null, null)), {timestamp: null, source: null, gpus: []}, 'Should serialize no sample');
+});
+
+runTest('history samples skip unavailable values', function() {
+    const buffer = new HistoryBuffer(3);
+    [[1000, 50], [2000, null], [3000, 60], [4000, 70]].forEach(sample => buffer.push(sample[0], sample[1]));
+    assertEqual(historyToSamples(buffer), [[3000, 60], [4000, 70]], 'Should keep the available values of the buffer');
+    assertEqual(historyToSamples(buffer, 4000), [[4000, 70]], 'Should skip older samples');
+    assertEqual(historyToSamples(null), [], 'Should be empty without history');
+});
+
+let busAvailable = false;
+try {
+    busAvailable = Gio !== null && Gio.DBus.session !== null;
+} catch (error) {
+    busAvailable = false;
+}
+
+if (!busAvailable) {
+    print('- SKIP: D-Bus round trip (needs gjs and a session bus)');
+} else {
+    runTest('D-Bus round trip', function() {
+        const history = {
+            buffer: new HistoryBuffer(10),
+            get: function(source, key) { return (source === '0' && key === 'temp') ? this.buffer : null; }
+        };
+        history.buffer.push(Date.now(), 55);
+
+        const provider = {};
+        const service = new StatsService();
+        service.addProvider(provider);
+
+        let signalled = null;
+        const loop = new GLib.MainLoop(null, false);
+        const subscription = Gio.DBus.session.signal_subscribe(null, 'io.github.chesterbait88.NVStats', 'StatsChanged',
+                                                               DBUS_SERVICE_PATH, null, Gio.DBusSignalFlags.NONE,
+                                                               (connection, sender, path, iface, signal, parameters) => {
+            signalled = parameters.deepUnpack()[0];
+            loop.quit();
+        });
+        service.publish(provider, SAMPLE, Date.now(), 'nvidia-smi', history);
+        GLib.timeout_add(GLib.PRIORITY_DEFAULT, 2000, () => { loop.quit(); return false; });
+        loop.run();
+        Gio.DBus.session.signal_unsubscribe(subscription);
+
+        try {
+            assertEqual(signalled !== null && JSON.parse(signalled).gpus[0].temp, 55, 'Should emit StatsChanged with the sample');
+            assertEqual(JSON.parse(callService('GetStats', null, '(s)')[0]).gpus[0].gpu, 42, 'GetStats should return the sample');
+            const samples = callService('GetHistory', new GLib.Variant('(isu)', [0, 'temp', 60]), '(a(xd))')[0];
+            assertEqual(samples.map(sample => sample[1]), [55], 'GetHistory should return the recent values');
+            assertEqual(callService('GetHistory', new GLib.Variant('(isu)', [3, 'temp', 0]), '(a(xd))')[0], [],
+                        'GetHistory should be empty for an unknown GPU');
+        } finally {
+            service.removeProvider(provider);
+        }
+    });
+}
+
+// Summary
+print('');
+print('========================================');
+print('Test Results:');
+print('  Passed: ' + testsPassed);
+print('  Failed: ' + testsFailed);
+print('========================================');
+
+if (testsFailed === 0) {
+    print('✓ All tests passed!');
+} else {
+    print('✗ Some tests failed');
+}
@@ -0,0 +1,388 @@
+#!/usr/bin/env gjs
+/**
+ * Unit tests for the Prometheus / OpenMetrics exporter
+ *
+ * Tests the exposition format (families, units, labels, scaling) and the HTTP responses
+ * Run with: gjs tests/test-exporter.js
+ */
+
+// Exporter metrics, exposition and response helpers (copied from applet.js for testing)
+// OpenMetrics exporter (see MetricsExporter): one gauge family per stats key, in base units
+// (scale converts the collector's units); pstate "P2" is exported as 2, throttle as its bitmask
+const EXPORTER_PORT_DEFAULT = 9835;
+const EXPORTER_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const EXPORTER_IDLE_TIMEOUT = 5;        // seconds a connection may stay silent before it is closed
+const EXPORTER_MAX_HEADER_LINES = 100;  // request line and headers accepted per request
+const EXPORTER_MAX_HEADER_SIZE = 16384; // bytes of request line and headers accepted per request
+const EXPORTER_READ_SIZE = 4096;        // bytes read from a connection at a time
+const EXPORTER_METRICS = [
+    { key: 'gpu',        name: 'nvstats_gpu_utilization_ratio',        unit: 'ratio',            scale: 0.01,    help: 'GPU utilization' },
+    { key: 'mem',        name: 'nvstats_memory_utilization_ratio',     unit: 'ratio',            scale: 0.01,    help: 'Memory controller utilization' },
+    { key: 'temp',       name: 'nvstats_temperature_celsius',          unit: 'celsius',          scale: 1,       help: 'GPU temperature' },
+    { key: 'memTemp',    name: 'nvstats_memory_temperature_celsius',   unit: 'celsius',          scale: 1,       help: 'Memory temperature' },
+    { key: 'fan',        name: 'nvstats_fan_speed_ratio',              unit: 'ratio',            scale: 0.01,    help: 'Fan speed' },
+    { key: 'power',      name: 'nvstats_power_draw_watts',             unit: 'watts',            scale: 1,       help: 'Power draw' },
+    { key: 'powerLimit', name: 'nvstats_power_limit_watts',            unit: 'watts',            scale: 1,       help: 'Power limit' },
+    { key: 'vramUsed',   name: 'nvstats_vram_used_bytes',              unit: 'bytes',            scale: 1048576, help: 'VRAM used' },
+    { key: 'vramTotal',  name: 'nvstats_vram_total_bytes',             unit: 'bytes',            scale: 1048576, help: 'VRAM total' },
+    { key: 'smClock',    name: 'nvstats_sm_clock_hertz',               unit: 'hertz',            scale: 1e6,     help: 'SM clock' },
+    { key: 'memClock',   name: 'nvstats_memory_clock_hertz',           unit: 'hertz',            scale: 1e6,     help: 'Memory clock' },
+    { key: 'enc',        name: 'nvstats_encoder_utilization_ratio',    unit: 'ratio',            scale: 0.01,    help: 'Encoder utilization' },
+    { key: 'dec',        name: 'nvstats_decoder_utilization_ratio',    unit: 'ratio',            scale: 0.01,    help: 'Decoder utilization' },
+    { key: 'pcieRx',     name: 'nvstats_pcie_rx_bytes_per_second',     unit: 'bytes_per_second', scale: 1e6,     help: 'PCIe receive throughput' },
+    { key: 'pcieTx',     name: 'nvstats_pcie_tx_bytes_per_second',     unit: 'bytes_per_second', scale: 1e6,     help: 'PCIe transmit throughput' },
+    { key: 'pstate',     name: 'nvstats_performance_state',            unit: null,               scale: 1,       help: 'Performance state (0 = maximum performance)' },
+    { key: 'throttle',   name: 'nvstats_clocks_throttle_reasons',      unit: null,               scale: 1,       help: 'Active clock throttle reasons bitmask' }
+];
+
+/**
+ * Escape an OpenMetrics label value
+ * @param {string} value - Label value
+ * @returns {string} Value with backslashes, quotes and line breaks escaped
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample in the OpenMetrics text format
+ * Every GPU is a labelled gauge in each family; families without values are left out
+ *
+ * @param {Array} stats - Array of per-GPU statistics (empty if there is no sample)
+ * @param {Object|null} deviceInfo - {driver, cuda, gpus} for the name labels, if known
+ * @returns {string} Exposition ending with "# EOF"
+ */
+function formatOpenMetrics(stats, deviceInfo) {
+    const lines = [];
+
+    for (let metric of EXPORTER_METRICS) {
+        const samples = [];
+        for (let gpuStats of stats) {
+            let value = gpuStats[metric.key];
+            if (metric.key === 'pstate' && typeof value === 'string') {
+                const match = value.match(/^P(\d+)$/);
+                value = match ? parseInt(match[1]) : null;
+            }
+            if (typeof value !== 'number' || isNaN(value)) {
+                continue;
+            }
+
+            const device = (deviceInfo && deviceInfo.gpus[gpuStats.index]) ? deviceInfo.gpus[gpuStats.index] : null;
+            let labels = 'gpu="' + gpuStats.index + '"';
+            if (device && device.name) {
+                labels += ',name="' + escapeLabelValue(device.name) + '"';
+            }
+            // Rounded to 12 significant digits so scaling adds no float noise (0.57, not 0.5700000000000001)
+            samples.push(metric.name + '{' + labels + '} ' + Number((value * metric.scale).toPrecision(12)));
+        }
+
+        if (samples.length === 0) {
+            continue;
+        }
+
+        lines.push('# TYPE ' + metric.name + ' gauge');
+        if (metric.unit) {
+            lines.push('# UNIT ' + metric.name + ' ' + metric.unit);
+        }
+        lines.push('# HELP ' + metric.name + ' ' + metric.help);
+        lines.push.apply(lines, samples);
+    }
+
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Find the head (request line and headers) of an HTTP request in the data received so far
+ * A head over EXPORTER_MAX_HEADER_LINES lines or EXPORTER_MAX_HEADER_SIZE bytes is too large
+ *
+ * @param {string} received - Request data received so far
+ * @returns {Object} {complete, tooLarge, requestLine}: complete once the blank line ending
+ *                   the headers arrived; requestLine is null until the first line is complete
+ */
+function parseRequestHead(received) {
+    // Every line but the last one is complete
+    const lines = received.split('\n');
+    const end = lines.slice(0, -1).findIndex(line => line.replace(/\r$/, '') === '');
+    const head = (end === -1) ? lines : lines.slice(0, end);
+
+    return {
+        complete: end !== -1,
+        tooLarge: head.join('\n').length > EXPORTER_MAX_HEADER_SIZE || head.length > EXPORTER_MAX_HEADER_LINES,
+        requestLine: (lines.length > 1 && end !== 0) ? lines[0].replace(/\r$/, '') : null
+    };
+}
+
+/**
+ * Build the HTTP response of the metrics exporter
+ * Only GET (and HEAD) of /metrics is served
+ *
+ * @param {string} requestLine - HTTP request line, e.g. "GET /metrics HTTP/1.1"
+ * @param {function} getMetrics - Returns the OpenMetrics exposition (only called for /metrics)
+ * @returns {string} Complete HTTP/1.1 response
+ */
+function exporterResponse(requestLine, getMetrics) {
+    const parts = (requestLine || '').split(' ');
+    const method = parts[0];
+    const path = (parts[1] || '').split('?')[0];
+
+    let status = '200 OK';
+    let type = EXPORTER_CONTENT_TYPE;
+    let body;
+    if (method !== 'GET' && method !== 'HEAD') {
+        status = '405 Method Not Allowed';
+        type = 'text/plain; charset=utf-8';
+        body = 'Method not allowed\n';
+    } else if (path !== '/metrics') {
+        status = '404 Not Found';
+        type = 'text/plain; charset=utf-8';
+        body = 'Metrics are served at /metrics\n';
+    } else {
+        body = getMetrics();
+    }
+
+    // Content-Length counts UTF-8 bytes (GPU names may not be ASCII)
+    const length = encodeURIComponent(body).replace(/%[0-9A-F]{2}/g, '_').length;
+    return 'HTTP/1.1 ' + status + '\r\n' +
+        'Content-Type: ' + type + '\r\n' +
+        'Content-Length: ' + length + '\r\n' +
+        'Connection: close\r\n' +
+        '\r\n' +
+        (method === 'HEAD' ? '' : body);
+}
+
+// Metrics exporter: provider methods copied from applet.js, the listener faked
+/**
+ * Metrics Exporter class
+ * Minimal HTTP listener on 127.0.0.1 serving /metrics in the OpenMetrics text format
+ * for a local Prometheus; the exposition is built on every scrape.
+ * Instances that enable the exporter share it; the first one provides the data and the port
+ */
+function MetricsExporter() {
+    this._init();
+}
+
+MetricsExporter.prototype = {
+    /**
+     * Initialize the MetricsExporter (not listening until a provider is added)
+     */
+    _init: function() {
+        this.providers = [];
+        this._service = null;
+        this.port = null;
+    },
+
+    /**
+     * Add an applet instance that provides data, or update its port and data source
+     * Listens on the first provider's port
+     *
+     * @param {Object} provider - Applet instance
+     * @param {number} port - TCP port the provider asks for
+     * @param {function} getMetrics - Returns the provider's current OpenMetrics exposition
+     * @returns {boolean} True if listening (false if the port is taken)
+     */
+    addProvider: function(provider, port, getMetrics) {
+        const entry = this.providers.find(candidate => candidate.provider === provider);
+        if (entry) {
+            entry.port = port;
+            entry.getMetrics = getMetrics;
+        } else {
+            this.providers.push({ provider: provider, port: port, getMetrics: getMetrics });
+        }
+        return this._listen();
+    },
+
+    /**
+     * Remove an applet instance; the next provider takes over, and the listener
+     * is closed after the last one
+     * @param {Object} provider - Applet instance
+     */
+    removeProvider: function(provider) {
+        const index = this.providers.findIndex(candidate => candidate.provider === provider);
+        if (index === -1) {
+            return;
+        }
+
+        this.providers.splice(index, 1);
+        if (this.providers.length === 0) {
+            this.stop();
+        } else if (index === 0) {
+            this._listen();
+        }
+    },
+
+    /**
+     * Listen on the first provider's port unless already doing so
+     * @returns {boolean} True if listening
+     */
+    _listen: function() {
+        const port = this.providers[0].port;
+        if (this.isListening() && this.port === port) {
+            return true;
+        }
+        return this.start(port);
+    },
+
+    /**
+     * Build the exposition served to a scrape, from the first provider
+     * @returns {string} OpenMetrics exposition
+     */
+    _getMetrics: function() {
+        return this.providers.length > 0 ? this.providers[0].getMetrics() : formatOpenMetrics([], null);
+    },
+
+    /**
+     * Check whether the exporter is listening
+     * @returns {boolean} True if listening
+     */
+    isListening: function() {
+        return this._service !== null;
+    },
+
+    start: function(port) {
+        this.started.push(port);
+        if (port === this.takenPort) {
+            return false;
+        }
+        this._service = {};
+        this.port = port;
+        return true;
+    },
+
+    stop: function() {
+        this._service = null;
+        this.port = null;
+    }
+};
+
+// Test helper
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(message + '\n  Expected: ' + JSON.stringify(expected) + '\n  Got: ' + JSON.stringify(actual));
+    }
+}
+
+// Test suite
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(testName, testFunc) {
+    try {
+        testFunc();
+        print('✓ PASS: ' + testName);
+        testsPassed++;
+    } catch (error) {
+        print('✗ FAIL: ' + testName);
+        print('  ' + error.message);
+        testsFailed++;
+    }
+}
+
+const SAMPLE = [
+    {index: 0, gpu: 57, temp: 61, vramUsed: 2048, smClock: 1500, pstate: 'P2', throttle: 4, fan: null},
+    {index: 1, gpu: 3, temp: 40, vramUsed: 512, smClock: null, pstate: null, throttle: 0, fan: null}
+];
+const DEVICE_INFO = {driver: '550.54', cuda: '12.4', gpus: [{index: 0, name: 'GeForce "Quad"'}]};
+
+runTest('gauge families per metric with labelled GPUs', function() {
+    const lines = formatOpenMetrics(SAMPLE, DEVICE_INFO).split('\n');
+    assertEqual(lines.slice(0, 5), [
+        '# TYPE nvstats_gpu_utilization_ratio gauge',
+        '# UNIT nvstats_gpu_utilization_ratio ratio',
+        '# HELP nvstats_gpu_utilization_ratio GPU utilization',
+        'nvstats_gpu_utilization_ratio{gpu="0",name="GeForce \\"Quad\\""} 0.57',
+        'nvstats_gpu_utilization_ratio{gpu="1"} 0.03'
+    ], 'Should describe the family and label every GPU');
+    assertEqual(lines.slice(-2), ['# EOF', ''], 'Should end with # EOF');
+});
+
+runTest('values are scaled to base units', function() {
+    const text = formatOpenMetrics(SAMPLE, null);
+    const value = (name, gpu) => {
+        const line = text.split('\n').filter(l => l.indexOf(name + '{gpu="' + gpu + '"}') === 0)[0];
+        return line ? line.split(' ')[1] : null;
+    };
+    assertEqual([value('nvstats_vram_used_bytes', 0), value('nvstats_sm_clock_hertz', 0), value('nvstats_sm_clock_hertz', 1)],
+                ['2147483648', '1500000000', null], 'Should convert MiB and MHz and skip unknown values');
+    assertEqual([value('nvstats_performance_state', 0), value('nvstats_clocks_throttle_reasons', 1)], ['2', '0'],
+                'Should export the P-state number and the throttle mask');
+    assertEqual(text.indexOf('nvstats_fan_speed_ratio'), -1, 'Should leave out families without values');
+    assertEqual(formatOpenMetrics([], null), '# EOF\n', 'Should be empty without a sample');
+});
+
+runTest('HTTP responses', function() {
+    const head = (response) => response.split('\r\n')[0];
+    const ok = exporterResponse('GET /metrics HTTP/1.1', () => 'x 1\n# EOF\n');
+    assertEqual(head(ok), 'HTTP/1.1 200 OK', 'Should serve /metrics');
+    assertEqual(ok.split('\r\n\r\n')[1], 'x 1\n# EOF\n', 'Should carry the exposition');
+    assertEqual(ok.indexOf('Content-Length: 10\r\n') !== -1, true, 'Should send the body length');
+    assertEqual(exporterResponse('HEAD /metrics?x=1 HTTP/1.1', () => 'é\n').split('\r\n\r\n'), [
+        'HTTP/1.1 200 OK\r\nContent-Type: ' + EXPORTER_CONTENT_TYPE + '\r\nContent-Length: 3\r\nConnection: close', ''
+    ], 'Should answer HEAD without a body and count UTF-8 bytes');
+    assertEqual(head(exporterResponse('GET / HTTP/1.1', () => '')), 'HTTP/1.1 404 Not Found', 'Should not serve other paths');
+    assertEqual(head(exporterResponse('POST /metrics HTTP/1.1', () => '')), 'HTTP/1.1 405 Method Not Allowed',
+                'Should only allow GET and HEAD');
+});
+
+runTest('request heads are read up to the limits', function() {
+    const state = (received) => {
+        const head = parseRequestHead(received);
+        return [head.complete, head.tooLarge, head.requestLine];
+    };
+    assertEqual(state('GET /metr'), [false, false, null], 'Should wait for the request line');
+    assertEqual(state('GET /metrics HTTP/1.1\r\nHost: localhost\r\n'), [false, false, 'GET /metrics HTTP/1.1'],
+                'Should wait for the end of the headers');
+    assertEqual(state('GET /metrics HTTP/1.1\r\nHost: localhost\r\n\r\nbody'), [true, false, 'GET /metrics HTTP/1.1'],
+                'Should stop at the blank line');
+    assertEqual(state('GET /metrics HTTP/1.0\n\n'), [true, false, 'GET /metrics HTTP/1.0'], 'Should accept bare line feeds');
+    assertEqual(state('\r\n'), [true, false, null], 'Should answer an empty request');
+
+    let many = 'GET /metrics HTTP/1.1\r\n';
+    for (let i = 0; i < EXPORTER_MAX_HEADER_LINES; i++) {
+        many += 'X-Header: ' + i + '\r\n';
+    }
+    assertEqual(parseRequestHead(many).tooLarge, true, 'Should cap the header count');
+    assertEqual(parseRequestHead('GET /' + 'x'.repeat(EXPORTER_MAX_HEADER_SIZE)).tooLarge, true,
+                'Should cap the header size, even before a line ends');
+    assertEqual(parseRequestHead('GET /metrics HTTP/1.1\r\n\r\n' + 'x'.repeat(EXPORTER_MAX_HEADER_SIZE)).tooLarge, false,
+                'Should not count data after the headers');
+});
+
+runTest('instances share one listener', function() {
+    const exporter = new MetricsExporter();
+    exporter.started = [];
+    const first = {}, second = {}, third = {};
+
+    assertEqual(exporter.addProvider(first, 9835, () => 'first\n'), true, 'Should listen for the first provider');
+    assertEqual(exporter.addProvider(second, 9900, () => 'second\n'), true, 'Should share the listener');
+    assertEqual([exporter.started, exporter._getMetrics()], [[9835], 'first\n'], 'Should serve the first provider on its port');
+
+    exporter.removeProvider(second);
+    exporter.removeProvider(first);
+    assertEqual([exporter.started, exporter.isListening()], [[9835], false], 'Should close after the last provider');
+
+    exporter.addProvider(first, 9835, () => 'first\n');
+    exporter.addProvider(second, 9900, () => 'second\n');
+    exporter.removeProvider(first);
+    assertEqual([exporter.port, exporter._getMetrics()], [9900, 'second\n'], 'The next provider should take over with its port');
+
+    exporter.takenPort = 9901;
+    assertEqual(exporter.addProvider(second, 9901, () => 'second\n'), false, 'Should report a taken port');
+    assertEqual(exporter.addProvider(third, 9835, () => 'third\n'), false, 'Should keep the first provider\'s port');
+    exporter.removeProvider(second);
+    assertEqual([exporter.port, exporter._getMetrics()], [9835, 'third\n'], 'Should listen again once the next provider takes over');
+});
+
+// Summary
+print('');
+print('========================================');
+print('Test Results:');
+print('  Passed: ' + testsPassed);
+print('  Failed: ' + testsFailed);
+print('========================================');
+
+if (testsFailed === 0) {
+    print('✓ All tests passed!');
+} else {
+    print('✗ Some tests failed');
+}
@@ -0,0 +1,627 @@
+#!/usr/bin/env gjs
+/**
+ * Unit tests for the custom template formatter
+ *
+ * Tests template compilation (validation) and rendering, the panel value color marks and gradient colors
+ * Run with: gjs tests/test-formatter.js
+ */
+
+// Test data fixtures
+const TEST_STATS = {
+    index: 0, gpu: 42, mem: 35, temp: 55, memTemp: null, fan: 65, power: 117.4, powerLimit: 250,
+    vramUsed: 2847, vramTotal: 8192, smClock: 1755, memClock: 7000, enc: 0, dec: 0,
+    pcieRx: 120, pcieTx: 35, pstate: 'P2'
+};
+
+// Display units, template variables and formatter (copied from applet.js for testing)
+const TEMP_UNIT_CELSIUS = 'C';
+const TEMP_UNIT_FAHRENHEIT = 'F';
+const TEMP_UNIT_KELVIN = 'K';
+const TEMPERATURE_UNITS = {
+    C: { suffix: '°C', fromCelsius: celsius => celsius,                toCelsius: value => value,                scale: 1 },
+    F: { suffix: '°F', fromCelsius: celsius => celsius * 9 / 5 + 32,   toCelsius: value => (value - 32) * 5 / 9, scale: 9 / 5 },
+    K: { suffix: 'K',  fromCelsius: celsius => celsius + 273.15,       toCelsius: value => value - 273.15,       scale: 1 }
+};
+const MEMORY_UNIT_PERCENT = 'pct';  // VRAM used as % of total
+const MEMORY_UNIT_MIB = 'mib';
+const MEMORY_UNIT_GIB = 'gib';
+const UNITS_DEFAULT = { temperature: TEMP_UNIT_CELSIUS, memory: MEMORY_UNIT_MIB };
+
+/**
+ * Convert a Celsius temperature to a display unit
+ *
+ * @param {number|null} celsius - Temperature in Celsius
+ * @param {string} unit - One of TEMP_UNIT_* (unknown units keep Celsius)
+ * @returns {number|null} Converted temperature, or null if unknown
+ */
+function convertTemperature(celsius, unit) {
+    if (typeof celsius !== 'number') {
+        return null;
+    }
+    return (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS[TEMP_UNIT_CELSIUS]).fromCelsius(celsius);
+}
+
+/**
+ * Get the suffix of a temperature unit
+ *
+ * @param {string} unit - One of TEMP_UNIT_*
+ * @returns {string} e.g. "°F"
+ */
+function temperatureSuffix(unit) {
+    return (TEMPERATURE_UNITS[unit] || TEMPERATURE_UNITS[TEMP_UNIT_CELSIUS]).suffix;
+}
+
+const TEMPLATE_VARIABLES = {
+    index:         { value: stats => stats.index },
+    gpu:           { value: stats => stats.gpu },
+    mem:           { value: stats => stats.mem },
+    temp:          { value: (stats, units) => convertTemperature(stats.temp, units.temperature) },
+    mem_temp:      { value: (stats, units) => convertTemperature(stats.memTemp, units.temperature) },
+    temp_unit:     { value: (stats, units) => temperatureSuffix(units.temperature) },
+    fan:           { value: stats => stats.fan },
+    power:         { value: stats => stats.power },
+    power_limit:   { value: stats => stats.powerLimit },
+    vram_used:     { value: stats => stats.vramUsed },
+    vram_total:    { value: stats => stats.vramTotal },
+    vram_used_gb:  { value: stats => typeof stats.vramUsed === 'number' ? stats.vramUsed / 1024 : null, precision: 1 },
+    vram_total_gb: { value: stats => typeof stats.vramTotal === 'number' ? stats.vramTotal / 1024 : null, precision: 1 },
+    vram_pct:      { value: stats => (typeof stats.vramUsed === 'number' && stats.vramTotal) ? stats.vramUsed / stats.vramTotal * 100 : null },
+    sm_clock:      { value: stats => stats.smClock },
+    mem_clock:     { value: stats => stats.memClock },
+    enc:           { value: stats => stats.enc },
+    dec:           { value: stats => stats.dec },
+    pcie_rx:       { value: stats => stats.pcieRx },
+    pcie_tx:       { value: stats => stats.pcieTx },
+    pstate:        { value: stats => stats.pstate }
+};
+
+function TemplateFormatter() {
+    this._init();
+}
+
+TemplateFormatter.prototype = {
+    /**
+     * Initialize the TemplateFormatter
+     */
+    _init: function() {
+        this.template = "";
+        this.rows = [];
+        this.error = null;
+        this.units = UNITS_DEFAULT;
+    },
+
+    /**
+     * Set the display units used by the temperature variables
+     * @param {Object} units - Display units {temperature, memory}
+     */
+    setUnits: function(units) {
+        this.units = units;
+    },
+
+    /**
+     * Compile a template
+     * @param {string} template - Template text, one row per line
+     * @returns {string|null} Error message, or null if the template is valid
+     */
+    setTemplate: function(template) {
+        this.template = template || "";
+        this.rows = [];
+        this.error = null;
+
+        try {
+            const lines = this.template.split('\n').filter(line => line.trim() !== '');
+            if (lines.length === 0) {
+                throw new Error("Template is empty");
+            }
+            this.rows = lines.map(line => this._compileLine(line));
+        } catch (error) {
+            this.rows = [];
+            this.error = error.message;
+        }
+
+        return this.error;
+    },
+
+    /**
+     * Check whether a valid template is loaded
+     * @returns {boolean} True if the template compiled
+     */
+    isValid: function() {
+        return this.rows.length > 0;
+    },
+
+    /**
+     * Render the template for one GPU
+     * @param {Object} stats - Per-GPU stats object
+     * @returns {Array} One string per template row
+     */
+    render: function(stats) {
+        return this.rows.map(tokens => {
+            return tokens.map(token => {
+                if (typeof token === 'string') {
+                    return token;
+                }
+                return this._formatToken(token, TEMPLATE_VARIABLES[token.name].value(stats, this.units));
+            }).join('');
+        });
+    },
+
+    /**
+     * Split one template line into literal strings and placeholder tokens
+     * @param {string} line - Template line
+     * @returns {Array} Tokens (strings and {name, align, zero, width, precision})
+     */
+    _compileLine: function(line) {
+        const tokens = [];
+        let literal = "";
+        let position = 0;
+
+        while (position < line.length) {
+            const char = line[position];
+
+            if (char === '{' && line[position + 1] === '{') {
+                literal += '{';
+                position += 2;
+            } else if (char === '}' && line[position + 1] === '}') {
+                literal += '}';
+                position += 2;
+            } else if (char === '{') {
+                const end = line.indexOf('}', position);
+                if (end === -1) {
+                    throw new Error("Unclosed '{' at position " + (position + 1));
+                }
+                if (literal !== "") {
+                    tokens.push(literal);
+                    literal = "";
+                }
+                tokens.push(this._compilePlaceholder(line.substring(position + 1, end)));
+                position = end + 1;
+            } else if (char === '}') {
+                throw new Error("Unmatched '}' at position " + (position + 1));
+            } else {
+                literal += char;
+                position++;
+            }
+        }
+
+        if (literal !== "") {
+            tokens.push(literal);
+        }
+        return tokens;
+    },
+
+    /**
+     * Parse the inside of a placeholder, e.g. "power:>5.1f"
+     * @param {string} placeholder - Placeholder text without braces
+     * @returns {Object} {name, align, zero, width, precision}
+     */
+    _compilePlaceholder: function(placeholder) {
+        const colon = placeholder.indexOf(':');
+        const name = (colon === -1 ? placeholder : placeholder.substring(0, colon)).trim();
+        const spec = colon === -1 ? "" : placeholder.substring(colon + 1);
+
+        if (!TEMPLATE_VARIABLES[name]) {
+            throw new Error("Unknown variable '{" + name + "}'");
+        }
+
+        const match = spec.match(/^([<>^])?(0)?(\d+)?(?:\.(\d+))?([df])?$/);
+        if (!match) {
+            throw new Error("Invalid format '" + spec + "' for '{" + name + "}'");
+        }
+
+        let precision = match[4] !== undefined ? parseInt(match[4]) : null;
+        if (match[5] === 'd') {
+            precision = 0;
+        }
+
+        return {
+            name: name,
+            align: match[1] || null,
+            zero: match[2] === '0',
+            width: match[3] !== undefined ? parseInt(match[3]) : 0,
+            precision: precision
+        };
+    },
+
+    /**
+     * Format one value according to its placeholder
+     * Unavailable values render as "--"; numbers align right and text left by default
+     * @param {Object} token - Compiled placeholder
+     * @param {number|string|null} value - Value to format
+     * @returns {string} Formatted value
+     */
+    _formatToken: function(token, value) {
+        const isNumber = typeof value === 'number';
+        let text;
+
+        if (value === null || value === undefined) {
+            text = "--";
+        } else if (isNumber) {
+            const precision = token.precision !== null ? token.precision : (TEMPLATE_VARIABLES[token.name].precision || 0);
+            text = value.toFixed(precision);
+        } else {
+            text = String(value);
+        }
+
+        if (text.length >= token.width) {
+            return text;
+        }
+
+        const align = token.align || (isNumber ? '>' : '<');
+        const padding = token.width - text.length;
+
+        if (token.zero && isNumber && align === '>') {
+            return text.startsWith('-') ? '-' + text.substring(1).padStart(token.width - 1, '0') : text.padStart(token.width, '0');
+        }
+        if (align === '^') {
+            const left = Math.floor(padding / 2);
+            return " ".repeat(left) + text + " ".repeat(padding - left);
+        }
+        return align === '<' ? text.padEnd(token.width, ' ') : text.padStart(token.width, ' ');
+    }
+};
+
+// Panel value color marks (copied from applet.js for testing)
+// Invisible marks around a panel value with its own color (see markColor)
+const COLOR_MARK_START = '\u0001';
+const COLOR_MARK_TEXT = '\u0003';
+const COLOR_MARK_END = '\u0002';
+const COLOR_MARK_PATTERN = /\u0001[^\u0003]*\u0003|\u0002/g;
+
+/**
+ * Parse a CSS color string as produced by the settings color chooser
+ * Supports rgb(), rgba() and #rrggbb
+ *
+ * @param {string} color - Color string
+ * @returns {Array} [red, green, blue, alpha] in the 0-1 range (opaque white if unparseable)
+ */
+function parseColor(color) {
+    const text = (color || '').trim();
+
+    const rgbMatch = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (rgbMatch) {
+        return [parseFloat(rgbMatch[1]) / 255, parseFloat(rgbMatch[2]) / 255, parseFloat(rgbMatch[3]) / 255,
+                rgbMatch[4] !== undefined ? parseFloat(rgbMatch[4]) : 1];
+    }
+
+    const hexMatch = text.match(/^#([0-9a-fA-F]{2})([0-9a-fA-F]{2})([0-9a-fA-F]{2})$/);
+    if (hexMatch) {
+        return [parseInt(hexMatch[1], 16) / 255, parseInt(hexMatch[2], 16) / 255, parseInt(hexMatch[3], 16) / 255, 1];
+    }
+
+    return [1, 1, 1, 1];
+}
+
+/**
+ * Convert a CSS color string to #rrggbb (Pango markup has no rgba())
+ *
+ * @param {string} color - Color string
+ * @returns {string} Hex color
+ */
+function colorToHex(color) {
+    return '#' + parseColor(color).slice(0, 3).map(channel => {
+        return Math.round(Math.min(1, Math.max(0, channel)) * 255).toString(16).padStart(2, '0');
+    }).join('');
+}
+
+/**
+ * Wrap panel text in color marks
+ * The marks are ignored by visibleLength and become Pango spans in colorMarksToMarkup
+ *
+ * @param {string} text - Text to color
+ * @param {string} color - CSS color string
+ * @returns {string} Marked text
+ */
+function markColor(text, color) {
+    return COLOR_MARK_START + colorToHex(color) + COLOR_MARK_TEXT + text + COLOR_MARK_END;
+}
+
+/**
+ * Length of panel text without its color marks
+ *
+ * @param {string} text - Possibly marked text
+ * @returns {number} Number of visible characters
+ */
+function visibleLength(text) {
+    return text.replace(COLOR_MARK_PATTERN, '').length;
+}
+
+/**
+ * Pad panel text with spaces to a visible width (padEnd that ignores color marks)
+ *
+ * @param {string} text - Possibly marked text
+ * @param {number} width - Visible width
+ * @returns {string} Padded text
+ */
+function padVisible(text, width) {
+    return text + ' '.repeat(Math.max(0, width - visibleLength(text)));
+}
+
+/**
+ * Escape text for Pango markup
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+               .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Turn color-marked panel text into Pango markup
+ *
+ * @param {string} text - Possibly marked text
+ * @returns {string} Markup with one foreground span per marked value
+ */
+function colorMarksToMarkup(text) {
+    return text.split(/(\u0001[^\u0003]*\u0003|\u0002)/).map(part => {
+        if (part.startsWith(COLOR_MARK_START)) {
+            return '<span foreground="' + part.substring(1, part.length - 1) + '">';
+        }
+        return part === COLOR_MARK_END ? '</span>' : escapeMarkup(part);
+    }).join('');
+}
+
+// Gradient colors (copied from applet.js for testing)
+// Color coding mode: discrete normal/warning/critical steps, or a gradient blended in RGB or HSL
+const COLOR_MODE_STEPS = 'steps';
+const COLOR_MODE_RGB = 'rgb';
+const COLOR_MODE_HSL = 'hsl';
+
+/**
+ * Convert RGB channels to HSL
+ *
+ * @param {Array} rgb - [red, green, blue] in the 0-1 range
+ * @returns {Array} [hue, saturation, lightness] in the 0-1 range
+ */
+function rgbToHsl(rgb) {
+    const [red, green, blue] = rgb;
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+
+    if (max === min) {
+        return [0, 0, lightness];
+    }
+
+    const delta = max - min;
+    const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    let hue;
+    if (max === red) {
+        hue = (green - blue) / delta + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        hue = (blue - red) / delta + 2;
+    } else {
+        hue = (red - green) / delta + 4;
+    }
+    return [hue / 6, saturation, lightness];
+}
+
+/**
+ * Convert HSL to RGB channels
+ *
+ * @param {Array} hsl - [hue, saturation, lightness] in the 0-1 range
+ * @returns {Array} [red, green, blue] in the 0-1 range
+ */
+function hslToRgb(hsl) {
+    const [hue, saturation, lightness] = hsl;
+    if (saturation === 0) {
+        return [lightness, lightness, lightness];
+    }
+
+    const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+    const p = 2 * lightness - q;
+    const channel = offset => {
+        const t = ((hue + offset) % 1 + 1) % 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [channel(1 / 3), channel(0), channel(-1 / 3)];
+}
+
+/**
+ * Blend two CSS colors
+ * HSL blending takes the shorter way around the hue circle, so green to red passes yellow
+ *
+ * @param {string} from - Color at fraction 0
+ * @param {string} to - Color at fraction 1
+ * @param {number} fraction - Position between the colors (clamped to 0-1)
+ * @param {string} space - COLOR_MODE_RGB or COLOR_MODE_HSL
+ * @returns {string} Color string (rgba format)
+ */
+function mixColors(from, to, fraction, space) {
+    const t = Math.min(1, Math.max(0, fraction));
+    const start = parseColor(from);
+    const end = parseColor(to);
+    let rgb;
+
+    if (space === COLOR_MODE_HSL) {
+        const a = rgbToHsl(start);
+        const b = rgbToHsl(end);
+        // A gray has no hue of its own: take the other color's
+        const hueA = a[1] === 0 ? b[0] : a[0];
+        const hueB = b[1] === 0 ? a[0] : b[0];
+        let hueDelta = hueB - hueA;
+        if (hueDelta > 0.5) {
+            hueDelta -= 1;
+        } else if (hueDelta < -0.5) {
+            hueDelta += 1;
+        }
+        rgb = hslToRgb([hueA + hueDelta * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t]);
+    } else {
+        rgb = [0, 1, 2].map(channel => start[channel] + (end[channel] - start[channel]) * t);
+    }
+
+    const alpha = start[3] + (end[3] - start[3]) * t;
+    return 'rgba(' + rgb.map(channel => Math.round(Math.min(1, Math.max(0, channel)) * 255)).join(', ') +
+           ', ' + alpha.toFixed(2) + ')';
+}
+
+/**
+ * Gradient color of a value between the warning and critical thresholds
+ * The normal color holds up to one threshold span below warning, then blends
+ * into the warning color at the warning threshold and the critical color at
+ * the critical threshold
+ *
+ * @param {number|null} value - Metric value (non-numbers get the normal color)
+ * @param {number} warning - Warning threshold
+ * @param {number} critical - Critical threshold
+ * @param {Array} colors - [normal, warning, critical] CSS colors
+ * @param {string} space - COLOR_MODE_RGB or COLOR_MODE_HSL
+ * @returns {string} Color string (rgba format)
+ */
+function gradientColor(value, warning, critical, colors, space) {
+    if (typeof value !== 'number') {
+        return colors[0];
+    }
+
+    const span = Math.max(critical - warning, 1);
+    if (value < warning) {
+        return mixColors(colors[0], colors[1], (value - (warning - span)) / span, space);
+    }
+    return mixColors(colors[1], colors[2], (value - warning) / span, space);
+}
+
+// Test helper
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(message + '\n  Expected: ' + JSON.stringify(expected) + '\n  Got: ' + JSON.stringify(actual));
+    }
+}
+
+function render(template, stats) {
+    const formatter = new TemplateFormatter();
+    const error = formatter.setTemplate(template);
+    if (error) {
+        throw new Error('Unexpected template error: ' + error);
+    }
+    return formatter.render(stats);
+}
+
+function compileError(template) {
+    return new TemplateFormatter().setTemplate(template);
+}
+
+// Test suite
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(testName, testFunc) {
+    try {
+        testFunc();
+        print('✓ PASS: ' + testName);
+        testsPassed++;
+    } catch (error) {
+        print('✗ FAIL: ' + testName);
+        print('  ' + error.message);
+        testsFailed++;
+    }
+}
+
+// Rendering
+runTest('render default template', function() {
+    assertEqual(render('{gpu}% {temp}{temp_unit} {power:.0f}W {vram_used_gb:.1f}G', TEST_STATS),
+                ['42% 55°C 117W 2.8G'], 'Should render the default template');
+});
+
+runTest('render temperatures in the display unit', function() {
+    const formatter = new TemplateFormatter();
+    formatter.setTemplate('{temp}{temp_unit} {temp:.1f}');
+    formatter.setUnits({temperature: TEMP_UNIT_FAHRENHEIT, memory: MEMORY_UNIT_MIB});
+    assertEqual(formatter.render(TEST_STATS), ['131°F 131.0'], 'Should convert to Fahrenheit');
+    formatter.setUnits({temperature: TEMP_UNIT_KELVIN, memory: MEMORY_UNIT_MIB});
+    assertEqual(formatter.render(TEST_STATS), ['328K 328.1'], 'Should convert to Kelvin');
+});
+
+runTest('render width and alignment', function() {
+    assertEqual(render('[{gpu:>4}][{gpu:<4}][{pstate:^6}]', TEST_STATS),
+                ['[  42][42  ][  P2  ]'], 'Should honour alignment and width');
+});
+
+runTest('render zero padding and integer type', function() {
+    assertEqual(render('{temp:04d} {power:d}', TEST_STATS), ['0055 117'], 'Should zero-pad and round');
+});
+
+runTest('render default precision of GB variables', function() {
+    assertEqual(render('{vram_total_gb}', TEST_STATS), ['8.0'], 'Should use one decimal by default');
+});
+
+runTest('render unavailable values', function() {
+    assertEqual(render('{mem_temp}°C', TEST_STATS), ['--°C'], 'Should render null as --');
+});
+
+runTest('render literal braces', function() {
+    assertEqual(render('{{{gpu}}}', TEST_STATS), ['{42}'], 'Should unescape doubled braces');
+});
+
+runTest('render multiple rows', function() {
+    assertEqual(render('G {gpu}\nT {temp}\n\n', TEST_STATS), ['G 42', 'T 55'], 'Should render one row per non-empty line');
+});
+
+// Validation
+runTest('reject unknown variable', function() {
+    assertEqual(compileError('{nope}'), "Unknown variable '{nope}'", 'Should reject unknown variables');
+});
+
+runTest('reject unclosed brace', function() {
+    assertEqual(compileError('GPU {gpu'), "Unclosed '{' at position 5", 'Should reject unclosed braces');
+});
+
+runTest('reject unmatched closing brace', function() {
+    assertEqual(compileError('gpu}'), "Unmatched '}' at position 4", 'Should reject stray closing braces');
+});
+
+runTest('reject invalid format spec', function() {
+    assertEqual(compileError('{gpu:x}'), "Invalid format 'x' for '{gpu}'", 'Should reject invalid specs');
+});
+
+runTest('reject empty template', function() {
+    assertEqual(compileError('  \n '), 'Template is empty', 'Should reject empty templates');
+});
+
+// Value color marks
+runTest('color marks are invisible to padding', function() {
+    const marked = 'FAN: ' + markColor('100%', 'rgba(251, 146, 60, 1.0)');
+    assertEqual(visibleLength(marked), 9, 'Should not count the marks');
+    assertEqual(visibleLength(padVisible(marked, 12)), 12, 'Should pad to the visible width');
+});
+
+runTest('color marks become escaped Pango spans', function() {
+    const marked = '<GPU> & ' + markColor('42%', '#EF4444') + ' | T: ' + markColor('55°C', 'rgb(74, 222, 128)');
+    assertEqual(colorMarksToMarkup(marked),
+                '&lt;GPU&gt; &amp; <span foreground="#ef4444">42%</span> | T: <span foreground="#4ade80">55°C</span>',
+                'Should escape the text and convert the marks');
+});
+
+// Gradient colors
+const GRADIENT_COLORS = ['#4ade80', '#fbbf24', '#ef4444'];
+
+runTest('gradient reaches each color at its threshold', function() {
+    assertEqual(gradientColor(50, 70, 85, GRADIENT_COLORS, COLOR_MODE_RGB), 'rgba(74, 222, 128, 1.00)', 'Normal below the ramp');
+    assertEqual(gradientColor(70, 70, 85, GRADIENT_COLORS, COLOR_MODE_RGB), 'rgba(251, 191, 36, 1.00)', 'Warning at the warning threshold');
+    assertEqual(gradientColor(90, 70, 85, GRADIENT_COLORS, COLOR_MODE_RGB), 'rgba(239, 68, 68, 1.00)', 'Critical above the critical threshold');
+    assertEqual(gradientColor(null, 70, 85, GRADIENT_COLORS, COLOR_MODE_RGB), '#4ade80', 'Normal without a value');
+});
+
+runTest('gradient blends between thresholds', function() {
+    assertEqual(mixColors('#000000', '#ffffff', 0.5, COLOR_MODE_RGB), 'rgba(128, 128, 128, 1.00)', 'RGB midpoint');
+    assertEqual(mixColors('#00ff00', '#ff0000', 0.5, COLOR_MODE_HSL), 'rgba(255, 255, 0, 1.00)', 'HSL green to red passes yellow');
+    assertEqual(gradientColor(77.5, 70, 85, ['#000000', '#000000', '#ffffff'], COLOR_MODE_RGB), 'rgba(128, 128, 128, 1.00)', 'Halfway to critical');
+});
+
+// Summary
+print('');
+print('========================================');
+print('Test Results:');
+print('  Passed: ' + testsPassed);
+print('  Failed: ' + testsFailed);
+print('========================================');
+
+if (testsFailed === 0) {
+    print('✓ All tests passed!');
+} else {
+    print('✗ Some tests failed');
+}
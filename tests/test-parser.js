@@ -2,7 +2,8 @@
 /**
  * Unit tests for GPU Monitor parsing functions
  *
- * Tests the parseDmonOutput and parseFanSpeed functions
+ * Tests the parseDmonOutput, parseFanSpeed, parseQueryOutput, parseQueryLine,
+ * parseDeviceInfo, parseCudaVersion, parsePmonOutput and parseComputeApps functions
  * Run with: gjs tests/test-parser.js
  */
 
@@ -20,6 +21,24 @@ const TEST_DATA = {
 # Idx      W      C      C      %      %      %      %      %      %     MB     MB     MB
     0     15     35      -      0      2      0      0      0      0    512     16      0`,
 
+    multiGpuDmon: `# gpu    pwr  gtemp  mtemp     sm    mem    enc    dec    jpg    ofa     fb   bar1   ccpm
+# Idx      W      C      C      %      %      %      %      %      %     MB     MB     MB
+    0    117     45      -     13      6      0      0      0      0   2847     39      0
+    1    225     92      -     98     95      0      0      0      0   7896    512      0`,
+
+    multiGpuDmonUnordered: `# gpu    pwr  gtemp  mtemp     sm    mem
+# Idx      W      C      C      %      %
+    1     15     35      -      0      2
+    0    117     45      -     13      6`,
+
+    extendedDmon: `# gpu    pwr  gtemp  mtemp     sm    mem    enc    dec    jpg    ofa   mclk   pclk     fb   bar1   ccpm  rxpci  txpci
+# Idx      W      C      C      %      %      %      %      %      %    MHz    MHz     MB     MB     MB   MB/s   MB/s
+    0    117     45     52     13      6     21      4      0      0   7000   1755   2847     39      0    120     35`,
+
+    reorderedDmon: `# gpu     sm    mem  gtemp    pwr
+# Idx      %      %      C      W
+    0     13      6     45    117`,
+
     invalidDmon: `Random garbage data that is not valid output`,
 
     emptyDmon: ``,
@@ -42,46 +61,144 @@ const TEST_DATA = {
 
     emptyFan: ``,
 
-    outOfRangeFan: `150`
+    outOfRangeFan: `150`,
+
+    validDeviceQuery: `0, 55, 250.00, 8192, P2, 0x0000000000000000
+1, 70, 320.00, 16384, P0, 0x0000000000000024
+`,
+
+    deviceQueryWithNA: `0, [N/A], [N/A], 4096, P8, [N/A]
+1, 40, 150.00, 8192, P2, 0x0000000000000000`,
+
+    invalidDeviceQuery: `Not a number`,
+
+    validQueryLine: `0, 13, 6, 45, 55, 117.45, 250.00, 2847, 8192, 1755, 7000, P2, 0x0000000000000004`,
+
+    queryLineFanNA: `1, 98, 95, 92, [N/A], 225.10, 250.00, 7896, 8192, 1905, 7000, P0, [Not Supported]`,
+
+    partialQueryLine: `0, 13, 6`,
+
+    validDeviceInfo: `0, NVIDIA GeForce RTX 3080, 550.54.14, 00000000:01:00.0
+1, NVIDIA RTX A6000, 550.54.14, 00000000:41:00.0`,
+
+    deviceInfoCommaName: `0, Tesla K80, Rev. B, 470.42.01, 00000000:05:00.0`,
+
+    validPmon: `# gpu         pid   type     sm    mem    enc    dec    jpg    ofa     fb   command
+# Idx           #    C/G      %      %      %      %      %      %     MB   name
+    0       1873     G      3      1      -      -      -      -    412   Xorg
+    0      24610     C     38     22      -      -      -      -   2048   python3
+    1          -     -      -      -      -      -      -      -      -   -`,
+
+    pmonWithoutFb: `# gpu        pid  type    sm   mem   enc   dec   command
+# Idx          #   C/G     %     %     %     %   name
+    0      24610     C    38    22     0     0   Blender Render`,
+
+    validComputeApps: `24610, 2048
+31337, [N/A]`,
+
+    summaryHeader: `| NVIDIA-SMI 535.129.03   Driver Version: 535.129.03   CUDA Version: 12.2   |`
+};
+
+// Column and field maps (copied from applet.js for testing)
+const DMON_COLUMNS = {
+    'gpu': 'index',
+    'sm': 'gpu',
+    'mem': 'mem',
+    'gtemp': 'temp',
+    'mtemp': 'memTemp',
+    'pwr': 'power',
+    'enc': 'enc',
+    'dec': 'dec',
+    'pclk': 'smClock',
+    'mclk': 'memClock',
+    'fb': 'vramUsed',
+    'rxpci': 'pcieRx',
+    'txpci': 'pcieTx'
+};
+
+const GPU_QUERY_FIELDS = {
+    'index': 'index',
+    'utilization.gpu': 'gpu',
+    'utilization.memory': 'mem',
+    'temperature.gpu': 'temp',
+    'fan.speed': 'fan',
+    'power.draw': 'power',
+    'power.limit': 'powerLimit',
+    'memory.used': 'vramUsed',
+    'memory.total': 'vramTotal',
+    'clocks.sm': 'smClock',
+    'clocks.mem': 'memClock',
+    'pstate': 'pstate',
+    'clocks_throttle_reasons.active': 'throttle'
 };
 
+const STREAM_QUERY_FIELDS = Object.keys(GPU_QUERY_FIELDS);
+const DEVICE_QUERY_FIELDS = ['index', 'fan.speed', 'power.limit', 'memory.total', 'pstate', 'clocks_throttle_reasons.active'];
+const REQUIRED_STATS = ['index', 'gpu', 'mem', 'temp'];
+const DEVICE_INFO_FIELDS = ['index', 'name', 'driver_version', 'pci.bus_id'];
+const PMON_COLUMNS = {
+    gpu: 'gpu',
+    pid: 'pid',
+    type: 'type',
+    sm: 'sm',
+    mem: 'mem',
+    fb: 'vram',
+    command: 'name'
+};
+const COMPUTE_APPS_FIELDS = ['pid', 'used_memory'];
+
 // Mock parsing functions (copied from applet.js for testing)
 function parseDmonOutput(stdout) {
     if (!stdout || stdout.trim() === '') {
         return null;
     }
 
-    const lines = stdout.split('\n').filter(line => !line.startsWith('#') && line.trim() !== '');
+    const allLines = stdout.split('\n');
 
-    if (lines.length === 0) {
+    const headerLine = allLines.find(line => line.startsWith('#'));
+    if (!headerLine) {
         return null;
     }
+    const columns = headerLine.substring(1).trim().split(/\s+/);
 
-    const dataLine = lines[0];
-    const values = dataLine.trim().split(/\s+/).filter(v => v !== '');
+    const lines = allLines.filter(line => !line.startsWith('#') && line.trim() !== '');
 
-    if (values.length < 6) {
+    if (lines.length === 0) {
         return null;
     }
 
-    try {
-        const gpu = parseInt(values[4]);
-        const mem = parseInt(values[5]);
-        const temp = parseInt(values[2]);
+    const gpus = [];
+
+    for (let dataLine of lines) {
+        const values = dataLine.trim().split(/\s+/).filter(v => v !== '');
 
-        if (isNaN(gpu) || isNaN(mem) || isNaN(temp)) {
+        if (values.length < columns.length) {
             return null;
         }
 
-        return {
-            gpu: gpu,
-            mem: mem,
-            temp: temp
-        };
+        const gpuStats = {};
+        for (let column in DMON_COLUMNS) {
+            gpuStats[DMON_COLUMNS[column]] = null;
+        }
 
-    } catch (error) {
-        return null;
+        columns.forEach((column, position) => {
+            const key = DMON_COLUMNS[column];
+            if (key === undefined) {
+                return;
+            }
+            const value = parseInt(values[position]);
+            gpuStats[key] = isNaN(value) ? null : value;
+        });
+
+        if (REQUIRED_STATS.some(key => gpuStats[key] === null)) {
+            return null;
+        }
+
+        gpus.push(gpuStats);
     }
+
+    gpus.sort((a, b) => a.index - b.index);
+    return gpus;
 }
 
 function parseFanSpeed(stdout) {
@@ -105,6 +222,179 @@ function parseFanSpeed(stdout) {
     return fanSpeed;
 }
 
+function parseQueryOutput(stdout, fields) {
+    if (!stdout || stdout.trim() === '') {
+        return null;
+    }
+
+    const result = {};
+    const lines = stdout.split('\n').filter(line => line.trim() !== '');
+
+    for (let line of lines) {
+        const gpuStats = parseQueryLine(line, fields);
+        if (gpuStats) {
+            result[gpuStats.index] = gpuStats;
+        }
+    }
+
+    return result;
+}
+
+function parseQueryLine(line, fields) {
+    const values = line.split(',').map(value => value.trim());
+
+    if (values.length < fields.length) {
+        return null;
+    }
+
+    const gpuStats = {};
+
+    fields.forEach((field, position) => {
+        const key = GPU_QUERY_FIELDS[field];
+        const value = values[position];
+
+        if (value === '' || value.indexOf('N/A') !== -1) {
+            gpuStats[key] = null;
+        } else if (field === 'pstate') {
+            gpuStats[key] = value;
+        } else if (field === 'clocks_throttle_reasons.active') {
+            // Hexadecimal bitmask, e.g. "0x0000000000000004"
+            const mask = parseInt(value, 16);
+            gpuStats[key] = isNaN(mask) ? null : mask;
+        } else if (field === 'fan.speed') {
+            gpuStats[key] = parseFanSpeed(value);
+        } else {
+            const number = parseFloat(value);
+            gpuStats[key] = isNaN(number) ? null : number;
+        }
+    });
+
+    if (REQUIRED_STATS.some(key => gpuStats[key] === null)) {
+        return null;
+    }
+
+    return gpuStats;
+}
+
+// Parse device identity query output (copied from applet.js)
+function parseDeviceInfo(stdout) {
+    const gpus = {};
+    let found = false;
+
+    for (let line of stdout.split('\n')) {
+        const values = line.split(',').map(value => value.trim());
+        if (values.length < DEVICE_INFO_FIELDS.length) {
+            continue;
+        }
+
+        const index = parseInt(values[0]);
+        if (isNaN(index) || !/^\d+$/.test(values[0])) {
+            continue;
+        }
+
+        gpus[index] = {
+            index: index,
+            name: values.slice(1, values.length - 2).join(', '),
+            driver: values[values.length - 2],
+            busId: values[values.length - 1]
+        };
+        found = true;
+    }
+
+    return found ? gpus : null;
+}
+
+// Parse the CUDA version from the nvidia-smi summary header (copied from applet.js)
+function parseCudaVersion(stdout) {
+    const match = stdout.match(/CUDA Version:\s*([\d.]+)/);
+    return match ? match[1] : null;
+}
+
+// Parse nvidia-smi pmon output (copied from applet.js)
+function parsePmonOutput(stdout) {
+    if (!stdout || stdout.trim() === '') {
+        return null;
+    }
+
+    const allLines = stdout.split('\n');
+
+    const headerLine = allLines.find(line => line.startsWith('#'));
+    if (!headerLine) {
+        return null;
+    }
+    const columns = headerLine.substring(1).trim().split(/\s+/);
+    if (columns.indexOf('pid') === -1) {
+        return null;
+    }
+
+    const processes = [];
+
+    for (let dataLine of allLines.filter(line => !line.startsWith('#') && line.trim() !== '')) {
+        const values = dataLine.trim().split(/\s+/);
+        if (values.length < columns.length) {
+            continue;
+        }
+
+        const process = {};
+        for (let column in PMON_COLUMNS) {
+            process[PMON_COLUMNS[column]] = null;
+        }
+
+        columns.forEach((column, position) => {
+            const key = PMON_COLUMNS[column];
+            if (key === undefined || values[position] === '-') {
+                return;
+            }
+
+            if (key === 'name') {
+                process.name = values.slice(position).join(' ');
+            } else if (key === 'type') {
+                process.type = values[position];
+            } else {
+                const value = parseInt(values[position]);
+                process[key] = isNaN(value) ? null : value;
+            }
+        });
+
+        if (process.gpu === null || process.pid === null) {
+            continue;
+        }
+
+        processes.push(process);
+    }
+
+    return processes;
+}
+
+// Parse --query-compute-apps output (copied from applet.js)
+function parseComputeApps(stdout) {
+    const usage = {};
+
+    for (let line of stdout.split('\n')) {
+        const values = line.split(',').map(value => value.trim());
+        if (values.length < COMPUTE_APPS_FIELDS.length) {
+            continue;
+        }
+
+        const pid = parseInt(values[0]);
+        const used = parseInt(values[1]);
+        if (!isNaN(pid) && !isNaN(used)) {
+            usage[pid] = used;
+        }
+    }
+
+    return usage;
+}
+
+// Pick a subset of keys from a stats object (keeps expected values short)
+function pick(stats, keys) {
+    const result = {};
+    for (let key of keys) {
+        result[key] = stats[key];
+    }
+    return result;
+}
+
 // Test helper
 function assert(condition, message) {
     if (!condition) {
@@ -137,17 +427,48 @@ function runTest(testName, testFunc) {
 // Tests for parseDmonOutput
 runTest('parseDmonOutput with valid data', function() {
     const result = parseDmonOutput(TEST_DATA.validDmon);
-    assertEqual(result, {gpu: 13, mem: 6, temp: 45}, 'Should parse valid dmon output');
+    assertEqual(result, [{
+        index: 0, gpu: 13, mem: 6, temp: 45, memTemp: null, power: 117, enc: 0, dec: 0,
+        smClock: null, memClock: null, vramUsed: 2847, pcieRx: null, pcieTx: null
+    }], 'Should parse valid dmon output');
 });
 
 runTest('parseDmonOutput with high load', function() {
     const result = parseDmonOutput(TEST_DATA.validDmonHighLoad);
-    assertEqual(result, {gpu: 98, mem: 95, temp: 92}, 'Should parse high load data');
+    assertEqual(pick(result[0], ['index', 'gpu', 'mem', 'temp']), {index: 0, gpu: 98, mem: 95, temp: 92}, 'Should parse high load data');
 });
 
 runTest('parseDmonOutput with idle GPU', function() {
     const result = parseDmonOutput(TEST_DATA.validDmonIdle);
-    assertEqual(result, {gpu: 0, mem: 2, temp: 35}, 'Should parse idle GPU data');
+    assertEqual(pick(result[0], ['index', 'gpu', 'mem', 'temp']), {index: 0, gpu: 0, mem: 2, temp: 35}, 'Should parse idle GPU data');
+});
+
+runTest('parseDmonOutput with multiple GPUs', function() {
+    const result = parseDmonOutput(TEST_DATA.multiGpuDmon);
+    assertEqual(result.map(entry => pick(entry, ['index', 'gpu', 'mem', 'temp'])), [
+        {index: 0, gpu: 13, mem: 6, temp: 45},
+        {index: 1, gpu: 98, mem: 95, temp: 92}
+    ], 'Should parse one entry per GPU');
+});
+
+runTest('parseDmonOutput sorts GPUs by index', function() {
+    const result = parseDmonOutput(TEST_DATA.multiGpuDmonUnordered);
+    assertEqual(result.map(entry => entry.index), [0, 1], 'Should sort GPUs by index');
+});
+
+runTest('parseDmonOutput with clocks and PCIe columns', function() {
+    const result = parseDmonOutput(TEST_DATA.extendedDmon);
+    assertEqual(result, [{
+        index: 0, gpu: 13, mem: 6, temp: 45, memTemp: 52, power: 117, enc: 21, dec: 4,
+        smClock: 1755, memClock: 7000, vramUsed: 2847, pcieRx: 120, pcieTx: 35
+    }], 'Should map every known column by header name');
+});
+
+runTest('parseDmonOutput with reordered columns', function() {
+    const result = parseDmonOutput(TEST_DATA.reorderedDmon);
+    assertEqual(pick(result[0], ['index', 'gpu', 'mem', 'temp', 'power', 'vramUsed']),
+                {index: 0, gpu: 13, mem: 6, temp: 45, power: 117, vramUsed: null},
+                'Should map columns by name, not position');
 });
 
 runTest('parseDmonOutput with invalid data', function() {
@@ -201,6 +522,102 @@ runTest('parseFanSpeed with out of range value', function() {
     assertEqual(result, null, 'Should return null for out-of-range value');
 });
 
+// Tests for parseQueryOutput
+runTest('parseQueryOutput with multiple GPUs', function() {
+    const result = parseQueryOutput(TEST_DATA.validDeviceQuery, DEVICE_QUERY_FIELDS);
+    assertEqual(result, {
+        0: {index: 0, fan: 55, powerLimit: 250, vramTotal: 8192, pstate: 'P2', throttle: 0},
+        1: {index: 1, fan: 70, powerLimit: 320, vramTotal: 16384, pstate: 'P0', throttle: 0x24}
+    }, 'Should map query fields by GPU index');
+});
+
+runTest('parseQueryOutput with [N/A] values', function() {
+    const result = parseQueryOutput(TEST_DATA.deviceQueryWithNA, DEVICE_QUERY_FIELDS);
+    assertEqual(result[0], {index: 0, fan: null, powerLimit: null, vramTotal: 4096, pstate: 'P8', throttle: null},
+                'Should turn [N/A] into null');
+});
+
+runTest('parseQueryOutput with invalid data', function() {
+    const result = parseQueryOutput(TEST_DATA.invalidDeviceQuery, DEVICE_QUERY_FIELDS);
+    assertEqual(result, {}, 'Should return empty map for invalid data');
+});
+
+runTest('parseQueryOutput with empty string', function() {
+    const result = parseQueryOutput(TEST_DATA.emptyFan, DEVICE_QUERY_FIELDS);
+    assertEqual(result, null, 'Should return null for empty string');
+});
+
+// Tests for parseQueryLine
+runTest('parseQueryLine with valid line', function() {
+    const result = parseQueryLine(TEST_DATA.validQueryLine, STREAM_QUERY_FIELDS);
+    assertEqual(result, {
+        index: 0, gpu: 13, mem: 6, temp: 45, fan: 55, power: 117.45, powerLimit: 250,
+        vramUsed: 2847, vramTotal: 8192, smClock: 1755, memClock: 7000, pstate: 'P2', throttle: 4
+    }, 'Should parse query loop line');
+});
+
+runTest('parseQueryLine with fanless GPU', function() {
+    const result = parseQueryLine(TEST_DATA.queryLineFanNA, STREAM_QUERY_FIELDS);
+    assertEqual(pick(result, ['index', 'fan', 'power', 'throttle']), {index: 1, fan: null, power: 225.1, throttle: null},
+                'Should turn [N/A] fan and unsupported throttle reasons into null');
+});
+
+runTest('parseQueryLine with partial line', function() {
+    const result = parseQueryLine(TEST_DATA.partialQueryLine, STREAM_QUERY_FIELDS);
+    assertEqual(result, null, 'Should return null for incomplete line');
+});
+
+runTest('parseQueryLine with invalid data', function() {
+    const result = parseQueryLine('a, b, c, d, e, f, g, h, i, j, k, l, m', STREAM_QUERY_FIELDS);
+    assertEqual(result, null, 'Should return null for non-numeric required values');
+});
+
+// Tests for parseDeviceInfo and parseCudaVersion
+runTest('parseDeviceInfo with multiple GPUs', function() {
+    const result = parseDeviceInfo(TEST_DATA.validDeviceInfo);
+    assertEqual(result[1], {index: 1, name: 'NVIDIA RTX A6000', driver: '550.54.14', busId: '00000000:41:00.0'},
+                'Should map identity by GPU index');
+});
+
+runTest('parseDeviceInfo with comma in name', function() {
+    const result = parseDeviceInfo(TEST_DATA.deviceInfoCommaName);
+    assertEqual(pick(result[0], ['name', 'driver']), {name: 'Tesla K80, Rev. B', driver: '470.42.01'},
+                'Should keep commas inside the GPU name');
+});
+
+runTest('parseDeviceInfo with invalid data', function() {
+    assertEqual(parseDeviceInfo(TEST_DATA.invalidDmon), null, 'Should return null for invalid data');
+});
+
+runTest('parseCudaVersion from summary header', function() {
+    assertEqual(parseCudaVersion(TEST_DATA.summaryHeader), '12.2', 'Should extract CUDA version');
+    assertEqual(parseCudaVersion(TEST_DATA.invalidDmon), null, 'Should return null without CUDA version');
+});
+
+// Tests for parsePmonOutput and parseComputeApps
+runTest('parsePmonOutput with processes', function() {
+    const result = parsePmonOutput(TEST_DATA.validPmon);
+    assertEqual(result, [
+        {gpu: 0, pid: 1873, type: 'G', sm: 3, mem: 1, vram: 412, name: 'Xorg'},
+        {gpu: 0, pid: 24610, type: 'C', sm: 38, mem: 22, vram: 2048, name: 'python3'}
+    ], 'Should parse processes and skip idle GPU lines');
+});
+
+runTest('parsePmonOutput without fb column', function() {
+    const result = parsePmonOutput(TEST_DATA.pmonWithoutFb);
+    assertEqual(pick(result[0], ['pid', 'sm', 'vram', 'name']), {pid: 24610, sm: 38, vram: null, name: 'Blender Render'},
+                'Should leave VRAM unknown and keep spaces in the command');
+});
+
+runTest('parsePmonOutput with invalid data', function() {
+    assertEqual(parsePmonOutput(TEST_DATA.invalidDmon), null, 'Should return null for invalid data');
+    assertEqual(parsePmonOutput(TEST_DATA.emptyDmon), null, 'Should return null for empty string');
+});
+
+runTest('parseComputeApps', function() {
+    assertEqual(parseComputeApps(TEST_DATA.validComputeApps), {24610: 2048}, 'Should map PID to VRAM and skip [N/A]');
+});
+
 // Summary
 print('');
 print('========================================');
@@ -0,0 +1,256 @@
+#!/usr/bin/env gjs
+/**
+ * Unit tests for the session statistics
+ *
+ * Tests min/max/mean, percentiles, time above the temperature thresholds, energy and reset
+ * Run with: gjs tests/test-session.js
+ */
+
+// Metrics aggregated (subset of METRICS in applet.js)
+const METRICS = { gpu: {}, temp: {}, power: {} };
+
+// Session statistics (copied from applet.js for testing)
+const SESSION_MAX_GAP = 60; // seconds
+
+/**
+ * Compute a percentile from a value histogram (nearest-rank method)
+ *
+ * @param {Object} counts - Number of samples per value
+ * @param {number} total - Number of samples
+ * @param {number} percent - Percentile (0-100)
+ * @returns {number|null} Value at the percentile, or null without samples
+ */
+function percentileOfCounts(counts, total, percent) {
+    const values = Object.keys(counts).map(Number).sort((a, b) => a - b);
+    const rank = Math.max(1, Math.ceil(percent / 100 * total));
+
+    let seen = 0;
+    for (let value of values) {
+        seen += counts[value];
+        if (seen >= rank) {
+            return value;
+        }
+    }
+    return values.length > 0 ? values[values.length - 1] : null;
+}
+
+/**
+ * Session Stats class
+ * Running aggregates of every numeric metric per source since the applet started (or was reset):
+ * min/max/mean and percentiles (from a histogram of values rounded to integers, so memory
+ * stays bounded over long sessions), plus the time spent at or above the warning and critical
+ * temperatures and the energy drawn. Each sample's temperature and power hold until the next one.
+ */
+function SessionStats() {
+    this._init();
+}
+
+SessionStats.prototype = {
+    /**
+     * Initialize the SessionStats
+     */
+    _init: function() {
+        this._aggregates = {};
+        this._timelines = {};
+        this.warningTemp = null;
+        this.criticalTemp = null;
+        this.startTime = Date.now();
+    },
+
+    /**
+     * Set the temperatures that count as time above warning and critical
+     * @param {number} warning - Warning temperature (Celsius)
+     * @param {number} critical - Critical temperature (Celsius)
+     */
+    setTemperatureThresholds: function(warning, critical) {
+        this.warningTemp = warning;
+        this.criticalTemp = critical;
+    },
+
+    /**
+     * Add one stats object to the running aggregates
+     * @param {string} source - Source key, e.g. "0" for GPU 0
+     * @param {Object} stats - Per-GPU stats object
+     * @param {number} time - Sample time (ms since epoch, default now)
+     */
+    record: function(source, stats, time) {
+        if (!this._aggregates[source]) {
+            this._aggregates[source] = {};
+        }
+
+        for (let key in METRICS) {
+            const value = stats[key];
+            if (typeof value !== 'number') {
+                continue;
+            }
+
+            let aggregate = this._aggregates[source][key];
+            if (!aggregate) {
+                aggregate = this._aggregates[source][key] = { min: value, max: value, sum: 0, count: 0, counts: {} };
+            }
+            aggregate.min = Math.min(aggregate.min, value);
+            aggregate.max = Math.max(aggregate.max, value);
+            aggregate.sum += value;
+            aggregate.count++;
+
+            const bucket = Math.round(value);
+            aggregate.counts[bucket] = (aggregate.counts[bucket] || 0) + 1;
+        }
+
+        this._recordTimeline(source, stats, time !== undefined ? time : Date.now());
+    },
+
+    /**
+     * Add the time since the previous sample to the threshold times and the energy
+     * @param {string} source - Source key
+     * @param {Object} stats - Per-GPU stats object
+     * @param {number} time - Sample time (ms since epoch)
+     */
+    _recordTimeline: function(source, stats, time) {
+        let timeline = this._timelines[source];
+        if (!timeline) {
+            timeline = this._timelines[source] = { time: null, temp: null, power: null, warningSeconds: 0, criticalSeconds: 0, energyWh: 0 };
+        }
+
+        if (timeline.time !== null) {
+            const seconds = Math.min(Math.max(0, (time - timeline.time) / 1000), SESSION_MAX_GAP);
+            if (typeof timeline.temp === 'number') {
+                if (this.warningTemp !== null && timeline.temp >= this.warningTemp) {
+                    timeline.warningSeconds += seconds;
+                }
+                if (this.criticalTemp !== null && timeline.temp >= this.criticalTemp) {
+                    timeline.criticalSeconds += seconds;
+                }
+            }
+            if (typeof timeline.power === 'number') {
+                timeline.energyWh += timeline.power * seconds / 3600;
+            }
+        }
+
+        timeline.time = time;
+        timeline.temp = stats.temp;
+        timeline.power = stats.power;
+    },
+
+    /**
+     * Get the aggregates of one metric
+     * @param {string} source - Source key
+     * @param {string} key - Metric key
+     * @returns {Object|null} {min, max, mean, p50, p95, p99, count}, or null if no sample was recorded
+     */
+    get: function(source, key) {
+        const aggregate = this._aggregates[source] ? this._aggregates[source][key] : null;
+        if (!aggregate) {
+            return null;
+        }
+
+        return {
+            min: aggregate.min,
+            max: aggregate.max,
+            mean: aggregate.sum / aggregate.count,
+            p50: percentileOfCounts(aggregate.counts, aggregate.count, 50),
+            p95: percentileOfCounts(aggregate.counts, aggregate.count, 95),
+            p99: percentileOfCounts(aggregate.counts, aggregate.count, 99),
+            count: aggregate.count
+        };
+    },
+
+    /**
+     * Get the time above the temperature thresholds and the energy of one source
+     * @param {string} source - Source key
+     * @returns {Object|null} {warningSeconds, criticalSeconds, energyWh}, or null if no sample was recorded
+     */
+    getTimeline: function(source) {
+        const timeline = this._timelines[source];
+        if (!timeline) {
+            return null;
+        }
+
+        return {
+            warningSeconds: timeline.warningSeconds,
+            criticalSeconds: timeline.criticalSeconds,
+            energyWh: timeline.energyWh
+        };
+    },
+
+    /**
+     * Drop all aggregates and restart the session
+     */
+    reset: function() {
+        this._aggregates = {};
+        this._timelines = {};
+        this.startTime = Date.now();
+    }
+};
+
+// Test helper
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(message + '\n  Expected: ' + JSON.stringify(expected) + '\n  Got: ' + JSON.stringify(actual));
+    }
+}
+
+// Test suite
+let testsPassed = 0;
+let testsFailed = 0;
+
+function runTest(testName, testFunc) {
+    try {
+        testFunc();
+        print('✓ PASS: ' + testName);
+        testsPassed++;
+    } catch (error) {
+        print('✗ FAIL: ' + testName);
+        print('  ' + error.message);
+        testsFailed++;
+    }
+}
+
+// Record one GPU utilization value per sample, one sample every 2 seconds
+function sessionOf(values) {
+    const session = new SessionStats();
+    values.forEach((value, i) => session.record('0', {gpu: value}, i * 2000));
+    return session;
+}
+
+runTest('min, max, mean and percentiles', function() {
+    const aggregate = sessionOf([10, 20, 30, 40, 50, 60, 70, 80, 90, 100]).get('0', 'gpu');
+    assertEqual([aggregate.min, aggregate.max, aggregate.mean, aggregate.count], [10, 100, 55, 10], 'Should aggregate the values');
+    assertEqual([aggregate.p50, aggregate.p95, aggregate.p99], [50, 100, 100], 'Should use nearest-rank percentiles');
+    assertEqual(sessionOf([41.6, 42.4]).get('0', 'gpu').p50, 42, 'Should bucket values rounded to integers');
+    assertEqual(sessionOf([]).get('0', 'gpu'), null, 'Should be empty without samples');
+});
+
+runTest('time above thresholds and energy', function() {
+    const session = new SessionStats();
+    session.setTemperatureThresholds(70, 85);
+    [[60, 100], [75, 200], [90, 300], [50, 100]].forEach((sample, i) => {
+        session.record('0', {temp: sample[0], power: sample[1]}, i * 10000);
+    });
+    session.record('0', {temp: 90, power: 360}, 30000 + 3600000);
+
+    const timeline = session.getTimeline('0');
+    assertEqual([timeline.warningSeconds, timeline.criticalSeconds], [20, 10], 'Each temperature should hold until the next sample');
+    assertEqual(timeline.energyWh.toFixed(4), (((100 + 200 + 300) * 10 + 100 * SESSION_MAX_GAP) / 3600).toFixed(4),
+                'Should integrate power, counting at most SESSION_MAX_GAP of a gap');
+});
+
+runTest('reset restarts the session', function() {
+    const session = sessionOf([10, 20]);
+    session.reset();
+    assertEqual([session.get('0', 'gpu'), session.getTimeline('0')], [null, null], 'Should drop every aggregate');
+});
+
+// Summary
+print('');
+print('========================================');
+print('Test Results:');
+print('  Passed: ' + testsPassed);
+print('  Failed: ' + testsFailed);
+print('========================================');
+
+if (testsFailed === 0) {
+    print('✓ All tests passed!');
+} else {
+    print('✗ Some tests failed');
+}